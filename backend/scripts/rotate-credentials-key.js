@@ -0,0 +1,72 @@
+// --- CREDENTIALS KEY ROTATION ---
+// Re-encrypts every stored TikTok password with a new master key.
+//
+//   npm run vault:keygen                      prints a fresh random master key
+//   CREDENTIALS_NEW_MASTER_KEY=<new> npm run vault:rotate
+//
+// The old key is read from CREDENTIALS_MASTER_KEY (.env). Plain-text rows are encrypted
+// too. Everything happens in one transaction, so a failure leaves the database untouched.
+// Afterwards set CREDENTIALS_MASTER_KEY=<new> and restart the server.
+require('dotenv').config();
+const sqlite3 = require('sqlite3');
+const { isEncrypted, generateMasterKey, encryptSecret, decryptSecret, registerSecret, installLogRedaction } = require('../services/vault');
+
+installLogRedaction();
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this);
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+async function rotate() {
+    const newKey = process.env.CREDENTIALS_NEW_MASTER_KEY;
+    if (!newKey) {
+        throw new Error('Set CREDENTIALS_NEW_MASTER_KEY to the key you are rotating to');
+    }
+    registerSecret(newKey);
+
+    const db = new sqlite3.Database('tiktok_accounts.db');
+    try {
+        const rows = await all(db, `SELECT id, username, password FROM tiktok_accounts WHERE password IS NOT NULL AND password != ''`);
+        console.log(`[VAULT] 🔄 Rotating ${rows.length} stored credential(s)...`);
+
+        await run(db, 'BEGIN TRANSACTION');
+        try {
+            for (const row of rows) {
+                // decryptSecret reads the old key(s) from the environment
+                const plaintext = isEncrypted(row.password) ? decryptSecret(row.password) : row.password;
+                registerSecret(plaintext);
+                await run(db, `UPDATE tiktok_accounts SET password = ? WHERE id = ?`, [encryptSecret(plaintext, newKey), row.id]);
+            }
+            await run(db, 'COMMIT');
+        } catch (error) {
+            await run(db, 'ROLLBACK');
+            throw error;
+        }
+
+        console.log(`[VAULT] ✅ Re-encrypted ${rows.length} credential(s)`);
+        console.log('[VAULT] 👉 Now set CREDENTIALS_MASTER_KEY to the new key and restart the server.');
+    } finally {
+        db.close();
+    }
+}
+
+if (process.argv.includes('--generate')) {
+    // Printed directly: this is the one place a key is meant to be shown
+    process.stdout.write(`${generateMasterKey()}\n`);
+} else {
+    rotate().catch(error => {
+        console.error('[VAULT] ❌ Key rotation failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -5,16 +5,47 @@ const cors = require('cors');
 const axios = require('axios');
 const fs = require('fs');
 const fsp = require('fs').promises;
-const os = require('os');
 const path = require('path');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { OpenAI } = require('openai');
 const ffmpeg = require('fluent-ffmpeg');
+const { buildSubtitleFilters, writeSubtitleSidecars, normalizeSubtitleFormats } = require('./services/subtitles');
+const { ffmpegColor, normalizeBrandKitFields, probeMedia, createBrandKits, buildWatermarkFilters, buildBookendFilters, BRAND_FILE_TYPES, WATERMARK_POSITIONS } = require('./services/brandKits');
+const { normalizeOverlays, overlayWindows, captionsUnderOverlays, buildOverlayFilters, listOverlayTemplates } = require('./services/overlays');
+const { runJob, getJob, listJobs, subscribeToJob, setJobConcurrency, jobQueueStatus } = require('./services/jobs');
+const { scrapeProduct, inferCategory, nameFromUrl } = require('./services/product');
+const { generateScript, generateHooks, scriptToText } = require('./services/scripts');
+const { normalizeLanguage, getLanguage } = require('./services/languages');
+const { buildImageSegmentFilters, interleaveSegments, motionForIndex } = require('./services/kenburns');
+const { normalizeMotion, transitionsFor, planTransitions, buildTransitionFilters, buildClipFilters, detectStaticShot, listTransitions } = require('./services/transitions');
+const { isVaultConfigured, isEncrypted, encryptSecret, revealSecret, redactSecrets, redactResponse, installLogRedaction } = require('./services/vault');
+const { uploadToRealTikTok, getUploader } = require('./services/uploaders');
+const { createUploadWorker, defaultCaption } = require('./services/uploadWorker');
+const { toSqlTimestamp, fromSqlTimestamp, normalizePostingSchedule, parsePostingSchedule, slotConflict, nextSlot, createScheduler } = require('./services/scheduler');
+const { DEFAULT_PRESET, getPreset, listPresets } = require('./services/presets');
+const { VOICE_TAIL_SECONDS, roundSeconds, buildVoiceTimeline, planSegmentCuts } = require('./services/timing');
+const { createMediaLibrary } = require('./services/mediaLibrary');
+const { createDiskCache } = require('./services/cache');
+const { createWorkspaceManager } = require('./services/workspace');
+const { createElevenLabsProvider, createAzureProvider, createOpenAiProvider, createLocalSpeechProvider, createTtsChain, DEFAULT_TTS_ORDER } = require('./services/tts');
+const { normalizeVoiceSelection, parseVoicePreferences, resolveVoice, createVoiceCatalog } = require('./services/voices');
+const { AUDIO_EXTENSIONS, MUSIC_MOODS, normalizeTrackTags, buildAudioMixFilters, createMusicLibrary } = require('./services/music');
+const { createVideoHistory } = require('./services/history');
+const { PROJECT_VERSION, voiceoverText, voiceoverCacheKey, applyProjectEdits, createSegmentResolver } = require('./services/projects');
+const { normalizeVariantRequest, variantLabel, variantMoods, applyVariant } = require('./services/variants');
+const { parseCatalog, normalizeBatchRow, createBatchRunner, manifestToCsv } = require('./services/batch');
+const { MAX_ZIP_BYTES, zipSize, writeZip } = require('./services/zip');
+const { FOOTAGE_SOURCES, orientationForPreset, libraryClipUrl, createPexelsProvider, createLocalProvider, createFootageSource } = require('./services/footage');
+const multer = require('multer');
+
+// Scrub decrypted credentials and master keys from everything the server logs
+installLogRedaction();
 
 // --- FFmpeg Configuration ---
 try {
     const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
     ffmpeg.setFfmpegPath(ffmpegPath);
+    ffmpeg.setFfprobePath(require('@ffprobe-installer/ffprobe').path);
     console.log("✅ FFmpeg is configured correctly.");
 } catch (e) {
     console.error("❌ CRITICAL ERROR: Could not find FFmpeg.");
@@ -25,6 +56,12 @@ const app = express();
 const port = 3001;
 app.use(cors());
 app.use(express.json());
+// Credentials never leave through the API, whatever a route puts in its response
+app.use((req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => json(redactResponse(body));
+    next();
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
 // --- API Keys & AI Model Initialization ---
@@ -41,35 +78,88 @@ if (openaiApiKey) {
     console.log("✅ OpenAI (Backup AI) is configured.");
 }
 
+// --- TEXT-TO-SPEECH PROVIDERS ---
+// Tried in TTS_PROVIDERS order (default elevenlabs,azure,openai,local); the local engine
+// needs no key, so voice videos still work offline.
+const ttsProviders = {
+    elevenlabs: createElevenLabsProvider({ apiKey: elevenLabsApiKey, axios }),
+    azure: createAzureProvider({ key: process.env.AZURE_SPEECH_KEY, region: process.env.AZURE_SPEECH_REGION }),
+    openai: createOpenAiProvider({ client: openai, model: process.env.OPENAI_TTS_MODEL || undefined }),
+    local: createLocalSpeechProvider()
+};
+const ttsChain = createTtsChain(ttsProviders, {
+    order: process.env.TTS_PROVIDERS ? process.env.TTS_PROVIDERS.split(',').map(name => name.trim().toLowerCase()) : DEFAULT_TTS_ORDER,
+    cooldownMs: (Number(process.env.TTS_COOLDOWN_MINUTES) || 15) * 60 * 1000
+});
+
+// Voices the UI can pick from; ones without a provider preview clip get a generated sample
+const voiceCatalog = createVoiceCatalog({
+    providers: ttsProviders,
+    elevenLabsApiKey,
+    axios,
+    previewUrlFor: (provider, voiceId, language) =>
+        `http://localhost:3001/api/voices/${provider}/${encodeURIComponent(voiceId)}/preview?language=${language}`
+});
+
+// The voice fields of a generate request; rejects an unknown provider or voice, or bad settings
+function voiceSelectionFrom(body) {
+    return normalizeVoiceSelection(
+        { provider: body.voiceProvider, voiceId: body.voiceId, settings: body.voiceSettings },
+        Object.keys(ttsProviders),
+        voiceCatalog
+    );
+}
+
+// --- RENDER WORKSPACES & CONCURRENCY ---
+// Each render gets its own temp directory; RENDER_MAX_CONCURRENT renders run at once, the rest queue
+const renderWorkspaces = createWorkspaceManager({
+    rootDir: process.env.RENDER_WORKDIR ? path.resolve(__dirname, process.env.RENDER_WORKDIR) : undefined
+});
+setJobConcurrency(Number(process.env.RENDER_MAX_CONCURRENT) || 1);
+
+// --- FOOTAGE CACHE ---
+// Pexels search responses expire; downloaded clips are keyed by Pexels video id and only
+// leave the cache when it runs out of room.
+const cacheDir = path.resolve(__dirname, process.env.CACHE_DIR || 'cache');
+const pexelsSearchCache = createDiskCache({
+    name: 'pexels-search',
+    dir: path.join(cacheDir, 'pexels-search'),
+    extension: '.json',
+    maxBytes: (Number(process.env.PEXELS_SEARCH_CACHE_MAX_MB) || 20) * 1024 * 1024,
+    ttlMs: (Number(process.env.PEXELS_SEARCH_CACHE_TTL_HOURS) || 24) * 3600 * 1000
+});
+const clipCache = createDiskCache({
+    name: 'clips',
+    dir: path.join(cacheDir, 'clips'),
+    extension: '.mp4',
+    maxBytes: (Number(process.env.CLIP_CACHE_MAX_MB) || 2048) * 1024 * 1024
+});
+// Generated voice samples, so browsing voices doesn't spend TTS credits twice
+const voicePreviewCache = createDiskCache({
+    name: 'voice-previews',
+    dir: path.join(cacheDir, 'voice-previews'),
+    maxBytes: (Number(process.env.VOICE_PREVIEW_CACHE_MAX_MB) || 50) * 1024 * 1024
+});
+// Voiceovers by text and voice, so a re-render with unchanged lines skips TTS
+const voiceoverCache = createDiskCache({
+    name: 'voiceovers',
+    dir: path.join(cacheDir, 'voiceovers'),
+    maxBytes: (Number(process.env.VOICEOVER_CACHE_MAX_MB) || 200) * 1024 * 1024
+});
 
 
 
-// --- VOICE MAPPING FOR DIFFERENT PRODUCTS ---
-const VOICE_MAPPING = {
-    'tech': 'EXAVITQu4vr4xnSDxMaL', // Antoni
-    'gadgets': 'pNInz6obpgDQGcFmaJgB', // Adam
-    'electronics': 'VR6AewLTigWG4xSOukaG', // Richard
-    'automotive': 'nPczCjzI2devNBz1zQrb', // Brian
-    'sports': 'EXAVITQu4vr4xnSDxMaL', // Antoni
-    'beauty': '21m00Tcm4TlvDq8ikWAM', // Rachel
-    'skincare': '21m00Tcm4TlvDq8ikWAM', // Rachel
-    'fashion': 'LcfcDJNUP1GQjkzn1xUU', // Emily
-    'clothing': 'LcfcDJNUP1GQjkzn1xUU', // Emily
-    'jewelry': '21m00Tcm4TlvDq8ikWAM', // Rachel
-    'food': 'LcfcDJNUP1GQjkzn1xUU', // Emily
-    'snacks': 'LcfcDJNUP1GQjkzn1xUU', // Emily
-    'health': '21m00Tcm4TlvDq8ikWAM', // Rachel
-    'fitness': 'LcfcDJNUP1GQjkzn1xUU', // Emily
-    'home': 'LcfcDJNUP1GQjkzn1xUU', // Emily
-    'kitchen': '21m00Tcm4TlvDq8ikWAM', // Rachel
-    'default': '21m00Tcm4TlvDq8ikWAM' // Rachel as default
-};
 
 // --- AI FUNCTION WITH FALLBACK ---
-async function generateAiContent(prompt, useGoogleFirst = true) {
-    if (useGoogleFirst) {
+const aiAvailable = Boolean(googleApiKey || openai);
+
+// options.json asks both providers for a JSON-only response
+async function generateAiContent(prompt, useGoogleFirst = true, options = {}) {
+    if (useGoogleFirst && googleApiKey) {
         try {
-            const result = await googleModel.generateContent(prompt);
+            const result = await googleModel.generateContent(options.json
+                ? { contents: [{ role: 'user', parts: [{ text: prompt }] }], generationConfig: { responseMimeType: 'application/json' } }
+                : prompt);
             return result.response.text();
         } catch (googleError) {
             console.warn(`[AI] ⚠️ Google failed: ${googleError.message}. Trying OpenAI...`);
@@ -82,7 +172,8 @@ async function generateAiContent(prompt, useGoogleFirst = true) {
                 model: "gpt-3.5-turbo",
                 messages: [{ role: "user", content: prompt }],
                 max_tokens: 800,
-                temperature: 0.7
+                temperature: 0.7,
+                ...(options.json ? { response_format: { type: 'json_object' } } : {})
             });
             return response.choices[0].message.content;
         } catch (openaiError) {
@@ -95,257 +186,54 @@ async function generateAiContent(prompt, useGoogleFirst = true) {
 }
 
 // --- HELPER FUNCTIONS ---
-function getVoiceForProduct(productName) {
-    const product = productName.toLowerCase();
-    for (const [category, voiceId] of Object.entries(VOICE_MAPPING)) {
-        if (product.includes(category)) {
-            return voiceId;
-        }
-    }
-    return VOICE_MAPPING.default;
+// Files this server hosts itself (uploads, music) are read from disk instead of downloaded
+function localPublicPath(url) {
+    const prefix = 'http://localhost:3001/';
+    const relative = url.startsWith(prefix) ? url.slice(prefix.length) : (url.startsWith('/') ? url.slice(1) : null);
+    if (!relative) return null;
+    const publicDir = path.join(__dirname, 'public');
+    const resolved = path.resolve(publicDir, decodeURIComponent(relative.split(/[?#]/)[0]));
+    return resolved.startsWith(publicDir + path.sep) ? resolved : null;
 }
 
-async function getPexelsVideoForLine(visualDescription, productName) {
-    if (!pexelsApiKey) throw new Error("Pexels API Key is missing.");
-    try {
-        // Try product-specific search first
-        let query = `${productName} ${visualDescription}`;
-        console.log(`[PEXELS] 🔍 Primary search: "${query}"`);
-        
-        let res = await axios.get(`https://api.pexels.com/videos/search`, {
-            headers: { Authorization: pexelsApiKey }, 
-            params: { 
-                query: query, 
-                per_page: 20, 
-                orientation: 'portrait',
-                min_duration: 8,
-                max_duration: 40
-            }
-        });
-        
-        // If no results, try broader search
-        if (!res.data.videos || res.data.videos.length === 0) {
-            query = visualDescription;
-            console.log(`[PEXELS] 🔄 Fallback search: "${query}"`);
-            res = await axios.get(`https://api.pexels.com/videos/search`, {
-                headers: { Authorization: pexelsApiKey }, 
-                params: { 
-                    query: query, 
-                    per_page: 20, 
-                    orientation: 'portrait',
-                    min_duration: 8,
-                    max_duration: 40
-                }
-            });
-        }
-        
-        if (res.data.videos && res.data.videos.length > 0) {
-            const video = res.data.videos.find(v => v.duration >= 8 && v.duration <= 40);
-            if (video) {
-                const hdVideo = video.video_files.find(f => f.quality === 'hd' && f.link);
-                if (hdVideo) {
-                    console.log(`[PEXELS] ✅ Found HD video: ${video.id}`);
-                    return hdVideo.link;
-                }
-            }
-        }
-        return null;
-    } catch (error) { 
-        console.error(`[PEXELS] ❌ Search failed for "${visualDescription}":`, error.message); 
-        return null; 
-    }
+function timemarkToSeconds(timemark) {
+    if (!timemark) return 0;
+    return String(timemark).split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
 }
 
-async function generateVoice(text, language, voiceId, timestamp) {
-    try {
-        console.log(`[VOICEOVER] 🎤 Generating voice with ID: ${voiceId} in ${language}...`);
-        console.log(`[VOICEOVER] Script length: ${text.length} characters`);
-        
-        const response = await axios.post(
-            `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, 
-            { 
-                text, 
-                model_id: 'eleven_multilingual_v2',
-                voice_settings: {
-                    stability: 0.7,
-                    similarity_boost: 0.8,
-                    style: 0.4,
-                    use_speaker_boost: true
-                }
-            }, 
-            { 
-                headers: { 
-                    'Accept': 'audio/mpeg', 
-                    'xi-api-key': elevenLabsApiKey 
-                }, 
-                responseType: 'arraybuffer' 
-            }
-        );
-        const tempDir = os.tmpdir();
-        const tempFilePath = path.join(tempDir, `voice-${timestamp}.mp3`);
-        await fsp.writeFile(tempFilePath, response.data);
-        console.log(`[VOICEOVER] ✅ 25-second voiceover generated successfully!`);
-        return tempFilePath;
-    } catch (error) { 
-        throw new Error("Failed to create voiceover: " + (error.response?.data?.detail?.message || error.message)); 
-    }
+function probeDuration(filePath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
+            if (err) return reject(err);
+            resolve(Number(metadata.format.duration) || 0);
+        });
+    });
 }
 
-// TEMPLATE SYSTEM - NO API NEEDED
-async function generateEnhancedScript(productName, mood, language) {
-    console.log(`[AI] 📝 Using FREE template system for ${mood} mood...`);
-    console.log(`[AI] 🎯 Product: "${productName}"`);
-    
-    // Pre-written viral scripts
-    const viralScripts = {
-        funny: {
-            beauty: [
-                "LINE: My skin said 'who dis new phone?'",
-                `LINE: ${productName} literally broke my mirror`,
-                "LINE: I'm glowing like a lightbulb now",
-                "LINE: My friends think I got surgery",
-                "LINE: Plot twist it actually works besties",
-                "LINE: The glow up is absolutely unreal",
-                "LINE: I'm basically a walking highlighter",
-                "LINE: My confidence said thank you queen",
-                "LINE: Your skin deserves this magic potion",
-                "LINE: Don't walk RUN to get this"
-            ],
-            tech: [
-                "LINE: This gadget broke my brain cells",
-                `LINE: ${productName} is from the year 3000`,
-                "LINE: My life just got a software update",
-                "LINE: Why didn't anyone tell me sooner",
-                "LINE: It's like having a personal robot",
-                "LINE: My productivity went absolutely crazy",
-                "LINE: Everyone's asking what my secret is",
-                "LINE: This is not a drill people",
-                "LINE: Your life needs this upgrade badly",
-                "LINE: Trust me and thank me later"
-            ],
-            fashion: [
-                "LINE: This outfit said pick me",
-                `LINE: ${productName} is absolutely iconic`,
-                "LINE: I'm serving looks and confidence",
-                "LINE: People can't stop staring honestly",
-                "LINE: My style game just leveled up",
-                "LINE: The compliments are getting ridiculous",
-                "LINE: I feel like a main character",
-                "LINE: This is my new personality",
-                "LINE: You need this in your life",
-                "LINE: Get it before everyone else does"
-            ],
-            food: [
-                "LINE: This taste transported my soul",
-                `LINE: ${productName} just changed my life`,
-                "LINE: I'm emotionally attached to this now",
-                "LINE: My taste buds are having a party",
-                "LINE: I bought ten more immediately",
-                "LINE: This is my new obsession officially",
-                "LINE: I can't eat anything else",
-                "LINE: My friends steal this constantly",
-                "LINE: You haven't lived until you try",
-                "LINE: Order it right now seriously"
-            ]
-        },
-        
-        exciting: {
-            beauty: [
-                `LINE: ${productName} is absolutely life changing`,
-                "LINE: Results in just seven days guaranteed",
-                "LINE: My skin transformation is completely insane",
-                "LINE: The glow is totally unreal",
-                "LINE: Everyone keeps asking my secret routine",
-                "LINE: This revolutionized my entire skincare",
-                "LINE: The before and after shocked everyone",
-                "LINE: I cannot believe the dramatic difference",
-                "LINE: Your skin will thank you forever",
-                "LINE: Get yours now before complete sellout"
-            ],
-            tech: [
-                `LINE: ${productName} is revolutionary technology`,
-                "LINE: This will change everything completely",
-                "LINE: The performance is absolutely mind blowing",
-                "LINE: I'm getting incredible results daily",
-                "LINE: This solved all my problems",
-                "LINE: The speed improvement is unreal",
-                "LINE: Everyone needs this in their life",
-                "LINE: This is the future right now",
-                "LINE: Don't miss out on this game changer",
-                "LINE: Order immediately while still available"
-            ]
-        },
-        
-        trendy: {
-            default: [
-                "LINE: POV you found the holy grail",
-                `LINE: ${productName} hits different bestie`,
-                "LINE: This is giving main character energy",
-                "LINE: The vibe check is absolutely unmatched",
-                "LINE: Everyone's copying my aesthetic now",
-                "LINE: My confidence just leveled up significantly",
-                "LINE: This is not a want it's definitely need",
-                "LINE: The compliments keep flowing in daily",
-                "LINE: Trust the process and trust me",
-                "LINE: Link in bio before it's gone"
-            ]
-        },
-        
-        luxurious: {
-            default: [
-                `LINE: ${productName} is pure luxury experience`,
-                "LINE: Quality that speaks for itself",
-                "LINE: This is investment in yourself",
-                "LINE: The craftsmanship is absolutely impeccable",
-                "LINE: You deserve this level of excellence",
-                "LINE: This elevates your entire lifestyle",
-                "LINE: Premium quality meets perfect design",
-                "LINE: This is what success looks like",
-                "LINE: Treat yourself like royalty today",
-                "LINE: Experience luxury that lasts lifetime"
-            ]
-        }
-    };
-    
-    // Determine product category
-    const product = productName.toLowerCase();
-    let category = 'default';
-    
-    if (product.includes('serum') || product.includes('cream') || product.includes('skincare') || 
-        product.includes('beauty') || product.includes('glow') || product.includes('face')) {
-        category = 'beauty';
-    } else if (product.includes('tech') || product.includes('gadget') || product.includes('phone') || 
-               product.includes('laptop') || product.includes('device')) {
-        category = 'tech';
-    } else if (product.includes('clothes') || product.includes('dress') || product.includes('shirt') || 
-               product.includes('fashion') || product.includes('style')) {
-        category = 'fashion';
-    } else if (product.includes('food') || product.includes('snack') || product.includes('drink') || 
-               product.includes('recipe') || product.includes('meal')) {
-        category = 'food';
-    }
-    
-    // Get script based on mood and category
-    const moodScripts = viralScripts[mood.toLowerCase()] || viralScripts.trendy;
-    let selectedScript = moodScripts[category] || moodScripts.default || viralScripts.trendy.default;
-    
-    // Replace product name in script
-    const finalScript = selectedScript.map(line => 
-        line.replace('${productName}', productName)
-    ).join('\n');
-    
-    console.log('[AI] ✅ FREE template script generated successfully!');
-    console.log(`[AI] 📊 Category: ${category}, Mood: ${mood}`);
-    console.log(`[AI] 📝 Script length: 10 lines for 25 seconds`);
-    
-    return finalScript;
-}
 // IMPROVED VIDEO CREATION WITH PROPER TEXT OVERLAY
-async function createVideoWithSubtitles(videoUrls, textOverlays, voiceAudioPath, customMusicPath, includeSubtitles, timestamp, productName) {
+// mediaSegments: stock clip URLs, or { type: 'video' | 'image', url, provider?, id? } (library clips are read from disk by id)
+// options.preset sets resolution, bitrate and caption safe area (see services/presets.js). With a
+// voiceover the video runs as long as the voice and clips change where lines start
+// (options.voiceAlignment holds the TTS provider's timestamps, if any); without one it runs preset.duration.
+// options.overlays adds the hook card, price badge and end card (see services/overlays.js);
+// options.brandKit (brandKits.forRender) sets the font and colors, adds the logo watermark and
+// puts the intro/outro clips around the video.
+// options.transitions names the transitions to use in turn between clips (see services/transitions.js);
+// options.speedRamp opens stock clips fast and options.staticZoom pushes in on clips that barely move.
+// Inputs are downloaded into options.workDir, which the caller removes afterwards.
+async function createVideoWithSubtitles(mediaSegments, textOverlays, voiceAudioPath, customMusicPath, includeSubtitles, timestamp, productName, options = {}) {
+    const { subtitleFormats = [], onProgress = () => {}, preset = getPreset(DEFAULT_PRESET), voiceAlignment = null, musicBpm = null, overlays = null, brandKit = null, transitions = ['cut'], speedRamp = false, staticZoom = false, workDir } = options;
+    const { width, height } = preset;
+    let segments = mediaSegments.map((segment) => {
+        if (typeof segment === 'string') return { type: 'video', url: segment };
+        // Projects saved before library clips had a url stored their path on disk instead
+        if (segment.provider === 'local') return { type: 'video', provider: 'local', id: segment.id, url: libraryClipUrl(segment.id) };
+        return segment;
+    });
     return new Promise(async (resolve, reject) => {
-        console.log(`[FFMPEG] 🎬 Creating 25-second TikTok video${includeSubtitles ? ' with subtitles' : ''}`);
-        const tempDir = os.tmpdir();
-        const outputFilename = `tiktok-${productName.replace(/[^a-zA-Z0-9]/g, '')}-${timestamp}.mp4`;
+        console.log(`[FFMPEG] 🎬 Creating ${preset.label} video (${width}x${height})${includeSubtitles ? ' with subtitles' : ''}`);
+        const tempDir = workDir;
+        const outputFilename = `${preset.platform}-${productName.replace(/[^a-zA-Z0-9]/g, '')}-${timestamp}.mp4`;
         const publicDir = path.join(__dirname, 'public');
         const videosDir = path.join(publicDir, 'videos');
         if (!fs.existsSync(videosDir)) fs.mkdirSync(videosDir, { recursive: true });
@@ -353,73 +241,284 @@ async function createVideoWithSubtitles(videoUrls, textOverlays, voiceAudioPath,
 
         let downloadedFiles = [];
         try {
-            // Download videos
-            console.log('[FFMPEG] 📥 Downloading product-related videos...');
-            for (let i = 0; i < videoUrls.length; i++) {
-                const response = await axios({ 
-                    url: videoUrls[i], 
-                    responseType: 'arraybuffer',
-                    timeout: 30000
+            // Measure the voiceover: it sets the video length and where each line starts
+            let voiceDuration = 0;
+            if (voiceAudioPath) {
+                voiceDuration = await probeDuration(voiceAudioPath).catch((err) => {
+                    console.warn(`[TIMING] ⚠️ Could not measure voiceover, using preset timing: ${err.message}`);
+                    return 0;
                 });
-                const inputPath = path.join(tempDir, `clip-${i}.mp4`);
-                await fsp.writeFile(inputPath, response.data);
+            }
+            const totalDuration = voiceDuration > 0 ? roundSeconds(voiceDuration + VOICE_TAIL_SECONDS) : preset.duration;
+            const { timeline: captionTimeline, source: timingSource } = buildVoiceTimeline(textOverlays, {
+                voiceDuration,
+                alignment: voiceAlignment,
+                videoDuration: totalDuration
+            });
+            const windows = overlayWindows(overlays, { timeline: captionTimeline, duration: totalDuration });
+            const burnedCaptions = overlays ? captionsUnderOverlays(captionTimeline, overlays, windows) : captionTimeline;
+            if (voiceDuration > 0) {
+                console.log(`[TIMING] ⏱️ Voiceover is ${voiceDuration.toFixed(2)}s, lines timed ${timingSource === 'timestamps' ? 'from voice timestamps' : 'by length'}`);
+                if (Math.abs(voiceDuration - preset.duration) > preset.duration * 0.2) {
+                    console.warn(`[TIMING] ⚠️ Voiceover runs ${voiceDuration.toFixed(1)}s against the ${preset.duration}s ${preset.name} preset`);
+                }
+            }
+
+            // Clips change only where a line starts, so a clip never covers less than one line
+            const segmentDurations = planSegmentCuts(captionTimeline, segments.length, totalDuration);
+            if (segmentDurations.length < segments.length) {
+                console.log(`[FFMPEG] ✂️ Using ${segmentDurations.length} of ${segments.length} clips (one line minimum per clip)`);
+                segments = segments.slice(0, segmentDurations.length);
+            }
+
+            // Transitions overlap the clips around each cut, so clips render a little longer
+            // than their share of the timeline and the video keeps its duration
+            const { lengths: segmentLengths, transitions: cutTransitions } = planTransitions(transitions, segmentDurations);
+
+            // Download videos and product photos
+            console.log('[FFMPEG] 📥 Downloading product-related videos...');
+            for (let i = 0; i < segments.length; i++) {
+                const segment = segments[i];
+                const libraryClip = segment.provider === 'local' ? await mediaLibrary.get(segment.id) : null;
+                if (segment.provider === 'local' && !libraryClip) {
+                    throw new Error(`Library clip ${segment.id} is no longer in the footage library`);
+                }
+                const extension = segment.type === 'image'
+                    ? (path.extname(segment.url.split(/[?#]/)[0]).toLowerCase() || '.jpg')
+                    : (libraryClip ? path.extname(libraryClip.filePath).toLowerCase() : '.mp4');
+                const inputPath = path.join(tempDir, `clip-${i}${extension}`);
+                // Library clips are looked up by id; hosted uploads map back to public/
+                const localPath = libraryClip ? libraryClip.filePath : localPublicPath(segment.url);
+                // Pexels clips are cached by video id
+                const cacheKey = segment.provider === 'pexels' && segment.id ? `pexels:video:${segment.id}` : null;
+                const cachedPath = cacheKey ? await clipCache.getFile(cacheKey) : null;
+                if (localPath || cachedPath) {
+                    await fsp.copyFile(localPath || cachedPath, inputPath);
+                } else {
+                    const response = await axios({ 
+                        url: segment.url, 
+                        responseType: 'arraybuffer',
+                        timeout: 30000
+                    });
+                    await fsp.writeFile(inputPath, response.data);
+                    if (cacheKey) {
+                        await clipCache.putFile(cacheKey, Buffer.from(response.data)).catch(err => {
+                            console.warn(`[CACHE] ⚠️ Could not cache clip ${segment.id}: ${err.message}`);
+                        });
+                    }
+                }
                 downloadedFiles.push(inputPath);
-                console.log(`[FFMPEG] ✅ Downloaded clip ${i + 1}/${videoUrls.length}`);
+                console.log(`[FFMPEG] ✅ ${cachedPath ? 'Reused cached' : 'Downloaded'} ${segment.type === 'image' ? 'photo' : 'clip'} ${i + 1}/${segments.length}`);
+                onProgress('render', ((i + 1) / segments.length) * 15, `Downloaded clip ${i + 1}/${segments.length}`);
+            }
+
+            // Stock clips that barely move get a slow push-in, like the product photos
+            const staticShots = new Set();
+            if (staticZoom) {
+                for (let i = 0; i < segments.length; i++) {
+                    if (segments[i].type === 'video' && await detectStaticShot(downloadedFiles[i], segmentLengths[i])) staticShots.add(i);
+                }
+                if (staticShots.size > 0) {
+                    console.log(`[FFMPEG] 🔍 Zooming in on static clip(s) ${[...staticShots].map(i => i + 1).join(', ')}`);
+                }
+            }
+
+            // End card stills; the card is still drawn (without the picture) if one can't be fetched.
+            // Without a logo of its own the card shows the brand kit's.
+            const stillPaths = {};
+            if (windows.endCard) {
+                if (!overlays.endCard.logoUrl && brandKit && brandKit.paths.logo) stillPaths.logo = brandKit.paths.logo;
+                for (const [key, url] of [['logo', overlays.endCard.logoUrl], ['image', overlays.endCard.imageUrl]]) {
+                    if (!url) continue;
+                    const stillPath = path.join(tempDir, `endcard-${key}${path.extname(url.split(/[?#]/)[0]).toLowerCase() || '.jpg'}`);
+                    try {
+                        const localPath = localPublicPath(url);
+                        if (localPath) {
+                            await fsp.copyFile(localPath, stillPath);
+                        } else {
+                            const response = await axios({ url, responseType: 'arraybuffer', timeout: 30000 });
+                            await fsp.writeFile(stillPath, response.data);
+                        }
+                        stillPaths[key] = stillPath;
+                    } catch (err) {
+                        console.warn(`[OVERLAYS] ⚠️ Could not fetch the end card ${key} (${url}): ${err.message}`);
+                    }
+                }
             }
 
             const ffmpegCommand = ffmpeg();
-            downloadedFiles.forEach(file => ffmpegCommand.input(file));
+            downloadedFiles.forEach((file, i) => {
+                ffmpegCommand.input(file);
+                // A clip can now cover several lines, so short stock clips loop instead of running out
+                if (segments[i].type === 'video') ffmpegCommand.inputOptions(['-stream_loop', '-1']);
+            });
             if (voiceAudioPath) ffmpegCommand.input(voiceAudioPath);
-            if (customMusicPath) ffmpegCommand.input(customMusicPath);
+            // Tracks shorter than the video loop
+            if (customMusicPath) ffmpegCommand.input(customMusicPath).inputOptions(['-stream_loop', '-1']);
+            // End card stills loop as video for the whole render; the card shows them at the end
+            const imageInputs = {};
+            let nextInput = downloadedFiles.length + (voiceAudioPath ? 1 : 0) + (customMusicPath ? 1 : 0);
+            for (const [key, stillPath] of Object.entries(stillPaths)) {
+                ffmpegCommand.input(stillPath).inputOptions(['-loop', '1', '-t', String(totalDuration)]);
+                imageInputs[key] = nextInput++;
+            }
+            // Brand kit: the logo again as the watermark, then the intro and outro clips
+            let watermarkInput = null;
+            if (brandKit && brandKit.paths.logo && brandKit.watermarkPosition !== 'none') {
+                ffmpegCommand.input(brandKit.paths.logo).inputOptions(['-loop', '1', '-t', String(totalDuration)]);
+                watermarkInput = nextInput++;
+            }
+            const bookends = {};
+            for (const kind of ['intro', 'outro']) {
+                const clipPath = brandKit && brandKit.paths[kind];
+                if (!clipPath) continue;
+                try {
+                    const media = await probeMedia(clipPath);
+                    ffmpegCommand.input(clipPath);
+                    bookends[kind] = { index: nextInput++, duration: roundSeconds(media.duration), hasAudio: media.hasAudio };
+                } catch (err) {
+                    console.warn(`[BRAND] ⚠️ Leaving out the ${kind} of "${brandKit.name}": ${err.message}`);
+                }
+            }
+            const introDuration = bookends.intro ? bookends.intro.duration : 0;
+            const renderedDuration = roundSeconds(introDuration + totalDuration + (bookends.outro ? bookends.outro.duration : 0));
 
             const complexFilter = [];
-            const totalDuration = 25;
-            const segmentDuration = totalDuration / downloadedFiles.length;
-            
-            console.log(`[FFMPEG] ⏱️ Each video segment: ${segmentDuration}s`);
+            console.log(`[FFMPEG] ⏱️ Segment cuts: ${segmentDurations.map(d => `${d.toFixed(2)}s`).join(' | ')} (${totalDuration.toFixed(2)}s total)`);
             
             // SIMPLIFIED VIDEO PROCESSING - NO COMPLEX TEXT OVERLAYS
+            let photoCount = 0;
             for (let i = 0; i < downloadedFiles.length; i++) {
-                // Just scale and crop - no text overlay for now
-                complexFilter.push(`[${i}:v]scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920,setsar=1,trim=duration=${segmentDuration},setpts=PTS-STARTPTS[v${i}]`);
+                if (segments[i].type === 'image') {
+                    // Product photo: animated zoom/pan over a blurred backdrop
+                    complexFilter.push(...buildImageSegmentFilters(i, `v${i}`, {
+                        width,
+                        height,
+                        duration: segmentLengths[i],
+                        motion: motionForIndex(photoCount++)
+                    }));
+                } else {
+                    // Stock clip: scaled and cropped, with the speed ramp and zoom if asked for
+                    complexFilter.push(...buildClipFilters(i, `v${i}`, {
+                        width,
+                        height,
+                        duration: segmentLengths[i],
+                        speedRamp,
+                        zoom: staticShots.has(i)
+                    }));
+                }
             }
             
-            // Concatenate all video segments
-            const videoInputs = Array.from({ length: downloadedFiles.length }, (_, i) => `[v${i}]`).join('');
-            complexFilter.push(`${videoInputs}concat=n=${downloadedFiles.length}:v=1:a=0[outv]`);
+            // Join the segments with hard cuts or transitions
+            if (cutTransitions.some(transition => transition.duration > 0)) {
+                console.log(`[FFMPEG] 🔀 Transitions: ${cutTransitions.map(transition => (transition.duration > 0 ? `${transition.name} (${transition.duration}s at ${transition.offset}s)` : 'cut')).join(' | ')}`);
+            }
+            complexFilter.push(...buildTransitionFilters(cutTransitions, segmentLengths, 'base', { width, height }));
 
-            // FIXED AUDIO MIXING
-            let audioIndex = downloadedFiles.length;
-            let outputOptions = ['-map', '[outv]'];
-            
+            // Each step below draws over videoLabel and hands on its own output
+            let videoLabel = 'base';
+            const brandColors = brandKit ? { primary: ffmpegColor(brandKit.primaryColor), secondary: ffmpegColor(brandKit.secondaryColor) } : null;
+            const fontFile = (brandKit && brandKit.paths.font) || undefined;
+
+            // Captions: one line at a time, on the same timeline as the cuts
+            if (includeSubtitles && burnedCaptions.length > 0) {
+                console.log(`[SUBTITLES] 📝 Burning ${burnedCaptions.length} captions (${voiceDuration ? 'voice-timed' : `${(totalDuration / captionTimeline.length).toFixed(1)}s per line`})`);
+                const subtitleFilters = buildSubtitleFilters(burnedCaptions, {
+                    width,
+                    height,
+                    safeArea: preset.safeArea,
+                    fontFile,
+                    borderColor: brandColors ? brandColors.primary : undefined
+                });
+                complexFilter.push(`[base]${subtitleFilters.join(',')}[captioned]`);
+                videoLabel = 'captioned';
+            }
+
+            // Graphic overlays on top of the captions
+            if (overlays) {
+                console.log(`[OVERLAYS] 🏷️ Drawing ${Object.keys(windows).map(kind => `${kind} (${overlays[kind].template}, ${windows[kind].start.toFixed(1)}-${windows[kind].end.toFixed(1)}s)`).join(', ') || 'nothing'}`);
+                complexFilter.push(...buildOverlayFilters(videoLabel, 'overlaid', {
+                    overlays,
+                    windows,
+                    hookText: textOverlays[0] || productName,
+                    title: productName,
+                    width,
+                    height,
+                    safeArea: preset.safeArea,
+                    fontFile,
+                    imageInputs,
+                    brand: brandColors
+                }));
+                videoLabel = 'overlaid';
+            }
+
+            if (watermarkInput !== null) {
+                console.log(`[BRAND] 💧 Watermarking with the "${brandKit.name}" logo (${brandKit.watermarkPosition}, ${Math.round(brandKit.watermarkOpacity * 100)}%)`);
+                complexFilter.push(...buildWatermarkFilters(videoLabel, 'watermarked', {
+                    inputIndex: watermarkInput,
+                    position: brandKit.watermarkPosition,
+                    opacity: brandKit.watermarkOpacity,
+                    width,
+                    height,
+                    safeArea: preset.safeArea,
+                    until: windows.endCard ? windows.endCard.start : null
+                }));
+                videoLabel = 'watermarked';
+            }
+
+            // Audio: voice, music ducked under the voice, or music alone (see services/music.js)
+            const audioIndex = downloadedFiles.length;
+            let audioLabel = null;
             if (voiceAudioPath && customMusicPath) {
-                // Voice (loud) + Background Music (soft)
-                console.log('[FFMPEG] 🎵 Mixing voice + background music...');
-                complexFilter.push(`[${audioIndex}:a]volume=1.2,atrim=duration=${totalDuration}[voice]`);
-                complexFilter.push(`[${audioIndex + 1}:a]volume=0.15,atrim=duration=${totalDuration}[music]`);
-                complexFilter.push(`[voice][music]amix=inputs=2:duration=shortest[outa]`);
-                outputOptions.push('-map', '[outa]');
+                console.log('[FFMPEG] 🎵 Mixing voice + background music (ducked under the voice)...');
             } else if (voiceAudioPath) {
-                // Voice only
                 console.log('[FFMPEG] 🎤 Adding voiceover only...');
-                complexFilter.push(`[${audioIndex}:a]volume=1.1,atrim=duration=${totalDuration}[outa]`);
-                outputOptions.push('-map', '[outa]');
             } else if (customMusicPath) {
-                // Music only
                 console.log('[FFMPEG] 🎵 Adding background music only...');
-                complexFilter.push(`[${audioIndex}:a]volume=0.4,atrim=duration=${totalDuration}[outa]`);
-                outputOptions.push('-map', '[outa]');
+            }
+            if (voiceAudioPath || customMusicPath) {
+                complexFilter.push(...buildAudioMixFilters({
+                    voiceIndex: voiceAudioPath ? audioIndex : null,
+                    musicIndex: customMusicPath ? audioIndex + (voiceAudioPath ? 1 : 0) : null,
+                    duration: totalDuration,
+                    bpm: musicBpm
+                }));
+                audioLabel = 'outa';
             }
 
+            // Brand intro/outro around everything above
+            if (bookends.intro || bookends.outro) {
+                console.log(`[BRAND] 🎬 Adding ${Object.keys(bookends).join(' and ')} of "${brandKit.name}" (${renderedDuration.toFixed(1)}s in all)`);
+                complexFilter.push(...buildBookendFilters({
+                    videoLabel,
+                    audioLabel,
+                    intro: bookends.intro || null,
+                    outro: bookends.outro || null,
+                    width,
+                    height,
+                    mainDuration: totalDuration,
+                    outputVideo: 'outv',
+                    outputAudio: 'bookendeda'
+                }));
+                audioLabel = audioLabel && 'bookendeda';
+            } else {
+                complexFilter.push(`[${videoLabel}]null[outv]`);
+            }
+            const outputOptions = ['-map', '[outv]'];
+            if (audioLabel) outputOptions.push('-map', `[${audioLabel}]`);
+
             // Simple high-quality settings
             outputOptions.push(
                 '-c:v', 'libx264',
                 '-preset', 'fast',
                 '-crf', '23',
+                // CRF keeps quality steady; the cap keeps files inside the platform's upload limits
+                '-maxrate', preset.bitrate,
+                '-bufsize', `${parseInt(preset.bitrate, 10) * 2}M`,
                 '-c:a', 'aac',
                 '-b:a', '128k',
                 '-ar', '44100',
-                '-t', String(totalDuration),
+                '-t', String(renderedDuration),
                 '-movflags', '+faststart',
                 '-pix_fmt', 'yuv420p'
             );
@@ -437,24 +536,36 @@ async function createVideoWithSubtitles(videoUrls, textOverlays, voiceAudioPath,
                     if (progress.percent) {
                         console.log(`[FFMPEG] Progress: ${Math.round(progress.percent)}%`);
                     }
+                    // percent is relative to the first input, so use the encoded timemark instead
+                    const encoded = timemarkToSeconds(progress.timemark);
+                    if (encoded > 0) {
+                        onProgress('render', 15 + Math.min(1, encoded / renderedDuration) * 85, 'Encoding video');
+                    }
                 })
                 .on('end', async () => {
                     console.log(`[FFMPEG] ✅ TikTok video created successfully!`);
                     console.log(`[FFMPEG] 📁 Output: ${outputFilename}`);
-                    
-                    // Cleanup temp files
-                    for (const file of downloadedFiles) {
-                        await fsp.unlink(file).catch(() => {});
-                    }
-                    if (voiceAudioPath) {
-                        await fsp.unlink(voiceAudioPath).catch(() => {});
+
+                    // Sidecar .srt/.vtt next to the MP4, shifted past the intro
+                    let subtitleUrls = [];
+                    if (subtitleFormats.length > 0) {
+                        try {
+                            const basePath = outputPath.replace(/\.mp4$/, '');
+                            const sidecarTimeline = captionTimeline.map(caption => ({ ...caption, start: caption.start + introDuration, end: caption.end + introDuration }));
+                            const written = await writeSubtitleSidecars(sidecarTimeline, basePath, subtitleFormats);
+                            subtitleUrls = written.map(file => `/videos/${path.basename(file)}`);
+                            console.log(`[SUBTITLES] 📄 Sidecar files: ${subtitleUrls.join(', ')}`);
+                        } catch (err) {
+                            console.warn(`[SUBTITLES] ⚠️ Could not write subtitle files: ${err.message}`);
+                        }
                     }
-                    resolve(`/videos/${outputFilename}`);
+                    resolve({ videoUrl: `/videos/${outputFilename}`, outputPath, subtitleUrls, duration: renderedDuration, timingSource, segments, transitions: cutTransitions.map(transition => transition.name), staticShots: staticShots.size });
                 })
                 .on('error', (err, stdout, stderr) => {
                     console.error('[FFMPEG] ❌ Video creation failed:', err.message);
                     console.error('[FFMPEG] Command that failed:', ffmpegCommand._getArguments().join(' '));
-                    reject(err);
+                    // Don't leave a half-written MP4 in public/videos
+                    fsp.unlink(outputPath).catch(() => {}).then(() => reject(err));
                 })
                 .save(outputPath);
                 
@@ -464,327 +575,1517 @@ async function createVideoWithSubtitles(videoUrls, textOverlays, voiceAudioPath,
         }
     });
 }
-// --- MAIN API ENDPOINT ---
-app.post('/api/generate', async (req, res) => {
-    const { productName, productUrl, mood, language = 'en', audioOption = 'voice+music', includeSubtitles = true } = req.body;
-    const timestamp = Date.now();
-    console.log(`\n\n--- [${timestamp}] 🚀 25-SECOND TIKTOK VIDEO GENERATION STARTED ---`);
+// --- VIDEO GENERATION PIPELINE ---
+// Shared by /api/generate and /api/generate-and-queue: plans a project and renders it.
+// Resolves with the API payload; onProgress(stage, stagePercent, message) reports
+// script → footage → voice → render.
+async function generateVideo(options, timestamp = Date.now(), onProgress = () => {}) {
+    try {
+        const project = await planProject(options, timestamp, onProgress);
+        return await renderProject(project, { timestamp, onProgress, request: options });
+    } catch (error) {
+        console.error(`\n--- [${timestamp}] ❌ TIKTOK VIDEO GENERATION FAILED ---`);
+        console.error('Error:', error.message);
+        throw error;
+    }
+}
+
+// Everything a render is made from (script, footage, voice and music), as a project
+// (see services/projects.js)
+async function planProject(options, timestamp, onProgress) {
+    const { productName, productUrl, mood, language = 'en', audioOption = 'voice+music', includeSubtitles = true, subtitleFiles = false, productImages = [], useProductImages = true } = options;
+    const preset = getPreset(options.preset);
+    const footage = createFootageSource(footageProviders, options.footageSource);
+    console.log(`\n\n--- [${timestamp}] 🚀 ${preset.duration}-SECOND ${preset.label.toUpperCase()} VIDEO GENERATION STARTED ---`);
     console.log(`Product: "${productName || productUrl}"`);
+    console.log(`Preset: ${preset.name} (${preset.width}x${preset.height}, ${preset.duration}s, ${preset.lineCount} lines, up to ${preset.maxClips} clips)`);
+    const languageCode = normalizeLanguage(language);
     console.log(`Mood: ${mood}`);
+    console.log(`Language: ${getLanguage(languageCode).name}`);
     console.log(`Audio: ${audioOption}`);
+    console.log(`Footage: ${footage.name}${footage.providers.length ? ` (${footage.providers.join(' + ')})` : ''}`);
     console.log(`Subtitles: ${includeSubtitles}`);
-    
-    const finalProductName = productName || productUrl || 'Amazing Product';
-    
-    try {
-        // Step 1: Generate 25-Second Script (10 lines)
-        console.log('[AI] 📝 Creating 10-line viral script for 25 seconds...');
-        const fullScript = await generateEnhancedScript(finalProductName, mood, language);
-        console.log('[AI] ✅ 25-second script generated!');
 
-        const textOverlays = fullScript.split('\n')
-            .filter(line => line.startsWith('LINE:'))
-            .map(line => line.replace('LINE:', '').trim())
-            .slice(0, 10); // Exactly 10 lines for 25-second video
-
-        if (textOverlays.length < 8) {
-            throw new Error("Script too short - need at least 8 lines for 25-second video");
+    // Step 0: Read the product page when a URL is given
+    let productInfo = null;
+    if (productUrl) {
+        onProgress('script', 0, 'Reading product page');
+        try {
+            productInfo = await scrapeProduct(productUrl);
+        } catch (error) {
+            console.warn(`[PRODUCT] ⚠️ Could not read product page: ${error.message}`);
         }
+    }
 
-        console.log('[SCRIPT] ✅ Generated 10 lines for 25 seconds:');
-        textOverlays.forEach((line, i) => {
-            console.log(`  ${i+1}. "${line}" (${(i*2.5).toFixed(1)}s-${((i+1)*2.5).toFixed(1)}s)`);
-        });
+    const finalProductName = productName || (productInfo && productInfo.name) || (productUrl && nameFromUrl(productUrl)) || 'Amazing Product';
+    const productCategory = productInfo ? productInfo.category : inferCategory(finalProductName);
+    const productFeatures = productInfo ? productInfo.features.slice(0, 3) : [];
+
+    // Uploaded photos first, then the ones found on the product page
+    const imageUrls = [...new Set([
+        ...(Array.isArray(productImages) ? productImages : []),
+        ...(useProductImages && productInfo ? productInfo.images : [])
+    ].filter(Boolean))];
+    // Without any footage source the whole video can be built from photos
+    const maxClips = preset.maxClips;
+    const photoSlots = Math.min(imageUrls.length, footage.isAvailable() ? Math.round(maxClips * 0.4) : maxClips);
+    const stockNeeded = footage.isAvailable() ? maxClips - photoSlots : 0;
+    if (imageUrls.length > 0) {
+        console.log(`[IMAGES] 🖼️ ${imageUrls.length} product photo(s) available, using ${photoSlots} stock-free slot(s)`);
+    }
+
+    // Step 1: Generate the script (line count follows the preset duration)
+    onProgress('script', 10, 'Writing script');
+    console.log(`[AI] 📝 Creating ${preset.lineCount}-line viral script for ${preset.duration} seconds...`);
+    const { source: scriptSource, lines: scriptLines } = await generateScript(
+        { productName: finalProductName, mood, language: languageCode, productInfo, lineCount: preset.lineCount, durationSeconds: preset.duration, platform: preset.label },
+        { generateAiContent, aiAvailable }
+    );
+    console.log(`[AI] ✅ ${preset.duration}-second script generated (${scriptSource})!`);
+
+    const lines = scriptLines.slice(0, preset.lineCount);
+    const textOverlays = lines.map(line => line.text);
+    // Templates top out at 10 lines, so long presets accept fewer, longer lines
+    const minimumLines = Math.min(preset.lineCount, 10) - 2;
 
-        // Step 2: Find Product-Specific Videos
-        console.log(`[PEXELS] 🎬 Finding videos specifically for "${finalProductName}"...`);
-        const videoUrls = [];
-        const videoSearchTerms = [];
+    if (textOverlays.length < minimumLines) {
+        throw new Error(`Script too short - need at least ${minimumLines} lines for a ${preset.duration}-second video`);
+    }
+
+    const lineSeconds = preset.duration / textOverlays.length;
+    console.log(`[SCRIPT] ✅ Generated ${textOverlays.length} lines for ${preset.duration} seconds:`);
+    textOverlays.forEach((line, i) => {
+        console.log(`  ${i+1}. "${line}" (${(i*lineSeconds).toFixed(1)}s-${((i+1)*lineSeconds).toFixed(1)}s)`);
+    });
+    onProgress('script', 100, 'Script ready');
+
+    // Step 2: Find Product-Specific Videos
+    onProgress('footage', 0, 'Searching stock footage');
+    console.log(`[FOOTAGE] 🎬 Finding videos specifically for "${finalProductName}"...`);
+    const videoClips = [];
+    const videoSearchTerms = [];
+    const searchOptions = () => ({
+        productName: finalProductName,
+        orientation: orientationForPreset(preset),
+        exclude: videoClips.map(clip => clip.url)
+    });
+    
+    // One search per clip, taken from lines spread evenly across the script
+    for (let clip = 0; clip < maxClips && videoClips.length < stockNeeded; clip++) {
+        const i = Math.floor(clip * textOverlays.length / maxClips);
+        const line = textOverlays[i];
+        console.log(`[AI] 🧠 Generating visual concept for: "${line}"`);
+        
+        const visualPrompt = `Create a specific visual search term for Pexels that shows "${finalProductName}" related to this script line: "${line}". 
         
-        // Generate specific search terms for each script section
-        for (let i = 0; i < Math.min(textOverlays.length, 5); i++) { // Use max 5 videos for 25 seconds
-            const line = textOverlays[i];
-            console.log(`[AI] 🧠 Generating visual concept for: "${line}"`);
-            
-            const visualPrompt = `Create a specific visual search term for Pexels that shows "${finalProductName}" related to this script line: "${line}". 
-            
 Give me 3-4 keywords that would find videos showing:
 - The actual product "${finalProductName}"
 - People using or enjoying this product
 - The lifestyle/emotion from the script line
-- ${mood} mood visuals
+- ${mood} mood visuals${productCategory !== 'default' ? `\n- ${productCategory} product category` : ''}${productFeatures.length ? `\n- Key features: ${productFeatures.join('; ')}` : ''}
 
-Only return keywords, no explanation.`;
-            
-            try {
-                const visualDescription = (await generateAiContent(visualPrompt)).trim();
-                videoSearchTerms.push(visualDescription);
-                console.log(`[PEXELS] 🔍 Search term ${i+1}: "${visualDescription}"`);
-                
-                const videoUrl = await getPexelsVideoForLine(visualDescription, finalProductName);
-                if (videoUrl) {
-                    videoUrls.push(videoUrl);
-                    console.log(`[PEXELS] ✅ Found video ${i+1}/5`);
-                } else {
-                    console.warn(`[PEXELS] ⚠️ No video found for term: ${visualDescription}`);
-                }
-            } catch (error) {
-                console.warn(`[PEXELS] ⚠️ Visual generation failed for line ${i+1}`);
-            }
-        }
-
-        // Add fallback videos if needed
-        if (videoUrls.length < 3) {
-            console.log('[PEXELS] 🔄 Adding product-specific fallback videos...');
-            const fallbackSearches = [
-                `${finalProductName} review`,
-                `${finalProductName} unboxing`, 
-                `${finalProductName} lifestyle`,
-                `${mood} ${finalProductName}`,
-                `people using ${finalProductName}`,
-                `${finalProductName} benefits`,
-                `${finalProductName} showcase`
-            ];
+Only return English keywords, no explanation.`;
+        
+        try {
+            // AI scripts already carry per-line footage keywords
+            const visualDescription = lines[i].visual || (await generateAiContent(visualPrompt)).trim();
+            videoSearchTerms.push(visualDescription);
+            console.log(`[FOOTAGE] 🔍 Search term ${i+1}: "${visualDescription}"`);
             
-            for (const search of fallbackSearches) {
-                if (videoUrls.length >= 5) break;
-                console.log(`[PEXELS] 🔄 Trying fallback: "${search}"`);
-                const fallbackVideo = await getPexelsVideoForLine(search, finalProductName);
-                if (fallbackVideo && !videoUrls.includes(fallbackVideo)) {
-                    videoUrls.push(fallbackVideo);
-                    console.log(`[PEXELS] ✅ Added fallback video`);
-                }
+            const found = await footage.search(visualDescription, searchOptions());
+            if (found) {
+                videoClips.push(found);
+                console.log(`[FOOTAGE] ✅ Found video ${clip+1}/${maxClips} (${found.provider})`);
+                onProgress('footage', (videoClips.length / maxClips) * 100, `Found clip ${videoClips.length}/${maxClips}`);
+            } else {
+                console.warn(`[FOOTAGE] ⚠️ No video found for term: ${visualDescription}`);
+            }
+        } catch (error) {
+            console.warn(`[FOOTAGE] ⚠️ Visual generation failed for line ${i+1}`);
+        }
+    }
+
+    // Add fallback videos if needed
+    if (videoClips.length < Math.min(3, stockNeeded)) {
+        console.log('[FOOTAGE] 🔄 Adding product-specific fallback videos...');
+        const fallbackSearches = [
+            `${finalProductName} review`,
+            `${finalProductName} unboxing`, 
+            `${finalProductName} lifestyle`,
+            `${mood} ${finalProductName}`,
+            `people using ${finalProductName}`,
+            `${finalProductName} benefits`,
+            `${finalProductName} showcase`
+        ];
+        if (productCategory !== 'default') {
+            fallbackSearches.push(`${productCategory} product`, `${productCategory} lifestyle`);
+        }
+        
+        for (const search of fallbackSearches) {
+            if (videoClips.length >= stockNeeded) break;
+            console.log(`[FOOTAGE] 🔄 Trying fallback: "${search}"`);
+            videoSearchTerms.push(search);
+            const fallbackVideo = await footage.search(search, searchOptions());
+            if (fallbackVideo) {
+                videoClips.push(fallbackVideo);
+                console.log(`[FOOTAGE] ✅ Added fallback video (${fallbackVideo.provider})`);
+                onProgress('footage', (videoClips.length / maxClips) * 100, `Found clip ${videoClips.length}/${maxClips}`);
             }
         }
+    }
+
+    if (videoClips.length === 0 && imageUrls.length === 0) {
+        throw new Error(`Could not find any videos related to "${finalProductName}". Try a different product name, check the Pexels API key or add clips to the footage library.`);
+    }
+
+    console.log(`[FOOTAGE] ✅ Total videos found: ${videoClips.length} for product: ${finalProductName} (${footage.used.local} local, ${footage.used.pexels} Pexels)`);
+    const mediaSegments = interleaveSegments(videoClips.slice(0, stockNeeded), imageUrls, maxClips);
 
-        if (videoUrls.length === 0) {
-            throw new Error(`Could not find any videos related to "${finalProductName}". Try a different product name or check Pexels API.`);
+    // Step 3: Pick the voice and music
+    // Request voice, then the account default, then the language/category voice
+    const accountId = options.accountId || (Array.isArray(options.accountIds) ? options.accountIds[0] : null);
+    const account = accountId ? await dbGet(`SELECT voice_preferences, brand_kit_id FROM tiktok_accounts WHERE id = ? AND status = 'active'`, [accountId]) : null;
+    const voice = resolveVoice({
+        request: await voiceSelectionFrom(options),
+        account: account ? parseVoicePreferences(account.voice_preferences) : null,
+        language: languageCode,
+        categoryText: `${finalProductName} ${productInfo ? `${productInfo.rawCategory} ${productCategory}` : productCategory}`
+    });
+    if (audioOption.includes('voice')) {
+        console.log(`[VOICE] 🎯 Voice for "${finalProductName}" (${voice.source}): ${voice.provider === 'auto' ? `ElevenLabs ${voice.voices.elevenlabs}` : `${voice.provider} ${voice.voices[voice.provider] || 'language default'}`}`);
+    }
+    
+    // Background music: the requested track, otherwise the library's best match for the mood
+    let musicTrackId = null;
+    if (audioOption.includes('music')) {
+        if (options.musicTrackId) {
+            if (!await musicLibrary.get(options.musicTrackId)) throw new Error(`Music track ${options.musicTrackId} not found`);
+            musicTrackId = Number(options.musicTrackId);
+        } else {
+            const picked = await musicLibrary.pick({ mood });
+            musicTrackId = picked ? picked.id : null;
         }
+    }
+
+    // Brand kit: the requested one ('none' for no kit), otherwise the account's
+    let brandKitId = null;
+    if (options.brandKitId === 'none') {
+        brandKitId = null;
+    } else if (options.brandKitId) {
+        if (!await brandKits.get(options.brandKitId)) throw new Error(`Brand kit ${options.brandKitId} not found`);
+        brandKitId = Number(options.brandKitId);
+    } else if (account && account.brand_kit_id) {
+        brandKitId = account.brand_kit_id;
+    }
+
+    // Graphic overlays; the end card shows the first product photo unless given another
+    const overlays = normalizeOverlays(options.overlays, { product: productInfo, images: imageUrls });
+    if (overlays && overlays.price && !overlays.price.price) {
+        console.warn('[OVERLAYS] ⚠️ No price given or found on the product page, leaving out the price badge');
+    }
+
+    return {
+        version: PROJECT_VERSION,
+        productName: finalProductName,
+        productUrl: productUrl || null,
+        product: productInfo,
+        mood,
+        language: languageCode,
+        preset: preset.name,
+        audioOption,
+        includeSubtitles,
+        subtitleFormats: normalizeSubtitleFormats(subtitleFiles),
+        footageSource: footage.name,
+        scriptSource,
+        searchTerms: videoSearchTerms,
+        lines,
+        segments: mediaSegments,
+        voice,
+        voiceover: null,
+        musicTrackId,
+        overlays,
+        brandKitId,
+        motion: normalizeMotion(options)
+    };
+}
 
-        console.log(`[PEXELS] ✅ Total videos found: ${videoUrls.length} for product: ${finalProductName}`);
+// Renders a project into public/videos and records it in the history (parentId: the video it
+// was edited from; variant: { group, id, changes } for A/B variants). The voiceover comes from
+// voiceoverCache while the spoken text is unchanged, and downloaded clips from clipCache, so a
+// re-render only redoes what was edited.
+async function renderProject(project, { timestamp = Date.now(), onProgress = () => {}, request = null, parentId = null, variant = null } = {}) {
+    const { productName, mood, language, audioOption, includeSubtitles } = project;
+    const preset = getPreset(project.preset);
+    const textOverlays = project.lines.map(line => line.text);
+    const workspace = await renderWorkspaces.create(timestamp);
+    console.log(`Workspace: ${workspace.dir}`);
 
-        // Step 3: Generate 25-Second Audio
+    try {
+        onProgress('voice', 0, audioOption.includes('voice') ? 'Generating voiceover' : 'Loading background music');
         let voiceAudioPath = null;
+        let voiceover = null;
+        let voiceReused = false;
         let customMusicPath = null;
-        
-        const selectedVoiceId = getVoiceForProduct(finalProductName);
-        console.log(`[VOICE] 🎯 Selected voice for "${finalProductName}": ${selectedVoiceId}`);
-        
-        // Background music
-        if (audioOption.includes('music')) {
-            const musicDir = path.join(__dirname, 'public', 'music');
-            if (fs.existsSync(musicDir)) {
-                const musicFiles = fs.readdirSync(musicDir).filter(f => 
-                    f.endsWith('.wav') || f.endsWith('.mp3') || f.endsWith('.m4a')
-                );
-                if (musicFiles.length > 0) {
-                    const randomMusic = musicFiles[Math.floor(Math.random() * musicFiles.length)];
-                    customMusicPath = path.join(musicDir, randomMusic);
-                    console.log(`[MUSIC] 🎵 Selected background music: ${randomMusic}`);
-                } else {
-                    console.warn('[MUSIC] ⚠️ No music files found. Create /public/music directory and add music files.');
-                }
+        let musicTrack = null;
+
+        if (audioOption.includes('music') && project.musicTrackId) {
+            musicTrack = await musicLibrary.get(project.musicTrackId);
+            if (!musicTrack) {
+                console.warn(`[MUSIC] ⚠️ Music track ${project.musicTrackId} is gone from the library, picking another`);
+                musicTrack = await musicLibrary.pick({ mood });
             }
         }
-        
-        // Generate 25-second voiceover
+        if (musicTrack) {
+            customMusicPath = musicTrack.filePath;
+            await musicLibrary.markUsed(musicTrack.id);
+            console.log(`[MUSIC] 🎵 Selected background music: ${musicTrack.title}${musicTrack.moods.length ? ` (${musicTrack.moods.join(', ')}${musicTrack.bpm ? `, ${musicTrack.bpm} BPM` : ''})` : ''}`);
+        } else if (audioOption.includes('music')) {
+            console.warn('[MUSIC] ⚠️ No music tracks found. Upload some through /api/music or add files to public/music.');
+        }
+
+        // A kit deleted since the project was made renders unbranded
+        const brandKit = project.brandKitId ? await brandKits.forRender(project.brandKitId) : null;
+        if (project.brandKitId && !brandKit) {
+            console.warn(`[BRAND] ⚠️ Brand kit ${project.brandKitId} is gone, rendering without it`);
+        }
+
         if (audioOption.includes('voice')) {
-            const fullVoiceScript = textOverlays.join('. ') + '.';
-            console.log(`[VOICE] 🎤 Generating 25-second voiceover...`);
-            console.log(`[VOICE] Script preview: "${fullVoiceScript.substring(0, 150)}..."`);
-            voiceAudioPath = await generateVoice(fullVoiceScript, language, selectedVoiceId, timestamp);
+            const text = voiceoverText(project.lines);
+            const previous = project.voiceover;
+            const cachedPath = previous && previous.text === text ? await voiceoverCache.getFile(previous.cacheKey) : null;
+            if (cachedPath) {
+                voiceAudioPath = path.join(workspace.dir, `voice${previous.extension}`);
+                await fsp.copyFile(cachedPath, voiceAudioPath);
+                voiceover = previous;
+                voiceReused = true;
+                console.log(`[VOICE] 💾 Script unchanged, reusing the ${previous.provider} voiceover`);
+            } else {
+                const { voice } = project;
+                console.log(`[VOICE] 🎤 Generating ${preset.duration}-second voiceover...`);
+                console.log(`[VOICE] Script preview: "${text.substring(0, 150)}..."`);
+                const synthesized = await ttsChain.synthesize(
+                    { text, language, voices: voice.voices, settings: voice.settings, outputDir: workspace.dir },
+                    voice.provider
+                );
+                voiceAudioPath = synthesized.audioPath;
+                voiceover = {
+                    text,
+                    provider: synthesized.provider,
+                    voice: synthesized.voice || null,
+                    alignment: synthesized.alignment || null,
+                    cacheKey: voiceoverCacheKey({ text, language, provider: synthesized.provider, voice: synthesized.voice, settings: voice.settings }),
+                    extension: path.extname(voiceAudioPath)
+                };
+                await voiceoverCache.putFile(voiceover.cacheKey, await fsp.readFile(voiceAudioPath)).catch(err => {
+                    console.warn(`[CACHE] ⚠️ Could not cache the voiceover: ${err.message}`);
+                });
+            }
         }
+        onProgress('voice', 100);
 
         // Step 4: Create Perfect TikTok Video
-        console.log('[VIDEO] 🎬 Creating 25-second TikTok video with perfect timing...');
-        const finalVideoUrl = await createVideoWithSubtitles(
-            videoUrls.slice(0, 5), // Max 5 videos for smooth playback
-            textOverlays, // All 10 lines
+        onProgress('render', 0, 'Downloading clips');
+        console.log(`[VIDEO] 🎬 Creating ${preset.label} video ${voiceAudioPath ? 'cut to the voiceover' : `(${preset.duration}s)`}...`);
+        const { videoUrl: finalVideoUrl, outputPath, subtitleUrls, duration: videoDuration, timingSource, segments: usedSegments, transitions: usedTransitions, staticShots } = await createVideoWithSubtitles(
+            project.segments, // Up to preset.maxClips clips/photos
+            textOverlays, // One caption per script line
             voiceAudioPath,
             customMusicPath,
             includeSubtitles,
             timestamp,
-            finalProductName
+            productName,
+            {
+                subtitleFormats: project.subtitleFormats,
+                onProgress,
+                preset,
+                voiceAlignment: voiceover && voiceover.alignment,
+                musicBpm: musicTrack && musicTrack.bpm,
+                overlays: project.overlays || null,
+                brandKit,
+                transitions: transitionsFor(project.motion, mood),
+                speedRamp: Boolean(project.motion && project.motion.speedRamp),
+                staticZoom: Boolean(project.motion && project.motion.staticZoom),
+                workDir: workspace.dir
+            }
         );
+        const videoSegments = usedSegments.filter(segment => segment.type === 'video');
+        const photoSegments = usedSegments.length - videoSegments.length;
+        const lineSeconds = preset.duration / textOverlays.length;
         
         console.log(`\n--- [${timestamp}] ✅✅✅ PERFECT TIKTOK VIDEO CREATED! ✅✅✅`);
         console.log(`📱 Video: http://localhost:3001${finalVideoUrl}`);
-        console.log(`⏱️ Duration: Exactly 25 seconds`);
-        console.log(`🎯 Product-focused: ${finalProductName}`);
+        console.log(`⏱️ Duration: ${videoDuration.toFixed(1)} seconds`);
+        console.log(`🎯 Product-focused: ${productName}`);
         console.log(`🎤 Voice Volume: HIGH`);
         console.log(`🎵 Music Volume: Background/Low`);
         console.log(`📝 Script Lines: ${textOverlays.length}`);
-        console.log(`🎬 Video Clips: ${Math.min(videoUrls.length, 5)}`);
+        console.log(`🎬 Video Clips: ${videoSegments.length} (+ ${photoSegments} product photos)`);
+
+        // What the next edit starts from: only the segments that made it into the video
+        const renderedProject = { ...project, segments: usedSegments, voiceover, musicTrackId: musicTrack ? musicTrack.id : null };
+        const voiceProvider = voiceover && voiceover.provider;
+        const voiceUsed = voiceover && voiceover.voice;
         
-        res.json({ 
+        const result = {
             success: true,
             videoUrl: `http://localhost:3001${finalVideoUrl}`, 
-            script: fullScript,
+            script: scriptToText(project.lines),
             scriptLines: textOverlays,
-            searchTerms: videoSearchTerms,
+            scriptPlan: project.lines,
+            scriptSource: project.scriptSource,
+            searchTerms: project.searchTerms,
+            product: project.product,
+            subtitleFiles: subtitleUrls.map(url => `http://localhost:3001${url}`),
             metadata: {
-                duration: 'Exactly 25 seconds',
-                format: 'TikTok Ready (1080x1920)',
+                duration: `${videoDuration.toFixed(1)} seconds`,
+                durationSeconds: videoDuration,
+                format: `${preset.label} Ready (${preset.width}x${preset.height})`,
+                preset: preset.name,
                 quality: 'HD',
-                voiceId: selectedVoiceId,
+                voiceId: voiceUsed,
+                voiceProvider,
+                voiceSettings: voiceProvider === 'elevenlabs' ? project.voice.settings : null,
+                voiceReused,
+                music: musicTrack ? { id: musicTrack.id, title: musicTrack.title, license: musicTrack.license } : null,
                 mood: mood,
+                language,
                 subtitles: includeSubtitles,
-                scriptTiming: '2.5 seconds per line',
+                scriptTiming: {
+                    timestamps: 'Cut to voiceover timestamps',
+                    proportional: 'Cut to voiceover (estimated from line length)',
+                    fixed: `${lineSeconds.toFixed(1)} seconds per line`
+                }[timingSource],
                 totalLines: textOverlays.length,
-                videoClips: Math.min(videoUrls.length, 5)
-            }
-        });
-        
-    } catch (error) {
-        console.error(`\n--- [${timestamp}] ❌ TIKTOK VIDEO GENERATION FAILED ---`);
-        console.error('Error:', error.message);
-        
-        let errorMessage = "TikTok video generation failed: ";
-        if (error.message.includes('script')) {
-            errorMessage += "Could not generate proper 25-second script. Try different mood or product.";
-        } else if (error.message.includes('Pexels') || error.message.includes('videos')) {
-            errorMessage += `No videos found for "${productName || productUrl}". Try a more common product name.`;
-        } else if (error.message.includes('ElevenLabs') || error.message.includes('voice')) {
-            errorMessage += "Voice generation failed. Check ElevenLabs API key and quota.";
-        } else if (error.message.includes('FFmpeg')) {
-            errorMessage += "Video processing failed. Check FFmpeg installation.";
-        } else {
-            errorMessage += error.message;
+                videoClips: videoSegments.length,
+                productPhotos: photoSegments,
+                footageSource: project.footageSource,
+                footageClips: {
+                    pexels: videoSegments.filter(segment => segment.provider === 'pexels').length,
+                    local: videoSegments.filter(segment => segment.provider === 'local').length
+                },
+                editedFrom: parentId,
+                variant,
+                brandKit: brandKit ? { id: brandKit.id, name: brandKit.name } : null,
+                motion: {
+                    transitions: usedTransitions,
+                    speedRamp: Boolean(project.motion && project.motion.speedRamp),
+                    staticShotsZoomed: staticShots
+                }
+            },
+            project: renderedProject
+        };
+
+        // A failed history write shouldn't throw away a finished video
+        try {
+            result.videoId = await videoHistory.record({
+                productName,
+                productUrl: project.productUrl,
+                mood,
+                language,
+                preset: preset.name,
+                audioOption,
+                script: result.script,
+                scriptLines: project.lines,
+                searchTerms: project.searchTerms,
+                clips: usedSegments.map(({ type, provider, id, url }) => ({ type, provider: provider || (type === 'image' ? 'photo' : null), id: id || null, url })),
+                voiceProvider,
+                voiceId: voiceUsed,
+                musicTrackId: musicTrack && musicTrack.id,
+                duration: videoDuration,
+                filePath: outputPath,
+                subtitleFiles: result.subtitleFiles,
+                request,
+                metadata: result.metadata,
+                project: renderedProject,
+                parentId,
+                variantGroup: variant && variant.group,
+                variantId: variant && variant.id
+            });
+        } catch (error) {
+            console.error('[HISTORY] ❌ Could not record the video:', error.message);
         }
-        
-        res.status(500).json({ 
-            success: false,
-            message: errorMessage,
-            error: error.message,
-            timestamp: timestamp
-        });
+        return result;
+    } finally {
+        // Clips, voiceover and any other temp files go with the workspace, success or not
+        await workspace.cleanup();
     }
-});
-//  DATABASE SETUP 
-const sqlite3 = require('sqlite3').verbose();
-const puppeteer = require('puppeteer');
-const db = new sqlite3.Database('tiktok_accounts.db');
+}
 
-// Create tables
-db.serialize(() => {
-    db.run(`CREATE TABLE IF NOT EXISTS tiktok_accounts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        account_name TEXT NOT NULL,
-        username TEXT NOT NULL,
-        password TEXT,
-        status TEXT DEFAULT 'active',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-    
-    db.run(`CREATE TABLE IF NOT EXISTS video_uploads (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        account_id INTEGER,
-        video_path TEXT,
-        product_name TEXT,
-        upload_status TEXT DEFAULT 'queued',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-});
-db.run(`ALTER TABLE tiktok_accounts ADD COLUMN password TEXT`, () => {
-    console.log('[DATABASE] ✅ Password column ready');
-});
-
-// Real TikTok Upload Function
-async function uploadToRealTikTok(videoPath, caption, username, password) {
-    const browser = await puppeteer.launch({ 
-        headless: false,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    
-    const page = await browser.newPage();
-    
+// --- A/B VARIANTS ---
+// Plans once, then renders variants.count versions of the project (services/variants.js):
+// A as planned, the others with a new hook, mood, voice, music and/or clip order. A variant
+// in another mood also gets a hook and music for that mood. The videos share a variant group
+// in the history.
+async function generateVariants(options, variants, timestamp = Date.now(), onProgress = () => {}) {
+    const mood = variants.moods && variants.vary.includes('mood') ? variants.moods[0] : options.mood;
     try {
-        console.log(`[TIKTOK] 🚀 Uploading to @${username}...`);
-        
-        // Go to TikTok upload page
-        await page.goto('https://www.tiktok.com/upload', { waitUntil: 'networkidle2' });
-        
-        // Check if login is needed
-        const loginButton = await page.$('button[data-e2e="login-button"]');
-        if (loginButton) {
-            console.log('[TIKTOK] 🔑 Login required...');
-            await page.goto('https://www.tiktok.com/login/phone-or-email/email');
-            
-            // Login process
-            await page.waitForSelector('input[name="username"]', { timeout: 10000 });
-            await page.type('input[name="username"]', username);
-            await page.type('input[type="password"]', password);
-            await page.click('button[data-e2e="login-button"]');
-            
-            // Wait for login to complete
-            await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 });
-            
-            // Go to upload page after login
-            await page.goto('https://www.tiktok.com/upload', { waitUntil: 'networkidle2' });
+        const base = await planProject({ ...options, mood }, timestamp, onProgress);
+        const moods = variantMoods(base.mood, variants);
+        const group = `ab-${timestamp.toString(36)}`;
+        console.log(`[VARIANTS] 🧪 Rendering ${variants.count} variants of "${base.productName}" (varying ${variants.vary.join(', ')})`);
+
+        const varies = (dimension, i) => variants.vary.includes(dimension) || moods[i] !== base.mood;
+
+        // Hooks for B, C... written in each variant's mood
+        const hooks = [];
+        const baseHook = base.lines.find(line => line.role === 'hook') || base.lines[0];
+        const taken = [baseHook.text];
+        for (let i = 1; i < variants.count; i++) {
+            if (varies('hook', i)) {
+                const [hook] = await generateHooks(
+                    { productName: base.productName, mood: moods[i], language: base.language, productInfo: base.product, count: 1, exclude: taken },
+                    { generateAiContent, aiAvailable }
+                );
+                hooks[i] = hook || null;
+                if (hook) taken.push(hook);
+            }
         }
-        
-        // Upload video file
-        console.log('[TIKTOK] 📤 Uploading video file...');
-        const fileInput = await page.$('input[type="file"]');
-        if (fileInput) {
-            await fileInput.uploadFile(videoPath);
-            
-            // Wait for video to process
-            await page.waitForTimeout(10000);
-            
-            // Add caption
-            console.log('[TIKTOK] 📝 Adding caption...');
-            const captionInput = await page.$('[data-e2e="video-caption"]');
-            if (captionInput) {
-                await captionInput.click();
-                await captionInput.type(caption);
+
+        // Voices for B, C...: the other voices of the provider that will speak
+        let voiceChoices = [];
+        if (variants.vary.includes('voice') && base.audioOption.includes('voice')) {
+            const speaking = base.voice.provider !== 'auto'
+                ? base.voice.provider
+                : (ttsChain.status().find(provider => provider.available && !provider.coolingDownUntil) || {}).name;
+            if (speaking) {
+                const [catalog] = await voiceCatalog.list({ provider: speaking, language: base.language });
+                const planned = base.voice.voices[speaking];
+                voiceChoices = catalog.voices
+                    .filter(voice => voice.id !== planned && (planned || !voice.isDefault))
+                    .map(voice => ({ voiceProvider: speaking, voiceId: voice.id, voiceName: voice.name }));
             }
-            
-            // Click post button
-            console.log('[TIKTOK] 🚀 Publishing...');
-            const postButton = await page.$('button[data-e2e="publish-button"]');
-            if (postButton) {
-                await postButton.click();
-                await page.waitForTimeout(5000);
-                
-                console.log('[TIKTOK] ✅ Video uploaded successfully!');
-                return { success: true, message: 'Video uploaded successfully!' };
+        }
+
+        // The best tracks for each variant's mood that no earlier variant took
+        const usedTracks = new Set(base.musicTrackId ? [base.musicTrackId] : []);
+        const results = [];
+        let reference = base;
+        for (let i = 0; i < variants.count; i++) {
+            const choice = { mood: moods[i] };
+            if (i > 0) {
+                if (hooks[i]) choice.hook = hooks[i];
+                if (voiceChoices.length > 0) Object.assign(choice, voiceChoices[(i - 1) % voiceChoices.length]);
+                if (variants.vary.includes('clips')) choice.clipOffset = i;
+                if (varies('music', i) && base.audioOption.includes('music')) {
+                    const tracks = await musicLibrary.list({ mood: moods[i] });
+                    const track = tracks.find(candidate => !usedTracks.has(candidate.id));
+                    if (track) {
+                        usedTracks.add(track.id);
+                        choice.musicTrackId = track.id;
+                        choice.musicTitle = track.title;
+                    }
+                }
             }
+            const { project, changes } = applyVariant(reference, choice);
+            const variant = { group, id: variantLabel(i), changes };
+            console.log(`[VARIANTS] 🎬 Variant ${variant.id}${changes.length ? `: ${changes.join('; ')}` : ' (as planned)'}`);
+
+            const variantProgress = (stage, stagePercent, message) => {
+                const within = stage === 'voice' ? stagePercent * 0.15 : (stage === 'render' ? 15 + stagePercent * 0.85 : 0);
+                onProgress('render', ((i + within / 100) / variants.count) * 100, `Variant ${variant.id}${message ? `: ${message}` : ''}`);
+            };
+            const result = await renderProject(project, { timestamp: Date.now(), onProgress: variantProgress, request: { ...options, variants }, variant });
+            results.push({ variantId: variant.id, changes, ...result });
+            // Later variants reuse A's voiceover when they keep its text and voice
+            if (i === 0) reference = { ...base, voiceover: result.project.voiceover };
         }
-        
-        throw new Error('Could not complete upload process');
-        
+
+        return {
+            success: true,
+            message: `${results.length} variants rendered`,
+            variantGroup: group,
+            variants: results
+        };
     } catch (error) {
-        console.error('[TIKTOK] ❌ Upload failed:', error.message);
-        return { success: false, error: error.message };
-    } finally {
-        await browser.close();
+        console.error(`\n--- [${timestamp}] ❌ VARIANT GENERATION FAILED ---`);
+        console.error('Error:', error.message);
+        throw error;
     }
 }
 
-// END DATABASE SETUP 
+function describeGenerationError(error, productLabel) {
+    let errorMessage = "TikTok video generation failed: ";
+    if (error.message.includes('script')) {
+        errorMessage += "Could not generate a proper script. Try different mood or product.";
+    } else if (error.message.includes('Pexels') || error.message.includes('videos')) {
+        errorMessage += `No videos found for "${productLabel}". Try a more common product name.`;
+    } else if (error.message.includes('ElevenLabs') || error.message.includes('voice')) {
+        errorMessage += "Voice generation failed. Check your voice provider keys and quota, or install espeak-ng for offline voices.";
+    } else if (error.message.includes('FFmpeg')) {
+        errorMessage += "Video processing failed. Check FFmpeg installation.";
+    } else {
+        errorMessage += error.message;
+    }
+    return errorMessage;
+}
 
+function jobResponse(job) {
+    return {
+        success: true,
+        jobId: job.id,
+        job,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`
+    };
+}
 
-// Health check 
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
-        version: '19.0 - TikTok Generator with Account Management',
-        services: {
-            ffmpeg: '✅ Ready',
-            pexels: pexelsApiKey ? '✅ Pexels Ready' : '❌ No Pexels Key',
-            elevenlabs: elevenLabsApiKey ? '✅ ElevenLabs Ready' : '❌ No Voice Key',
-            ai: '✅ Template System (No API needed)',
-            database: '✅ SQLite Database Ready'
-        },
-        features: [
-            '25-second TikTok videos',
-            '10-line scripts (2.5s per line)', 
+// --- MAIN API ENDPOINT ---
+// Starts a render job and answers right away; poll statusUrl or subscribe to eventsUrl.
+app.post('/api/generate', async (req, res) => {
+    try {
+        getPreset(req.body.preset);
+        createFootageSource(footageProviders, req.body.footageSource);
+        await voiceSelectionFrom(req.body);
+        normalizeOverlays(req.body.overlays);
+        normalizeMotion(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+    const productLabel = req.body.productName || req.body.productUrl;
+    const job = runJob(
+        'generate',
+        { productLabel },
+        (progress) => generateVideo(req.body, Date.now(), progress),
+        (error) => describeGenerationError(error, productLabel)
+    );
+    console.log(`[JOBS] 🧾 Render job ${job.id} started for "${productLabel}"`);
+    res.status(202).json(jobResponse(job));
+});
+
+// Several versions of one product video for A/B tests: the /api/generate body plus
+// variants { count (2-6), vary: ['hook', 'mood', 'voice', 'music', 'clips'], moods? }
+app.post('/api/generate-variants', async (req, res) => {
+    let variants;
+    try {
+        getPreset(req.body.preset);
+        createFootageSource(footageProviders, req.body.footageSource);
+        await voiceSelectionFrom(req.body);
+        normalizeOverlays(req.body.overlays);
+        normalizeMotion(req.body);
+        variants = normalizeVariantRequest(req.body.variants);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+    const productLabel = req.body.productName || req.body.productUrl;
+    const job = runJob(
+        'variants',
+        { productLabel, variants: variants.count },
+        (progress) => generateVariants(req.body, variants, Date.now(), progress),
+        (error) => describeGenerationError(error, productLabel)
+    );
+    console.log(`[JOBS] 🧾 Variant job ${job.id} started for "${productLabel}" (${variants.count} variants)`);
+    res.status(202).json(jobResponse(job));
+});
+
+// Output presets for the UI's format picker
+app.get('/api/presets', (req, res) => {
+    res.json({ success: true, defaultPreset: DEFAULT_PRESET, presets: listPresets() });
+});
+
+// Hook card, price badge and end card templates for the UI's overlay pickers
+app.get('/api/overlays/templates', (req, res) => {
+    res.json({ success: true, templates: listOverlayTemplates() });
+});
+// Transitions and the ones each mood uses by default
+app.get('/api/transitions', (req, res) => {
+    res.json({ success: true, ...listTransitions() });
+});
+
+
+// Voice providers in fallback order, with availability for the UI
+app.get('/api/tts/providers', (req, res) => {
+    res.json({ success: true, providers: ttsChain.status() });
+});
+
+// Voice catalog: ?language= (default English) and optional &provider=
+app.get('/api/voices', async (req, res) => {
+    const provider = req.query.provider ? String(req.query.provider).toLowerCase() : null;
+    if (provider && !ttsProviders[provider]) {
+        return res.status(400).json({ success: false, message: `Unknown voice provider "${req.query.provider}". Use one of: ${Object.keys(ttsProviders).join(', ')}` });
+    }
+    try {
+        const language = normalizeLanguage(req.query.language);
+        res.json({ success: true, language, providers: await voiceCatalog.list({ provider, language }) });
+    } catch (error) {
+        console.error('[VOICES] ❌ Could not list voices:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// A short sample of one voice, generated once per voice and language, then served from the cache
+app.get('/api/voices/:provider/:voiceId/preview', async (req, res) => {
+    const provider = ttsProviders[req.params.provider];
+    if (!provider) {
+        return res.status(404).json({ success: false, message: `Unknown voice provider "${req.params.provider}"` });
+    }
+    if (!provider.isAvailable()) {
+        return res.status(503).json({ success: false, message: `${provider.label} is not configured` });
+    }
+    if (!await voiceCatalog.has(provider.name, req.params.voiceId)) {
+        return res.status(404).json({ success: false, message: `Unknown ${provider.name} voice "${req.params.voiceId}"` });
+    }
+    const language = normalizeLanguage(req.query.language);
+    const cacheKey = `voice-preview:${provider.name}:${req.params.voiceId}:${language}`;
+    try {
+        let file = await voicePreviewCache.getFile(cacheKey);
+        if (!file) {
+            const workspace = await renderWorkspaces.create('preview');
+            try {
+                const { audioPath } = await provider.synthesize({
+                    text: getLanguage(language).voicePreview,
+                    language,
+                    voices: { [provider.name]: req.params.voiceId },
+                    outputDir: workspace.dir
+                });
+                file = await voicePreviewCache.putFile(cacheKey, await fsp.readFile(audioPath));
+            } finally {
+                await workspace.cleanup();
+            }
+        }
+        // The local engines write WAV, the others MP3
+        res.type(provider.name === 'local' ? 'audio/wav' : 'audio/mpeg').sendFile(file);
+    } catch (error) {
+        console.error(`[VOICES] ❌ Preview failed for ${provider.name} ${req.params.voiceId}:`, error.message);
+        res.status(502).json({ success: false, message: `Could not generate a preview: ${error.message}` });
+    }
+});
+
+// --- FOOTAGE LIBRARY ---
+// Clips go out with the url they are served from, never their path on disk
+function footageClipResponse(clip) {
+    const { filePath, ...rest } = clip;
+    return { ...rest, url: libraryClipUrl(clip.id) };
+}
+
+// Which footage sources a render can use right now (footageSource in /api/generate)
+app.get('/api/footage/sources', async (req, res) => {
+    try {
+        // Where the library sits on disk stays on the server
+        const { rootDir, ...libraryStats } = await mediaLibrary.stats();
+        res.json({
+            success: true,
+            sources: FOOTAGE_SOURCES,
+            available: {
+                pexels: footageProviders.pexels.isAvailable(),
+                local: footageProviders.local.isAvailable()
+            },
+            library: libraryStats
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Indexed clips; ?q= runs the same keyword search renders use, ?orientation= filters
+app.get('/api/footage/library', async (req, res) => {
+    try {
+        const clips = await mediaLibrary.list({ query: req.query.q || '', orientation: req.query.orientation || null });
+        res.json({ success: true, count: clips.length, clips: clips.map(footageClipResponse) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// The clip file itself, for previews
+app.get('/api/footage/library/:id/file', async (req, res) => {
+    try {
+        const clip = await mediaLibrary.get(req.params.id);
+        if (!clip || !fs.existsSync(clip.filePath)) {
+            return res.status(404).json({ success: false, error: 'Clip not found' });
+        }
+        res.sendFile(clip.filePath);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Clips to swap into a project: ?q= keywords, ?source= pexels | local | auto (both),
+// ?orientation=, ?limit= (max 30)
+app.get('/api/footage/search', async (req, res) => {
+    const text = String(req.query.q || '').trim();
+    if (!text) {
+        return res.status(400).json({ success: false, error: 'q is required' });
+    }
+    const source = String(req.query.source || 'auto').toLowerCase();
+    if (!['auto', 'pexels', 'local'].includes(source)) {
+        return res.status(400).json({ success: false, error: 'source must be auto, pexels or local' });
+    }
+    const orientation = ['portrait', 'landscape', 'square'].includes(req.query.orientation) ? req.query.orientation : 'portrait';
+    const limit = Math.min(30, Math.max(1, parseInt(req.query.limit, 10) || 12));
+    const providers = Object.values(footageProviders).filter(provider => (source === 'auto' || provider.name === source) && provider.isAvailable());
+    if (providers.length === 0) {
+        return res.status(400).json({ success: false, error: source === 'auto' ? 'No footage source is available' : `The ${source} footage source is not available` });
+    }
+    try {
+        const clips = [];
+        for (const provider of providers) {
+            clips.push(...await provider.candidates(text, { orientation, limit }));
+        }
+        res.json({ success: true, count: clips.length, clips });
+    } catch (error) {
+        console.error('[FOOTAGE] ❌ Clip search failed:', error.message);
+        res.status(502).json({ success: false, error: error.message });
+    }
+});
+
+// Re-index after adding, changing or removing files in the library folder
+app.post('/api/footage/library/scan', async (req, res) => {
+    try {
+        const result = await refreshFootageLibrary();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Extra search tags for a clip, kept across rescans (the path-derived tags are not editable)
+app.put('/api/footage/library/:id/tags', async (req, res) => {
+    const { tags } = req.body;
+    if (tags === undefined || (typeof tags !== 'string' && !Array.isArray(tags))) {
+        return res.status(400).json({ success: false, error: 'tags must be a string or an array of strings' });
+    }
+    try {
+        const clip = await mediaLibrary.setCustomTags(req.params.id, tags);
+        if (!clip) {
+            return res.status(404).json({ success: false, error: 'Clip not found' });
+        }
+        res.json({ success: true, clip: footageClipResponse(clip) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// --- MUSIC LIBRARY ---
+const musicUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            fs.mkdirSync(musicDir, { recursive: true });
+            cb(null, musicDir);
+        },
+        filename: (req, file, cb) => {
+            const extension = path.extname(file.originalname).toLowerCase();
+            cb(null, `music-${Date.now()}-${Math.random().toString(36).slice(2, 8)}${extension}`);
+        }
+    }),
+    limits: { fileSize: 30 * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const allowed = AUDIO_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+        cb(allowed ? null : new Error(`Unsupported audio file: ${file.originalname} (use ${AUDIO_EXTENSIONS.join(', ')})`), allowed);
+    }
+});
+
+function musicTrackResponse(track) {
+    const { filePath, ...rest } = track;
+    return { ...rest, url: `http://localhost:3001${track.url}` };
+}
+
+// Tracks with their tags; ?mood= sorts the best matches for that mood first
+app.get('/api/music', async (req, res) => {
+    try {
+        const tracks = await musicLibrary.list({ mood: req.query.mood ? String(req.query.mood).toLowerCase() : null });
+        res.json({ success: true, moods: MUSIC_MOODS, count: tracks.length, tracks: tracks.map(musicTrackResponse) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Multipart upload: the file as `track`, plus optional title, moods, bpm and license fields
+app.post('/api/music', (req, res) => {
+    musicUpload.single('track')(req, res, async (err) => {
+        if (err) {
+            console.error('[MUSIC] ❌ Upload failed:', err.message);
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'Attach an audio file as "track"' });
+        }
+        let tags;
+        try {
+            tags = normalizeTrackTags({ title: path.basename(req.file.originalname, path.extname(req.file.originalname)), ...req.body });
+        } catch (error) {
+            await fsp.unlink(req.file.path).catch(() => {});
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        try {
+            const track = await musicLibrary.add(req.file.path, tags);
+            console.log(`[MUSIC] ✅ Added track "${track.title}"`);
+            res.json({ success: true, track: musicTrackResponse(track) });
+        } catch (error) {
+            // Most likely not audio ffprobe can read
+            console.error('[MUSIC] ❌ Could not probe upload:', error.message.split('\n')[0]);
+            await fsp.unlink(req.file.path).catch(() => {});
+            res.status(400).json({ success: false, error: `Could not read "${req.file.originalname}" as audio` });
+        }
+    });
+});
+
+// Change a track's title, moods, BPM or license; fields left out stay as they are
+app.put('/api/music/:id', async (req, res) => {
+    let tags;
+    try {
+        tags = normalizeTrackTags(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    try {
+        const track = await musicLibrary.update(req.params.id, tags);
+        if (!track) {
+            return res.status(404).json({ success: false, error: 'Track not found' });
+        }
+        res.json({ success: true, track: musicTrackResponse(track) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Removes the track and its file
+app.delete('/api/music/:id', async (req, res) => {
+    try {
+        if (!(await musicLibrary.remove(req.params.id))) {
+            return res.status(404).json({ success: false, error: 'Track not found' });
+        }
+        console.log(`[MUSIC] 🗑️ Track ${req.params.id} removed`);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// --- BRAND KITS ---
+const brandUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            fs.mkdirSync(brandDir, { recursive: true });
+            cb(null, brandDir);
+        },
+        filename: (req, file, cb) => {
+            const extension = path.extname(file.originalname).toLowerCase();
+            cb(null, `${file.fieldname}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}${extension}`);
+        }
+    }),
+    limits: { fileSize: 50 * 1024 * 1024, files: 4 },
+    fileFilter: (req, file, cb) => {
+        const allowed = BRAND_FILE_TYPES[file.fieldname] || [];
+        const ok = allowed.includes(path.extname(file.originalname).toLowerCase());
+        cb(ok ? null : new Error(`Unsupported ${file.fieldname} file: ${file.originalname} (use ${allowed.join(', ') || 'font, logo, intro or outro fields'})`), ok);
+    }
+}).fields(Object.keys(BRAND_FILE_TYPES).map(name => ({ name, maxCount: 1 })));
+
+function brandKitResponse(kit) {
+    const urls = Object.fromEntries(Object.entries(kit.urls).map(([kind, url]) => [kind, url && `http://localhost:3001${url}`]));
+    return { ...kit, urls };
+}
+
+// { font: path, logo: path... } from a brandUpload request
+function uploadedBrandFiles(req) {
+    return Object.fromEntries(Object.entries(req.files || {}).map(([kind, files]) => [kind, files[0].path]));
+}
+
+async function discardUploads(files) {
+    for (const filePath of Object.values(files)) {
+        await fsp.unlink(filePath).catch(() => {});
+    }
+}
+
+app.get('/api/brand-kits', async (req, res) => {
+    try {
+        const kits = await brandKits.list();
+        res.json({ success: true, watermarkPositions: WATERMARK_POSITIONS, kits: kits.map(brandKitResponse) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Multipart: name, primaryColor, secondaryColor, watermarkPosition, watermarkOpacity and the
+// files font (.ttf/.otf), logo (image), intro and outro (video clips up to 10 s)
+app.post('/api/brand-kits', (req, res) => {
+    brandUpload(req, res, async (err) => {
+        if (err) {
+            console.error('[BRAND] ❌ Upload failed:', err.message);
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        const files = uploadedBrandFiles(req);
+        try {
+            const kit = await brandKits.create(normalizeBrandKitFields(req.body), files);
+            console.log(`[BRAND] ✅ Brand kit "${kit.name}" created`);
+            res.json({ success: true, kit: brandKitResponse(kit) });
+        } catch (error) {
+            await discardUploads(files);
+            const duplicate = /UNIQUE/.test(error.message);
+            res.status(duplicate ? 409 : 400).json({ success: false, error: duplicate ? `A brand kit named "${req.body.name}" already exists` : error.message });
+        }
+    });
+});
+
+// Same fields as creating; fields left out stay as they are. clear lists files to drop
+// (e.g. "intro,outro").
+app.put('/api/brand-kits/:id', (req, res) => {
+    brandUpload(req, res, async (err) => {
+        if (err) {
+            console.error('[BRAND] ❌ Upload failed:', err.message);
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        const files = uploadedBrandFiles(req);
+        const clear = String(req.body.clear || '').split(',').map(kind => kind.trim()).filter(kind => BRAND_FILE_TYPES[kind]);
+        try {
+            const kit = await brandKits.update(req.params.id, normalizeBrandKitFields(req.body), files, clear);
+            if (!kit) {
+                await discardUploads(files);
+                return res.status(404).json({ success: false, error: 'Brand kit not found' });
+            }
+            res.json({ success: true, kit: brandKitResponse(kit) });
+        } catch (error) {
+            await discardUploads(files);
+            const duplicate = /UNIQUE/.test(error.message);
+            res.status(duplicate ? 409 : 400).json({ success: false, error: duplicate ? `A brand kit named "${req.body.name}" already exists` : error.message });
+        }
+    });
+});
+
+// Removes the kit and its files; accounts using it go back to unbranded renders
+app.delete('/api/brand-kits/:id', async (req, res) => {
+    try {
+        const kit = await brandKits.remove(req.params.id);
+        if (!kit) {
+            return res.status(404).json({ success: false, error: 'Brand kit not found' });
+        }
+        console.log(`[BRAND] 🗑️ Brand kit "${kit.name}" removed`);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// --- VIDEO HISTORY ---
+// The file's path on disk stays on the server; clients use videoUrl and fileName
+function videoResponse(video) {
+    const { filePath, ...rest } = video;
+    return { ...rest, videoUrl: `http://localhost:3001${video.videoUrl}` };
+}
+
+// Past renders, newest first: ?limit= (max 100), ?offset=, ?q= (product name or script),
+// ?variantGroup= (one set of A/B variants)
+app.get('/api/videos', async (req, res) => {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 24));
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    try {
+        const { total, videos } = await videoHistory.list({
+            limit,
+            offset,
+            query: req.query.q ? String(req.query.q) : '',
+            variantGroup: req.query.variantGroup ? String(req.query.variantGroup) : null
+        });
+        res.json({ success: true, total, limit, offset, videos: videos.map(videoResponse) });
+    } catch (error) {
+        console.error('[HISTORY] Database error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/videos/:id', async (req, res) => {
+    try {
+        const video = await videoHistory.get(req.params.id);
+        if (!video) {
+            return res.status(404).json({ success: false, error: 'Video not found' });
+        }
+        const uploads = await dbAll(
+            `SELECT vu.id, vu.account_id, ta.username, vu.upload_status, vu.scheduled_at, vu.posted_at
+             FROM video_uploads vu LEFT JOIN tiktok_accounts ta ON ta.id = vu.account_id
+             WHERE vu.video_path = ? ORDER BY vu.id`,
+            [`./public${video.videoUrl}`]
+        );
+        res.json({ success: true, video: { ...videoResponse(video), uploads } });
+    } catch (error) {
+        console.error('[HISTORY] Database error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Queue a past video again: body { accountIds, caption?, scheduledAt? } as in /api/generate-and-queue
+app.post('/api/videos/:id/queue', async (req, res) => {
+    const { accountIds, caption } = req.body;
+    if (!Array.isArray(accountIds) || accountIds.length === 0) {
+        return res.status(400).json({ success: false, error: 'Select at least one TikTok account to queue the video for' });
+    }
+    let scheduledAt;
+    try {
+        scheduledAt = parseScheduledAt(req.body.scheduledAt);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    try {
+        const video = await videoHistory.get(req.params.id);
+        if (!video) {
+            return res.status(404).json({ success: false, error: 'Video not found' });
+        }
+        if (!video.fileExists) {
+            return res.status(410).json({ success: false, error: 'The video file is gone from public/videos' });
+        }
+        const queueResults = await queueVideoForAccounts(`http://localhost:3001${video.videoUrl}`, video.productName, accountIds, caption || undefined, scheduledAt);
+        uploadWorker.tick();
+        const queuedCount = queueResults.filter(r => r.success).length;
+        res.json({ success: true, message: `Video queued for ${queuedCount}/${accountIds.length} account(s)`, queueResults });
+    } catch (error) {
+        console.error('[HISTORY] ❌ Re-queue failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Re-render with edits: body { lines?, segments?, overlays? } (see applyProjectEdits in
+// services/projects.js), brandKitId (an id, or 'none') and/or transitions, speedRamp and
+// staticZoom as for /api/generate.
+// The result is a new video; the original stays in the history.
+app.post('/api/videos/:id/render', async (req, res) => {
+    let video;
+    try {
+        video = await videoHistory.get(req.params.id);
+    } catch (error) {
+        console.error('[HISTORY] Database error:', error);
+        return res.status(500).json({ success: false, error: error.message });
+    }
+    if (!video) {
+        return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+    if (!video.project) {
+        return res.status(409).json({ success: false, error: 'This video has no saved project (it was made before editing was added), so it can only be generated again' });
+    }
+    const { lines, segments, overlays, brandKitId, transitions, speedRamp, staticZoom } = req.body;
+    const motionChanged = transitions !== undefined || speedRamp !== undefined || staticZoom !== undefined;
+    if (lines === undefined && segments === undefined && overlays === undefined && brandKitId === undefined && !motionChanged) {
+        return res.status(400).json({ success: false, error: 'Send lines, segments, overlays, brandKitId and/or motion settings to change' });
+    }
+    let project;
+    try {
+        const preset = getPreset(video.project.preset);
+        project = await applyProjectEdits(video.project, { lines, segments, overlays }, {
+            maxLines: preset.lineCount,
+            maxSegments: preset.maxClips,
+            resolveSegment: resolveProjectSegment
+        });
+        if (brandKitId !== undefined) {
+            if (brandKitId && brandKitId !== 'none' && !await brandKits.get(brandKitId)) throw new Error(`Brand kit ${brandKitId} not found`);
+            project.brandKitId = brandKitId && brandKitId !== 'none' ? Number(brandKitId) : null;
+        }
+        // Settings left out keep what the video had; renders from before transitions had hard cuts
+        if (motionChanged) {
+            const previous = project.motion || { transitions: ['cut'], speedRamp: false, staticZoom: false };
+            project.motion = normalizeMotion({
+                transitions: transitions === undefined ? previous.transitions : transitions,
+                speedRamp: speedRamp === undefined ? previous.speedRamp : speedRamp,
+                staticZoom: staticZoom === undefined ? previous.staticZoom : staticZoom
+            });
+        }
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    const productLabel = video.productName;
+    const job = runJob(
+        'rerender',
+        { productLabel, videoId: video.id },
+        (progress) => renderProject(project, { timestamp: Date.now(), onProgress: progress, request: { lines, segments, overlays, brandKitId, transitions, speedRamp, staticZoom }, parentId: video.id }),
+        (error) => describeGenerationError(error, productLabel)
+    );
+    console.log(`[JOBS] 🧾 Re-render job ${job.id} started for video #${video.id}`);
+    res.status(202).json(jobResponse(job));
+});
+
+// Deletes the record and the files; refused while an upload of the video is still pending
+app.delete('/api/videos/:id', async (req, res) => {
+    try {
+        const video = await videoHistory.get(req.params.id);
+        if (!video) {
+            return res.status(404).json({ success: false, error: 'Video not found' });
+        }
+        const pending = await dbGet(
+            `SELECT COUNT(*) AS count FROM video_uploads WHERE video_path = ? AND upload_status IN ('queued', 'scheduled', 'uploading')`,
+            [`./public${video.videoUrl}`]
+        );
+        if (pending.count > 0) {
+            return res.status(409).json({ success: false, error: `${pending.count} upload(s) of this video are still pending. Cancel them first.` });
+        }
+        await videoHistory.remove(video.id);
+        console.log(`[HISTORY] 🗑️ Video #${video.id} deleted (${video.fileName})`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[HISTORY] Database error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// --- PRODUCT PHOTO UPLOADS ---
+const productImagesDir = path.join(__dirname, 'public', 'uploads', 'products');
+const productImageUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            fs.mkdirSync(productImagesDir, { recursive: true });
+            cb(null, productImagesDir);
+        },
+        filename: (req, file, cb) => {
+            const extension = (path.extname(file.originalname) || '.jpg').toLowerCase();
+            cb(null, `product-${Date.now()}-${Math.random().toString(36).slice(2, 8)}${extension}`);
+        }
+    }),
+    limits: { fileSize: 10 * 1024 * 1024, files: 10 },
+    fileFilter: (req, file, cb) => {
+        const allowed = ['image/jpeg', 'image/png', 'image/webp'];
+        cb(allowed.includes(file.mimetype) ? null : new Error(`Unsupported image type: ${file.mimetype}`), allowed.includes(file.mimetype));
+    }
+});
+
+// Upload product photos; pass the returned URLs as productImages to /api/generate
+app.post('/api/product-images', (req, res) => {
+    productImageUpload.array('images', 10)(req, res, (err) => {
+        if (err) {
+            console.error('[IMAGES] ❌ Upload failed:', err.message);
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        const images = (req.files || []).map(file => `http://localhost:3001/uploads/products/${file.filename}`);
+        console.log(`[IMAGES] ✅ Uploaded ${images.length} product photo(s)`);
+        res.json({ success: true, images });
+    });
+});
+
+// Preview what would be scraped from a product page
+app.post('/api/product/scrape', async (req, res) => {
+    const { url } = req.body;
+    if (!url) {
+        return res.status(400).json({ success: false, error: 'Product URL required' });
+    }
+    try {
+        const product = await scrapeProduct(url);
+        res.json({ success: true, product });
+    } catch (error) {
+        console.error('[PRODUCT] ❌ Scrape failed:', error.message);
+        res.status(502).json({ success: false, error: error.message });
+    }
+});
+
+// --- RENDER JOB STATUS ---
+app.get('/api/jobs', (req, res) => {
+    res.json({ success: true, jobs: listJobs() });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+});
+
+// Server-Sent Events: one message per progress update, closed once the job finishes
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const isFinished = (snapshot) => snapshot.status === 'completed' || snapshot.status === 'failed';
+    let unsubscribe = () => {};
+    let heartbeat = null;
+    const close = () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+        res.end();
+    };
+    const send = (snapshot) => {
+        res.write(`data: ${JSON.stringify(redactResponse(snapshot))}\n\n`);
+        if (isFinished(snapshot)) close();
+    };
+
+    send(job);
+    if (isFinished(job)) return;
+
+    unsubscribe = subscribeToJob(job.id, send);
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    req.on('close', close);
+});
+//  DATABASE SETUP 
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('tiktok_accounts.db');
+
+// Create tables, then add columns introduced later. Everything runs in order inside
+// serialize(); `schemaReady` resolves once the last migration has been applied.
+const schemaReady = new Promise((resolve) => {
+    db.serialize(() => {
+        db.run(`CREATE TABLE IF NOT EXISTS tiktok_accounts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            account_name TEXT NOT NULL,
+            username TEXT NOT NULL,
+            password TEXT,
+            status TEXT DEFAULT 'active',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        
+        db.run(`CREATE TABLE IF NOT EXISTS video_uploads (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            account_id INTEGER,
+            video_path TEXT,
+            product_name TEXT,
+            upload_status TEXT DEFAULT 'queued',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        db.run(`ALTER TABLE tiktok_accounts ADD COLUMN password TEXT`, () => {
+            console.log('[DATABASE] ✅ Password column ready');
+        });
+        db.run(`ALTER TABLE video_uploads ADD COLUMN updated_at DATETIME`, () => {});
+        // Upload worker bookkeeping
+        db.run(`ALTER TABLE video_uploads ADD COLUMN caption TEXT`, () => {});
+        db.run(`ALTER TABLE video_uploads ADD COLUMN attempts INTEGER DEFAULT 0`, () => {});
+        db.run(`ALTER TABLE video_uploads ADD COLUMN last_error TEXT`, () => {});
+        db.run(`ALTER TABLE video_uploads ADD COLUMN next_attempt_at DATETIME`, () => {});
+        db.run(`ALTER TABLE video_uploads ADD COLUMN started_at DATETIME`, () => {});
+        db.run(`ALTER TABLE video_uploads ADD COLUMN posted_at DATETIME`, () => {});
+        // Scheduled posting
+        db.run(`ALTER TABLE video_uploads ADD COLUMN scheduled_at DATETIME`, () => {});
+        db.run(`ALTER TABLE tiktok_accounts ADD COLUMN posting_schedule TEXT`, () => {});
+        // Default voice per account (see services/voices.js)
+        db.run(`ALTER TABLE tiktok_accounts ADD COLUMN voice_preferences TEXT`, () => {});
+        // Local footage library index (see services/mediaLibrary.js)
+        db.run(`CREATE TABLE IF NOT EXISTS media_library (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            file_path TEXT NOT NULL UNIQUE,
+            file_name TEXT NOT NULL,
+            tags TEXT NOT NULL DEFAULT '',
+            custom_tags TEXT NOT NULL DEFAULT '',
+            duration REAL,
+            width INTEGER,
+            height INTEGER,
+            orientation TEXT,
+            size_bytes INTEGER,
+            modified_at INTEGER,
+            use_count INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        // Background music tags (see services/music.js)
+        db.run(`CREATE TABLE IF NOT EXISTS music_tracks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            file_name TEXT NOT NULL UNIQUE,
+            title TEXT NOT NULL,
+            moods TEXT NOT NULL DEFAULT '',
+            bpm INTEGER,
+            license TEXT,
+            duration REAL,
+            use_count INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        // One row per render (see services/history.js)
+        db.run(`CREATE TABLE IF NOT EXISTS videos (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_name TEXT NOT NULL,
+            product_url TEXT,
+            mood TEXT,
+            language TEXT,
+            preset TEXT,
+            audio_option TEXT,
+            script TEXT,
+            script_lines TEXT,
+            search_terms TEXT,
+            clips TEXT,
+            voice_provider TEXT,
+            voice_id TEXT,
+            music_track_id INTEGER,
+            duration REAL,
+            file_path TEXT NOT NULL,
+            subtitle_files TEXT,
+            request TEXT,
+            metadata TEXT,
+            source TEXT DEFAULT 'render',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        // Editable state for re-renders (services/projects.js) and the video a re-render came from
+        db.run(`ALTER TABLE videos ADD COLUMN project TEXT`, () => {});
+        db.run(`ALTER TABLE videos ADD COLUMN parent_id INTEGER`, () => {});
+        db.run(`ALTER TABLE videos ADD COLUMN variant_group TEXT`, () => {});
+        db.run(`ALTER TABLE videos ADD COLUMN variant_id TEXT`, () => {});
+        // Brand kits (see services/brandKits.js), linked from accounts
+        db.run(`CREATE TABLE IF NOT EXISTS brand_kits (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE,
+            primary_color TEXT NOT NULL,
+            secondary_color TEXT NOT NULL,
+            watermark_position TEXT NOT NULL DEFAULT 'bottom-right',
+            watermark_opacity REAL NOT NULL DEFAULT 0.6,
+            font_file TEXT,
+            logo_file TEXT,
+            intro_file TEXT,
+            outro_file TEXT,
+            intro_duration REAL,
+            outro_duration REAL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        db.run(`ALTER TABLE tiktok_accounts ADD COLUMN brand_kit_id INTEGER`, () => {});
+        db.get('SELECT 1', () => resolve());
+    });
+});
+schemaReady.then(() => migratePlaintextCredentials());
+schemaReady.then(() => refreshFootageLibrary()).catch(() => {});
+schemaReady.then(() => videoHistory.importExisting()).catch(err => console.error('[HISTORY] ❌ Could not import earlier videos:', err.message));
+schemaReady.then(() => musicLibrary.sync()).catch(err => console.error('[MUSIC] ❌ Could not sync the music library:', err.message));
+
+// Promise wrappers for async routes
+function dbRun(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function dbGet(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+}
+
+function dbAll(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+// Encrypts passwords saved before the vault existed. Without a master key the rows
+// are left alone and still work, but the server warns on every start.
+async function migratePlaintextCredentials() {
+    try {
+        const rows = await dbAll(`SELECT id, password FROM tiktok_accounts WHERE password IS NOT NULL AND password != ''`);
+        const plaintextRows = rows.filter(row => !isEncrypted(row.password));
+        if (plaintextRows.length === 0) return;
+
+        if (!isVaultConfigured()) {
+            console.warn(`[VAULT] ⚠️ ${plaintextRows.length} TikTok password(s) stored in plain text. Set CREDENTIALS_MASTER_KEY to encrypt them.`);
+            return;
+        }
+        for (const row of plaintextRows) {
+            await dbRun(`UPDATE tiktok_accounts SET password = ? WHERE id = ?`, [encryptSecret(row.password), row.id]);
+        }
+        console.log(`[VAULT] 🔐 Encrypted ${plaintextRows.length} plain-text TikTok password(s)`);
+    } catch (err) {
+        console.error('[VAULT] ❌ Credential migration failed:', err.message);
+    }
+}
+
+// Background uploads for queued videos; UPLOADER=fake posts nowhere (for testing)
+const uploadWorker = createUploadWorker({
+    dbRun,
+    dbGet,
+    dbAll,
+    uploader: getUploader(),
+    baseDir: __dirname,
+    pollIntervalMs: Number(process.env.UPLOAD_POLL_INTERVAL_MS) || undefined,
+    maxConcurrent: Number(process.env.UPLOAD_MAX_CONCURRENT) || undefined,
+    perAccountConcurrency: Number(process.env.UPLOAD_PER_ACCOUNT_CONCURRENCY) || undefined,
+    maxAttempts: Number(process.env.UPLOAD_MAX_ATTEMPTS) || undefined,
+    backoffBaseSeconds: Number(process.env.UPLOAD_BACKOFF_SECONDS) || undefined
+});
+
+// Moves scheduled posts into the upload queue when their slot arrives
+const postScheduler = createScheduler({
+    dbRun,
+    pollIntervalMs: Number(process.env.SCHEDULER_POLL_INTERVAL_MS) || undefined,
+    onRelease: () => uploadWorker.tick()
+});
+
+// Local footage: drop clips into FOOTAGE_LIBRARY_DIR (sub-folders and file names become tags)
+const footageLibraryDir = path.resolve(__dirname, process.env.FOOTAGE_LIBRARY_DIR || path.join('media', 'library'));
+const mediaLibrary = createMediaLibrary({ dbRun, dbGet, dbAll, rootDir: footageLibraryDir });
+
+// Listed local-first, so `auto` prefers clips we own over stock searches
+const footageProviders = {
+    local: createLocalProvider({ library: mediaLibrary }),
+    pexels: createPexelsProvider({ apiKey: pexelsApiKey, axios, searchCache: pexelsSearchCache })
+};
+// Segments a project edit adds (see applyProjectEdits in services/projects.js)
+const resolveProjectSegment = createSegmentResolver({ footageProviders, localPublicPath });
+
+async function refreshFootageLibrary() {
+    try {
+        const result = await mediaLibrary.scan();
+        await footageProviders.local.refresh();
+        return result;
+    } catch (err) {
+        console.error('[LIBRARY] ❌ Scan failed:', err.message);
+        throw err;
+    }
+}
+
+// Background music: tracks live in public/music, their tags in music_tracks (see services/music.js)
+const musicDir = path.join(__dirname, 'public', 'music');
+const musicLibrary = createMusicLibrary({ dbRun, dbGet, dbAll, musicDir });
+
+// Brand kits: rows in brand_kits, their fonts, logos and clips in public/brand
+const brandDir = path.join(__dirname, 'public', 'brand');
+const brandKits = createBrandKits({ dbRun, dbGet, dbAll, brandDir });
+
+// Every finished render, for the gallery
+const videoHistory = createVideoHistory({ dbRun, dbGet, dbAll, videosDir: path.join(__dirname, 'public', 'videos') });
+
+// END DATABASE SETUP 
+
+
+// Health check 
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        status: 'healthy', 
+        version: '19.0 - TikTok Generator with Account Management',
+        services: {
+            ffmpeg: '✅ Ready',
+            pexels: pexelsApiKey ? '✅ Pexels Ready' : '❌ No Pexels Key',
+            footageLibrary: footageProviders.local.isAvailable() ? '✅ Local Footage Library Ready' : '⚠️ Local Footage Library Empty',
+            elevenlabs: elevenLabsApiKey ? '✅ ElevenLabs Ready' : '❌ No Voice Key',
+            voice: ttsChain.status().filter(p => p.available && !p.coolingDownUntil).map(p => p.label).join(' → ') || '❌ No voice provider',
+            ai: aiAvailable ? '✅ AI Scripts (templates as fallback)' : '✅ Template System (No API needed)',
+            database: '✅ SQLite Database Ready',
+            credentials: isVaultConfigured() ? '✅ Encrypted (AES-256-GCM)' : '⚠️ No CREDENTIALS_MASTER_KEY, accounts cannot be added'
+        },
+        renders: {
+            ...jobQueueStatus(),
+            workspaces: renderWorkspaces.status()
+        },
+        cache: {
+            pexelsSearch: pexelsSearchCache.stats(),
+            clips: clipCache.stats(),
+            voicePreviews: voicePreviewCache.stats(),
+            voiceovers: voiceoverCache.stats()
+        },
+        features: [
+            '15-60 second videos for TikTok, Reels, Shorts and feed ads',
+            'Output presets (9:16, 1:1, 16:9) with script length from duration', 
+            'Footage from Pexels, a local clip library, or both',
+            'Cached Pexels searches and clip downloads',
             'Product URL support',
             'TikTok account management',
             'Upload queue system',
-            'Background music mixing',
-            'HD 1080x1920 output'
+            'Background upload worker with retries',
+            'Scheduled posting with per-account windows and daily caps',
+            'Encrypted TikTok credentials (AES-256-GCM)',
+            'Voiceovers from ElevenLabs, Azure, OpenAI or a local engine, with fallback',
+            'Voice catalog with previews, per-request voice settings and per-account default voices',
+            'Music library with mood matching, ducking under the voice, fades and looping',
+            'Burned-in TikTok-style subtitles (+ .srt/.vtt export)',
+            'Product photo slideshows (Ken Burns zoom/pan)',
+            'Async render jobs with live progress (polling or SSE)',
+            'Render history with a gallery to replay, download, re-queue or delete videos',
+            'A/B variants varying hook, mood, voice, music and clip order, compared side by side',
+            'Hook title card, price badge and end card overlays from reusable templates',
+            'Brand kits per account: font, colors, logo watermark and intro/outro clips',
+            'Transitions between clips (crossfade, slide, zoom, whip pan) with per-mood defaults, speed ramps and zoom on static shots',
+            'Batch generation from CSV/JSON catalogs with per-row status, manifest and zip download',
+            'Project editor: change lines, swap or reorder clips and re-render, reusing the voiceover when the text is unchanged',
+            'Render queue with isolated per-job workspaces',
+            'HD 1080p output in 9:16, 1:1 and 16:9'
         ]
     });
 });
@@ -805,11 +2106,18 @@ app.post('/api/tiktok/add-account', (req, res) => {
         });
     }
     
+    if (!isVaultConfigured()) {
+        return res.status(503).json({
+            success: false,
+            error: 'Credential encryption is not configured. Set CREDENTIALS_MASTER_KEY on the server (npm run vault:keygen creates one).'
+        });
+    }
+    
     console.log(`[TIKTOK] Adding account: @${username}`);
     
     db.run(
         `INSERT INTO tiktok_accounts (account_name, username, password) VALUES (?, ?, ?)`,
-        [account_name, username.replace('@', ''), password],
+        [account_name, username.replace('@', ''), encryptSecret(password)],
         function(err) {
             if (err) {
                 console.error('[TIKTOK] Database error:', err);
@@ -830,15 +2138,21 @@ app.post('/api/tiktok/add-account', (req, res) => {
 app.get('/api/tiktok/accounts', (req, res) => {
     console.log('[TIKTOK] 📋 Fetching all accounts...');
     
-    db.all(`SELECT id, account_name, username, status, created_at FROM tiktok_accounts WHERE status = 'active' ORDER BY created_at DESC`, (err, rows) => {
+    db.all(`SELECT id, account_name, username, status, created_at, posting_schedule, voice_preferences, brand_kit_id FROM tiktok_accounts WHERE status = 'active' ORDER BY created_at DESC`, (err, rows) => {
         if (err) {
             console.error('[TIKTOK] Database error:', err);
             res.status(500).json({ success: false, error: err.message });
         } else {
             console.log(`[TIKTOK] ✅ Found ${rows.length} accounts`);
+            const accounts = rows.map(({ posting_schedule, voice_preferences, brand_kit_id, ...account }) => ({
+                ...account,
+                schedule: parsePostingSchedule(posting_schedule),
+                voice: parseVoicePreferences(voice_preferences),
+                brandKitId: brand_kit_id || null
+            }));
             res.json({
                 success: true,
-                accounts: rows,
+                accounts,
                 total: rows.length
             });
         }
@@ -888,12 +2202,23 @@ app.post('/api/tiktok/upload-real', async (req, res) => {
             // Convert video URL to local path
             const videoPath = videoUrl.replace('http://localhost:3001', './public');
             
+            let password;
+            try {
+                password = revealSecret(account.password);
+            } catch (error) {
+                console.error(`[VAULT] ❌ Could not decrypt password for @${account.username}:`, error.message);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Stored credentials could not be decrypted. Check CREDENTIALS_MASTER_KEY.'
+                });
+            }
+            
             // Real upload
             const result = await uploadToRealTikTok(
                 videoPath,
                 caption,
                 account.username,
-                account.password
+                password
             );
             
             if (result.success) {
@@ -913,9 +2238,572 @@ app.post('/api/tiktok/upload-real', async (req, res) => {
         console.error('[TIKTOK] Upload error:', error);
         res.status(500).json({
             success: false,
-            error: error.message
+            error: redactSecrets(error.message)
+        });
+    }
+});
+
+// Picks the posting time for an upload: the requested time if it fits the account's
+// windows, cap and gap, otherwise the next free slot. Throws with a 4xx-friendly message.
+async function bookSlot(account, requestedAt = null, excludeUploadId = null) {
+    const schedule = parsePostingSchedule(account.posting_schedule);
+    const booked = await dbAll(
+        `SELECT scheduled_at FROM video_uploads
+         WHERE account_id = ? AND id != ? AND scheduled_at IS NOT NULL
+           AND upload_status IN ('scheduled', 'queued', 'uploading', 'posted')
+           AND scheduled_at >= datetime('now', '-2 days')`,
+        [account.id, excludeUploadId || 0]
+    );
+    const taken = booked.map(row => fromSqlTimestamp(row.scheduled_at));
+
+    if (requestedAt) {
+        const conflict = slotConflict(requestedAt, schedule, taken);
+        if (conflict) {
+            const error = new Error(`Cannot post to @${account.username} at ${requestedAt.toISOString()}: ${conflict}`);
+            error.status = 409;
+            throw error;
+        }
+        return requestedAt;
+    }
+
+    const slot = nextSlot(schedule, taken, new Date());
+    if (!slot) {
+        const error = new Error(`No free posting slot for @${account.username} in the next 30 days`);
+        error.status = 409;
+        throw error;
+    }
+    return slot;
+}
+
+// Anything due within a few seconds goes straight to the upload worker
+function statusForSlot(slot) {
+    return slot.getTime() <= Date.now() + 5000 ? 'queued' : 'scheduled';
+}
+
+function parseScheduledAt(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        const error = new Error(`Invalid scheduledAt "${value}"`);
+        error.status = 400;
+        throw error;
+    }
+    return date < new Date() ? new Date() : date;
+}
+
+async function queueVideoForAccounts(videoUrl, productLabel, accountIds, caption = defaultCaption(productLabel), scheduledAt = null) {
+    const videoPath = videoUrl.replace('http://localhost:3001', './public');
+    const queueResults = [];
+
+    for (const accountId of accountIds) {
+        try {
+            const account = await dbGet(`SELECT id, username, posting_schedule FROM tiktok_accounts WHERE id = ? AND status = 'active'`, [accountId]);
+            if (!account) {
+                queueResults.push({ accountId, success: false, error: 'Account not found' });
+                continue;
+            }
+            const slot = await bookSlot(account, scheduledAt);
+            const status = statusForSlot(slot);
+            const { lastID } = await dbRun(
+                `INSERT INTO video_uploads (account_id, video_path, product_name, caption, upload_status, attempts, scheduled_at, updated_at) VALUES (?, ?, ?, ?, ?, 0, ?, CURRENT_TIMESTAMP)`,
+                [account.id, videoPath, productLabel, caption, status, toSqlTimestamp(slot)]
+            );
+            console.log(`[QUEUE] 📥 ${status === 'queued' ? 'Queued' : `Scheduled for ${slot.toISOString()}`} "${productLabel}" for @${account.username} (upload #${lastID})`);
+            queueResults.push({ accountId, username: account.username, success: true, uploadId: lastID, status, scheduledAt: slot.toISOString() });
+        } catch (err) {
+            console.error(`[QUEUE] ❌ Could not queue for account ${accountId}:`, err.message);
+            queueResults.push({ accountId, success: false, error: err.message });
+        }
+    }
+    return queueResults;
+}
+
+// Generate once (as a render job), then queue the video for every selected account
+app.post('/api/generate-and-queue', async (req, res) => {
+    const { accountIds } = req.body;
+
+    if (!Array.isArray(accountIds) || accountIds.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Select at least one TikTok account to queue the video for'
         });
     }
+
+    // Optional ISO time; without it each account gets its next free slot
+    let scheduledAt;
+    try {
+        getPreset(req.body.preset);
+        createFootageSource(footageProviders, req.body.footageSource);
+        await voiceSelectionFrom(req.body);
+        normalizeOverlays(req.body.overlays);
+        normalizeMotion(req.body);
+        scheduledAt = parseScheduledAt(req.body.scheduledAt);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const productLabel = req.body.productName || req.body.productUrl || 'Amazing Product';
+    const job = runJob(
+        'generate-and-queue',
+        { productLabel, accountIds },
+        async (progress) => {
+            const result = await generateVideo(req.body, Date.now(), progress);
+            const queueResults = await queueVideoForAccounts(result.videoUrl, productLabel, accountIds, req.body.caption || undefined, scheduledAt);
+            uploadWorker.tick();
+            const queuedCount = queueResults.filter(r => r.success).length;
+            return {
+                ...result,
+                message: `Video generated and queued for ${queuedCount}/${accountIds.length} account(s)`,
+                queueResults
+            };
+        },
+        (error) => describeGenerationError(error, productLabel)
+    );
+    console.log(`[JOBS] 🧾 Render + queue job ${job.id} started for "${productLabel}"`);
+    res.status(202).json(jobResponse(job));
+});
+
+// --- BATCH GENERATION ---
+// One render job per catalog row (services/batch.js); rows with accounts are queued for them
+// once rendered, like /api/generate-and-queue.
+async function runBatchRow(row, progress) {
+    const result = await generateVideo({ ...row.options, accountIds: row.accountIds }, Date.now(), progress);
+    let queueResults = [];
+    if (row.accountIds.length > 0) {
+        queueResults = await queueVideoForAccounts(result.videoUrl, row.label, row.accountIds, row.options.caption || undefined);
+        uploadWorker.tick();
+    }
+    return {
+        videoId: result.videoId || null,
+        videoUrl: result.videoUrl,
+        fileName: path.basename(result.videoUrl),
+        duration: result.metadata.durationSeconds,
+        subtitleFiles: result.subtitleFiles,
+        queueResults
+    };
+}
+
+const batchRunner = createBatchRunner({
+    runJob,
+    getJob,
+    runRow: runBatchRow,
+    describeError: (error, row) => describeGenerationError(error, row.label)
+});
+
+const catalogUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const allowed = ['.csv', '.json', '.txt'].includes(path.extname(file.originalname).toLowerCase());
+        cb(allowed ? null : new Error(`Unsupported catalog file: ${file.originalname} (use .csv or .json)`), allowed);
+    }
+});
+
+// Batch-wide settings a row can override; the rest of the form fields apply to every row
+const BATCH_DEFAULT_FIELDS = ['mood', 'language', 'preset', 'audioOption', 'footageSource', 'voiceProvider', 'voiceId', 'subtitleFiles', 'caption', 'overlays', 'brandKitId', 'transitions', 'speedRamp', 'staticZoom', 'accounts'];
+
+// Catalog rows → runner rows. A row that can't run (bad preset, unknown account...) is kept
+// with its error so the report still lists it.
+async function planBatchRows(records, defaults) {
+    const accounts = await dbAll(`SELECT id, username FROM tiktok_accounts WHERE status = 'active'`);
+    return Promise.all(records.map(async (record, i) => {
+        const label = String(record.productName || record.productUrl || '').trim() || `Row ${i + 1}`;
+        try {
+            const { options, accounts: names } = normalizeBatchRow(record, defaults);
+            getPreset(options.preset);
+            createFootageSource(footageProviders, options.footageSource);
+            await voiceSelectionFrom(options);
+            normalizeOverlays(options.overlays);
+            normalizeMotion(options);
+            const accountIds = names.map(name => {
+                const account = accounts.find(a => String(a.id) === name || a.username.toLowerCase() === name.toLowerCase());
+                if (!account) throw new Error(`unknown TikTok account "${name}"`);
+                return account.id;
+            });
+            return { label, options, accounts: names, accountIds };
+        } catch (error) {
+            return { label, error: `Row ${i + 1}: ${error.message}` };
+        }
+    }));
+}
+
+// Start a batch: multipart with a .csv/.json file as "catalog", or JSON { products: [...] }
+// or { catalog: "<csv or json text>" }. Other fields (mood, language, preset, accounts...)
+// are defaults for every row; parallelism is how many rows render at once (max 8).
+app.post('/api/batches', (req, res) => {
+    catalogUpload.single('catalog')(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        const body = req.body || {};
+        let records;
+        try {
+            if (req.file) {
+                const extension = path.extname(req.file.originalname).toLowerCase();
+                records = parseCatalog(req.file.buffer.toString('utf8'), extension === '.json' ? 'json' : (extension === '.csv' ? 'csv' : null));
+            } else if (Array.isArray(body.products)) {
+                records = parseCatalog(JSON.stringify(body.products), 'json');
+            } else if (typeof body.catalog === 'string') {
+                records = parseCatalog(body.catalog, body.format || null);
+            } else {
+                throw new Error('Attach a .csv or .json catalog as "catalog", or send "products"');
+            }
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        const defaults = {};
+        for (const field of BATCH_DEFAULT_FIELDS) {
+            if (body[field] !== undefined && body[field] !== '') defaults[field] = body[field];
+        }
+        if (defaults.accounts === undefined && body.accountIds !== undefined) defaults.accounts = body.accountIds;
+        // Multipart forms send the overlays as JSON text
+        if (typeof defaults.overlays === 'string') {
+            try {
+                defaults.overlays = JSON.parse(defaults.overlays);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: `overlays is not valid JSON: ${error.message}` });
+            }
+        }
+        try {
+            const rows = await planBatchRows(records, defaults);
+            const failed = rows.filter(row => row.error);
+            if (failed.length === rows.length) {
+                return res.status(400).json({ success: false, error: 'None of the products in the catalog can be rendered', rows: failed.map(row => row.error) });
+            }
+            const batch = batchRunner.start({
+                name: req.file ? req.file.originalname : (body.name ? String(body.name) : null),
+                rows,
+                parallelism: Number(body.parallelism) || 1
+            });
+            res.status(202).json({ success: true, batch, statusUrl: `/api/batches/${batch.id}` });
+        } catch (error) {
+            console.error('[BATCH] ❌ Could not start batch:', error.message);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+});
+
+app.get('/api/batches', (req, res) => {
+    res.json({ success: true, batches: batchRunner.list() });
+});
+
+app.get('/api/batches/:id', (req, res) => {
+    const batch = batchRunner.get(req.params.id);
+    if (!batch) {
+        return res.status(404).json({ success: false, error: 'Batch not found (finished batches are kept for 24 hours)' });
+    }
+    res.json({ success: true, batch });
+});
+
+// Rows that have not started are dropped; rows already rendering finish
+app.post('/api/batches/:id/cancel', (req, res) => {
+    const batch = batchRunner.cancel(req.params.id);
+    if (!batch) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+    res.json({ success: true, batch });
+});
+
+// Per-row results as a download: ?format=csv (default) or json
+app.get('/api/batches/:id/manifest', (req, res) => {
+    const batch = batchRunner.get(req.params.id);
+    if (!batch) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+    if (req.query.format === 'json') {
+        res.attachment(`${batch.id}.json`);
+        return res.json(batch);
+    }
+    res.attachment(`${batch.id}.csv`);
+    res.type('text/csv').send(manifestToCsv(batch));
+});
+
+// Every finished video of the batch with its subtitle files, plus manifest.csv/.json
+app.get('/api/batches/:id/zip', async (req, res) => {
+    const batch = batchRunner.get(req.params.id);
+    if (!batch) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+    let entries;
+    let size;
+    try {
+        entries = [
+            { name: 'manifest.csv', data: Buffer.from(manifestToCsv(batch)) },
+            { name: 'manifest.json', data: Buffer.from(JSON.stringify(batch, null, 2)) }
+        ];
+        for (const row of batch.rows) {
+            if (row.status !== 'completed' || !row.videoId) continue;
+            const video = await videoHistory.get(row.videoId);
+            if (!video || !video.fileExists) continue;
+            const base = video.filePath.replace(/\.mp4$/, '');
+            for (const file of [video.filePath, `${base}.srt`, `${base}.vtt`]) {
+                if (fs.existsSync(file)) entries.push({ name: path.basename(file), filePath: file });
+            }
+        }
+        size = await zipSize(entries);
+    } catch (error) {
+        console.error('[BATCH] ❌ Could not prepare zip:', error.message);
+        return res.status(500).json({ success: false, error: error.message });
+    }
+    if (size > MAX_ZIP_BYTES) {
+        return res.status(413).json({ success: false, error: 'The videos add up to more than 4 GB. Download the manifest and fetch the videos from it instead.' });
+    }
+    res.attachment(`${batch.id}.zip`);
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Length', String(size));
+    try {
+        await writeZip(res, entries);
+        res.end();
+    } catch (error) {
+        console.error('[BATCH] ❌ Zip download failed:', error.message);
+        res.destroy();
+    }
+});
+
+// Upload queue with account details
+app.get('/api/tiktok/upload-queue', async (req, res) => {
+    try {
+        const queue = await dbAll(`
+            SELECT vu.id, vu.account_id, vu.video_path, vu.product_name, vu.caption, vu.upload_status,
+                   vu.attempts, vu.last_error, vu.next_attempt_at, vu.scheduled_at, vu.posted_at,
+                   vu.created_at, vu.updated_at, ta.username, ta.account_name
+            FROM video_uploads vu
+            LEFT JOIN tiktok_accounts ta ON ta.id = vu.account_id
+            ORDER BY vu.created_at DESC, vu.id DESC
+        `);
+        res.json({
+            success: true,
+            queue,
+            total: queue.length
+        });
+    } catch (err) {
+        console.error('[QUEUE] Database error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Upload worker state plus row counts per status
+app.get('/api/tiktok/upload-worker', async (req, res) => {
+    try {
+        const counts = await dbAll(`SELECT upload_status AS status, COUNT(*) AS total FROM video_uploads GROUP BY upload_status`);
+        res.json({
+            success: true,
+            worker: uploadWorker.status(),
+            queue: Object.fromEntries(counts.map(row => [row.status, row.total]))
+        });
+    } catch (err) {
+        console.error('[QUEUE] Database error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Retry a failed upload from scratch
+app.post('/api/tiktok/upload-queue/:id/retry', async (req, res) => {
+    try {
+        const requeued = await uploadWorker.requeue(req.params.id);
+        if (!requeued) {
+            return res.status(409).json({ success: false, error: 'Only failed uploads can be retried' });
+        }
+        console.log(`[QUEUE] 🔁 Upload #${req.params.id} re-queued`);
+        res.json({ success: true, message: 'Upload re-queued' });
+    } catch (err) {
+        console.error('[QUEUE] Database error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// --- SCHEDULED POSTS ---
+
+// Posting windows, daily cap and gap for one account
+app.get('/api/tiktok/accounts/:id/schedule', async (req, res) => {
+    try {
+        const account = await dbGet(`SELECT id, username, posting_schedule FROM tiktok_accounts WHERE id = ? AND status = 'active'`, [req.params.id]);
+        if (!account) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+        }
+        res.json({ success: true, accountId: account.id, schedule: parsePostingSchedule(account.posting_schedule) });
+    } catch (err) {
+        console.error('[SCHEDULER] Database error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+app.put('/api/tiktok/accounts/:id/schedule', async (req, res) => {
+    let schedule;
+    try {
+        schedule = normalizePostingSchedule(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    try {
+        const { changes } = await dbRun(
+            `UPDATE tiktok_accounts SET posting_schedule = ? WHERE id = ? AND status = 'active'`,
+            [JSON.stringify(schedule), req.params.id]
+        );
+        if (changes === 0) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+        }
+        console.log(`[SCHEDULER] 🗓️ Posting schedule updated for account ${req.params.id}`);
+        res.json({ success: true, schedule });
+    } catch (err) {
+        console.error('[SCHEDULER] Database error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// --- ACCOUNT VOICES ---
+
+// Default voice for videos rendered for an account (accountId, or the first of accountIds)
+app.get('/api/tiktok/accounts/:id/voice', async (req, res) => {
+    try {
+        const account = await dbGet(`SELECT id, voice_preferences FROM tiktok_accounts WHERE id = ? AND status = 'active'`, [req.params.id]);
+        if (!account) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+        }
+        res.json({ success: true, accountId: account.id, voice: parseVoicePreferences(account.voice_preferences) });
+    } catch (err) {
+        console.error('[VOICES] Database error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Body { provider, voiceId, settings }; provider 'auto' with no voice clears the default
+app.put('/api/tiktok/accounts/:id/voice', async (req, res) => {
+    let voice;
+    try {
+        voice = await normalizeVoiceSelection(req.body, Object.keys(ttsProviders), voiceCatalog);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    const cleared = voice.provider === 'auto' && Object.keys(voice.settings).length === 0;
+    try {
+        const { changes } = await dbRun(
+            `UPDATE tiktok_accounts SET voice_preferences = ? WHERE id = ? AND status = 'active'`,
+            [cleared ? null : JSON.stringify(voice), req.params.id]
+        );
+        if (changes === 0) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+        }
+        console.log(`[VOICES] 🎤 Default voice ${cleared ? 'cleared' : 'updated'} for account ${req.params.id}`);
+        res.json({ success: true, voice: cleared ? null : voice });
+    } catch (err) {
+        console.error('[VOICES] Database error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Body { brandKitId }; null (or 'none') unlinks the account's kit
+app.put('/api/tiktok/accounts/:id/brand-kit', async (req, res) => {
+    const { brandKitId } = req.body;
+    const linked = brandKitId && brandKitId !== 'none' ? Number(brandKitId) : null;
+    try {
+        if (linked && !await brandKits.get(linked)) {
+            return res.status(400).json({ success: false, error: `Brand kit ${brandKitId} not found` });
+        }
+        const { changes } = await dbRun(
+            `UPDATE tiktok_accounts SET brand_kit_id = ? WHERE id = ? AND status = 'active'`,
+            [linked, req.params.id]
+        );
+        if (changes === 0) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+        }
+        console.log(`[BRAND] 🔗 Account ${req.params.id} ${linked ? `now uses brand kit ${linked}` : 'has no brand kit'}`);
+        res.json({ success: true, brandKitId: linked });
+    } catch (err) {
+        console.error('[BRAND] Database error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Calendar feed: ?from=&to= (ISO, default this week onward) and optional &accountId=
+app.get('/api/tiktok/schedule', async (req, res) => {
+    const from = req.query.from ? new Date(req.query.from) : new Date(Date.now() - 7 * 86400000);
+    const to = req.query.to ? new Date(req.query.to) : new Date(Date.now() + 30 * 86400000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return res.status(400).json({ success: false, error: 'from and to must be ISO dates' });
+    }
+    try {
+        const params = [toSqlTimestamp(from), toSqlTimestamp(to)];
+        let accountFilter = '';
+        if (req.query.accountId) {
+            accountFilter = 'AND vu.account_id = ?';
+            params.push(req.query.accountId);
+        }
+        const rows = await dbAll(`
+            SELECT vu.id, vu.account_id, vu.product_name, vu.caption, vu.upload_status, vu.scheduled_at, vu.posted_at,
+                   vu.last_error, ta.username, ta.account_name
+            FROM video_uploads vu
+            LEFT JOIN tiktok_accounts ta ON ta.id = vu.account_id
+            WHERE vu.scheduled_at BETWEEN ? AND ? AND vu.upload_status != 'cancelled' ${accountFilter}
+            ORDER BY vu.scheduled_at, vu.id
+        `, params);
+        const posts = rows.map(row => ({
+            ...row,
+            scheduled_at: fromSqlTimestamp(row.scheduled_at).toISOString(),
+            posted_at: row.posted_at ? fromSqlTimestamp(row.posted_at).toISOString() : null
+        }));
+        res.json({ success: true, from: from.toISOString(), to: to.toISOString(), posts, total: posts.length });
+    } catch (err) {
+        console.error('[SCHEDULER] Database error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Move a post: { scheduledAt } must fit the account's windows, or omit it for the next free slot
+app.patch('/api/tiktok/schedule/:id', async (req, res) => {
+    try {
+        const upload = await dbGet(`
+            SELECT vu.id, vu.upload_status, ta.id AS account_id, ta.username, ta.posting_schedule
+            FROM video_uploads vu
+            JOIN tiktok_accounts ta ON ta.id = vu.account_id
+            WHERE vu.id = ?
+        `, [req.params.id]);
+        if (!upload) {
+            return res.status(404).json({ success: false, error: 'Scheduled post not found' });
+        }
+        if (!['scheduled', 'queued'].includes(upload.upload_status)) {
+            return res.status(409).json({ success: false, error: `A ${upload.upload_status} post cannot be rescheduled` });
+        }
+
+        const account = { id: upload.account_id, username: upload.username, posting_schedule: upload.posting_schedule };
+        const slot = await bookSlot(account, parseScheduledAt(req.body.scheduledAt), upload.id);
+        const status = statusForSlot(slot);
+        // The status guard keeps a row the worker just claimed from being pulled back
+        const { changes } = await dbRun(
+            `UPDATE video_uploads SET scheduled_at = ?, upload_status = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND upload_status IN ('scheduled', 'queued')`,
+            [toSqlTimestamp(slot), status, upload.id]
+        );
+        if (changes === 0) {
+            return res.status(409).json({ success: false, error: 'Post started uploading before it could be moved' });
+        }
+        if (status === 'queued') uploadWorker.tick();
+        console.log(`[SCHEDULER] 🔀 Upload #${upload.id} moved to ${slot.toISOString()}`);
+        res.json({ success: true, id: upload.id, status, scheduledAt: slot.toISOString() });
+    } catch (err) {
+        console.error('[SCHEDULER] Reschedule failed:', err.message);
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    }
+});
+
+// Cancel a post that has not started uploading
+app.delete('/api/tiktok/schedule/:id', async (req, res) => {
+    try {
+        const { changes } = await dbRun(
+            `UPDATE video_uploads SET upload_status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND upload_status IN ('scheduled', 'queued', 'failed')`,
+            [req.params.id]
+        );
+        if (changes === 0) {
+            return res.status(409).json({ success: false, error: 'Only scheduled, queued or failed posts can be cancelled' });
+        }
+        console.log(`[SCHEDULER] 🚫 Upload #${req.params.id} cancelled`);
+        res.json({ success: true, message: 'Post cancelled' });
+    } catch (err) {
+        console.error('[SCHEDULER] Database error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
 });
 
 //  END TIKTOK ENDPOINTS // Start server
@@ -926,13 +2814,14 @@ app.listen(port, () => {
     console.log(`📱 TikTok integration enabled!`);
     
     console.log(`\n✅ Features Available:`);
-    console.log(`   🎯 25-second TikTok videos`);
+    console.log(`   🎯 15-60 second videos (TikTok, Reels, Shorts, feed)`);
     console.log(`   📝 10-line viral scripts`);
     console.log(`   🎤 Professional voice generation`);
     console.log(`   🎵 Background music mixing`);
     console.log(`   📱 TikTok account management`);
     console.log(`   🚀 Real TikTok upload automation`);
     console.log(`   📊 Upload queue tracking`);
+    console.log(`   🤖 Background upload worker`);
     
     console.log(`\n⏳ Ready for requests...`);
     
@@ -944,12 +2833,21 @@ app.listen(port, () => {
             console.log('⚠️ Database will be created on first use');
         }
     });
+
+    renderWorkspaces.sweep().catch(err => console.error('[WORKSPACE] ❌ Sweep failed:', err.message));
+
+    schemaReady.then(() => {
+        postScheduler.start();
+        return uploadWorker.start();
+    }).catch(err => console.error('[UPLOAD WORKER] ❌ Could not start:', err.message));
 });
 
 // Cleanup on exit
 process.on('SIGINT', () => {
     console.log('\n👋 Shutting down TikTok Video Generator...');
     console.log('🧹 Cleaning up...');
+    uploadWorker.stop();
+    postScheduler.stop();
     
     // Close database connection
     db.close((err) => {
@@ -0,0 +1,308 @@
+// --- BATCH GENERATION: PRODUCT CATALOGS (CSV/JSON) → ONE RENDER JOB PER ROW ---
+
+const MAX_BATCH_ROWS = 500;
+const MAX_BATCH_PARALLELISM = 8;
+
+// Finished batches are kept this long so their manifest and zip can still be downloaded
+const BATCH_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Catalog column → request field. Headers are matched case-insensitively, ignoring spaces
+// and punctuation, so "Product URL", "product_url" and "url" all work.
+const COLUMN_ALIASES = {
+    productName: ['productname', 'name', 'product', 'title'],
+    productUrl: ['producturl', 'url', 'link'],
+    mood: ['mood'],
+    language: ['language', 'lang'],
+    accounts: ['accounts', 'accountids', 'account', 'targetaccounts'],
+    preset: ['preset', 'format'],
+    audioOption: ['audiooption', 'audio'],
+    footageSource: ['footagesource', 'footage'],
+    caption: ['caption'],
+    transitions: ['transitions', 'transition']
+};
+
+function columnFor(header) {
+    const key = String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key)) || null;
+}
+
+// RFC 4180: quoted fields may hold the delimiter, line breaks and "" for a quote.
+// The delimiter (comma, semicolon or tab) is whichever the header row uses most.
+function parseCsv(text) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best), ',');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const c = source[i];
+        if (quoted) {
+            if (c === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (quoted) throw new Error('The CSV has a quote that is never closed');
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// CSV text or JSON (an array of products, or { products: [...] }) → [{ field: value }].
+// Unknown columns are dropped; `format` is 'csv', 'json' or null to tell from the content.
+function parseCatalog(text, format = null) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) throw new Error('The catalog is empty');
+    const isJson = format ? format === 'json' : /^[[{]/.test(trimmed);
+
+    let records;
+    if (isJson) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`The catalog is not valid JSON: ${error.message}`);
+        }
+        records = Array.isArray(data) ? data : data && data.products;
+        if (!Array.isArray(records)) throw new Error('A JSON catalog must be an array of products or { "products": [...] }');
+        records = records.map(record => {
+            const mapped = {};
+            for (const [key, value] of Object.entries(record && typeof record === 'object' ? record : {})) {
+                const field = columnFor(key);
+                if (field && mapped[field] === undefined) mapped[field] = value;
+            }
+            return mapped;
+        });
+    } else {
+        const [header, ...lines] = parseCsv(trimmed);
+        const fields = header.map(columnFor);
+        if (!fields.includes('productName') && !fields.includes('productUrl')) {
+            throw new Error('The CSV header needs a "name" or "url" column');
+        }
+        records = lines.map(cells => {
+            const mapped = {};
+            fields.forEach((field, i) => {
+                if (field && mapped[field] === undefined) mapped[field] = (cells[i] || '').trim();
+            });
+            return mapped;
+        });
+    }
+
+    if (records.length === 0) throw new Error('The catalog has no products');
+    if (records.length > MAX_BATCH_ROWS) throw new Error(`A batch holds at most ${MAX_BATCH_ROWS} products (this catalog has ${records.length})`);
+    return records;
+}
+
+// "alice; @bob | 3" or ['alice', 3] → ['alice', 'bob', '3']
+function splitAccounts(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[;|,]/);
+    return [...new Set(list.map(item => String(item).trim().replace(/^@/, '')).filter(Boolean))];
+}
+
+// One catalog record on top of the batch-wide defaults. Throws with the reason a row can't run.
+function normalizeBatchRow(record, defaults = {}) {
+    const pick = (field) => {
+        const value = record[field];
+        return value === undefined || value === null || value === '' ? defaults[field] : value;
+    };
+    const productName = String(pick('productName') || '').trim();
+    const productUrl = String(pick('productUrl') || '').trim();
+    if (!productName && !productUrl) throw new Error('needs a product name or URL');
+    if (productUrl && !/^https?:\/\//i.test(productUrl)) throw new Error(`"${productUrl}" is not an http(s) URL`);
+
+    const options = { ...defaults, productName, productUrl };
+    for (const field of ['mood', 'language', 'preset', 'audioOption', 'footageSource', 'caption', 'transitions']) {
+        const value = pick(field);
+        if (value !== undefined) options[field] = String(value).trim();
+    }
+    delete options.accounts;
+    return { options, accounts: splitAccounts(pick('accounts')) };
+}
+
+// Runs batches row by row through runRow(row, progress), at most `parallelism` rows of a
+// batch at a time. Each row becomes its own job (services/jobs.js), so the render-wide limit
+// still applies on top. Batches live in memory like jobs do.
+function createBatchRunner({ runJob, getJob, runRow, describeError = (error) => error.message, retentionMs = BATCH_RETENTION_MS }) {
+    const batches = new Map();
+    let batchCounter = 0;
+
+    function countRows(batch) {
+        const counts = { total: batch.rows.length, pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+        for (const row of batch.rows) counts[row.status]++;
+        return counts;
+    }
+
+    function serializeRow(row) {
+        const job = row.jobId && row.status === 'running' ? getJob(row.jobId) : null;
+        return {
+            row: row.index,
+            product: row.label,
+            productUrl: row.options ? row.options.productUrl || null : null,
+            accounts: row.accounts,
+            status: row.status,
+            jobId: row.jobId,
+            percent: row.status === 'completed' ? 100 : (job ? job.percent : 0),
+            message: job ? job.message : null,
+            error: row.error,
+            ...row.result
+        };
+    }
+
+    function serializeBatch(batch) {
+        return {
+            id: batch.id,
+            name: batch.name,
+            status: batch.status,
+            parallelism: batch.parallelism,
+            createdAt: batch.createdAt,
+            finishedAt: batch.finishedAt,
+            counts: countRows(batch),
+            rows: batch.rows.map(serializeRow)
+        };
+    }
+
+    function finishIfDone(batch) {
+        if (batch.status !== 'running' && batch.status !== 'cancelling') return;
+        if (batch.rows.some(row => row.status === 'pending' || row.status === 'running')) return;
+        batch.status = batch.status === 'cancelling' ? 'cancelled' : 'completed';
+        batch.finishedAt = new Date().toISOString();
+        const counts = countRows(batch);
+        console.log(`[BATCH] 🏁 Batch ${batch.id} ${batch.status}: ${counts.completed} done, ${counts.failed} failed${counts.cancelled ? `, ${counts.cancelled} cancelled` : ''}`);
+        setTimeout(() => batches.delete(batch.id), retentionMs).unref();
+    }
+
+    function pump(batch) {
+        let running = batch.rows.filter(row => row.status === 'running').length;
+        for (const row of batch.rows) {
+            if (running >= batch.parallelism) break;
+            if (row.status !== 'pending') continue;
+            row.status = 'running';
+            running++;
+            const job = runJob(
+                'batch',
+                { productLabel: row.label, batchId: batch.id, row: row.index },
+                async (progress) => {
+                    try {
+                        row.result = await runRow(row, progress);
+                        row.status = 'completed';
+                        return row.result;
+                    } catch (error) {
+                        row.status = 'failed';
+                        row.error = describeError(error, row);
+                        throw error;
+                    } finally {
+                        pump(batch);
+                    }
+                },
+                (error) => describeError(error, row)
+            );
+            row.jobId = job.id;
+        }
+        finishIfDone(batch);
+    }
+
+    // rows: [{ label, options, accounts, error? }]; rows with an error are reported as failed
+    // without rendering
+    function start({ name = null, rows, parallelism = 1 }) {
+        const id = `batch-${Date.now().toString(36)}-${(++batchCounter).toString(36)}`;
+        const batch = {
+            id,
+            name,
+            status: 'running',
+            parallelism: Math.min(MAX_BATCH_PARALLELISM, Math.max(1, Math.floor(parallelism) || 1)),
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            rows: rows.map((row, i) => ({
+                index: i + 1,
+                label: row.label,
+                options: row.options || null,
+                accounts: row.accounts || [],
+                accountIds: row.accountIds || [],
+                status: row.error ? 'failed' : 'pending',
+                error: row.error || null,
+                jobId: null,
+                result: null
+            }))
+        };
+        batches.set(id, batch);
+        console.log(`[BATCH] 📦 Batch ${id} started: ${rows.length} product(s), ${batch.parallelism} at a time`);
+        pump(batch);
+        return serializeBatch(batch);
+    }
+
+    // Rows not started yet are dropped; rows already rendering finish
+    function cancel(id) {
+        const batch = batches.get(id);
+        if (!batch) return null;
+        if (batch.status === 'running') {
+            batch.status = 'cancelling';
+            for (const row of batch.rows) {
+                if (row.status === 'pending') row.status = 'cancelled';
+            }
+            finishIfDone(batch);
+        }
+        return serializeBatch(batch);
+    }
+
+    function get(id) {
+        const batch = batches.get(id);
+        return batch ? serializeBatch(batch) : null;
+    }
+
+    function list() {
+        return Array.from(batches.values()).reverse().map(serializeBatch);
+    }
+
+    return { start, cancel, get, list };
+}
+
+const MANIFEST_COLUMNS = ['row', 'product', 'productUrl', 'status', 'videoId', 'videoUrl', 'fileName', 'duration', 'queuedFor', 'error'];
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One line per row, the columns in MANIFEST_COLUMNS
+function manifestToCsv(batch) {
+    const lines = [MANIFEST_COLUMNS.join(',')];
+    for (const row of batch.rows) {
+        const queuedFor = (row.queueResults || []).filter(r => r.success).map(r => `@${r.username}`).join(' ');
+        lines.push(MANIFEST_COLUMNS.map(column => csvCell(column === 'queuedFor' ? queuedFor : row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    MAX_BATCH_ROWS,
+    MAX_BATCH_PARALLELISM,
+    parseCsv,
+    parseCatalog,
+    normalizeBatchRow,
+    createBatchRunner,
+    manifestToCsv
+};
@@ -0,0 +1,277 @@
+// --- BRAND KITS: FONT, COLORS, LOGO, WATERMARK & INTRO/OUTRO CLIPS PER BRAND ---
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { SEGMENT_FPS } = require('./kenburns');
+
+const BRAND_FILE_TYPES = {
+    font: ['.ttf', '.otf'],
+    logo: ['.png', '.jpg', '.jpeg', '.webp'],
+    intro: ['.mp4', '.mov', '.webm'],
+    outro: ['.mp4', '.mov', '.webm']
+};
+const BRAND_FILE_KINDS = Object.keys(BRAND_FILE_TYPES);
+
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'none'];
+const MAX_BRAND_CLIP_SECONDS = 10;
+// Watermark width as a fraction of the frame's short side
+const WATERMARK_SCALE = 0.18;
+
+// '#1a2b3c', '1A2B3C' or '#abc' → '#1A2B3C'
+function normalizeColor(value, field) {
+    const hex = String(value).trim().replace(/^#/, '');
+    const full = /^[0-9a-f]{3}$/i.test(hex) ? hex.split('').map(c => c + c).join('') : hex;
+    if (!/^[0-9a-f]{6}$/i.test(full)) throw new Error(`${field} must be a hex color like #FF2D95`);
+    return `#${full.toUpperCase()}`;
+}
+
+// '#1A2B3C' → '0x1A2B3C' (with @alpha) for FFmpeg filters
+function ffmpegColor(color, alpha = null) {
+    return `0x${color.slice(1)}${alpha === null ? '' : `@${alpha}`}`;
+}
+
+// Name, colors and watermark settings as sent by the API; missing fields are left out so
+// updates only touch what was sent
+function normalizeBrandKitFields(input = {}) {
+    const fields = {};
+    if (input.name !== undefined) {
+        fields.name = String(input.name).trim().slice(0, 80);
+        if (!fields.name) throw new Error('name cannot be empty');
+    }
+    if (input.primaryColor !== undefined) fields.primaryColor = normalizeColor(input.primaryColor, 'primaryColor');
+    if (input.secondaryColor !== undefined) fields.secondaryColor = normalizeColor(input.secondaryColor, 'secondaryColor');
+    if (input.watermarkPosition !== undefined) {
+        fields.watermarkPosition = String(input.watermarkPosition).trim().toLowerCase();
+        if (!WATERMARK_POSITIONS.includes(fields.watermarkPosition)) {
+            throw new Error(`watermarkPosition must be one of: ${WATERMARK_POSITIONS.join(', ')}`);
+        }
+    }
+    if (input.watermarkOpacity !== undefined) {
+        fields.watermarkOpacity = Number(input.watermarkOpacity);
+        if (!Number.isFinite(fields.watermarkOpacity) || fields.watermarkOpacity < 0.05 || fields.watermarkOpacity > 1) {
+            throw new Error('watermarkOpacity must be from 0.05 to 1');
+        }
+    }
+    return fields;
+}
+
+function probeMedia(filePath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
+            if (err) return reject(err);
+            resolve({
+                duration: Number(metadata.format.duration) || 0,
+                hasVideo: metadata.streams.some(stream => stream.codec_type === 'video'),
+                hasAudio: metadata.streams.some(stream => stream.codec_type === 'audio')
+            });
+        });
+    });
+}
+
+function toBrandKit(row) {
+    const fileUrl = (fileName) => (fileName ? `/brand/${encodeURIComponent(fileName)}` : null);
+    return {
+        id: row.id,
+        name: row.name,
+        primaryColor: row.primary_color,
+        secondaryColor: row.secondary_color,
+        watermarkPosition: row.watermark_position,
+        watermarkOpacity: row.watermark_opacity,
+        files: {
+            font: row.font_file || null,
+            logo: row.logo_file || null,
+            intro: row.intro_file || null,
+            outro: row.outro_file || null
+        },
+        urls: {
+            font: fileUrl(row.font_file),
+            logo: fileUrl(row.logo_file),
+            intro: fileUrl(row.intro_file),
+            outro: fileUrl(row.outro_file)
+        },
+        introDuration: row.intro_duration,
+        outroDuration: row.outro_duration,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Kits live in the brand_kits table; their font, logo and clips are files in brandDir (served
+// as /brand/...). A tiktok_accounts row links to its kit through brand_kit_id.
+function createBrandKits({ dbRun, dbGet, dbAll, brandDir }) {
+    async function get(id) {
+        const row = await dbGet('SELECT * FROM brand_kits WHERE id = ?', [id]);
+        return row ? toBrandKit(row) : null;
+    }
+
+    async function list() {
+        return (await dbAll('SELECT * FROM brand_kits ORDER BY name')).map(toBrandKit);
+    }
+
+    // Checks uploads ({ font, logo, intro, outro }: paths inside brandDir) and returns the
+    // columns to set. Intro/outro clips must be video of at most MAX_BRAND_CLIP_SECONDS.
+    async function fileColumns(files) {
+        const columns = {};
+        for (const [kind, filePath] of Object.entries(files)) {
+            columns[`${kind}_file`] = path.basename(filePath);
+            if (kind !== 'intro' && kind !== 'outro') continue;
+            let media;
+            try {
+                media = await probeMedia(filePath);
+            } catch (error) {
+                throw new Error(`Could not read the ${kind} as video`);
+            }
+            if (!media.hasVideo) throw new Error(`The ${kind} has no video`);
+            if (media.duration > MAX_BRAND_CLIP_SECONDS) {
+                throw new Error(`The ${kind} runs ${media.duration.toFixed(1)}s; keep it under ${MAX_BRAND_CLIP_SECONDS}s`);
+            }
+            columns[`${kind}_duration`] = media.duration;
+        }
+        return columns;
+    }
+
+    async function removeFiles(fileNames) {
+        for (const fileName of fileNames.filter(Boolean)) {
+            await fsp.unlink(path.join(brandDir, fileName)).catch(() => {});
+        }
+    }
+
+    async function create(fields, files = {}) {
+        if (!fields.name) throw new Error('A brand kit needs a name');
+        const columns = await fileColumns(files);
+        const { lastID } = await dbRun(
+            `INSERT INTO brand_kits (name, primary_color, secondary_color, watermark_position, watermark_opacity,
+                font_file, logo_file, intro_file, outro_file, intro_duration, outro_duration)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                fields.name,
+                fields.primaryColor || '#FFFFFF',
+                fields.secondaryColor || '#000000',
+                fields.watermarkPosition || 'bottom-right',
+                fields.watermarkOpacity === undefined ? 0.6 : fields.watermarkOpacity,
+                columns.font_file || null,
+                columns.logo_file || null,
+                columns.intro_file || null,
+                columns.outro_file || null,
+                columns.intro_duration || null,
+                columns.outro_duration || null
+            ]
+        );
+        return get(lastID);
+    }
+
+    // New files replace the kit's old ones; `clear` lists file kinds to drop
+    async function update(id, fields, files = {}, clear = []) {
+        const kit = await get(id);
+        if (!kit) return null;
+        const columns = await fileColumns(files);
+        for (const kind of clear) {
+            if (files[kind]) continue;
+            columns[`${kind}_file`] = null;
+            if (kind === 'intro' || kind === 'outro') columns[`${kind}_duration`] = null;
+        }
+        const assignments = {
+            name: fields.name,
+            primary_color: fields.primaryColor,
+            secondary_color: fields.secondaryColor,
+            watermark_position: fields.watermarkPosition,
+            watermark_opacity: fields.watermarkOpacity,
+            ...columns
+        };
+        const set = Object.entries(assignments).filter(([, value]) => value !== undefined);
+        if (set.length > 0) {
+            await dbRun(
+                `UPDATE brand_kits SET ${set.map(([column]) => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [...set.map(([, value]) => value), id]
+            );
+        }
+        // Files that were replaced or cleared
+        await removeFiles(BRAND_FILE_KINDS.filter(kind => columns[`${kind}_file`] !== undefined).map(kind => kit.files[kind]));
+        return get(id);
+    }
+
+    // Deletes the kit and its files; linked accounts go back to no kit
+    async function remove(id) {
+        const kit = await get(id);
+        if (!kit) return null;
+        await dbRun('UPDATE tiktok_accounts SET brand_kit_id = NULL WHERE brand_kit_id = ?', [id]);
+        await dbRun('DELETE FROM brand_kits WHERE id = ?', [id]);
+        await removeFiles(Object.values(kit.files));
+        return kit;
+    }
+
+    // The kit with absolute paths to the files a render can use; files deleted by hand are left out
+    async function forRender(id) {
+        const kit = await get(id);
+        if (!kit) return null;
+        const paths = {};
+        for (const kind of BRAND_FILE_KINDS) {
+            const filePath = kit.files[kind] ? path.join(brandDir, kit.files[kind]) : null;
+            if (filePath && !fs.existsSync(filePath)) {
+                console.warn(`[BRAND] ⚠️ The ${kind} of brand kit "${kit.name}" is missing (${kit.files[kind]})`);
+            }
+            paths[kind] = filePath && fs.existsSync(filePath) ? filePath : null;
+        }
+        return { ...kit, paths };
+    }
+
+    return { get, list, create, update, remove, forRender };
+}
+
+// The watermark: the logo at `opacity`, in a corner of the safe area, until `until` seconds
+// (the end card, which shows the logo itself)
+function buildWatermarkFilters(inputLabel, outputLabel, { inputIndex, position, opacity, width, height, safeArea, until = null }) {
+    const unit = Math.min(width, height);
+    const margin = Math.round(unit * 0.03);
+    const x = position.endsWith('left') ? `${Math.round(width * safeArea.left) + margin}` : `${Math.round(width * (1 - safeArea.right)) - margin}-w`;
+    const y = position.startsWith('top') ? `${Math.round(height * safeArea.top) + margin}` : `${Math.round(height * (1 - safeArea.bottom)) - margin}-h`;
+    const enable = until === null ? '' : `:enable='lt(t\\,${Number(until.toFixed(3))})'`;
+    return [
+        `[${inputIndex}:v]scale=${Math.round(unit * WATERMARK_SCALE)}:-1,format=rgba,colorchannelmixer=aa=${opacity}[watermark]`,
+        `[${inputLabel}][watermark]overlay=x=${x}:y=${y}${enable}[${outputLabel}]`
+    ];
+}
+
+// Puts the intro and outro clips ({ index, duration, hasAudio } or null) around the video.
+// Clips are letterboxed into the frame; a clip without sound gets silence. audioLabel is null
+// when the video itself has no audio, and then the output has none either.
+function buildBookendFilters({ videoLabel, audioLabel, intro, outro, width, height, mainDuration, outputVideo, outputAudio }) {
+    const filters = [];
+    const parts = [];
+    const audioFormat = 'aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo';
+    const addClip = (clip, name) => {
+        filters.push(
+            `[${clip.index}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,` +
+                `setsar=1,fps=${SEGMENT_FPS},format=yuv420p,trim=duration=${clip.duration},setpts=PTS-STARTPTS[${name}v]`
+        );
+        if (audioLabel) {
+            filters.push(clip.hasAudio
+                ? `[${clip.index}:a]${audioFormat},apad,atrim=duration=${clip.duration},asetpts=PTS-STARTPTS[${name}a]`
+                : `anullsrc=r=44100:cl=stereo,atrim=duration=${clip.duration},${audioFormat}[${name}a]`);
+        }
+        parts.push(name);
+    };
+
+    if (intro) addClip(intro, 'intro');
+    filters.push(`[${videoLabel}]setsar=1,format=yuv420p[mainv]`);
+    if (audioLabel) filters.push(`[${audioLabel}]${audioFormat},apad,atrim=duration=${mainDuration}[maina]`);
+    parts.push('main');
+    if (outro) addClip(outro, 'outro');
+
+    const inputs = parts.map(name => (audioLabel ? `[${name}v][${name}a]` : `[${name}v]`)).join('');
+    filters.push(`${inputs}concat=n=${parts.length}:v=1:a=${audioLabel ? 1 : 0}[${outputVideo}]${audioLabel ? `[${outputAudio}]` : ''}`);
+    return filters;
+}
+
+module.exports = {
+    BRAND_FILE_TYPES,
+    WATERMARK_POSITIONS,
+    normalizeColor,
+    ffmpegColor,
+    normalizeBrandKitFields,
+    probeMedia,
+    createBrandKits,
+    buildWatermarkFilters,
+    buildBookendFilters
+};
@@ -0,0 +1,164 @@
+// --- DISK CACHE: CONTENT-ADDRESSED ENTRIES WITH TTL & LRU EVICTION ---
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const path = require('path');
+
+// Entries are stored as <sha256(key)><extension>, so any string (a search URL, a video id) is a safe key
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// One directory, one size budget. The least recently used entries go first when a write
+// pushes the directory over maxBytes; file mtimes carry that order across restarts.
+// JSON entries also expire after ttlMs (0 = never).
+function createDiskCache({ name, dir, maxBytes, ttlMs = 0, extension = '' }) {
+    const entries = new Map(); // hash -> { file, size }, least recently used first
+    const stats = { hits: 0, misses: 0, writes: 0, evictions: 0, expired: 0 };
+    let bytes = 0;
+    let loading = null;
+
+    function load() {
+        if (!loading) {
+            loading = (async () => {
+                await fsp.mkdir(dir, { recursive: true });
+                const found = [];
+                for (const fileName of await fsp.readdir(dir)) {
+                    const file = path.join(dir, fileName);
+                    // Half-written entries from a crash
+                    if (fileName.endsWith('.partial')) {
+                        await fsp.unlink(file).catch(() => {});
+                        continue;
+                    }
+                    if (extension && !fileName.endsWith(extension)) continue;
+                    const stat = await fsp.stat(file);
+                    found.push({ hash: fileName.slice(0, fileName.length - extension.length), file, size: stat.size, usedAt: stat.mtimeMs });
+                }
+                found.sort((a, b) => a.usedAt - b.usedAt);
+                for (const { hash, file, size } of found) {
+                    entries.set(hash, { file, size });
+                    bytes += size;
+                }
+            })();
+        }
+        return loading;
+    }
+
+    function forget(hash) {
+        const entry = entries.get(hash);
+        if (!entry) return null;
+        entries.delete(hash);
+        bytes -= entry.size;
+        return entry;
+    }
+
+    async function remove(hash) {
+        const entry = forget(hash);
+        if (entry) await fsp.unlink(entry.file).catch(() => {});
+    }
+
+    // Moves the entry to the most recently used end, in memory and on disk
+    function touch(hash, entry) {
+        entries.delete(hash);
+        entries.set(hash, entry);
+        const now = new Date();
+        fsp.utimes(entry.file, now, now).catch(() => {});
+    }
+
+    async function evict(keepHash) {
+        for (const hash of Array.from(entries.keys())) {
+            if (bytes <= maxBytes) break;
+            if (hash === keepHash) continue;
+            await remove(hash);
+            stats.evictions++;
+        }
+    }
+
+    // Path of the cached file, or null. Callers should copy it rather than hold on to it,
+    // since a later write may evict it.
+    async function getFile(key) {
+        await load();
+        const hash = hashKey(key);
+        const entry = entries.get(hash);
+        if (!entry) {
+            stats.misses++;
+            return null;
+        }
+        try {
+            await fsp.access(entry.file);
+        } catch (error) {
+            // Deleted behind our back
+            forget(hash);
+            stats.misses++;
+            return null;
+        }
+        stats.hits++;
+        touch(hash, entry);
+        return entry.file;
+    }
+
+    async function putFile(key, data) {
+        await load();
+        const hash = hashKey(key);
+        const file = path.join(dir, `${hash}${extension}`);
+        // Write then rename, so readers never see half a file
+        const partial = `${file}.${process.pid}.${Math.random().toString(36).slice(2, 8)}.partial`;
+        await fsp.writeFile(partial, data);
+        await fsp.rename(partial, file);
+
+        forget(hash);
+        entries.set(hash, { file, size: data.length });
+        bytes += data.length;
+        stats.writes++;
+        await evict(hash);
+        return file;
+    }
+
+    async function getJson(key) {
+        const file = await getFile(key);
+        if (!file) return null;
+        const hash = hashKey(key);
+        try {
+            const { storedAt, value } = JSON.parse(await fsp.readFile(file, 'utf8'));
+            if (ttlMs && Date.now() - storedAt > ttlMs) {
+                // getFile already counted a hit; an expired entry is really a miss
+                stats.hits--;
+                stats.misses++;
+                stats.expired++;
+                await remove(hash);
+                return null;
+            }
+            return value;
+        } catch (error) {
+            stats.hits--;
+            stats.misses++;
+            await remove(hash);
+            return null;
+        }
+    }
+
+    function setJson(key, value) {
+        return putFile(key, Buffer.from(JSON.stringify({ storedAt: Date.now(), key: String(key), value })));
+    }
+
+    function snapshot() {
+        const lookups = stats.hits + stats.misses;
+        return {
+            name,
+            entries: entries.size,
+            bytes,
+            maxBytes,
+            ttlSeconds: ttlMs ? Math.round(ttlMs / 1000) : null,
+            ...stats,
+            hitRate: lookups ? Number((stats.hits / lookups).toFixed(3)) : null
+        };
+    }
+
+    load().catch(error => console.error(`[CACHE] ❌ Could not open ${name} cache in ${dir}:`, error.message));
+
+    return { getFile, putFile, getJson, setJson, stats: snapshot };
+}
+
+module.exports = {
+    hashKey,
+    createDiskCache
+};
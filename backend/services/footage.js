@@ -0,0 +1,251 @@
+// --- FOOTAGE PROVIDERS: PEXELS, LOCAL LIBRARY & MIXED SOURCES ---
+// A provider is { name, isAvailable(), search(query, { productName, orientation, exclude }),
+// candidates(query, { orientation, limit }), clip(id) }. search resolves with
+// { url, provider, id } or null; `exclude` holds the urls already picked for this
+// video so the same clip is not used twice. candidates lists several matches (plus duration
+// and thumbnail) for swapping a clip by hand, and clip(id) looks one of them up again so a
+// swapped clip's url comes from the provider rather than from the client.
+
+const FOOTAGE_SOURCES = ['auto', 'pexels', 'local', 'mixed'];
+
+// Pexels only knows portrait/landscape/square, which matches the preset aspect ratios
+function orientationForPreset(preset) {
+    if (preset.width === preset.height) return 'square';
+    return preset.width > preset.height ? 'landscape' : 'portrait';
+}
+
+// Only what search() reads is kept, so cached responses stay small
+function slimPexelsVideos(videos) {
+    return videos.map(video => ({
+        id: video.id,
+        duration: video.duration,
+        image: video.image || null,
+        video_files: (video.video_files || [])
+            .filter(file => file.link)
+            .map(({ quality, width, height, link }) => ({ quality, width, height, link }))
+    }));
+}
+
+// searchCache (services/cache.js) keeps responses per query so repeat products skip the API
+function createPexelsProvider({ apiKey, axios, searchCache = null }) {
+    async function query(text, orientation) {
+        const params = {
+            query: text,
+            per_page: 20,
+            orientation,
+            min_duration: 8,
+            max_duration: 40
+        };
+        const cacheKey = `pexels:videos/search:${JSON.stringify(params)}`;
+        if (searchCache) {
+            const cached = await searchCache.getJson(cacheKey);
+            if (cached) {
+                console.log(`[PEXELS] 💾 Cached results for "${text}"`);
+                return cached;
+            }
+        }
+
+        const res = await axios.get(`https://api.pexels.com/videos/search`, {
+            headers: { Authorization: apiKey },
+            params
+        });
+        const videos = slimPexelsVideos(res.data.videos || []);
+        if (searchCache) {
+            await searchCache.setJson(cacheKey, videos).catch(error => {
+                console.warn(`[PEXELS] ⚠️ Could not cache search results: ${error.message}`);
+            });
+        }
+        return videos;
+    }
+
+    async function search(visualDescription, { productName = '', orientation = 'portrait', exclude = [] } = {}) {
+        if (!apiKey) throw new Error("Pexels API Key is missing.");
+        try {
+            // Try product-specific search first
+            let text = `${productName} ${visualDescription}`.trim();
+            console.log(`[PEXELS] 🔍 Primary search: "${text}"`);
+            let videos = await query(text, orientation);
+
+            // If no results, try broader search
+            if (videos.length === 0 && text !== visualDescription) {
+                text = visualDescription;
+                console.log(`[PEXELS] 🔄 Fallback search: "${text}"`);
+                videos = await query(text, orientation);
+            }
+
+            const match = usableClips(videos).find(clip => !exclude.includes(clip.url));
+            if (match) {
+                console.log(`[PEXELS] ✅ Found HD video: ${match.id}`);
+            }
+            return match || null;
+        } catch (error) {
+            console.error(`[PEXELS] ❌ Search failed for "${visualDescription}":`, error.message);
+            return null;
+        }
+    }
+
+    // HD files of 8-40 second clips, in Pexels' relevance order
+    function usableClips(videos) {
+        const clips = [];
+        for (const video of videos) {
+            if (video.duration < 8 || video.duration > 40) continue;
+            const hdVideo = video.video_files.find(f => f.quality === 'hd' && f.link);
+            if (hdVideo) {
+                clips.push({ url: hdVideo.link, provider: 'pexels', id: video.id, duration: video.duration, thumbnail: video.image || null });
+            }
+        }
+        return clips;
+    }
+
+    async function candidates(text, { orientation = 'portrait', limit = 12 } = {}) {
+        if (!apiKey) throw new Error("Pexels API Key is missing.");
+        return usableClips(await query(text, orientation)).slice(0, limit);
+    }
+
+    async function clip(id) {
+        if (!apiKey) throw new Error("Pexels API Key is missing.");
+        if (!/^\d+$/.test(String(id))) return null;
+        const cacheKey = `pexels:videos/videos:${id}`;
+        let videos = searchCache ? await searchCache.getJson(cacheKey) : null;
+        if (!videos) {
+            try {
+                const res = await axios.get(`https://api.pexels.com/videos/videos/${id}`, { headers: { Authorization: apiKey } });
+                videos = slimPexelsVideos([res.data]);
+            } catch (error) {
+                if (error.response && error.response.status === 404) return null;
+                throw error;
+            }
+            if (searchCache) await searchCache.setJson(cacheKey, videos).catch(() => {});
+        }
+        const hdVideo = videos[0].video_files.find(f => f.quality === 'hd' && f.link);
+        return hdVideo ? { url: hdVideo.link, provider: 'pexels', id: videos[0].id } : null;
+    }
+
+    return { name: 'pexels', isAvailable: () => Boolean(apiKey), search, candidates, clip };
+}
+
+// Library clips are served by the API under their id; where they sit on disk stays on the
+// server, which looks the path up again by id when it renders them
+const LIBRARY_CLIP_URL = /^\/api\/footage\/library\/(\d+)\/file$/;
+
+function libraryClipUrl(id) {
+    return `/api/footage/library/${id}/file`;
+}
+
+// Same two-step search as Pexels, against the clips indexed by services/mediaLibrary.js
+function createLocalProvider({ library }) {
+    let clipCount = 0;
+
+    async function search(visualDescription, { productName = '', orientation = 'portrait', exclude = [] } = {}) {
+        try {
+            const excludeIds = exclude
+                .map(url => LIBRARY_CLIP_URL.exec(url))
+                .filter(Boolean)
+                .map(match => Number(match[1]));
+            let text = `${productName} ${visualDescription}`.trim();
+            console.log(`[LIBRARY] 🔍 Primary search: "${text}"`);
+            let [clip] = await library.search(text, { orientation, exclude: excludeIds });
+            if (!clip && text !== visualDescription) {
+                text = visualDescription;
+                console.log(`[LIBRARY] 🔄 Fallback search: "${text}"`);
+                [clip] = await library.search(text, { orientation, exclude: excludeIds });
+            }
+            if (!clip) return null;
+
+            await library.markUsed(clip.id);
+            console.log(`[LIBRARY] ✅ Found local clip: ${clip.fileName} (matched ${clip.score} tag(s))`);
+            return { url: libraryClipUrl(clip.id), provider: 'local', id: clip.id };
+        } catch (error) {
+            console.error(`[LIBRARY] ❌ Search failed for "${visualDescription}":`, error.message);
+            return null;
+        }
+    }
+
+    async function candidates(text, { orientation = 'portrait', limit = 12 } = {}) {
+        const clips = await library.search(text, { orientation, limit });
+        return clips.map(clip => ({ url: libraryClipUrl(clip.id), provider: 'local', id: clip.id, duration: clip.duration, thumbnail: null, fileName: clip.fileName }));
+    }
+
+    async function clip(id) {
+        const found = await library.get(id);
+        return found ? { url: libraryClipUrl(found.id), provider: 'local', id: found.id } : null;
+    }
+
+    // Refreshed from stats() so isAvailable() can stay synchronous
+    async function refresh() {
+        clipCount = (await library.stats()).clips;
+        return clipCount;
+    }
+
+    return { name: 'local', isAvailable: () => clipCount > 0, search, candidates, clip, refresh };
+}
+
+// Picks the providers for a request:
+//   pexels / local  only that provider
+//   mixed           both, alternating which one is asked first so clips come from each
+//   auto            whatever is available (mixed when both are)
+// Throws when the requested source has nothing behind it.
+function createFootageSource(providers, requested = 'auto') {
+    const source = String(requested || 'auto').trim().toLowerCase();
+    if (!FOOTAGE_SOURCES.includes(source)) {
+        throw new Error(`Unknown footage source "${requested}". Use one of: ${FOOTAGE_SOURCES.join(', ')}`);
+    }
+
+    const available = Object.values(providers).filter(provider => provider.isAvailable());
+    let chosen;
+    if (source === 'auto') {
+        chosen = available;
+    } else if (source === 'mixed') {
+        chosen = available;
+        if (chosen.length < 2) {
+            throw new Error('Mixed footage needs both a PEXELS_API_KEY and clips in the local library');
+        }
+    } else {
+        const provider = providers[source];
+        if (!provider || !provider.isAvailable()) {
+            throw new Error(source === 'pexels'
+                ? 'Pexels footage needs PEXELS_API_KEY'
+                : 'The local footage library is empty. Add clips and rescan it.');
+        }
+        chosen = [provider];
+    }
+
+    let searches = 0;
+    const used = { pexels: 0, local: 0 };
+
+    // Each call rotates the provider order, then falls back to the others
+    async function search(query, options = {}) {
+        const offset = searches++ % Math.max(1, chosen.length);
+        const order = [...chosen.slice(offset), ...chosen.slice(0, offset)];
+        for (const provider of order) {
+            const clip = await provider.search(query, options);
+            if (clip) {
+                used[clip.provider] = (used[clip.provider] || 0) + 1;
+                return clip;
+            }
+        }
+        return null;
+    }
+
+    let name = source;
+    if (source === 'auto') {
+        name = chosen.length > 1 ? 'mixed' : (chosen.length === 1 ? chosen[0].name : 'none');
+    }
+
+    return {
+        name,
+        providers: chosen.map(provider => provider.name),
+        isAvailable: () => chosen.length > 0,
+        search,
+        used
+    };
+}
+
+module.exports = {
+    FOOTAGE_SOURCES,
+    orientationForPreset,
+    libraryClipUrl,
+    createPexelsProvider,
+    createLocalProvider,
+    createFootageSource
+};
@@ -0,0 +1,177 @@
+// --- RENDER HISTORY: ONE ROW PER GENERATED VIDEO ---
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { toSqlTimestamp, fromSqlTimestamp } = require('./scheduler');
+
+// Columns holding JSON, decoded by toVideo
+const JSON_COLUMNS = ['script_lines', 'search_terms', 'clips', 'subtitle_files', 'request', 'metadata', 'project'];
+const OBJECT_COLUMNS = ['request', 'metadata', 'project'];
+
+function parseJson(text, fallback) {
+    if (!text) return fallback;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function toVideo(row) {
+    const json = Object.fromEntries(JSON_COLUMNS.map(column => [column, parseJson(row[column], OBJECT_COLUMNS.includes(column) ? null : [])]));
+    const fileName = path.basename(row.file_path);
+    return {
+        id: row.id,
+        productName: row.product_name,
+        productUrl: row.product_url,
+        mood: row.mood,
+        language: row.language,
+        preset: row.preset,
+        audioOption: row.audio_option,
+        script: row.script,
+        scriptLines: json.script_lines,
+        searchTerms: json.search_terms,
+        clips: json.clips,
+        voiceProvider: row.voice_provider,
+        voiceId: row.voice_id,
+        musicTrackId: row.music_track_id,
+        duration: row.duration,
+        filePath: row.file_path,
+        fileName,
+        videoUrl: `/videos/${fileName}`,
+        subtitleFiles: json.subtitle_files,
+        request: json.request,
+        metadata: json.metadata,
+        // Renders from before projects were stored (and imported files) can't be edited
+        project: json.project,
+        parentId: row.parent_id || null,
+        // A/B variants rendered from one request share a group; variantId is 'A', 'B'...
+        variantGroup: row.variant_group || null,
+        variantId: row.variant_id || null,
+        source: row.source,
+        fileExists: fs.existsSync(row.file_path),
+        createdAt: fromSqlTimestamp(row.created_at).toISOString()
+    };
+}
+
+// "tiktok-GlowSerum-1733000000000.mp4" → { product: 'GlowSerum', createdAt: Date }
+function parseVideoFileName(fileName) {
+    const match = /^[a-z0-9]+-(.*)-(\d{12,})\.mp4$/i.exec(fileName);
+    if (!match) return { product: path.basename(fileName, '.mp4'), createdAt: null };
+    return { product: match[1] || 'Unknown product', createdAt: new Date(Number(match[2])) };
+}
+
+function probeDuration(filePath) {
+    return new Promise((resolve) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => resolve(err ? null : Number(metadata.format.duration) || null));
+    });
+}
+
+// Renders are recorded as they finish. MP4s already in videosDir from before the table
+// existed are imported by importExisting() with what the file name tells us.
+function createVideoHistory({ dbRun, dbAll, dbGet, videosDir }) {
+    async function record(entry) {
+        const { lastID } = await dbRun(
+            `INSERT INTO videos (product_name, product_url, mood, language, preset, audio_option, script, script_lines, search_terms, clips,
+                voice_provider, voice_id, music_track_id, duration, file_path, subtitle_files, request, metadata, project, parent_id, variant_group, variant_id, source)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                entry.productName,
+                entry.productUrl || null,
+                entry.mood || null,
+                entry.language || null,
+                entry.preset || null,
+                entry.audioOption || null,
+                entry.script || null,
+                JSON.stringify(entry.scriptLines || []),
+                JSON.stringify(entry.searchTerms || []),
+                JSON.stringify(entry.clips || []),
+                entry.voiceProvider || null,
+                entry.voiceId || null,
+                entry.musicTrackId || null,
+                entry.duration || null,
+                entry.filePath,
+                JSON.stringify(entry.subtitleFiles || []),
+                entry.request ? JSON.stringify(entry.request) : null,
+                entry.metadata ? JSON.stringify(entry.metadata) : null,
+                entry.project ? JSON.stringify(entry.project) : null,
+                entry.parentId || null,
+                entry.variantGroup || null,
+                entry.variantId || null,
+                entry.parentId ? 'rerender' : 'render'
+            ]
+        );
+        return lastID;
+    }
+
+    async function importExisting() {
+        let files;
+        try {
+            files = (await fsp.readdir(videosDir)).filter(name => name.endsWith('.mp4'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+        const known = new Set((await dbAll('SELECT file_path FROM videos')).map(row => path.basename(row.file_path)));
+        let imported = 0;
+        for (const fileName of files) {
+            if (known.has(fileName)) continue;
+            const filePath = path.join(videosDir, fileName);
+            const { product, createdAt } = parseVideoFileName(fileName);
+            const stat = await fsp.stat(filePath);
+            await dbRun(
+                `INSERT INTO videos (product_name, duration, file_path, source, created_at) VALUES (?, ?, ?, 'imported', ?)`,
+                [product, await probeDuration(filePath), filePath, toSqlTimestamp(createdAt || stat.mtime)]
+            );
+            imported++;
+        }
+        if (imported > 0) {
+            console.log(`[HISTORY] 📼 Imported ${imported} earlier video(s) from ${videosDir}`);
+        }
+        return imported;
+    }
+
+    // Newest first; `query` matches the product name or the script, `variantGroup` lists
+    // one set of A/B variants
+    async function list({ limit = 24, offset = 0, query = '', variantGroup = null } = {}) {
+        const conditions = [];
+        const params = [];
+        if (query) {
+            conditions.push('(product_name LIKE ? OR script LIKE ?)');
+            params.push(`%${query}%`, `%${query}%`);
+        }
+        if (variantGroup) {
+            conditions.push('variant_group = ?');
+            params.push(variantGroup);
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const { total } = await dbGet(`SELECT COUNT(*) AS total FROM videos ${where}`, params);
+        const rows = await dbAll(`SELECT * FROM videos ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+        return { total, videos: rows.map(toVideo) };
+    }
+
+    async function get(id) {
+        const row = await dbGet('SELECT * FROM videos WHERE id = ?', [id]);
+        return row ? toVideo(row) : null;
+    }
+
+    // Deletes the row, the MP4 and its .srt/.vtt sidecars
+    async function remove(id) {
+        const video = await get(id);
+        if (!video) return null;
+        await dbRun('DELETE FROM videos WHERE id = ?', [id]);
+        const base = video.filePath.replace(/\.mp4$/, '');
+        for (const file of [video.filePath, `${base}.srt`, `${base}.vtt`]) {
+            await fsp.unlink(file).catch(() => {});
+        }
+        return video;
+    }
+
+    return { record, importExisting, list, get, remove };
+}
+
+module.exports = {
+    parseVideoFileName,
+    createVideoHistory
+};
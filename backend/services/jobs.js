@@ -0,0 +1,187 @@
+// --- RENDER JOBS: IN-MEMORY REGISTRY WITH STAGE/PERCENT PROGRESS ---
+const { EventEmitter } = require('events');
+
+// Share of the overall progress bar each stage covers
+const JOB_STAGES = {
+    queued: { from: 0, to: 0 },
+    script: { from: 0, to: 10 },
+    footage: { from: 10, to: 40 },
+    voice: { from: 40, to: 55 },
+    render: { from: 55, to: 99 },
+    done: { from: 100, to: 100 }
+};
+
+// Finished jobs are kept this long so clients can still fetch the result
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let jobCounter = 0;
+
+// Renders are CPU bound, so only this many run at once; the rest wait in FIFO order
+let maxConcurrentJobs = 1;
+let runningJobs = 0;
+const waitingJobs = []; // { job, start }
+
+function serializeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        stage: job.stage,
+        stagePercent: job.stagePercent,
+        percent: job.percent,
+        message: job.message,
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+function emitJob(job) {
+    job.updatedAt = new Date().toISOString();
+    events.emit(job.id, serializeJob(job));
+}
+
+function createJob(type, meta = {}) {
+    const id = `${Date.now().toString(36)}-${(++jobCounter).toString(36)}`;
+    const now = new Date().toISOString();
+    const job = {
+        id,
+        type,
+        meta,
+        status: 'queued',
+        stage: 'queued',
+        stagePercent: 0,
+        percent: 0,
+        message: 'Waiting to start',
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    jobs.set(id, job);
+    return job;
+}
+
+// stagePercent is 0-100 within the stage; the overall percent never goes backwards
+function updateJobProgress(id, stage, stagePercent = 0, message) {
+    const job = jobs.get(id);
+    if (!job || job.status === 'completed' || job.status === 'failed') return;
+    const range = JOB_STAGES[stage] || JOB_STAGES.queued;
+    const clamped = Math.max(0, Math.min(100, stagePercent));
+    job.status = 'running';
+    job.stage = stage;
+    job.stagePercent = Math.round(clamped);
+    job.percent = Math.max(job.percent, Math.round(range.from + (range.to - range.from) * clamped / 100));
+    if (message) job.message = message;
+    emitJob(job);
+}
+
+function completeJob(id, result) {
+    const job = jobs.get(id);
+    if (!job) return;
+    job.status = 'completed';
+    job.stage = 'done';
+    job.stagePercent = 100;
+    job.percent = 100;
+    job.message = 'Video ready';
+    job.result = result;
+    emitJob(job);
+    scheduleCleanup(id);
+}
+
+function failJob(id, error, message) {
+    const job = jobs.get(id);
+    if (!job) return;
+    job.status = 'failed';
+    job.error = error.message || String(error);
+    job.message = message || job.error;
+    emitJob(job);
+    scheduleCleanup(id);
+}
+
+function scheduleCleanup(id) {
+    setTimeout(() => {
+        jobs.delete(id);
+        events.removeAllListeners(id);
+    }, JOB_RETENTION_MS).unref();
+}
+
+function getJob(id) {
+    const job = jobs.get(id);
+    return job ? serializeJob(job) : null;
+}
+
+function listJobs() {
+    return Array.from(jobs.values()).map(serializeJob);
+}
+
+// Returns an unsubscribe function
+function subscribeToJob(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+}
+
+function setJobConcurrency(limit) {
+    maxConcurrentJobs = Math.max(1, Math.floor(limit) || 1);
+    startWaitingJobs();
+}
+
+function jobQueueStatus() {
+    return { running: runningJobs, waiting: waitingJobs.length, maxConcurrent: maxConcurrentJobs };
+}
+
+function startWaitingJobs() {
+    while (runningJobs < maxConcurrentJobs && waitingJobs.length > 0) {
+        runningJobs++;
+        waitingJobs.shift().start();
+    }
+    // Tell the jobs still waiting where they are in line
+    waitingJobs.forEach(({ job }, i) => {
+        job.message = `Waiting for a render slot (${i + 1} in line)`;
+        emitJob(job);
+    });
+}
+
+// Queues `task(progress, jobId)` and returns the job immediately; it starts once a slot
+// is free (see setJobConcurrency). `describeError` turns a thrown error into the
+// user-facing failure message.
+function runJob(type, meta, task, describeError = (err) => err.message) {
+    const job = createJob(type, meta);
+    const progress = (stage, stagePercent, message) => updateJobProgress(job.id, stage, stagePercent, message);
+
+    const start = () => setImmediate(async () => {
+        try {
+            const result = await task(progress, job.id);
+            completeJob(job.id, result);
+        } catch (error) {
+            console.error(`[JOBS] ❌ Job ${job.id} failed:`, error.message);
+            failJob(job.id, error, describeError(error));
+        } finally {
+            runningJobs--;
+            startWaitingJobs();
+        }
+    });
+
+    waitingJobs.push({ job, start });
+    startWaitingJobs();
+    return serializeJob(job);
+}
+
+module.exports = {
+    JOB_STAGES,
+    createJob,
+    updateJobProgress,
+    completeJob,
+    failJob,
+    getJob,
+    listJobs,
+    subscribeToJob,
+    setJobConcurrency,
+    jobQueueStatus,
+    runJob
+};
@@ -0,0 +1,83 @@
+// --- KEN BURNS: TURN STILL PRODUCT PHOTOS INTO MOVING VIDEO SEGMENTS ---
+
+const SEGMENT_FPS = 30;
+
+// Zoom stays within 1.0-1.18 so the photo never leaves the frame
+const MOTIONS = {
+    'zoom-in': {
+        z: (frames) => `1+0.18*on/${frames}`,
+        x: () => 'iw/2-(iw/zoom/2)',
+        y: () => 'ih/2-(ih/zoom/2)'
+    },
+    'zoom-out': {
+        z: (frames) => `1.18-0.18*on/${frames}`,
+        x: () => 'iw/2-(iw/zoom/2)',
+        y: () => 'ih/2-(ih/zoom/2)'
+    },
+    'pan-right': {
+        z: () => '1.15',
+        x: (frames) => `(iw-iw/zoom)*on/${frames}`,
+        y: () => 'ih/2-(ih/zoom/2)'
+    },
+    'pan-left': {
+        z: () => '1.15',
+        x: (frames) => `(iw-iw/zoom)*(1-on/${frames})`,
+        y: () => 'ih/2-(ih/zoom/2)'
+    },
+    'pan-up': {
+        z: () => '1.15',
+        x: () => 'iw/2-(iw/zoom/2)',
+        y: (frames) => `(ih-ih/zoom)*(1-on/${frames})`
+    }
+};
+
+const MOTION_ORDER = Object.keys(MOTIONS);
+
+// Cycle through motions so consecutive photos don't move the same way
+function motionForIndex(index) {
+    return MOTION_ORDER[index % MOTION_ORDER.length];
+}
+
+// Product shots are usually square on a plain background, so the photo is fitted
+// over a blurred, cropped copy of itself instead of being cropped to 9:16.
+function buildImageSegmentFilters(inputIndex, outputLabel, { width, height, duration, motion = 'zoom-in' }) {
+    const frames = Math.max(1, Math.round(duration * SEGMENT_FPS));
+    const move = MOTIONS[motion] || MOTIONS['zoom-in'];
+    const id = `kb${inputIndex}`;
+
+    return [
+        `[${inputIndex}:v]split=2[${id}bgsrc][${id}fgsrc]`,
+        `[${id}bgsrc]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=40:2[${id}bg]`,
+        `[${id}fgsrc]scale=${Math.round(width * 0.9)}:${Math.round(height * 0.7)}:force_original_aspect_ratio=decrease[${id}fg]`,
+        // Upscale before zoompan so the slow zoom doesn't jitter on whole-pixel steps
+        `[${id}bg][${id}fg]overlay=(W-w)/2:(H-h)/2,scale=${width * 2}:${height * 2},` +
+            `zoompan=z='${move.z(frames)}':x='${move.x(frames)}':y='${move.y(frames)}':d=${frames}:s=${width}x${height}:fps=${SEGMENT_FPS},` +
+            `setsar=1,format=yuv420p[${outputLabel}]`
+    ];
+}
+
+// Alternate stock clips and product photos, leading with a stock clip when there is one.
+// Clips are URLs or footage provider results ({ url, provider, id }).
+function interleaveSegments(videoUrls, imageUrls, maxSegments) {
+    const segments = [];
+    let v = 0;
+    let i = 0;
+    while (segments.length < maxSegments && (v < videoUrls.length || i < imageUrls.length)) {
+        const wantVideo = segments.length % 2 === 0;
+        if ((wantVideo && v < videoUrls.length) || i >= imageUrls.length) {
+            const clip = videoUrls[v++];
+            segments.push(typeof clip === 'string' ? { type: 'video', url: clip } : { type: 'video', ...clip });
+        } else {
+            segments.push({ type: 'image', url: imageUrls[i++] });
+        }
+    }
+    return segments;
+}
+
+module.exports = {
+    SEGMENT_FPS,
+    MOTION_ORDER,
+    motionForIndex,
+    buildImageSegmentFilters,
+    interleaveSegments
+};
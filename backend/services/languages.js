@@ -0,0 +1,49 @@
+// --- LANGUAGES: REQUEST VALUES, AI PROMPT NAMES & VOICE OVERRIDES ---
+
+// `voiceId` overrides the category voice for that language (ELEVENLABS_VOICE_ID_<CODE>);
+// without it the category voice is used, since eleven_multilingual_v2 speaks both.
+// `ttsVoices` are the defaults for the other TTS providers (see services/tts.js);
+// `voicePreview` is the sample line for voice previews.
+const LANGUAGES = {
+    en: {
+        name: 'English',
+        promptName: 'English',
+        style: 'natural spoken American English',
+        aliases: ['en', 'english', 'en-us', 'en-gb'],
+        voiceId: process.env.ELEVENLABS_VOICE_ID_EN || null,
+        ttsVoices: { azure: 'en-US-JennyNeural', openai: 'nova', espeak: 'en-us', say: 'Samantha' },
+        voicePreview: 'Hi! This is how your product videos will sound with this voice.'
+    },
+    id: {
+        name: 'Indonesian',
+        promptName: 'Indonesian (Bahasa Indonesia)',
+        style: 'casual conversational Bahasa Indonesia as used by Indonesian TikTok creators; keep brand and product names as they are',
+        aliases: ['id', 'in', 'indonesian', 'indonesia', 'bahasa', 'bahasa indonesia'],
+        voiceId: process.env.ELEVENLABS_VOICE_ID_ID || null,
+        ttsVoices: { azure: 'id-ID-GadisNeural', openai: 'nova', espeak: 'id', say: 'Damayanti' },
+        voicePreview: 'Hai! Beginilah suara video produkmu dengan suara ini.'
+    }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Accepts a code or a name from the UI ('english', 'Indonesian', 'id', ...)
+function normalizeLanguage(language) {
+    const key = String(language || '').trim().toLowerCase();
+    if (!key) return DEFAULT_LANGUAGE;
+    const match = Object.keys(LANGUAGES).find(code => LANGUAGES[code].aliases.includes(key));
+    if (match) return match;
+    console.warn(`[LANGUAGE] ⚠️ Unsupported language "${language}", using ${LANGUAGES[DEFAULT_LANGUAGE].name}`);
+    return DEFAULT_LANGUAGE;
+}
+
+function getLanguage(code) {
+    return LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    normalizeLanguage,
+    getLanguage
+};
@@ -0,0 +1,243 @@
+// --- MEDIA LIBRARY: LOCAL FOOTAGE INDEXED INTO SQLITE ---
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.webm', '.mkv'];
+
+// Words that say nothing about what a clip shows
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'the', 'of', 'for', 'with', 'in', 'on', 'at', 'to', 'from', 'by', 'is', 'are',
+    'this', 'that', 'it', 'its', 'your', 'my', 'clip', 'video', 'footage', 'stock', 'hd', 'uhd', '4k', 'final', 'copy'
+]);
+
+// "Morning skincare routine" → ['morning', 'skincare', 'routine']; plurals fold to singular
+function keywordsOf(text) {
+    const words = String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+        .filter(word => word.length > 1 && !STOPWORDS.has(word) && !/^\d+$/.test(word));
+    return [...new Set(words)];
+}
+
+// Folder names and the file name are the tags: library/beauty/serum-closeup.mp4 → beauty serum closeup
+function tagsForFile(rootDir, filePath) {
+    const relative = path.relative(rootDir, filePath);
+    const withoutExtension = relative.slice(0, relative.length - path.extname(relative).length);
+    return keywordsOf(withoutExtension.split(path.sep).join(' '));
+}
+
+function orientationOf(width, height) {
+    if (!width || !height) return null;
+    if (Math.abs(width - height) / Math.max(width, height) < 0.05) return 'square';
+    return width > height ? 'landscape' : 'portrait';
+}
+
+// Width, height and duration of the first video stream
+function probeClip(filePath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
+            if (err) return reject(err);
+            const stream = (metadata.streams || []).find(s => s.codec_type === 'video');
+            if (!stream) return reject(new Error('No video stream'));
+            // Phones store portrait clips as landscape frames plus a rotation flag
+            const rotation = Math.abs(Number((stream.tags && stream.tags.rotate) || 0));
+            const swap = rotation === 90 || rotation === 270;
+            resolve({
+                duration: Number(metadata.format.duration) || Number(stream.duration) || 0,
+                width: swap ? stream.height : stream.width,
+                height: swap ? stream.width : stream.height
+            });
+        });
+    });
+}
+
+async function listVideoFiles(dir) {
+    const files = [];
+    let entries;
+    try {
+        entries = await fsp.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return files;
+        throw error;
+    }
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listVideoFiles(full));
+        } else if (VIDEO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(full);
+        }
+    }
+    return files;
+}
+
+function toClip(row) {
+    return {
+        id: row.id,
+        filePath: row.file_path,
+        fileName: row.file_name,
+        tags: row.tags ? row.tags.split(' ') : [],
+        customTags: row.custom_tags ? row.custom_tags.split(' ') : [],
+        duration: row.duration,
+        width: row.width,
+        height: row.height,
+        orientation: row.orientation,
+        useCount: row.use_count
+    };
+}
+
+// Clips live on disk under rootDir; the table only caches what ffprobe and the path say
+// about them, so deleting the table and rescanning is always safe (custom tags aside).
+function createMediaLibrary({ dbRun, dbAll, dbGet, rootDir }) {
+    let scanning = null;
+    let lastScan = null;
+
+    async function scanNow() {
+        const started = Date.now();
+        const files = await listVideoFiles(rootDir);
+        const known = new Map((await dbAll('SELECT id, file_path, size_bytes, modified_at FROM media_library')).map(row => [row.file_path, row]));
+        const summary = { added: 0, updated: 0, removed: 0, skipped: 0, failed: 0 };
+
+        for (const filePath of files) {
+            const stat = await fsp.stat(filePath);
+            const existing = known.get(filePath);
+            known.delete(filePath);
+            if (existing && existing.size_bytes === stat.size && existing.modified_at === Math.floor(stat.mtimeMs)) {
+                summary.skipped++;
+                continue;
+            }
+
+            let info;
+            try {
+                info = await probeClip(filePath);
+            } catch (error) {
+                console.warn(`[LIBRARY] ⚠️ Skipping ${path.basename(filePath)}: ${error.message}`);
+                summary.failed++;
+                continue;
+            }
+            const values = [
+                path.basename(filePath),
+                tagsForFile(rootDir, filePath).join(' '),
+                info.duration,
+                info.width,
+                info.height,
+                orientationOf(info.width, info.height),
+                stat.size,
+                Math.floor(stat.mtimeMs)
+            ];
+            if (existing) {
+                await dbRun(
+                    `UPDATE media_library
+                     SET file_name = ?, tags = ?, duration = ?, width = ?, height = ?, orientation = ?, size_bytes = ?, modified_at = ?, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [...values, existing.id]
+                );
+                summary.updated++;
+            } else {
+                await dbRun(
+                    `INSERT INTO media_library (file_name, tags, duration, width, height, orientation, size_bytes, modified_at, file_path)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [...values, filePath]
+                );
+                summary.added++;
+            }
+        }
+
+        // Whatever is left in `known` was deleted or moved away
+        for (const row of known.values()) {
+            await dbRun('DELETE FROM media_library WHERE id = ?', [row.id]);
+            summary.removed++;
+        }
+
+        lastScan = { ...summary, total: files.length - summary.failed, finishedAt: new Date().toISOString(), ms: Date.now() - started };
+        console.log(`[LIBRARY] 📚 Indexed ${lastScan.total} clip(s) in ${rootDir} (+${summary.added} ~${summary.updated} -${summary.removed})`);
+        return lastScan;
+    }
+
+    // Concurrent callers share one scan
+    function scan() {
+        if (!scanning) {
+            scanning = scanNow().finally(() => { scanning = null; });
+        }
+        return scanning;
+    }
+
+    // Scores clips by how many query keywords their tags hold, like a Pexels keyword search.
+    // Ties go to the requested orientation, then to the least used clip so videos vary.
+    // `exclude` holds the ids of clips already picked.
+    async function search(query, { orientation = null, minDuration = 0, exclude = [], limit = 1 } = {}) {
+        const keywords = keywordsOf(query);
+        if (keywords.length === 0) return [];
+        const rows = await dbAll('SELECT * FROM media_library WHERE duration >= ?', [minDuration]);
+        const skip = new Set(exclude);
+
+        return rows
+            .filter(row => !skip.has(row.id))
+            .map(row => {
+                const tags = new Set(`${row.tags} ${row.custom_tags}`.split(' ').filter(Boolean));
+                const score = keywords.filter(keyword => tags.has(keyword)).length;
+                return { row, score };
+            })
+            .filter(({ score }) => score > 0)
+            .sort((a, b) =>
+                b.score - a.score ||
+                (b.row.orientation === orientation) - (a.row.orientation === orientation) ||
+                a.row.use_count - b.row.use_count ||
+                a.row.id - b.row.id
+            )
+            .slice(0, limit)
+            .map(({ row, score }) => ({ ...toClip(row), score }));
+    }
+
+    async function get(id) {
+        const row = await dbGet('SELECT * FROM media_library WHERE id = ?', [id]);
+        return row ? toClip(row) : null;
+    }
+
+    async function markUsed(id) {
+        await dbRun('UPDATE media_library SET use_count = use_count + 1 WHERE id = ?', [id]);
+    }
+
+    async function list({ query = '', orientation = null } = {}) {
+        const rows = query
+            ? (await search(query, { limit: 500 }))
+            : (await dbAll('SELECT * FROM media_library ORDER BY file_path')).map(toClip);
+        return orientation ? rows.filter(clip => clip.orientation === orientation) : rows;
+    }
+
+    async function setCustomTags(id, tags) {
+        const words = keywordsOf(Array.isArray(tags) ? tags.join(' ') : tags);
+        const { changes } = await dbRun(
+            'UPDATE media_library SET custom_tags = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [words.join(' '), id]
+        );
+        if (changes === 0) return null;
+        return toClip(await dbGet('SELECT * FROM media_library WHERE id = ?', [id]));
+    }
+
+    async function stats() {
+        const row = await dbGet('SELECT COUNT(*) AS clips, COALESCE(SUM(duration), 0) AS seconds FROM media_library');
+        return {
+            rootDir,
+            exists: fs.existsSync(rootDir),
+            clips: row.clips,
+            totalSeconds: Math.round(row.seconds),
+            lastScan
+        };
+    }
+
+    return { scan, search, get, markUsed, list, setCustomTags, stats };
+}
+
+module.exports = {
+    VIDEO_EXTENSIONS,
+    keywordsOf,
+    tagsForFile,
+    orientationOf,
+    probeClip,
+    createMediaLibrary
+};
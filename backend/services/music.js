@@ -0,0 +1,231 @@
+// --- MUSIC LIBRARY: TAGGED BACKGROUND TRACKS, MOOD MATCHING & DUCKED MIXING ---
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { MOOD_STYLES } = require('./scripts');
+
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.aac', '.ogg'];
+
+// Tracks are matched on the same moods a video is made in
+const MUSIC_MOODS = Object.keys(MOOD_STYLES);
+
+// Tempo that suits each video mood; a track inside the range scores like half a mood tag
+const MOOD_TEMPO = {
+    energetic: [118, 140],
+    funny: [95, 125],
+    trendy: [95, 125],
+    exciting: [120, 150],
+    luxurious: [70, 100]
+};
+
+const FADE_IN_SECONDS = 0.5;
+const FADE_OUT_SECONDS = 1.5;
+
+// Music level on its own, and under the voice before ducking pulls it down further
+const MUSIC_ONLY_VOLUME = 0.4;
+const MUSIC_BED_VOLUME = 0.3;
+
+// "Chill, Upbeat" or ['chill', 'upbeat'] → ['chill', 'upbeat']
+function moodsOf(input) {
+    const text = Array.isArray(input) ? input.join(' ') : String(input || '');
+    return [...new Set(text.toLowerCase().split(/[^a-z0-9-]+/).filter(Boolean))];
+}
+
+// Title, moods, BPM and license as sent by the API; missing fields are left out so
+// updates only touch what was sent
+function normalizeTrackTags(input = {}) {
+    const tags = {};
+    if (input.title !== undefined) {
+        tags.title = String(input.title).trim().slice(0, 120);
+        if (!tags.title) throw new Error('title cannot be empty');
+    }
+    if (input.moods !== undefined) tags.moods = moodsOf(input.moods);
+    if (input.bpm !== undefined) {
+        if (input.bpm === null || input.bpm === '') {
+            tags.bpm = null;
+        } else {
+            tags.bpm = Number(input.bpm);
+            if (!Number.isInteger(tags.bpm) || tags.bpm < 40 || tags.bpm > 220) {
+                throw new Error('bpm must be a whole number from 40 to 220');
+            }
+        }
+    }
+    if (input.license !== undefined) tags.license = String(input.license || '').trim().slice(0, 200) || null;
+    return tags;
+}
+
+function probeAudioDuration(filePath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
+            if (err) return reject(err);
+            resolve(Number(metadata.format.duration) || 0);
+        });
+    });
+}
+
+function toTrack(row) {
+    return {
+        id: row.id,
+        fileName: row.file_name,
+        title: row.title,
+        moods: row.moods ? row.moods.split(' ') : [],
+        bpm: row.bpm,
+        license: row.license,
+        duration: row.duration,
+        useCount: row.use_count,
+        url: `/music/${encodeURIComponent(row.file_name)}`
+    };
+}
+
+// How well a track fits a video mood: 2 for the mood tag, 1 for a tempo in the mood's range
+function scoreTrack(track, mood) {
+    let score = track.moods.includes(mood) ? 2 : 0;
+    const tempo = MOOD_TEMPO[mood];
+    if (tempo && track.bpm && track.bpm >= tempo[0] && track.bpm <= tempo[1]) score += 1;
+    return score;
+}
+
+// Tracks are files in musicDir (served as /music/...); the music_tracks table holds their tags.
+// Files dropped into the folder by hand are picked up by sync() untagged.
+function createMusicLibrary({ dbRun, dbAll, dbGet, musicDir }) {
+    async function sync() {
+        await fsp.mkdir(musicDir, { recursive: true });
+        const files = (await fsp.readdir(musicDir)).filter(name => AUDIO_EXTENSIONS.includes(path.extname(name).toLowerCase()));
+        const known = new Map((await dbAll('SELECT id, file_name FROM music_tracks')).map(row => [row.file_name, row.id]));
+        let added = 0;
+        for (const fileName of files) {
+            if (known.delete(fileName)) continue;
+            let duration = null;
+            try {
+                duration = await probeAudioDuration(path.join(musicDir, fileName));
+            } catch (error) {
+                console.warn(`[MUSIC] ⚠️ Skipping ${fileName}: ${error.message}`);
+                continue;
+            }
+            const title = path.basename(fileName, path.extname(fileName)).replace(/[-_]+/g, ' ').trim();
+            await dbRun('INSERT INTO music_tracks (file_name, title, duration) VALUES (?, ?, ?)', [fileName, title, duration]);
+            added++;
+        }
+        // Left in `known`: deleted from the folder by hand
+        for (const id of known.values()) {
+            await dbRun('DELETE FROM music_tracks WHERE id = ?', [id]);
+        }
+        if (added || known.size) {
+            console.log(`[MUSIC] 🎵 Music library synced (+${added} -${known.size})`);
+        }
+        return { added, removed: known.size };
+    }
+
+    // `filePath` is an upload already inside musicDir
+    async function add(filePath, tags = {}) {
+        const fileName = path.basename(filePath);
+        const duration = await probeAudioDuration(filePath);
+        const { lastID } = await dbRun(
+            'INSERT INTO music_tracks (file_name, title, moods, bpm, license, duration) VALUES (?, ?, ?, ?, ?, ?)',
+            [fileName, tags.title || fileName, (tags.moods || []).join(' '), tags.bpm || null, tags.license || null, duration]
+        );
+        return get(lastID);
+    }
+
+    async function get(id) {
+        const row = await dbGet('SELECT * FROM music_tracks WHERE id = ?', [id]);
+        return row ? { ...toTrack(row), filePath: path.join(musicDir, row.file_name) } : null;
+    }
+
+    // Best matches first when a mood is given
+    async function list({ mood = null } = {}) {
+        const tracks = (await dbAll('SELECT * FROM music_tracks ORDER BY title')).map(toTrack);
+        if (!mood) return tracks;
+        return tracks
+            .map(track => ({ ...track, score: scoreTrack(track, mood) }))
+            .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+    }
+
+    async function update(id, tags) {
+        const fields = [];
+        const values = [];
+        for (const [key, column] of [['title', 'title'], ['moods', 'moods'], ['bpm', 'bpm'], ['license', 'license']]) {
+            if (tags[key] === undefined) continue;
+            fields.push(`${column} = ?`);
+            values.push(key === 'moods' ? tags.moods.join(' ') : tags[key]);
+        }
+        if (fields.length > 0) {
+            const { changes } = await dbRun(
+                `UPDATE music_tracks SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [...values, id]
+            );
+            if (changes === 0) return null;
+        }
+        return get(id);
+    }
+
+    async function remove(id) {
+        const track = await get(id);
+        if (!track) return false;
+        await dbRun('DELETE FROM music_tracks WHERE id = ?', [id]);
+        await fsp.unlink(track.filePath).catch(() => {});
+        return true;
+    }
+
+    // The best-scoring track for the mood; among equals the least used, so videos rotate
+    // through the library instead of repeating one track
+    async function pick({ mood }) {
+        const key = String(mood || '').toLowerCase();
+        const rows = await dbAll('SELECT * FROM music_tracks');
+        const ranked = rows
+            .map(row => ({ row, score: scoreTrack(toTrack(row), key) }))
+            .filter(({ row }) => fs.existsSync(path.join(musicDir, row.file_name)))
+            .sort((a, b) => b.score - a.score || a.row.use_count - b.row.use_count || a.row.id - b.row.id);
+        if (ranked.length === 0) return null;
+        const { row, score } = ranked[0];
+        return { ...toTrack(row), filePath: path.join(musicDir, row.file_name), score };
+    }
+
+    async function markUsed(id) {
+        await dbRun('UPDATE music_tracks SET use_count = use_count + 1 WHERE id = ?', [id]);
+    }
+
+    return { sync, add, get, list, update, remove, pick, markUsed };
+}
+
+// Ducking lets go over one beat, so the music swells back in time with the track
+function duckReleaseMs(bpm) {
+    if (!bpm) return 250;
+    return Math.round(Math.min(800, Math.max(150, 60000 / bpm)));
+}
+
+// Audio filter graph for the render. The music input is expected to be opened with
+// -stream_loop -1, so a short track repeats; it is cut to `duration` and faded at both ends.
+// With a voice the music is sidechain-compressed by it: full level between lines, pulled
+// under the voice while it speaks. The result is labelled [outa].
+function buildAudioMixFilters({ voiceIndex = null, musicIndex = null, duration, bpm = null }) {
+    const filters = [];
+    const fadeOut = Math.min(FADE_OUT_SECONDS, duration / 4);
+    const fades = `afade=t=in:st=0:d=${FADE_IN_SECONDS},afade=t=out:st=${(duration - fadeOut).toFixed(2)}:d=${fadeOut.toFixed(2)}`;
+
+    if (voiceIndex !== null && musicIndex !== null) {
+        // The voice is padded to the full length, so it decides how long the mix runs
+        filters.push(`[${voiceIndex}:a]volume=1.2,apad,atrim=duration=${duration},asplit=2[voice][voicekey]`);
+        filters.push(`[${musicIndex}:a]volume=${MUSIC_BED_VOLUME},atrim=duration=${duration},asetpts=PTS-STARTPTS,${fades}[musicbed]`);
+        filters.push(`[musicbed][voicekey]sidechaincompress=threshold=0.1:ratio=4:attack=20:release=${duckReleaseMs(bpm)}[music]`);
+        filters.push('[voice][music]amix=inputs=2:duration=first[outa]');
+    } else if (voiceIndex !== null) {
+        filters.push(`[${voiceIndex}:a]volume=1.1,apad,atrim=duration=${duration}[outa]`);
+    } else if (musicIndex !== null) {
+        filters.push(`[${musicIndex}:a]volume=${MUSIC_ONLY_VOLUME},atrim=duration=${duration},asetpts=PTS-STARTPTS,${fades}[outa]`);
+    }
+    return filters;
+}
+
+module.exports = {
+    AUDIO_EXTENSIONS,
+    MOOD_TEMPO,
+    moodsOf,
+    normalizeTrackTags,
+    scoreTrack,
+    duckReleaseMs,
+    buildAudioMixFilters,
+    MUSIC_MOODS,
+    createMusicLibrary
+};
@@ -0,0 +1,330 @@
+// --- OVERLAYS: HOOK TITLE CARD, PRICE BADGE & END CARD DRAWN OVER THE VIDEO ---
+const { TIKTOK_SAFE_AREA, resolveSubtitleFont, fitCaption, escapeDrawtext, escapeFilterPath } = require('./subtitles');
+
+// Reusable looks for each overlay. Colors are FFmpeg colors (name or 0xRRGGBB, @alpha);
+// fontScale is a fraction of the frame's short side, like the captions'.
+const OVERLAY_TEMPLATES = {
+    hook: {
+        pop: { label: 'Pop: black on white, drops in', fontScale: 0.085, color: 'black', box: 'white', position: 'top', animation: 'drop' },
+        neon: { label: 'Neon: pink on dark, fades in', fontScale: 0.09, color: '0xff2d95', box: 'black@0.65', position: 'center', animation: 'fade' },
+        minimal: { label: 'Minimal: white on a dim bar', fontScale: 0.07, color: 'white', box: 'black@0.45', position: 'top', animation: 'fade' }
+    },
+    price: {
+        sticker: { label: 'Sticker: yellow, top right', fontScale: 0.06, color: 'black', box: '0xffd400', corner: 'right' },
+        sale: { label: 'Sale tag: red, top left', fontScale: 0.06, color: 'white', box: '0xe53935', corner: 'left' }
+    },
+    endCard: {
+        classic: { label: 'Classic: dark, white button', background: 'black@0.82', color: 'white', buttonColor: 'black', buttonBox: 'white' },
+        bright: { label: 'Bright: purple, yellow button', background: '0x667eea@0.92', color: 'white', buttonColor: 'black', buttonBox: '0xffd400' }
+    }
+};
+
+const OVERLAY_KINDS = Object.keys(OVERLAY_TEMPLATES);
+const DEFAULT_CTA = 'Shop now - link in bio';
+const MAX_OVERLAY_TEXT = 80;
+// The hook card stays up while the hook line is spoken, within these bounds
+const HOOK_CARD_SECONDS = { min: 1.5, max: 4 };
+const END_CARD_SECONDS = { min: 1, max: 6, default: 3 };
+const FADE_SECONDS = 0.3;
+
+function optionalText(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    if (text.length > MAX_OVERLAY_TEXT) throw new Error(`${field} is longer than ${MAX_OVERLAY_TEXT} characters`);
+    return text || null;
+}
+
+// http(s) URLs, or paths this server hosts (/uploads/...)
+function optionalImageUrl(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const url = String(value).trim();
+    if (!/^(https?:\/\/|\/)/i.test(url)) throw new Error(`${field} must be an http(s) URL or an uploaded file path`);
+    return url;
+}
+
+// A template name alone turns an overlay on with its defaults; false/null leaves it off
+function overlayConfig(input, kind) {
+    const value = input[kind];
+    if (!value) return null;
+    const config = typeof value === 'string' ? { template: value } : value;
+    if (typeof config !== 'object' || Array.isArray(config)) throw new Error(`overlays.${kind} must be a template name or an object`);
+    const template = config.template || Object.keys(OVERLAY_TEMPLATES[kind])[0];
+    if (!OVERLAY_TEMPLATES[kind][template]) {
+        throw new Error(`Unknown ${kind} template "${template}". Use any of: ${Object.keys(OVERLAY_TEMPLATES[kind]).join(', ')}`);
+    }
+    return { ...config, template };
+}
+
+// "$29.99" and "$19.99" → "-33%"
+function discountLabel(price, originalPrice) {
+    const amount = (text) => Number(String(text).replace(/[^0-9.]/g, ''));
+    const now = amount(price);
+    const before = amount(originalPrice);
+    if (!(now > 0) || !(before > now)) return null;
+    return `-${Math.round((1 - now / before) * 100)}%`;
+}
+
+// The request's `overlays` → what the project stores (null when none is on):
+//   hook     { template, text? }                                   text: the script's hook line
+//   price    { template, price?, originalPrice?, label? }          price: the product page's
+//   endCard  { template, cta?, title?, imageUrl?, logoUrl?, duration? }   imageUrl: first product photo
+// Throws with the reason when the request can't be drawn. A price badge without a price (none
+// given and none on the product page) stays in the project with price null and isn't drawn.
+function normalizeOverlays(input, { product = null, images = [] } = {}) {
+    if (!input) return null;
+    if (typeof input !== 'object' || Array.isArray(input)) throw new Error('overlays must be an object');
+    const unknown = Object.keys(input).find(kind => !OVERLAY_KINDS.includes(kind));
+    if (unknown) throw new Error(`Unknown overlay "${unknown}". Use any of: ${OVERLAY_KINDS.join(', ')}`);
+
+    const overlays = {};
+    const hook = overlayConfig(input, 'hook');
+    if (hook) {
+        overlays.hook = { template: hook.template, text: optionalText(hook.text, 'overlays.hook.text') };
+    }
+
+    const price = overlayConfig(input, 'price');
+    if (price) {
+        const amount = optionalText(price.price, 'overlays.price.price') || (product && product.price ? product.price.formatted : null);
+        const originalPrice = optionalText(price.originalPrice, 'overlays.price.originalPrice');
+        overlays.price = {
+            template: price.template,
+            price: amount,
+            originalPrice,
+            label: optionalText(price.label, 'overlays.price.label') || discountLabel(amount, originalPrice)
+        };
+    }
+
+    const endCard = overlayConfig(input, 'endCard');
+    if (endCard) {
+        const duration = endCard.duration === undefined ? END_CARD_SECONDS.default : Number(endCard.duration);
+        if (!Number.isFinite(duration) || duration < END_CARD_SECONDS.min || duration > END_CARD_SECONDS.max) {
+            throw new Error(`overlays.endCard.duration must be ${END_CARD_SECONDS.min}-${END_CARD_SECONDS.max} seconds`);
+        }
+        overlays.endCard = {
+            template: endCard.template,
+            cta: optionalText(endCard.cta, 'overlays.endCard.cta') || DEFAULT_CTA,
+            title: optionalText(endCard.title, 'overlays.endCard.title'),
+            imageUrl: optionalImageUrl(endCard.imageUrl, 'overlays.endCard.imageUrl') || images[0] || null,
+            logoUrl: optionalImageUrl(endCard.logoUrl, 'overlays.endCard.logoUrl'),
+            duration
+        };
+    }
+    return Object.keys(overlays).length > 0 ? overlays : null;
+}
+
+// When each overlay is on screen: the hook card while the first caption runs, the end card
+// for the last endCard.duration seconds and the price badge in between
+function overlayWindows(overlays, { timeline, duration }) {
+    const windows = {};
+    if (!overlays) return windows;
+    if (overlays.hook) {
+        const firstLineEnd = timeline.length > 0 ? timeline[0].end : HOOK_CARD_SECONDS.max;
+        const end = overlays.hook.text
+            ? Math.min(HOOK_CARD_SECONDS.max, Math.max(HOOK_CARD_SECONDS.min, firstLineEnd))
+            : Math.max(HOOK_CARD_SECONDS.min, firstLineEnd);
+        windows.hook = { start: 0, end: Math.min(end, duration) };
+    }
+    if (overlays.endCard) {
+        windows.endCard = { start: Math.max(0, duration - overlays.endCard.duration), end: duration };
+    }
+    if (overlays.price && overlays.price.price) {
+        const start = windows.hook ? windows.hook.end : 0;
+        const end = windows.endCard ? windows.endCard.start : duration;
+        if (end > start) windows.price = { start, end };
+    }
+    return windows;
+}
+
+// The captions still burned in: a hook card showing the hook line replaces its caption,
+// and nothing runs under the end card
+function captionsUnderOverlays(timeline, overlays, windows) {
+    return timeline
+        .filter((caption, i) => !(i === 0 && windows.hook && !overlays.hook.text))
+        .filter(caption => !windows.endCard || caption.start < windows.endCard.start)
+        .map(caption => (windows.endCard && caption.end > windows.endCard.start ? { ...caption, end: windows.endCard.start } : caption));
+}
+
+function seconds(value) {
+    return Number(value.toFixed(3));
+}
+
+// Filter expressions go inside single quotes with their commas escaped, like the captions'
+function quoted(expression) {
+    return `'${expression.replace(/,/g, '\\,')}'`;
+}
+
+function enableBetween({ start, end }) {
+    return `enable=${quoted(`between(t,${seconds(start)},${seconds(end)})`)}`;
+}
+
+// Fades in at the start of the window and out at its end
+function fadeAlpha({ start, end }) {
+    const s = seconds(start);
+    const e = seconds(end);
+    return `alpha=${quoted(`if(lt(t,${s + FADE_SECONDS}),max(0,(t-${s})/${FADE_SECONDS}),if(gt(t,${e - FADE_SECONDS}),max(0,(${e}-t)/${FADE_SECONDS}),1))`)}`;
+}
+
+function drawText(text, { fontOption, fontSize, color, x, y, window, box = null, padding = 0, border = false }) {
+    return [
+        `drawtext=${fontOption}`,
+        `text='${escapeDrawtext(text)}'`,
+        'expansion=none',
+        `fontsize=${fontSize}`,
+        `fontcolor=${color}`,
+        ...(box ? ['box=1', `boxcolor=${box}`, `boxborderw=${padding}`] : []),
+        ...(border ? [`borderw=${Math.max(2, Math.round(fontSize / 14))}`, 'bordercolor=black'] : []),
+        `x=${x}`,
+        `y=${y}`,
+        fadeAlpha(window),
+        enableBetween(window)
+    ].join(':');
+}
+
+// A brand kit's colors ({ primary, secondary } as FFmpeg colors) replace the template's:
+// primary for boxes and backdrops, secondary for the text on them
+function brandedTemplate(kind, name, brand) {
+    const template = OVERLAY_TEMPLATES[kind][name];
+    if (!brand) return template;
+    switch (kind) {
+        case 'hook':
+            return { ...template, color: brand.secondary, box: brand.primary };
+        case 'price':
+            return { ...template, color: brand.primary, box: brand.secondary };
+        default:
+            return { ...template, background: `${brand.primary}@0.92`, color: brand.secondary, buttonColor: brand.primary, buttonBox: brand.secondary };
+    }
+}
+
+// Filters that draw `overlays` over [inputLabel] into [outputLabel]. imageInputs holds the
+// FFmpeg input index of the end card's product image and logo (looped stills), or null;
+// brand recolors the templates (see brandedTemplate).
+function buildOverlayFilters(inputLabel, outputLabel, {
+    overlays,
+    windows,
+    hookText,
+    title,
+    width,
+    height,
+    safeArea = TIKTOK_SAFE_AREA,
+    fontFile = resolveSubtitleFont(),
+    imageInputs = {},
+    brand = null
+}) {
+    const unit = Math.min(width, height);
+    const safeLeft = Math.round(width * safeArea.left);
+    const safeRight = Math.round(width * (1 - safeArea.right));
+    const safeTop = Math.round(height * safeArea.top);
+    const safeWidth = safeRight - safeLeft;
+    const fontOption = fontFile ? `fontfile='${escapeFilterPath(fontFile)}'` : `font='Sans\\:style=Bold'`;
+    const centered = `${safeLeft}+(${safeWidth}-text_w)/2`;
+
+    const draws = [];
+    if (windows.hook) {
+        const template = brandedTemplate('hook', overlays.hook.template, brand);
+        const { fontSize, rows } = fitCaption(overlays.hook.text || hookText, Math.round(unit * template.fontScale), safeWidth);
+        const padding = Math.round(fontSize * 0.25);
+        const lineHeight = Math.round(fontSize * 1.2 + padding * 2);
+        const top = template.position === 'center' ? Math.round((height - rows.length * lineHeight) / 2) : safeTop + padding;
+        // 'drop' slides the card down into place over the first moments
+        const drop = template.animation === 'drop' ? `-${Math.round(lineHeight * 0.6)}*max(0,1-t/${FADE_SECONDS * 1.5})` : '';
+        rows.forEach((row, r) => {
+            draws.push(drawText(row, {
+                fontOption,
+                fontSize,
+                color: template.color,
+                box: template.box,
+                padding,
+                x: centered,
+                y: quoted(`${top + r * lineHeight}${drop}`),
+                window: windows.hook
+            }));
+        });
+    }
+
+    if (windows.price) {
+        const template = brandedTemplate('price', overlays.price.template, brand);
+        const fontSize = Math.round(unit * template.fontScale);
+        const padding = Math.round(fontSize * 0.35);
+        const x = template.corner === 'left' ? `${safeLeft + padding}` : `${safeRight - padding}-text_w`;
+        const rows = [
+            { text: overlays.price.label ? `${overlays.price.label}  ${overlays.price.price}` : overlays.price.price, size: fontSize },
+            ...(overlays.price.originalPrice ? [{ text: `was ${overlays.price.originalPrice}`, size: Math.round(fontSize * 0.55) }] : [])
+        ];
+        let y = safeTop + padding;
+        for (const row of rows) {
+            draws.push(drawText(row.text, { fontOption, fontSize: row.size, color: template.color, box: template.box, padding, x, y, window: windows.price }));
+            y += Math.round(row.size * 1.2 + padding * 2);
+        }
+    }
+
+    if (!windows.endCard) {
+        return [`[${inputLabel}]${draws.length > 0 ? draws.join(',') : 'null'}[${outputLabel}]`];
+    }
+
+    // End card: a backdrop over the last seconds, then the logo, product image, title and CTA
+    const card = windows.endCard;
+    const template = brandedTemplate('endCard', overlays.endCard.template, brand);
+    draws.push(`drawbox=x=0:y=0:w=iw:h=ih:color=${template.background}:t=fill:${enableBetween(card)}`);
+    const filters = [`[${inputLabel}]${draws.join(',')}[ovbase]`];
+    let current = 'ovbase';
+
+    const logoHeight = Math.round(height * 0.08);
+    const imageTop = safeTop + (imageInputs.logo !== undefined && imageInputs.logo !== null ? logoHeight + Math.round(unit * 0.04) : 0);
+    const imageBox = { width: Math.round(safeWidth * 0.8), height: Math.round(height * 0.38) };
+    const stills = [
+        { key: 'logo', box: { width: Math.round(safeWidth * 0.5), height: logoHeight }, top: safeTop },
+        { key: 'image', box: imageBox, top: imageTop }
+    ];
+    for (const still of stills) {
+        const index = imageInputs[still.key];
+        if (index === undefined || index === null) continue;
+        filters.push(
+            `[${index}:v]scale=${still.box.width}:${still.box.height}:force_original_aspect_ratio=decrease,format=rgba,` +
+                `fade=t=in:st=${seconds(card.start)}:d=${FADE_SECONDS}:alpha=1[ec${still.key}]`,
+            `[${current}][ec${still.key}]overlay=x=(W-w)/2:y=${still.top}:${enableBetween(card)}[ov${still.key}]`
+        );
+        current = `ov${still.key}`;
+    }
+
+    const titleSize = Math.round(unit * 0.07);
+    const ctaSize = Math.round(unit * 0.06);
+    const ctaPadding = Math.round(ctaSize * 0.5);
+    const textTop = (imageInputs.image !== undefined && imageInputs.image !== null ? imageTop + imageBox.height : Math.round(height * 0.35)) + Math.round(unit * 0.06);
+    const cardTitle = overlays.endCard.title || title;
+    const texts = [];
+    const { fontSize: fittedTitleSize, rows: titleRows } = fitCaption(cardTitle, titleSize, safeWidth);
+    titleRows.forEach((row, r) => {
+        texts.push(drawText(row, { fontOption, fontSize: fittedTitleSize, color: template.color, border: true, x: centered, y: textTop + r * Math.round(fittedTitleSize * 1.25), window: card }));
+    });
+    const ctaTop = textTop + titleRows.length * Math.round(fittedTitleSize * 1.25) + Math.round(unit * 0.05);
+    texts.push(drawText(overlays.endCard.cta, {
+        fontOption,
+        fontSize: ctaSize,
+        color: template.buttonColor,
+        box: template.buttonBox,
+        padding: ctaPadding,
+        x: centered,
+        y: ctaTop + ctaPadding,
+        window: card
+    }));
+    filters.push(`[${current}]${texts.join(',')}[${outputLabel}]`);
+    return filters;
+}
+
+// Templates for the UI's pickers
+function listOverlayTemplates() {
+    return Object.fromEntries(OVERLAY_KINDS.map(kind => [
+        kind,
+        Object.entries(OVERLAY_TEMPLATES[kind]).map(([name, template]) => ({ name, label: template.label }))
+    ]));
+}
+
+module.exports = {
+    OVERLAY_TEMPLATES,
+    DEFAULT_CTA,
+    normalizeOverlays,
+    overlayWindows,
+    captionsUnderOverlays,
+    buildOverlayFilters,
+    listOverlayTemplates
+};
@@ -0,0 +1,102 @@
+// --- OUTPUT PRESETS: RESOLUTION, DURATION, CLIP COUNT, BITRATE & SAFE AREAS PER PLATFORM ---
+const { SECONDS_PER_LINE, TIKTOK_SAFE_AREA } = require('./subtitles');
+
+// safeArea: fractions of the frame covered by each app's own UI (captions stay clear of them)
+const PLATFORMS = {
+    tiktok: {
+        label: 'TikTok',
+        width: 1080,
+        height: 1920,
+        bitrate: '8M',
+        safeArea: TIKTOK_SAFE_AREA,
+        durations: [15, 25, 30, 60],
+        defaultDuration: 25
+    },
+    reels: {
+        label: 'Instagram Reels',
+        width: 1080,
+        height: 1920,
+        bitrate: '8M',
+        safeArea: { top: 0.12, bottom: 0.25, left: 0.06, right: 0.14 },
+        durations: [15, 30, 60],
+        defaultDuration: 30
+    },
+    shorts: {
+        label: 'YouTube Shorts',
+        width: 1080,
+        height: 1920,
+        bitrate: '8M',
+        safeArea: { top: 0.08, bottom: 0.20, left: 0.06, right: 0.16 },
+        durations: [15, 30, 60],
+        defaultDuration: 30
+    },
+    'feed-square': {
+        label: 'Feed Ad 1:1',
+        width: 1080,
+        height: 1080,
+        bitrate: '6M',
+        safeArea: { top: 0.05, bottom: 0.10, left: 0.05, right: 0.05 },
+        durations: [15, 30],
+        defaultDuration: 15
+    },
+    'feed-landscape': {
+        label: 'Feed Ad 16:9',
+        width: 1920,
+        height: 1080,
+        bitrate: '8M',
+        safeArea: { top: 0.05, bottom: 0.12, left: 0.05, right: 0.05 },
+        durations: [15, 30],
+        defaultDuration: 15
+    }
+};
+
+// One clip roughly every five seconds, between 3 and 10 clips
+function buildPreset(platform, duration) {
+    const base = PLATFORMS[platform];
+    return {
+        name: duration === base.defaultDuration ? platform : `${platform}-${duration}`,
+        platform,
+        label: `${base.label} ${duration}s`,
+        width: base.width,
+        height: base.height,
+        aspectRatio: base.width === base.height ? '1:1' : (base.width > base.height ? '16:9' : '9:16'),
+        duration,
+        maxClips: Math.max(3, Math.min(10, Math.round(duration / 5))),
+        lineCount: Math.max(4, Math.round(duration / SECONDS_PER_LINE)),
+        bitrate: base.bitrate,
+        safeArea: base.safeArea
+    };
+}
+
+// Named presets: "tiktok" (the original 25s 1080x1920 output), "tiktok-15", "reels-60", "feed-square-30", ...
+const OUTPUT_PRESETS = {};
+for (const [platform, base] of Object.entries(PLATFORMS)) {
+    for (const duration of base.durations) {
+        const preset = buildPreset(platform, duration);
+        OUTPUT_PRESETS[preset.name] = preset;
+        // Every duration is also reachable by its explicit name, e.g. "tiktok-25"
+        OUTPUT_PRESETS[`${platform}-${duration}`] = preset;
+    }
+}
+
+const DEFAULT_PRESET = 'tiktok';
+
+function getPreset(name = DEFAULT_PRESET) {
+    const preset = OUTPUT_PRESETS[String(name || DEFAULT_PRESET).trim().toLowerCase()];
+    if (!preset) {
+        throw new Error(`Unknown output preset "${name}". Available: ${listPresets().map(p => p.name).join(', ')}`);
+    }
+    return preset;
+}
+
+// Each preset once, in platform order (for the UI and GET /api/presets)
+function listPresets() {
+    return [...new Set(Object.values(OUTPUT_PRESETS))];
+}
+
+module.exports = {
+    DEFAULT_PRESET,
+    OUTPUT_PRESETS,
+    getPreset,
+    listPresets
+};
@@ -0,0 +1,319 @@
+// --- PRODUCT INGESTION: TITLE, PRICE, FEATURES, CATEGORY & IMAGES FROM A PRODUCT URL ---
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+// Keyword lists used to map a product onto the script/voice categories
+const CATEGORY_KEYWORDS = {
+    beauty: ['serum', 'cream', 'skincare', 'skin care', 'beauty', 'glow', 'face', 'makeup', 'cosmetic', 'lotion', 'moisturizer', 'lipstick', 'mascara', 'sunscreen', 'perfume', 'hair'],
+    tech: ['tech', 'gadget', 'phone', 'laptop', 'device', 'electronic', 'headphone', 'earbud', 'speaker', 'charger', 'camera', 'smartwatch', 'computer', 'tablet', 'keyboard'],
+    fashion: ['clothes', 'clothing', 'dress', 'shirt', 'fashion', 'style', 'apparel', 'shoe', 'sneaker', 'jacket', 'jeans', 'handbag', 'jewelry', 'hoodie'],
+    food: ['food', 'snack', 'drink', 'recipe', 'meal', 'coffee', 'tea', 'chocolate', 'grocery', 'beverage', 'protein']
+};
+
+const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£', JPY: '¥', INR: '₹', IDR: 'Rp ' };
+
+const MAX_FEATURES = 6;
+const MAX_IMAGES = 8;
+
+function cleanText(value) {
+    if (!value) return '';
+    return String(value).replace(/\s+/g, ' ').trim();
+}
+
+function inferCategory(...texts) {
+    const haystack = texts.filter(Boolean).join(' ').toLowerCase();
+    for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+        if (keywords.some(keyword => new RegExp(`\\b${keyword}s?\\b`).test(haystack))) return category;
+    }
+    return 'default';
+}
+
+// "Acme Glow Serum with Vitamin C, 30ml | Acme Store" -> "Acme Glow Serum with Vitamin C"
+function shortProductName(title) {
+    const head = cleanText(title).split(/\s[|–—-]\s|,|\(|\[/)[0].trim();
+    const words = head.split(' ');
+    return words.length > 6 ? words.slice(0, 6).join(' ') : head;
+}
+
+// Last resort when the page cannot be read: ".../products/cozy-hoodie-black?x=1" -> "Cozy Hoodie Black"
+function nameFromUrl(pageUrl) {
+    try {
+        const segments = new URL(pageUrl).pathname.split('/').filter(Boolean);
+        const slug = segments.reverse().find(segment => /[a-z]{3,}/.test(segment)
+            && !/[=]|^ref\b/i.test(segment)
+            && !/^(dp|products?|p|item|gp)$/i.test(segment));
+        if (!slug) return null;
+        return shortProductName(decodeURIComponent(slug).replace(/\.[a-z]+$/i, '').replace(/[-_+]+/g, ' ')
+            .replace(/\b\w/g, c => c.toUpperCase()));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Short enough to be read as one script line
+function summarizeFeature(feature) {
+    const text = cleanText(feature).replace(/^[A-Z0-9 &]+:\s*/, '').split(/[.;:]/)[0];
+    const words = text.split(' ');
+    return words.length > 9 ? words.slice(0, 9).join(' ') : text;
+}
+
+// "1,299.00", "1.299,00 €", "19,99" and "Rp 150.000" alike: the last , or . followed by one or
+// two digits is the decimal point, any other separator groups thousands
+function parseAmount(amount) {
+    if (typeof amount === 'number') return amount;
+    const text = String(amount).replace(/[^0-9.,]/g, '');
+    const decimal = /[.,](\d{1,2})$/.exec(text);
+    const whole = (decimal ? text.slice(0, decimal.index) : text).replace(/[.,]/g, '');
+    return Number(decimal ? `${whole}.${decimal[1]}` : whole);
+}
+
+// The currency a price text shows, for prices scraped without a currency code
+function currencyOfText(text) {
+    const found = Object.entries(CURRENCY_SYMBOLS).find(([, symbol]) => String(text).includes(symbol.trim()));
+    return found ? found[0] : null;
+}
+
+function formatPrice(amount, currency) {
+    if (amount === null || amount === undefined || amount === '') return null;
+    const numeric = parseAmount(amount);
+    if (!Number.isFinite(numeric) || numeric <= 0) return null;
+    const code = (currency || '').toUpperCase() || currencyOfText(amount);
+    const symbol = code ? CURRENCY_SYMBOLS[code] : '$';
+    const formatted = symbol ? `${symbol}${numeric.toFixed(2)}` : `${numeric.toFixed(2)} ${code}`;
+    return { amount: numeric, currency: code, formatted };
+}
+
+function absoluteUrl(src, pageUrl) {
+    if (!src) return null;
+    try {
+        return new URL(src.startsWith('//') ? `https:${src}` : src, pageUrl).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+function uniqueList(items, limit) {
+    return [...new Set(items.filter(Boolean))].slice(0, limit);
+}
+
+// --- JSON-LD ---
+function flattenJsonLd(node, out = []) {
+    if (!node) return out;
+    if (Array.isArray(node)) {
+        node.forEach(item => flattenJsonLd(item, out));
+    } else if (typeof node === 'object') {
+        out.push(node);
+        if (node['@graph']) flattenJsonLd(node['@graph'], out);
+    }
+    return out;
+}
+
+function hasType(node, type) {
+    const types = [].concat(node['@type'] || []);
+    return types.some(t => String(t).toLowerCase() === type.toLowerCase());
+}
+
+function extractJsonLd($) {
+    const nodes = [];
+    $('script[type="application/ld+json"]').each((_, el) => {
+        try {
+            flattenJsonLd(JSON.parse($(el).contents().text()), nodes);
+        } catch (e) {
+            // Broken JSON-LD is common; skip the block
+        }
+    });
+    return {
+        product: nodes.find(node => hasType(node, 'Product')) || null,
+        breadcrumb: nodes.find(node => hasType(node, 'BreadcrumbList')) || null
+    };
+}
+
+function jsonLdImages(image) {
+    return [].concat(image || []).map(img => (typeof img === 'string' ? img : img && (img.url || img.contentUrl)));
+}
+
+function jsonLdPrice(product) {
+    const offers = [].concat(product && product.offers ? product.offers : []);
+    for (const offer of offers) {
+        const price = offer.price ?? offer.lowPrice ?? (offer.priceSpecification && offer.priceSpecification.price);
+        const formatted = formatPrice(price, offer.priceCurrency);
+        if (formatted) return formatted;
+    }
+    return null;
+}
+
+// --- PARSERS (pure, no network) ---
+function parseProductHtml(html, pageUrl) {
+    const $ = cheerio.load(html);
+    const meta = (key) => cleanText($(`meta[property="${key}"]`).attr('content') || $(`meta[name="${key}"]`).attr('content'));
+    const { product: ld, breadcrumb } = extractJsonLd($);
+
+    const title = cleanText(
+        (ld && ld.name) || meta('og:title') || $('#productTitle').text() || $('h1').first().text() || $('title').text()
+    );
+    const description = cleanText((ld && ld.description) || meta('og:description') || meta('description'));
+
+    const price = jsonLdPrice(ld)
+        || formatPrice(meta('product:price:amount') || meta('og:price:amount'), meta('product:price:currency') || meta('og:price:currency'))
+        || formatPrice($('#corePrice_feature_div .a-offscreen, #priceblock_ourprice, .a-price .a-offscreen').first().text(), null);
+
+    let features = [];
+    $('#feature-bullets li, .product-features li, .product__description li, [itemprop="description"] li').each((_, el) => {
+        features.push(cleanText($(el).text()));
+    });
+    features = features.filter(f => f.length > 3 && f.length < 300);
+    if (features.length === 0 && description) {
+        features = description.split(/(?<=[.!?])\s+/).filter(s => s.length > 10 && s.length < 200);
+    }
+
+    const breadcrumbNames = breadcrumb && breadcrumb.itemListElement
+        ? [].concat(breadcrumb.itemListElement).map(item => cleanText(item.name || (item.item && item.item.name)))
+        : $('#wayfinding-breadcrumbs_feature_div li a').map((_, el) => cleanText($(el).text())).get();
+    const rawCategory = cleanText((ld && ld.category) || meta('product:category') || breadcrumbNames.filter(Boolean).pop());
+
+    const images = uniqueList([
+        ...jsonLdImages(ld && ld.image),
+        ...$('meta[property="og:image"], meta[property="og:image:secure_url"]').map((_, el) => $(el).attr('content')).get(),
+        $('#landingImage').attr('data-old-hires'),
+        $('#landingImage').attr('src')
+    ].map(src => absoluteUrl(src, pageUrl)), MAX_IMAGES);
+
+    const ldBrand = ld && ld.brand ? (typeof ld.brand === 'string' ? ld.brand : ld.brand.name) : null;
+    const brand = cleanText(ldBrand || meta('product:brand') || meta('og:site_name'));
+
+    return buildProduct({
+        url: pageUrl,
+        source: 'html',
+        title,
+        brand,
+        description,
+        price,
+        features,
+        rawCategory,
+        images
+    });
+}
+
+// Shopify exposes every product as /products/<handle>.json
+function parseShopifyProductJson(data, pageUrl) {
+    const product = data && data.product;
+    if (!product) throw new Error('Not a Shopify product response');
+    const descriptionHtml = product.body_html || '';
+    const $ = cheerio.load(descriptionHtml);
+    const features = $('li').map((_, el) => cleanText($(el).text())).get();
+    const description = cleanText(cheerio.load(descriptionHtml.replace(/</g, ' <')).root().text());
+    const variant = (product.variants || [])[0] || {};
+
+    return buildProduct({
+        url: pageUrl,
+        source: 'shopify-json',
+        title: cleanText(product.title),
+        brand: cleanText(product.vendor),
+        description,
+        price: formatPrice(variant.price, variant.price_currency || product.currency || null),
+        features: features.length ? features : description.split(/(?<=[.!?])\s+/).filter(s => s.length > 10),
+        rawCategory: cleanText(product.product_type || [].concat(product.tags || []).join(' ')),
+        images: (product.images || []).map(img => absoluteUrl(img.src, pageUrl))
+    });
+}
+
+function buildProduct(fields) {
+    const features = uniqueList(fields.features.map(cleanText), MAX_FEATURES);
+    return {
+        ...fields,
+        name: shortProductName(fields.title),
+        features,
+        category: inferCategory(fields.rawCategory, fields.title, features.join(' ')),
+        images: uniqueList(fields.images, MAX_IMAGES)
+    };
+}
+
+function looksBlocked(product, html) {
+    if (!product.title) return true;
+    return /robot check|captcha|access denied|are you a human/i.test(product.title) || /api-services-support@amazon\.com/i.test(html);
+}
+
+// --- FETCHERS ---
+async function fetchShopifyJson(pageUrl) {
+    const url = new URL(pageUrl);
+    const match = url.pathname.match(/\/products\/([^/?#]+)/);
+    if (!match) return null;
+    const handle = match[1].replace(/\.(json|js)$/, '');
+    const jsonUrl = `${url.origin}/products/${handle}.json`;
+    try {
+        const res = await axios.get(jsonUrl, { timeout: 10000, headers: { 'User-Agent': BROWSER_USER_AGENT } });
+        return parseShopifyProductJson(res.data, pageUrl);
+    } catch (error) {
+        console.warn(`[PRODUCT] ⚠️ Shopify JSON endpoint not available: ${error.message}`);
+        return null;
+    }
+}
+
+async function fetchWithBrowser(pageUrl) {
+    const puppeteer = require('puppeteer');
+    const browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+    try {
+        const page = await browser.newPage();
+        await page.setUserAgent(BROWSER_USER_AGENT);
+        await page.goto(pageUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        return await page.content();
+    } finally {
+        await browser.close();
+    }
+}
+
+// Shopify JSON first, then plain HTTP, then a real browser for pages that need JS or block bots
+async function scrapeProduct(pageUrl) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(pageUrl);
+    } catch (e) {
+        throw new Error(`Invalid product URL: ${pageUrl}`);
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw new Error(`Unsupported product URL protocol: ${parsedUrl.protocol}`);
+    }
+
+    console.log(`[PRODUCT] 🔎 Reading product page: ${pageUrl}`);
+    const shopify = await fetchShopifyJson(pageUrl);
+    if (shopify && shopify.title) {
+        console.log(`[PRODUCT] ✅ Shopify product: "${shopify.name}" (${shopify.category})`);
+        return shopify;
+    }
+
+    try {
+        const res = await axios.get(pageUrl, {
+            timeout: 15000,
+            responseType: 'text',
+            headers: { 'User-Agent': BROWSER_USER_AGENT, 'Accept-Language': 'en-US,en;q=0.9' }
+        });
+        const product = parseProductHtml(res.data, pageUrl);
+        if (!looksBlocked(product, res.data)) {
+            console.log(`[PRODUCT] ✅ Parsed product: "${product.name}" (${product.category})`);
+            return product;
+        }
+        console.warn('[PRODUCT] ⚠️ Page looks blocked or incomplete, retrying with a browser...');
+    } catch (error) {
+        console.warn(`[PRODUCT] ⚠️ HTTP fetch failed (${error.message}), retrying with a browser...`);
+    }
+
+    const html = await fetchWithBrowser(pageUrl);
+    const product = { ...parseProductHtml(html, pageUrl), source: 'browser' };
+    if (looksBlocked(product, html)) {
+        throw new Error('Could not read product details from the page');
+    }
+    console.log(`[PRODUCT] ✅ Parsed product (browser): "${product.name}" (${product.category})`);
+    return product;
+}
+
+module.exports = {
+    inferCategory,
+    shortProductName,
+    nameFromUrl,
+    summarizeFeature,
+    parseProductHtml,
+    parseShopifyProductJson,
+    scrapeProduct
+};
@@ -0,0 +1,122 @@
+// --- PROJECTS: THE EDITABLE STATE BEHIND A RENDER ---
+// A project holds every decision a render is made from, so a video can be rendered again
+// with a few lines or clips changed instead of starting over:
+//   productName, productUrl, product, mood, language, preset, audioOption, includeSubtitles,
+//   subtitleFormats, footageSource, scriptSource, searchTerms,
+//   lines      [{ role, text, visual }]                     one caption/voice line each
+//   segments   [{ type, url, provider, id }]                clips and photos, in order
+//   voice      { provider, voices, settings, source }       voice selection (services/voices.js)
+//   voiceover  { text, provider, voice, alignment, cacheKey, extension } | null   what was spoken
+//   musicTrackId
+//   overlays   { hook, price, endCard } | null               graphic overlays (services/overlays.js)
+//   brandKitId                                               font, colors, watermark, intro/outro (services/brandKits.js)
+//   motion     { transitions, speedRamp, staticZoom } | null  transitions and clip motion (services/transitions.js)
+// It is stored as JSON on the video's row in `videos`.
+
+const { normalizeOverlays } = require('./overlays');
+
+const PROJECT_VERSION = 1;
+const MAX_LINE_LENGTH = 200;
+
+// The text sent to the TTS provider; a re-render only needs a new voiceover when this changes
+function voiceoverText(lines) {
+    return lines.map(line => line.text).join('. ') + '.';
+}
+
+// Cache key for a voiceover: the same text in the same voice always sounds the same
+function voiceoverCacheKey({ text, language, provider, voice, settings }) {
+    return `voiceover:${JSON.stringify([provider, voice, language, provider === 'elevenlabs' ? settings : null, text])}`;
+}
+
+function sameSegment(a, b) {
+    return a.type === b.type && (a.provider || null) === (b.provider || null) && String(a.id || '') === String(b.id || '') && a.url === b.url;
+}
+
+// Returns a copy of `project` with edited lines, segments and/or overlays. Lines are strings or
+// { text }; a line keeps the role of the line it replaces (and its footage keywords if
+// the text is unchanged).
+// Segments the project already has are kept as stored; anything new goes through
+// resolveSegment, which must return a trusted segment (or throw) — file paths and other
+// server-side details never come from the client.
+async function applyProjectEdits(project, edits, { maxLines, maxSegments, resolveSegment }) {
+    const next = { ...project };
+
+    if (edits.lines !== undefined) {
+        if (!Array.isArray(edits.lines) || edits.lines.length === 0) {
+            throw new Error('lines must be a non-empty array');
+        }
+        if (edits.lines.length > maxLines) {
+            throw new Error(`This preset fits at most ${maxLines} lines`);
+        }
+        next.lines = edits.lines.map((line, i) => {
+            const text = String(typeof line === 'string' ? line : (line && line.text) || '').replace(/\s+/g, ' ').trim();
+            if (!text) throw new Error(`Line ${i + 1} is empty`);
+            if (text.length > MAX_LINE_LENGTH) throw new Error(`Line ${i + 1} is longer than ${MAX_LINE_LENGTH} characters`);
+            const previous = project.lines[i] || {};
+            return {
+                role: previous.role || (i === 0 ? 'hook' : 'body'),
+                text,
+                visual: previous.text === text ? previous.visual || null : null
+            };
+        });
+    }
+
+    if (edits.segments !== undefined) {
+        if (!Array.isArray(edits.segments) || edits.segments.length === 0) {
+            throw new Error('segments must be a non-empty array');
+        }
+        if (edits.segments.length > maxSegments) {
+            throw new Error(`This preset fits at most ${maxSegments} clips`);
+        }
+        next.segments = [];
+        for (const [i, segment] of edits.segments.entries()) {
+            if (!segment || typeof segment !== 'object' || !segment.url) {
+                throw new Error(`Segment ${i + 1} needs a url`);
+            }
+            const known = project.segments.find(existing => sameSegment(existing, segment));
+            next.segments.push(known || await resolveSegment(segment, i));
+        }
+    }
+
+    // Overlays are replaced as a whole, in the request's format; null removes them
+    if (edits.overlays !== undefined) {
+        next.overlays = normalizeOverlays(edits.overlays, {
+            product: project.product,
+            images: next.segments.filter(segment => segment.type === 'image').map(segment => segment.url)
+        });
+    }
+
+    return next;
+}
+
+// The resolveSegment for applyProjectEdits: a segment the client added to a project. Clips
+// are looked up again from footageProviders by provider and id (never by a client-sent url
+// or path); photos must be web URLs or files the server hosts (localPublicPath(url) finds them).
+function createSegmentResolver({ footageProviders, localPublicPath }) {
+    return async function resolveSegment(segment, i) {
+        if (segment.type === 'image') {
+            const url = String(segment.url);
+            if (!/^https?:\/\//i.test(url) && !localPublicPath(url)) {
+                throw new Error(`Photo ${i + 1} needs an http(s) url`);
+            }
+            return { type: 'image', url };
+        }
+        const provider = footageProviders[segment.provider];
+        if (segment.type !== 'video' || !provider) {
+            throw new Error(`Segment ${i + 1} must be a photo or a ${Object.keys(footageProviders).join('/')} clip`);
+        }
+        const clip = await provider.clip(segment.id);
+        if (!clip) {
+            throw new Error(`Segment ${i + 1}: ${segment.provider} clip ${segment.id} not found`);
+        }
+        return { type: 'video', ...clip };
+    };
+}
+
+module.exports = {
+    PROJECT_VERSION,
+    voiceoverText,
+    voiceoverCacheKey,
+    applyProjectEdits,
+    createSegmentResolver
+};
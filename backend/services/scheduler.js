@@ -0,0 +1,243 @@
+// --- POST SCHEDULER: PER-ACCOUNT POSTING WINDOWS, DAILY CAPS & SLOT RELEASE ---
+
+// Stored per account as JSON in tiktok_accounts.posting_schedule. Windows are wall-clock
+// times in the account's timezone; `days` uses 0 = Sunday and defaults to every day.
+const DEFAULT_POSTING_SCHEDULE = {
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    windows: [],
+    dailyCap: 3,
+    minGapMinutes: 60
+};
+
+// How far ahead nextSlot looks before giving up
+const SCHEDULE_HORIZON_DAYS = 30;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// SQLite's CURRENT_TIMESTAMP format (UTC, no zone suffix)
+function toSqlTimestamp(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function fromSqlTimestamp(value) {
+    if (!value) return null;
+    return new Date(`${String(value).replace(' ', 'T')}Z`);
+}
+
+function minutesOf(time) {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+// Wall-clock parts of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric',
+        weekday: 'short'
+    }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+}
+
+// UTC instant of a wall-clock time in `timeZone` (two passes settle DST edges)
+function zonedTimeToDate({ year, month, day, minutes }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    let guess = wallClock;
+    for (let i = 0; i < 2; i++) {
+        const p = zonedParts(new Date(guess), timeZone);
+        const shown = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        guess += wallClock - shown;
+    }
+    return new Date(guess);
+}
+
+function dayKey(date, timeZone) {
+    const p = zonedParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// Throws with a message suitable for a 400 response
+function normalizePostingSchedule(input = {}) {
+    const schedule = { ...DEFAULT_POSTING_SCHEDULE, ...input };
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+    } catch (e) {
+        throw new Error(`Unknown timezone "${schedule.timezone}"`);
+    }
+    if (!Array.isArray(schedule.windows)) {
+        throw new Error('windows must be an array of { start, end, days }');
+    }
+    schedule.windows = schedule.windows.map((window, i) => {
+        if (!TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+            throw new Error(`Window ${i + 1} needs start and end as HH:MM`);
+        }
+        if (minutesOf(window.end) <= minutesOf(window.start)) {
+            throw new Error(`Window ${i + 1} must end after it starts`);
+        }
+        const days = window.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : window.days;
+        if (!Array.isArray(days) || days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+            throw new Error(`Window ${i + 1} days must be 0-6 (0 = Sunday)`);
+        }
+        return { start: window.start, end: window.end, days: [...new Set(days)].sort() };
+    });
+
+    schedule.dailyCap = Number(schedule.dailyCap);
+    if (!Number.isInteger(schedule.dailyCap) || schedule.dailyCap < 1) {
+        throw new Error('dailyCap must be a whole number of at least 1');
+    }
+    schedule.minGapMinutes = Number(schedule.minGapMinutes);
+    if (!Number.isFinite(schedule.minGapMinutes) || schedule.minGapMinutes < 0) {
+        throw new Error('minGapMinutes must be 0 or more');
+    }
+    return schedule;
+}
+
+function parsePostingSchedule(json) {
+    if (!json) return { ...DEFAULT_POSTING_SCHEDULE };
+    try {
+        return normalizePostingSchedule(JSON.parse(json));
+    } catch (error) {
+        console.warn(`[SCHEDULER] ⚠️ Ignoring invalid posting schedule: ${error.message}`);
+        return { ...DEFAULT_POSTING_SCHEDULE };
+    }
+}
+
+function isInsideWindow(date, schedule) {
+    if (schedule.windows.length === 0) return true;
+    const p = zonedParts(date, schedule.timezone);
+    const minute = p.hour * 60 + p.minute;
+    return schedule.windows.some(w => w.days.includes(p.weekday) && minute >= minutesOf(w.start) && minute < minutesOf(w.end));
+}
+
+// Why `date` cannot hold a post for this account, or null when it can
+function slotConflict(date, schedule, taken) {
+    if (!isInsideWindow(date, schedule)) {
+        return 'outside the account posting windows';
+    }
+    const day = dayKey(date, schedule.timezone);
+    if (taken.filter(t => dayKey(t, schedule.timezone) === day).length >= schedule.dailyCap) {
+        return `daily cap of ${schedule.dailyCap} post(s) reached`;
+    }
+    const gapMs = schedule.minGapMinutes * 60000;
+    if (taken.some(t => Math.abs(t - date) < gapMs)) {
+        return `less than ${schedule.minGapMinutes} minutes from another post`;
+    }
+    return null;
+}
+
+// Earliest time at or after `after` that fits a window, the daily cap and the gap.
+// `taken` holds the Dates already booked for the account. Returns null past the horizon.
+function nextSlot(schedule, taken = [], after = new Date()) {
+    const gapMs = schedule.minGapMinutes * 60000;
+    const fits = (candidate) => !slotConflict(candidate, schedule, taken);
+    // Step past the post that blocks a candidate instead of scanning minute by minute
+    const bump = (candidate) => {
+        const blockers = taken.filter(t => Math.abs(t - candidate) < gapMs);
+        return blockers.length ? new Date(Math.max(...blockers.map(t => t.getTime())) + gapMs) : null;
+    };
+
+    if (schedule.windows.length === 0) {
+        let candidate = new Date(after);
+        for (let guard = 0; guard < 1000; guard++) {
+            if (fits(candidate)) return candidate;
+            const next = bump(candidate);
+            if (next) {
+                candidate = next;
+            } else {
+                // Cap reached for the day: try the start of the next local day
+                const p = zonedParts(candidate, schedule.timezone);
+                candidate = zonedTimeToDate({ year: p.year, month: p.month, day: p.day + 1, minutes: 0 }, schedule.timezone);
+            }
+            if (candidate - after > SCHEDULE_HORIZON_DAYS * 86400000) break;
+        }
+        return null;
+    }
+
+    const start = zonedParts(after, schedule.timezone);
+    for (let offset = 0; offset <= SCHEDULE_HORIZON_DAYS; offset++) {
+        // Noon keeps the weekday lookup clear of DST jumps
+        const noon = zonedTimeToDate({ year: start.year, month: start.month, day: start.day + offset, minutes: 720 }, schedule.timezone);
+        const local = zonedParts(noon, schedule.timezone);
+        const windows = schedule.windows
+            .filter(w => w.days.includes(local.weekday))
+            .sort((a, b) => minutesOf(a.start) - minutesOf(b.start));
+
+        for (const window of windows) {
+            const date = { year: local.year, month: local.month, day: local.day };
+            const windowEnd = zonedTimeToDate({ ...date, minutes: minutesOf(window.end) }, schedule.timezone);
+            let candidate = zonedTimeToDate({ ...date, minutes: minutesOf(window.start) }, schedule.timezone);
+            if (candidate < after) candidate = new Date(after);
+
+            while (candidate < windowEnd) {
+                const conflict = slotConflict(candidate, schedule, taken);
+                if (!conflict) return candidate;
+                if (conflict.startsWith('daily cap')) break;
+                const next = bump(candidate);
+                if (!next) break;
+                candidate = next;
+            }
+        }
+    }
+    return null;
+}
+
+// Flips 'scheduled' rows whose slot has arrived to 'queued' for the upload worker
+function createScheduler({ dbRun, pollIntervalMs = 30000, onRelease = () => {} }) {
+    let timer = null;
+
+    async function releaseDue() {
+        try {
+            const { changes } = await dbRun(
+                `UPDATE video_uploads
+                 SET upload_status = 'queued', updated_at = CURRENT_TIMESTAMP
+                 WHERE upload_status = 'scheduled' AND scheduled_at <= datetime('now')`
+            );
+            if (changes > 0) {
+                console.log(`[SCHEDULER] ⏰ Released ${changes} scheduled post(s) to the upload queue`);
+                onRelease(changes);
+            }
+            return changes;
+        } catch (error) {
+            console.error('[SCHEDULER] ❌ Release failed:', error.message);
+            return 0;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(releaseDue, pollIntervalMs);
+        timer.unref();
+        console.log(`[SCHEDULER] 🟢 Started (checking every ${Math.round(pollIntervalMs / 1000)}s)`);
+        releaseDue();
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, releaseDue };
+}
+
+module.exports = {
+    DEFAULT_POSTING_SCHEDULE,
+    toSqlTimestamp,
+    fromSqlTimestamp,
+    normalizePostingSchedule,
+    parsePostingSchedule,
+    slotConflict,
+    nextSlot,
+    createScheduler
+};
@@ -0,0 +1,294 @@
+// --- SCRIPT TEMPLATE LIBRARY (used when no AI provider is available) ---
+
+// Pre-written viral scripts, keyed by mood then product category
+function buildEnglishLibrary(productName) {
+    return {
+        funny: {
+            beauty: [
+                "My skin said 'who dis new phone?'",
+                `${productName} literally broke my mirror`,
+                "I'm glowing like a lightbulb now",
+                "My friends think I got surgery",
+                "Plot twist it actually works besties",
+                "The glow up is absolutely unreal",
+                "I'm basically a walking highlighter",
+                "My confidence said thank you queen",
+                "Your skin deserves this magic potion",
+                "Don't walk RUN to get this"
+            ],
+            tech: [
+                "This gadget broke my brain cells",
+                `${productName} is from the year 3000`,
+                "My life just got a software update",
+                "Why didn't anyone tell me sooner",
+                "It's like having a personal robot",
+                "My productivity went absolutely crazy",
+                "Everyone's asking what my secret is",
+                "This is not a drill people",
+                "Your life needs this upgrade badly",
+                "Trust me and thank me later"
+            ],
+            fashion: [
+                "This outfit said pick me",
+                `${productName} is absolutely iconic`,
+                "I'm serving looks and confidence",
+                "People can't stop staring honestly",
+                "My style game just leveled up",
+                "The compliments are getting ridiculous",
+                "I feel like a main character",
+                "This is my new personality",
+                "You need this in your life",
+                "Get it before everyone else does"
+            ],
+            food: [
+                "This taste transported my soul",
+                `${productName} just changed my life`,
+                "I'm emotionally attached to this now",
+                "My taste buds are having a party",
+                "I bought ten more immediately",
+                "This is my new obsession officially",
+                "I can't eat anything else",
+                "My friends steal this constantly",
+                "You haven't lived until you try",
+                "Order it right now seriously"
+            ]
+        },
+        
+        exciting: {
+            beauty: [
+                `${productName} is absolutely life changing`,
+                "Results in just seven days guaranteed",
+                "My skin transformation is completely insane",
+                "The glow is totally unreal",
+                "Everyone keeps asking my secret routine",
+                "This revolutionized my entire skincare",
+                "The before and after shocked everyone",
+                "I cannot believe the dramatic difference",
+                "Your skin will thank you forever",
+                "Get yours now before complete sellout"
+            ],
+            tech: [
+                `${productName} is revolutionary technology`,
+                "This will change everything completely",
+                "The performance is absolutely mind blowing",
+                "I'm getting incredible results daily",
+                "This solved all my problems",
+                "The speed improvement is unreal",
+                "Everyone needs this in their life",
+                "This is the future right now",
+                "Don't miss out on this game changer",
+                "Order immediately while still available"
+            ]
+        },
+        
+        trendy: {
+            default: [
+                "POV you found the holy grail",
+                `${productName} hits different bestie`,
+                "This is giving main character energy",
+                "The vibe check is absolutely unmatched",
+                "Everyone's copying my aesthetic now",
+                "My confidence just leveled up significantly",
+                "This is not a want it's definitely need",
+                "The compliments keep flowing in daily",
+                "Trust the process and trust me",
+                "Link in bio before it's gone"
+            ]
+        },
+        
+        luxurious: {
+            default: [
+                `${productName} is pure luxury experience`,
+                "Quality that speaks for itself",
+                "This is investment in yourself",
+                "The craftsmanship is absolutely impeccable",
+                "You deserve this level of excellence",
+                "This elevates your entire lifestyle",
+                "Premium quality meets perfect design",
+                "This is what success looks like",
+                "Treat yourself like royalty today",
+                "Experience luxury that lasts lifetime"
+            ]
+        },
+        
+        energetic: {
+            default: [
+                "Stop scrolling you need to see this",
+                `${productName} just changed the game`,
+                "I use it every single day now",
+                "The results hit me instantly",
+                "Zero effort and all the hype",
+                "My whole routine got an upgrade",
+                "Everyone keeps asking where I got it",
+                "Honestly I can't stop smiling",
+                "This is your sign to try it",
+                "Grab yours now link in bio"
+            ]
+        }
+    };
+}
+
+// Same moods and categories as the English library, written for Indonesian TikTok
+function buildIndonesianLibrary(productName) {
+    return {
+        funny: {
+            beauty: [
+                "Kulitku sampai nggak kenal sama aku",
+                `${productName} bikin kaca di rumah minder`,
+                "Sekarang aku glowing kayak lampu neon",
+                "Temen-temen kira aku habis operasi",
+                "Plot twist ternyata beneran ngefek guys",
+                "Glow up-nya nggak masuk akal sumpah",
+                "Aku udah kayak highlighter berjalan",
+                "Rasa percaya diriku bilang makasih ratu",
+                "Kulit kamu pantas dapat ramuan ajaib ini",
+                "Jangan jalan, LARI buat beli ini"
+            ],
+            tech: [
+                "Gadget ini bikin otakku nge-lag",
+                `${productName} kayak datang dari tahun 3000`,
+                "Hidupku barusan dapat update software",
+                "Kenapa nggak ada yang kasih tahu dari dulu",
+                "Rasanya kayak punya robot pribadi",
+                "Produktivitasku langsung naik gila-gilaan",
+                "Semua orang nanya rahasiaku apa",
+                "Ini bukan latihan ya guys",
+                "Hidup kamu butuh upgrade yang satu ini",
+                "Percaya deh, nanti kamu makasih sama aku"
+            ],
+            fashion: [
+                "Outfit ini bilang pilih aku",
+                `${productName} ikonik banget sih`,
+                "Aku lagi nyajiin gaya dan percaya diri",
+                "Orang-orang nggak berhenti ngeliatin",
+                "Level fashion-ku langsung naik",
+                "Pujiannya udah nggak masuk akal",
+                "Aku ngerasa kayak tokoh utama",
+                "Ini resmi jadi kepribadian baruku",
+                "Kamu wajib punya yang satu ini",
+                "Ambil sebelum semua orang kehabisan"
+            ],
+            food: [
+                "Rasanya bikin jiwaku terbang",
+                `${productName} barusan ngubah hidupku`,
+                "Aku udah terikat batin sama ini",
+                "Lidahku lagi pesta sekarang",
+                "Aku langsung beli sepuluh lagi",
+                "Resmi jadi obsesi baruku",
+                "Aku nggak bisa makan yang lain",
+                "Temen-temen terus nyolong punyaku",
+                "Belum hidup kalau belum nyobain",
+                "Pesan sekarang juga serius"
+            ]
+        },
+
+        exciting: {
+            beauty: [
+                `${productName} beneran ngubah hidup`,
+                "Hasilnya kelihatan cuma dalam tujuh hari",
+                "Transformasi kulitku gila banget",
+                "Glow-nya benar-benar nggak nyata",
+                "Semua orang nanya rutinitas rahasiaku",
+                "Ini ngerombak total skincare aku",
+                "Before after-nya bikin semua kaget",
+                "Aku nggak percaya bedanya sejauh ini",
+                "Kulit kamu bakal berterima kasih selamanya",
+                "Checkout sekarang sebelum sold out"
+            ],
+            tech: [
+                `${productName} itu teknologi revolusioner`,
+                "Ini bakal ngubah segalanya",
+                "Performanya bikin melongo",
+                "Hasilnya luar biasa tiap hari",
+                "Semua masalahku langsung beres",
+                "Kecepatannya naik nggak masuk akal",
+                "Semua orang butuh ini di hidupnya",
+                "Masa depan itu sekarang",
+                "Jangan sampai ketinggalan game changer ini",
+                "Pesan sekarang selagi masih ada"
+            ]
+        },
+
+        trendy: {
+            default: [
+                "POV kamu nemu barang paling dicari",
+                `${productName} beda banget bestie`,
+                "Auranya main character banget",
+                "Vibe-nya nggak ada lawan",
+                "Semua orang niru aesthetic aku",
+                "Percaya diriku naik drastis",
+                "Ini bukan pengen lagi tapi butuh",
+                "Pujiannya ngalir terus tiap hari",
+                "Percaya prosesnya dan percaya aku",
+                "Link di bio sebelum kehabisan"
+            ]
+        },
+
+        luxurious: {
+            default: [
+                `${productName} itu pengalaman mewah sejati`,
+                "Kualitas yang bicara sendiri",
+                "Ini investasi untuk dirimu sendiri",
+                "Detail pengerjaannya benar-benar sempurna",
+                "Kamu pantas dapat yang terbaik",
+                "Ini naikin level gaya hidupmu",
+                "Kualitas premium dengan desain sempurna",
+                "Beginilah rasanya sukses",
+                "Manjakan dirimu seperti bangsawan hari ini",
+                "Rasakan kemewahan yang tahan lama"
+            ]
+        },
+
+        energetic: {
+            default: [
+                "Stop scroll kamu harus lihat ini",
+                `${productName} barusan ngubah permainan`,
+                "Sekarang aku pakai tiap hari",
+                "Hasilnya langsung kerasa",
+                "Nggak ribet tapi hype-nya total",
+                "Seluruh rutinitasku jadi naik level",
+                "Semua orang nanya beli di mana",
+                "Jujur aku nggak bisa berhenti senyum",
+                "Ini tanda buat kamu cobain",
+                "Ambil punyamu sekarang link di bio"
+            ]
+        }
+    };
+}
+
+const TEMPLATE_LIBRARIES = {
+    en: buildEnglishLibrary,
+    id: buildIndonesianLibrary
+};
+
+// Replaces a template line when the product page gave us a price
+const PRICE_LINES = {
+    en: (price) => `All of this for just ${price}`,
+    id: (price) => `Semua ini cuma ${price} aja`
+};
+
+// Picks the mood's script for the category, falling back to the mood's default set
+function getTemplateLines(productName, mood, category, language = 'en') {
+    const library = (TEMPLATE_LIBRARIES[language] || TEMPLATE_LIBRARIES.en)(productName);
+    const moodScripts = library[mood] || library.trendy;
+    return [...(moodScripts[category] || moodScripts.default || library.trendy.default)];
+}
+
+function templateMoods() {
+    return Object.keys(buildEnglishLibrary(''));
+}
+
+function templatePriceLine(price, language = 'en') {
+    return (PRICE_LINES[language] || PRICE_LINES.en)(price);
+}
+
+function templateLanguages() {
+    return Object.keys(TEMPLATE_LIBRARIES);
+}
+
+module.exports = {
+    getTemplateLines,
+    templateMoods,
+    templatePriceLine,
+    templateLanguages
+};
@@ -0,0 +1,212 @@
+// --- SCRIPT ENGINE: AI-WRITTEN HOOK/BODY/CTA LINES WITH TEMPLATE FALLBACK ---
+const { getTemplateLines, templatePriceLine } = require('./scriptTemplates');
+const { normalizeLanguage, getLanguage } = require('./languages');
+const { inferCategory, summarizeFeature } = require('./product');
+
+// Tone guidance per mood; anything else is mapped to 'trendy' with a warning
+const MOOD_STYLES = {
+    energetic: 'high-energy, upbeat and punchy, like a hype friend',
+    funny: 'playful meme-style humor with relatable exaggeration',
+    trendy: 'Gen-Z TikTok slang, aesthetic and main-character energy',
+    exciting: 'bold claims, urgency and big reveals',
+    luxurious: 'elegant, premium and aspirational, never cheap or loud'
+};
+
+const MAX_ATTEMPTS = 3;
+const MAX_WORDS_PER_LINE = 14;
+
+function normalizeMood(mood) {
+    const key = String(mood || '').trim().toLowerCase();
+    if (MOOD_STYLES[key]) return key;
+    console.warn(`[SCRIPT] ⚠️ Unknown mood "${mood}", using trendy`);
+    return 'trendy';
+}
+
+function buildScriptPrompt({ productName, mood, language, lineCount, durationSeconds, platform, productInfo }, previousError) {
+    const lang = getLanguage(language);
+    const details = [];
+    if (productInfo) {
+        if (productInfo.title) details.push(`Full title: ${productInfo.title}`);
+        if (productInfo.price) details.push(`Price: ${productInfo.price.formatted}`);
+        if (productInfo.features.length) details.push(`Features: ${productInfo.features.slice(0, 4).join(' | ')}`);
+        if (productInfo.rawCategory) details.push(`Category: ${productInfo.rawCategory}`);
+    }
+
+    return `Write a ${lineCount}-line ${platform} voiceover script for the product "${productName}", read aloud in about ${durationSeconds} seconds.
+Tone: ${MOOD_STYLES[mood]}.
+Language: write every "text" in ${lang.promptName}, ${lang.style}.
+${details.length ? `Product details:\n${details.join('\n')}\n` : ''}
+Rules:
+- "hook": 1-2 lines that stop the scroll in the first seconds
+- "body": benefits and reactions, so hook + body + cta is exactly ${lineCount} lines
+- "cta": 1-2 lines telling the viewer what to do next
+- every "text" is 4-${MAX_WORDS_PER_LINE - 4} spoken words, no emojis, no hashtags, no quotation marks
+- every "visual" is 3-5 English stock-footage search keywords showing that line (people, places, actions), whatever the script language
+
+Return ONLY JSON in this shape:
+{"hook":[{"text":"...","visual":"..."}],"body":[{"text":"...","visual":"..."}],"cta":[{"text":"...","visual":"..."}]}${previousError ? `\n\nYour previous answer was rejected: ${previousError}. Fix it and return valid JSON only.` : ''}`;
+}
+
+// Models like to wrap JSON in ```json fences or add a sentence around it
+function extractJson(text) {
+    const cleaned = String(text || '').replace(/```(?:json)?/gi, '').trim();
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) throw new Error('no JSON object found');
+    try {
+        return JSON.parse(cleaned.slice(start, end + 1));
+    } catch (e) {
+        throw new Error(`invalid JSON (${e.message})`);
+    }
+}
+
+function validateSection(data, role, min, max) {
+    const items = data[role];
+    if (!Array.isArray(items) || items.length < min || items.length > max) {
+        throw new Error(`"${role}" must have ${min}-${max} lines`);
+    }
+    return items.map((item, i) => {
+        const text = String((item && item.text) || '').replace(/["“”]/g, '').replace(/\s+/g, ' ').trim();
+        const visual = String((item && item.visual) || '').replace(/\s+/g, ' ').trim();
+        if (!text) throw new Error(`${role} line ${i + 1} has no text`);
+        if (text.split(' ').length > MAX_WORDS_PER_LINE) throw new Error(`${role} line ${i + 1} is longer than ${MAX_WORDS_PER_LINE} words`);
+        if (!visual) throw new Error(`${role} line ${i + 1} has no visual keywords`);
+        return { role, text, visual };
+    });
+}
+
+// Returns [{ role, text, visual }] or throws with a reason the model can act on
+function validateScript(data, lineCount) {
+    const hook = validateSection(data, 'hook', 1, 2);
+    const cta = validateSection(data, 'cta', 1, 2);
+    let body = validateSection(data, 'body', 1, lineCount);
+
+    const minimum = lineCount - 2;
+    if (hook.length + body.length + cta.length < minimum) {
+        throw new Error(`script has ${hook.length + body.length + cta.length} lines, need ${lineCount}`);
+    }
+    // Trim extra body lines rather than rejecting an otherwise good script
+    body = body.slice(0, Math.max(0, lineCount - hook.length - cta.length));
+    return [...hook, ...body, ...cta];
+}
+
+async function generateAiScript(params, generateAiContent) {
+    let previousError = null;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const raw = await generateAiContent(buildScriptPrompt(params, previousError), true, { json: true });
+        try {
+            const lines = validateScript(extractJson(raw), params.lineCount);
+            console.log(`[SCRIPT] ✅ AI script accepted on attempt ${attempt}`);
+            return lines;
+        } catch (error) {
+            previousError = error.message;
+            console.warn(`[SCRIPT] ⚠️ Attempt ${attempt}/${MAX_ATTEMPTS} rejected: ${error.message}`);
+        }
+    }
+    throw new Error(`AI script invalid after ${MAX_ATTEMPTS} attempts: ${previousError}`);
+}
+
+// Template lines get roles by position and no visual keywords
+function templateScript({ productName, mood, language, lineCount, productInfo }) {
+    const category = (productInfo && productInfo.category !== 'default') ? productInfo.category : inferCategory(productName);
+    const texts = getTemplateLines(productName, mood, category, language);
+
+    // Work real product details into the middle of the script. Scraped features are
+    // in the product page's language, so they only replace lines of English scripts.
+    if (productInfo) {
+        if (productInfo.features.length > 0 && language === 'en') texts[3] = summarizeFeature(productInfo.features[0]);
+        if (productInfo.price) texts[7] = templatePriceLine(productInfo.price.formatted, language);
+    }
+
+    console.log(`[SCRIPT] 📊 Template category: ${category}, mood: ${mood}, language: ${language}`);
+    // Short presets keep the opening lines and the closing call to action
+    const picked = texts.length > lineCount ? [...texts.slice(0, lineCount - 1), texts[texts.length - 1]] : texts;
+    return picked.map((text, i, all) => ({
+        role: i === 0 ? 'hook' : (i === all.length - 1 ? 'cta' : 'body'),
+        text,
+        visual: null
+    }));
+}
+
+// generateAiContent(prompt, useGoogleFirst, { json }) comes from the server so this
+// module stays free of provider setup; aiAvailable is false when no key is configured.
+async function generateScript({ productName, mood, language, productInfo = null, lineCount = 10, durationSeconds = 25, platform = 'TikTok' }, { generateAiContent, aiAvailable }) {
+    const params = { productName, mood: normalizeMood(mood), language: normalizeLanguage(language), productInfo, lineCount, durationSeconds, platform };
+    console.log(`[SCRIPT] 📝 Writing ${params.mood} ${getLanguage(params.language).name} script for "${productName}"`);
+
+    if (aiAvailable) {
+        try {
+            return { source: 'ai', language: params.language, lines: await generateAiScript(params, generateAiContent) };
+        } catch (error) {
+            console.warn(`[SCRIPT] ⚠️ ${error.message}. Falling back to templates.`);
+        }
+    } else {
+        console.log('[SCRIPT] ℹ️ No AI provider configured, using template library');
+    }
+    return { source: 'template', language: params.language, lines: templateScript(params) };
+}
+
+function buildHooksPrompt({ productName, mood, language, count, platform, productInfo, exclude }) {
+    const lang = getLanguage(language);
+    return `Write ${count} different opening hook lines for a ${platform} video about the product "${productName}"${productInfo && productInfo.rawCategory ? ` (${productInfo.rawCategory})` : ''}.
+Tone: ${MOOD_STYLES[mood]}.
+Language: write every hook in ${lang.promptName}, ${lang.style}.
+Each hook must stop the scroll in the first seconds and take a different angle (a question, a bold claim, a relatable problem, a surprising result).
+Each hook is 4-${MAX_WORDS_PER_LINE - 4} spoken words, no emojis, no hashtags, no quotation marks.${exclude.length ? `\nDo not reuse these hooks: ${exclude.join(' | ')}` : ''}
+
+Return ONLY JSON in this shape:
+{"hooks":["...","..."]}`;
+}
+
+// Opening lines of the mood's template scripts (and then the other moods'), for A/B variants
+function templateHooks({ productName, mood, language, productInfo }) {
+    const category = (productInfo && productInfo.category !== 'default') ? productInfo.category : inferCategory(productName);
+    const moods = [mood, ...Object.keys(MOOD_STYLES).filter(other => other !== mood)];
+    return moods.flatMap(other => getTemplateLines(productName, other, category, language).slice(0, 2));
+}
+
+// `count` alternative hook lines for the same product, none of them in `exclude`. AI hooks
+// first; templates make up the rest, so fewer than `count` come back only when the
+// template library runs out.
+async function generateHooks({ productName, mood, language, productInfo = null, count = 1, platform = 'TikTok', exclude = [] }, { generateAiContent, aiAvailable }) {
+    const params = { productName, mood: normalizeMood(mood), language: normalizeLanguage(language), productInfo, count, platform, exclude };
+    const taken = new Set(exclude.map(text => text.toLowerCase()));
+    const hooks = [];
+    const add = (text) => {
+        const clean = String(text || '').replace(/\s+/g, ' ').trim();
+        if (!clean || taken.has(clean.toLowerCase()) || clean.split(' ').length > MAX_WORDS_PER_LINE) return;
+        taken.add(clean.toLowerCase());
+        hooks.push(clean);
+    };
+
+    if (aiAvailable) {
+        try {
+            const data = extractJson(await generateAiContent(buildHooksPrompt(params), true, { json: true }));
+            if (!Array.isArray(data.hooks)) throw new Error('"hooks" must be an array');
+            data.hooks.forEach(add);
+            console.log(`[SCRIPT] ✅ ${hooks.length} AI hook(s) for the ${params.mood} variants`);
+        } catch (error) {
+            console.warn(`[SCRIPT] ⚠️ AI hooks failed (${error.message}), using template hooks`);
+        }
+    }
+    for (const text of templateHooks(params)) {
+        if (hooks.length >= count) break;
+        add(text);
+    }
+    return hooks.slice(0, count);
+}
+
+// Legacy "LINE: ..." text format returned to clients as `script`
+function scriptToText(lines) {
+    return lines.map(line => `LINE: ${line.text}`).join('\n');
+}
+
+module.exports = {
+    MOOD_STYLES,
+    normalizeMood,
+    extractJson,
+    validateScript,
+    generateScript,
+    generateHooks,
+    scriptToText
+};
@@ -0,0 +1,194 @@
+// --- SUBTITLES: TIMED CAPTIONS, DRAWTEXT FILTERS & SIDECAR FILES ---
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+
+// Script pacing, and the caption slot when there is neither a voiceover nor a target duration
+const SECONDS_PER_LINE = 2.5;
+
+// Fractions of the frame covered by TikTok's own UI (top tabs, side buttons, caption/music bar)
+const TIKTOK_SAFE_AREA = { top: 0.10, bottom: 0.22, left: 0.06, right: 0.14 };
+
+const MAX_CAPTION_ROWS = 3;
+
+const FONT_CANDIDATES = [
+    process.env.SUBTITLE_FONT_PATH,
+    path.join(__dirname, '..', 'public', 'fonts', 'subtitle.ttf'),
+    'C:/Windows/Fonts/arialbd.ttf',
+    '/System/Library/Fonts/Supplemental/Arial Bold.ttf',
+    '/Library/Fonts/Arial Bold.ttf',
+    '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf',
+    '/usr/share/fonts/TTF/DejaVuSans-Bold.ttf'
+];
+
+function resolveSubtitleFont() {
+    return FONT_CANDIDATES.find(file => file && fs.existsSync(file)) || null;
+}
+
+// Spread the script lines over the voiceover proportionally to their length.
+// Without a voice each line gets an equal share of `videoDuration` (or a fixed slot).
+function buildCaptionTimeline(lines, voiceDuration, videoDuration) {
+    const captions = lines.map(line => line.trim()).filter(Boolean);
+
+    if (!voiceDuration || voiceDuration <= 0) {
+        const slot = videoDuration > 0 ? videoDuration / captions.length : SECONDS_PER_LINE;
+        return captions.map((text, i) => ({
+            text,
+            start: i * slot,
+            end: (i + 1) * slot
+        }));
+    }
+
+    const weights = captions.map(text => text.length);
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    let cursor = 0;
+    return captions.map((text, i) => {
+        const start = cursor;
+        cursor += voiceDuration * (weights[i] / totalWeight);
+        return { text, start, end: cursor };
+    });
+}
+
+function wrapCaptionText(text, maxChars) {
+    const rows = [];
+    let current = '';
+    for (const word of text.split(/\s+/)) {
+        if (current && (current.length + 1 + word.length) > maxChars) {
+            rows.push(current);
+            current = word;
+        } else {
+            current = current ? `${current} ${word}` : word;
+        }
+    }
+    if (current) rows.push(current);
+    return rows;
+}
+
+// Long lines shrink the font until they fit in MAX_CAPTION_ROWS rows
+function fitCaption(text, baseFontSize, safeWidth) {
+    let fontSize = baseFontSize;
+    let rows;
+    do {
+        const maxChars = Math.max(8, Math.floor(safeWidth / (fontSize * 0.6)));
+        rows = wrapCaptionText(text, maxChars);
+        if (rows.length <= MAX_CAPTION_ROWS) break;
+        fontSize = Math.round(fontSize * 0.85);
+    } while (fontSize >= baseFontSize * 0.5);
+    return { fontSize, rows: rows.slice(0, MAX_CAPTION_ROWS) };
+}
+
+// drawtext takes the text inside single quotes: the filtergraph parser drops the quotes and keeps
+// what is between them as is, then the option parser reads one level of backslash escapes.
+// Straight apostrophes can't be escaped inside the quotes, so they become typographic ones.
+function escapeDrawtext(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, '\u2019')
+        .replace(/:/g, '\\:')
+        .replace(/([,;[\]])/g, '\\$1');
+}
+
+function escapeFilterPath(file) {
+    return file.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+}
+
+function formatSeconds(seconds) {
+    return Number(seconds.toFixed(3));
+}
+
+// One drawtext per wrapped row, shown only while its caption is active.
+// fontColor/borderColor are FFmpeg colors (a brand kit's, see services/brandKits.js).
+function buildSubtitleFilters(timeline, { width, height, fontFile = resolveSubtitleFont(), safeArea = TIKTOK_SAFE_AREA, fontColor = 'white', borderColor = 'black' } = {}) {
+    // Sized from the short side so 1:1 and 16:9 frames get the same caption scale as 9:16
+    const baseFontSize = Math.round(Math.min(width, height) * 0.062);
+    const safeLeft = Math.round(width * safeArea.left);
+    const safeWidth = Math.round(width * (1 - safeArea.left - safeArea.right));
+    const safeBottom = Math.round(height * (1 - safeArea.bottom));
+    const fontOption = fontFile ? `fontfile='${escapeFilterPath(fontFile)}'` : `font='Sans\\:style=Bold'`;
+
+    const filters = [];
+    for (const caption of timeline) {
+        const { fontSize, rows } = fitCaption(caption.text, baseFontSize, safeWidth);
+        const lineHeight = Math.round(fontSize * 1.25);
+        const blockTop = safeBottom - rows.length * lineHeight;
+        rows.forEach((row, r) => {
+            filters.push([
+                `drawtext=${fontOption}`,
+                `text='${escapeDrawtext(row)}'`,
+                'expansion=none',
+                `fontsize=${fontSize}`,
+                `fontcolor=${fontColor}`,
+                `borderw=${Math.max(3, Math.round(fontSize / 10))}`,
+                `bordercolor=${borderColor}`,
+                'shadowcolor=black@0.6',
+                'shadowx=0',
+                `shadowy=${Math.round(fontSize / 16)}`,
+                `x=${safeLeft}+(${safeWidth}-text_w)/2`,
+                `y=${blockTop + r * lineHeight}`,
+                `enable='between(t\\,${formatSeconds(caption.start)}\\,${formatSeconds(caption.end)})'`
+            ].join(':'));
+        });
+    }
+    return filters;
+}
+
+function formatTimestamp(seconds, separator) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+function toSrt(timeline) {
+    return timeline.map((caption, i) =>
+        `${i + 1}\n${formatTimestamp(caption.start, ',')} --> ${formatTimestamp(caption.end, ',')}\n${caption.text}\n`
+    ).join('\n');
+}
+
+function toVtt(timeline) {
+    const cues = timeline.map(caption =>
+        `${formatTimestamp(caption.start, '.')} --> ${formatTimestamp(caption.end, '.')}\n${caption.text}\n`
+    ).join('\n');
+    return `WEBVTT\n\n${cues}`;
+}
+
+// Writes <basePath>.srt / <basePath>.vtt and returns the files written.
+async function writeSubtitleSidecars(timeline, basePath, formats = []) {
+    const writers = { srt: toSrt, vtt: toVtt };
+    const written = [];
+    for (const format of formats) {
+        const writer = writers[format];
+        if (!writer) continue;
+        const file = `${basePath}.${format}`;
+        await fsp.writeFile(file, writer(timeline), 'utf8');
+        written.push(file);
+    }
+    return written;
+}
+
+// Accepts true, 'srt', 'vtt', 'both' or an array from the request body
+function normalizeSubtitleFormats(option) {
+    if (!option) return [];
+    if (option === true || option === 'both') return ['srt', 'vtt'];
+    const list = Array.isArray(option) ? option : String(option).split(',');
+    return list.map(f => String(f).trim().toLowerCase()).filter(f => f === 'srt' || f === 'vtt');
+}
+
+module.exports = {
+    SECONDS_PER_LINE,
+    TIKTOK_SAFE_AREA,
+    resolveSubtitleFont,
+    buildCaptionTimeline,
+    wrapCaptionText,
+    fitCaption,
+    escapeDrawtext,
+    escapeFilterPath,
+    buildSubtitleFilters,
+    toSrt,
+    toVtt,
+    writeSubtitleSidecars,
+    normalizeSubtitleFormats
+};
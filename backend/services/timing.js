@@ -0,0 +1,82 @@
+// --- VOICE TIMING: PER-LINE TIMESTAMPS & LINE-ALIGNED SEGMENT CUTS ---
+const { buildCaptionTimeline } = require('./subtitles');
+
+// Silence kept after the last word so the video does not end mid-syllable
+const VOICE_TAIL_SECONDS = 0.5;
+
+// Millisecond precision keeps ffmpeg filter arguments short
+function roundSeconds(seconds) {
+    return Number(seconds.toFixed(3));
+}
+
+// ElevenLabs' /with-timestamps alignment lists every spoken character with its start time.
+// Each script line is looked up in that text in order; its first character is where it starts.
+// Returns null when the alignment does not cover the lines, so callers can fall back.
+function timelineFromAlignment(lines, alignment, voiceDuration) {
+    const characters = alignment && alignment.characters;
+    const starts = alignment && alignment.character_start_times_seconds;
+    const ends = alignment && alignment.character_end_times_seconds;
+    if (!Array.isArray(characters) || !Array.isArray(starts) || characters.length === 0 || starts.length !== characters.length) {
+        return null;
+    }
+
+    const spoken = characters.join('');
+    const captions = lines.map(line => line.trim()).filter(Boolean);
+    const lineStarts = [];
+    let searchFrom = 0;
+    for (const text of captions) {
+        const index = spoken.indexOf(text, searchFrom);
+        if (index === -1) return null;
+        const start = Number(starts[index]);
+        if (!Number.isFinite(start) || (lineStarts.length && start < lineStarts[lineStarts.length - 1])) return null;
+        lineStarts.push(start);
+        searchFrom = index + text.length;
+    }
+
+    const spokenEnd = Array.isArray(ends) ? Number(ends[ends.length - 1]) || 0 : 0;
+    const end = Math.max(voiceDuration || 0, spokenEnd);
+    // Captions run back to back: each one stays up until the next line is spoken
+    return captions.map((text, i) => ({
+        text,
+        start: i === 0 ? 0 : lineStarts[i],
+        end: i + 1 < captions.length ? lineStarts[i + 1] : end
+    }));
+}
+
+// Per-line timing, best source first: voice timestamps, then line length over the
+// measured voice, then equal slots of `videoDuration` when there is no voice at all.
+function buildVoiceTimeline(lines, { voiceDuration = 0, alignment = null, videoDuration = 0 } = {}) {
+    if (voiceDuration > 0 && alignment) {
+        const timeline = timelineFromAlignment(lines, alignment, voiceDuration);
+        if (timeline) return { timeline, source: 'timestamps' };
+        console.warn('[TIMING] ⚠️ Voice timestamps did not match the script, timing lines by length instead');
+    }
+    if (voiceDuration > 0) {
+        return { timeline: buildCaptionTimeline(lines, voiceDuration), source: 'proportional' };
+    }
+    return { timeline: buildCaptionTimeline(lines, 0, videoDuration), source: 'fixed' };
+}
+
+// Splits `totalDuration` into at most `segmentCount` clip durations, cutting only where a
+// line starts. Each clip covers a run of consecutive lines, so there can never be more
+// clips than lines; the caller drops the extra media.
+function planSegmentCuts(timeline, segmentCount, totalDuration) {
+    if (timeline.length === 0) {
+        return Array.from({ length: segmentCount }, () => roundSeconds(totalDuration / segmentCount));
+    }
+    const count = Math.max(1, Math.min(segmentCount, timeline.length));
+    const cuts = [0];
+    for (let k = 1; k < count; k++) {
+        cuts.push(roundSeconds(timeline[Math.round(k * timeline.length / count)].start));
+    }
+    cuts.push(totalDuration);
+    return cuts.slice(1).map((end, k) => roundSeconds(end - cuts[k]));
+}
+
+module.exports = {
+    VOICE_TAIL_SECONDS,
+    roundSeconds,
+    timelineFromAlignment,
+    buildVoiceTimeline,
+    planSegmentCuts
+};
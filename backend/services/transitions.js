@@ -0,0 +1,233 @@
+// --- TRANSITIONS & MOTION: BLENDS AND SLIDES BETWEEN CLIPS, SPEED RAMPS, ZOOM ON STATIC SHOTS ---
+const ffmpeg = require('fluent-ffmpeg');
+const { SEGMENT_FPS } = require('./kenburns');
+const { roundSeconds } = require('./timing');
+
+// duration: seconds the two clips overlap (see transitionFilters for how each one is drawn)
+const TRANSITIONS = {
+    cut: { label: 'Hard cut', duration: 0 },
+    crossfade: { label: 'Crossfade', duration: 0.5 },
+    slide: { label: 'Slide', duration: 0.35 },
+    zoom: { label: 'Zoom', duration: 0.4 },
+    'whip-pan': { label: 'Whip pan', duration: 0.2 }
+};
+
+// Used in turn between clips when the request asks for 'auto' (the default)
+const MOOD_TRANSITIONS = {
+    energetic: ['whip-pan', 'zoom', 'slide'],
+    funny: ['whip-pan', 'slide'],
+    trendy: ['slide', 'zoom', 'whip-pan'],
+    exciting: ['zoom', 'whip-pan'],
+    luxurious: ['crossfade']
+};
+
+// A transition takes at most this share of either clip next to it
+const MAX_TRANSITION_SHARE = 0.4;
+// Zoom: the outgoing clip pushes in this much while it fades out
+const TRANSITION_ZOOM = 0.3;
+// Speed ramp: each stock clip opens at RAMP_SPEED for RAMP_SECONDS of footage
+const RAMP_SPEED = 2;
+const RAMP_SECONDS = 1;
+// Static shots push in to STATIC_ZOOM over the clip; a clip is static when frozen this much
+const STATIC_ZOOM = 1.06;
+const STATIC_SHOT_SHARE = 0.7;
+
+function parseFlag(value) {
+    return value === true || ['true', '1', 'yes', 'on'].includes(String(value).trim().toLowerCase());
+}
+
+// { transitions, speedRamp, staticZoom } from the request. transitions is 'auto' (the mood's
+// set), 'cut', a transition name or a list of them (comma separated or an array) used in turn.
+function normalizeMotion(input = {}) {
+    const requested = input.transitions;
+    let transitions = 'auto';
+    if (requested !== undefined && requested !== null && requested !== '' && requested !== 'auto') {
+        transitions = (Array.isArray(requested) ? requested : String(requested).split(','))
+            .map(name => String(name).trim().toLowerCase())
+            .filter(Boolean)
+            .map(name => (name === 'none' ? 'cut' : name));
+        const unknown = transitions.find(name => !TRANSITIONS[name]);
+        if (unknown) throw new Error(`Unknown transition "${unknown}". Use auto or any of: ${Object.keys(TRANSITIONS).join(', ')}`);
+        if (transitions.length === 0) transitions = 'auto';
+    }
+    return {
+        transitions,
+        speedRamp: input.speedRamp === undefined ? false : parseFlag(input.speedRamp),
+        staticZoom: input.staticZoom === undefined ? false : parseFlag(input.staticZoom)
+    };
+}
+
+// The transition names to cycle through for a project's motion settings. Projects from before
+// transitions existed have none and keep their hard cuts.
+function transitionsFor(motion, mood) {
+    if (!motion) return ['cut'];
+    if (motion.transitions === 'auto') return MOOD_TRANSITIONS[mood] || MOOD_TRANSITIONS.trendy;
+    return motion.transitions;
+}
+
+// Transitions overlap the clips on each side, so every clip is lengthened by half of each
+// transition it touches: the video keeps its total duration and each transition is centred
+// on the cut it replaces (where a line starts). segmentDurations are the cut-to-cut lengths
+// from planSegmentCuts. Returns the length to render for each clip and, for each cut,
+// { name, duration, offset } with offset the transition's start in the output.
+// A clip going into a transition gets a frame to spare, since trim rounds to whole frames and
+// the transition needs all of its frames.
+function planTransitions(names, segmentDurations) {
+    const transitions = [];
+    let cut = 0;
+    for (let k = 0; k < segmentDurations.length - 1; k++) {
+        cut += segmentDurations[k];
+        const name = names[k % names.length];
+        const spec = TRANSITIONS[name] || TRANSITIONS.cut;
+        const room = Math.min(segmentDurations[k], segmentDurations[k + 1]) * MAX_TRANSITION_SHARE;
+        // Whole 20 ms steps, so half a transition is still a whole millisecond
+        const duration = Math.floor(Math.min(spec.duration, room) * 50) / 50;
+        transitions.push(duration > 0
+            ? { name, duration, offset: roundSeconds(cut - duration / 2) }
+            : { name: 'cut', duration: 0, offset: roundSeconds(cut) });
+    }
+    const lengths = segmentDurations.map((duration, i) => {
+        const fadeIn = i > 0 ? transitions[i - 1].duration / 2 : 0;
+        const fadeOut = i < transitions.length && transitions[i].duration > 0 ? transitions[i].duration / 2 + 1 / SEGMENT_FPS : 0;
+        return roundSeconds(duration + fadeIn + fadeOut);
+    });
+    return { lengths, transitions };
+}
+
+const toFrames = seconds => Math.round(seconds * SEGMENT_FPS);
+
+// Draws one transition from [from] (the end of a clip) and [to] (the start of the next), both
+// `frames` long, into [outputLabel]. Only filters FFmpeg has had since 4.0, so the bundled
+// build renders them too (xfade needs 4.3).
+function transitionFilters(name, from, to, outputLabel, { width, height, frames }) {
+    const seconds = roundSeconds(frames / SEGMENT_FPS);
+    const blend = `blend=all_expr='A*(1-T/${seconds})+B*(T/${seconds})'`;
+    switch (name) {
+        case 'slide':
+            // Side by side, with the frame moving across from one to the other
+            return [`[${from}][${to}]hstack=inputs=2,crop=w=${width}:h=${height}:x='${width}*t/${seconds}':y=0[${outputLabel}]`];
+        case 'whip-pan':
+            // The same move, easing in and out, smeared sideways like a fast camera pan
+            return [`[${from}][${to}]hstack=inputs=2,crop=w=${width}:h=${height}:x='${width}*(1-cos(PI*t/${seconds}))/2':y=0,avgblur=sizeX=${Math.max(1, Math.round(width / 45))}:sizeY=1[${outputLabel}]`];
+        case 'zoom':
+            return [
+                `[${from}]zoompan=z='1+${TRANSITION_ZOOM}*on/${frames}':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':d=1:s=${width}x${height}:fps=${SEGMENT_FPS},setsar=1,setpts=PTS-STARTPTS[${outputLabel}zoom]`,
+                `[${outputLabel}zoom][${to}]${blend}[${outputLabel}]`
+            ];
+        default:
+            return [`[${from}][${to}]${blend}[${outputLabel}]`];
+    }
+}
+
+// Joins [v0]...[vN] (rendered to `lengths`, see planTransitions) into outputLabel. With
+// transitions, each clip is split into the frames it shares with the clip before, its own
+// frames and the frames it shares with the clip after; the shared frames make the
+// transitions, and everything is concatenated in order.
+function buildTransitionFilters(transitions, lengths, outputLabel, { width, height }) {
+    const segmentCount = lengths.length;
+    if (transitions.every(transition => transition.duration === 0)) {
+        const inputs = Array.from({ length: segmentCount }, (_, i) => `[v${i}]`).join('');
+        return [`${inputs}concat=n=${segmentCount}:v=1:a=0[${outputLabel}]`];
+    }
+    const filters = [];
+    const pieces = [];
+    for (let i = 0; i < segmentCount; i++) {
+        const headFrames = i > 0 ? toFrames(transitions[i - 1].duration) : 0;
+        const tailFrames = i < transitions.length ? toFrames(transitions[i].duration) : 0;
+        const tailStart = tailFrames > 0 ? toFrames(lengths[i] - transitions[i].duration - 1 / SEGMENT_FPS) : null;
+        const parts = [];
+        if (headFrames > 0) parts.push({ label: `head${i}`, trim: `start_frame=0:end_frame=${headFrames}` });
+        parts.push({ label: `body${i}`, trim: tailStart === null ? `start_frame=${headFrames}` : `start_frame=${headFrames}:end_frame=${tailStart}` });
+        if (tailFrames > 0) parts.push({ label: `tail${i}`, trim: `start_frame=${tailStart}:end_frame=${tailStart + tailFrames}` });
+
+        if (parts.length > 1) filters.push(`[v${i}]split=${parts.length}${parts.map(part => `[${part.label}in]`).join('')}`);
+        for (const part of parts) {
+            filters.push(`[${parts.length > 1 ? `${part.label}in` : `v${i}`}]trim=${part.trim},setpts=PTS-STARTPTS[${part.label}]`);
+        }
+        if (i > 0 && headFrames > 0) {
+            filters.push(...transitionFilters(transitions[i - 1].name, `tail${i - 1}`, `head${i}`, `transition${i - 1}`, { width, height, frames: headFrames }));
+            pieces.push(`[transition${i - 1}]`);
+        }
+        pieces.push(`[body${i}]`);
+    }
+    filters.push(`${pieces.join('')}concat=n=${pieces.length}:v=1:a=0[${outputLabel}]`);
+    return filters;
+}
+
+// Filters for one stock clip, from [inputIndex:v] to [outputLabel]: scaled and cropped to the
+// frame, optionally speed-ramped (opening fast, then normal speed) and slowly pushed in
+function buildClipFilters(inputIndex, outputLabel, { width, height, duration, speedRamp = false, zoom = false }) {
+    const steps = [`scale=${width}:${height}:force_original_aspect_ratio=increase`, `crop=${width}:${height}`, 'setsar=1'];
+    if (speedRamp) {
+        const skipped = roundSeconds(RAMP_SECONDS - RAMP_SECONDS / RAMP_SPEED);
+        steps.push('setpts=PTS-STARTPTS', `setpts='if(lt(T\\,${RAMP_SECONDS})\\,T/${RAMP_SPEED}\\,T-${skipped})/TB'`);
+    }
+    steps.push(`fps=${SEGMENT_FPS}`, `trim=duration=${duration}`, 'setpts=PTS-STARTPTS');
+    if (zoom) {
+        const frames = Math.max(1, Math.round(duration * SEGMENT_FPS));
+        // Upscaled first, as for photos, so the slow zoom doesn't step a pixel at a time
+        steps.push(
+            `scale=${width * 2}:${height * 2}`,
+            `zoompan=z='1+${roundSeconds(STATIC_ZOOM - 1)}*on/${frames}':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':d=1:s=${width}x${height}:fps=${SEGMENT_FPS}`,
+            'setsar=1'
+        );
+    }
+    steps.push('format=yuv420p');
+    return [`[${inputIndex}:v]${steps.join(',')}[${outputLabel}]`];
+}
+
+// Seconds frozen according to freezedetect's log; a freeze still open at the end runs to `duration`
+function frozenSeconds(log, duration) {
+    let frozen = 0;
+    let start = null;
+    for (const match of log.matchAll(/freeze_(start|end): ([\d.]+)/g)) {
+        const time = Number(match[2]);
+        if (match[1] === 'start') {
+            start = time;
+        } else if (start !== null) {
+            frozen += time - start;
+            start = null;
+        }
+    }
+    if (start !== null) frozen += Math.max(0, duration - start);
+    return frozen;
+}
+
+// Whether the first `duration` seconds of a clip barely move (a locked-off product shot).
+// Needs an FFmpeg with freezedetect; anything that goes wrong counts as not static.
+function detectStaticShot(filePath, duration) {
+    return new Promise((resolve) => {
+        let log = '';
+        ffmpeg(filePath)
+            .inputOptions(['-stream_loop', '-1', '-t', String(duration)])
+            .videoFilters(['scale=240:-2', 'freezedetect=n=-50dB:d=0.5'])
+            .noAudio()
+            .format('null')
+            .output('-')
+            .on('stderr', (line) => {
+                log += `${line}\n`;
+            })
+            .on('end', () => resolve(frozenSeconds(log, duration) >= duration * STATIC_SHOT_SHARE))
+            .on('error', () => resolve(false))
+            .run();
+    });
+}
+
+function listTransitions() {
+    return {
+        transitions: Object.entries(TRANSITIONS).map(([name, spec]) => ({ name, label: spec.label, duration: spec.duration })),
+        moodDefaults: MOOD_TRANSITIONS
+    };
+}
+
+module.exports = {
+    TRANSITIONS,
+    MOOD_TRANSITIONS,
+    normalizeMotion,
+    transitionsFor,
+    planTransitions,
+    buildTransitionFilters,
+    buildClipFilters,
+    detectStaticShot,
+    listTransitions
+};
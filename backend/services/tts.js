@@ -0,0 +1,284 @@
+// --- TEXT-TO-SPEECH: ELEVENLABS, AZURE, OPENAI & LOCAL ENGINES WITH FALLBACK ---
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+const { getLanguage } = require('./languages');
+const { DEFAULT_VOICE_SETTINGS } = require('./voices');
+
+// A provider is { name, label, isAvailable(), synthesize(request) } where request is
+// { text, language, voices, settings, outputDir }, `voices` maps provider name → voice to use
+// (the language default otherwise) and `settings` are ElevenLabs voice settings (see
+// services/voices.js). synthesize resolves with { audioPath, alignment };
+// alignment is per-character timing in ElevenLabs' format (see services/timing.js) or null.
+
+const DEFAULT_TTS_ORDER = ['elevenlabs', 'azure', 'openai', 'local'];
+
+// Auth, billing and rate-limit failures won't clear up on the next render
+function isQuotaError(error) {
+    const status = error.status || (error.response && error.response.status);
+    if ([401, 402, 403, 429].includes(status)) return true;
+    return /quota|credits|rate.?limit|too many requests|unauthori[sz]ed|payment required/i.test(error.message || '');
+}
+
+// Azure reports where each word starts; every character takes the start of the word it
+// belongs to, which is all timelineFromAlignment needs to find line starts.
+function alignmentFromWords(text, words) {
+    const characters = text.split('');
+    const starts = [];
+    let w = 0;
+    let current = 0;
+    for (let i = 0; i < characters.length; i++) {
+        while (w < words.length && words[w].textOffset <= i) {
+            current = words[w].start;
+            w++;
+        }
+        starts.push(current);
+    }
+    return { characters, character_start_times_seconds: starts };
+}
+
+function findExecutable(names) {
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    for (const name of names) {
+        if (path.isAbsolute(name)) {
+            if (fs.existsSync(name)) return name;
+            continue;
+        }
+        for (const dir of dirs) {
+            const candidate = path.join(dir, name);
+            if (fs.existsSync(candidate)) return candidate;
+        }
+    }
+    return null;
+}
+
+function runCommand(command, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderr = '';
+        child.stderr.on('data', (chunk) => { stderr += chunk; });
+        child.on('error', reject);
+        child.on('close', (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(`${path.basename(command)} exited with code ${code}${stderr ? `: ${stderr.trim().slice(0, 200)}` : ''}`));
+        });
+    });
+}
+
+function createElevenLabsProvider({ apiKey, axios }) {
+    async function synthesize({ text, voices = {}, settings = DEFAULT_VOICE_SETTINGS, outputDir }) {
+        const voiceId = voices.elevenlabs;
+        if (!voiceId) throw new Error('No ElevenLabs voice selected');
+        try {
+            const response = await axios.post(
+                `https://api.elevenlabs.io/v1/text-to-speech/${encodeURIComponent(voiceId)}/with-timestamps`,
+                {
+                    text,
+                    model_id: 'eleven_multilingual_v2',
+                    voice_settings: {
+                        stability: settings.stability,
+                        similarity_boost: settings.similarityBoost,
+                        style: settings.style,
+                        use_speaker_boost: settings.speakerBoost
+                    }
+                },
+                {
+                    headers: {
+                        'Accept': 'application/json',
+                        'xi-api-key': apiKey
+                    }
+                }
+            );
+            if (!response.data || !response.data.audio_base64) {
+                throw new Error('No audio in ElevenLabs response');
+            }
+            const audioPath = path.join(outputDir, 'voice.mp3');
+            await fsp.writeFile(audioPath, Buffer.from(response.data.audio_base64, 'base64'));
+            return { audioPath, alignment: response.data.alignment || null, voice: voiceId };
+        } catch (error) {
+            const detail = error.response && error.response.data && error.response.data.detail;
+            const wrapped = new Error((detail && (detail.message || detail.status)) || error.message);
+            wrapped.status = error.response && error.response.status;
+            throw wrapped;
+        }
+    }
+
+    return { name: 'elevenlabs', label: 'ElevenLabs', isAvailable: () => Boolean(apiKey), synthesize };
+}
+
+function createAzureProvider({ key, region }) {
+    async function synthesize({ text, language, voices = {}, outputDir }) {
+        // Loaded on first use: the SDK is large and most setups never touch it
+        const sdk = require('microsoft-cognitiveservices-speech-sdk');
+        const voice = voices.azure || getLanguage(language).ttsVoices.azure;
+        const audioPath = path.join(outputDir, 'voice.mp3');
+
+        const speechConfig = sdk.SpeechConfig.fromSubscription(key, region);
+        speechConfig.speechSynthesisVoiceName = voice;
+        speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat.Audio24Khz96KBitRateMonoMp3;
+        const synthesizer = new sdk.SpeechSynthesizer(speechConfig, sdk.AudioConfig.fromAudioFileOutput(audioPath));
+
+        const words = [];
+        synthesizer.wordBoundary = (sender, event) => {
+            // audioOffset is in 100-nanosecond ticks
+            words.push({ textOffset: event.textOffset, start: event.audioOffset / 1e7 });
+        };
+
+        await new Promise((resolve, reject) => {
+            synthesizer.speakTextAsync(
+                text,
+                (result) => {
+                    synthesizer.close();
+                    if (result.reason === sdk.ResultReason.SynthesizingAudioCompleted) {
+                        resolve();
+                    } else {
+                        const details = sdk.CancellationDetails.fromResult(result);
+                        const error = new Error(details.errorDetails || 'Azure speech synthesis was cancelled');
+                        if (details.errorCode === sdk.CancellationErrorCode.AuthenticationFailure) error.status = 401;
+                        if (details.errorCode === sdk.CancellationErrorCode.TooManyRequests) error.status = 429;
+                        reject(error);
+                    }
+                },
+                (error) => {
+                    synthesizer.close();
+                    reject(new Error(String(error)));
+                }
+            );
+        });
+
+        return { audioPath, alignment: words.length ? alignmentFromWords(text, words) : null, voice };
+    }
+
+    return { name: 'azure', label: 'Azure Speech', isAvailable: () => Boolean(key && region), synthesize };
+}
+
+function createOpenAiProvider({ client, model = 'tts-1' }) {
+    async function synthesize({ text, language, voices = {}, outputDir }) {
+        const voice = voices.openai || getLanguage(language).ttsVoices.openai;
+        const response = await client.audio.speech.create({ model, voice, input: text, response_format: 'mp3' });
+        const audioPath = path.join(outputDir, 'voice.mp3');
+        await fsp.writeFile(audioPath, Buffer.from(await response.arrayBuffer()));
+        // OpenAI returns no timing, so lines are timed by length
+        return { audioPath, alignment: null, voice };
+    }
+
+    return { name: 'openai', label: 'OpenAI TTS', isAvailable: () => Boolean(client), synthesize };
+}
+
+// No key, no network: espeak-ng/espeak on Linux, the `say` package (built-in voices) on macOS and Windows
+function createLocalSpeechProvider({ platform = process.platform, espeakPath = process.env.ESPEAK_PATH } = {}) {
+    const espeak = platform === 'linux' ? findExecutable([espeakPath, 'espeak-ng', 'espeak'].filter(Boolean)) : null;
+    const useSay = platform === 'darwin' || platform === 'win32';
+
+    async function synthesize({ text, language, voices = {}, outputDir }) {
+        const audioPath = path.join(outputDir, 'voice.wav');
+        const defaults = getLanguage(language).ttsVoices;
+        if (espeak) {
+            const voice = voices.local || defaults.espeak;
+            // -s is words per minute; 165 is close to the pace the scripts are written for.
+            // `--` ends the options, so a line starting with "-" is still read out as text.
+            await runCommand(espeak, ['-v', voice, '-s', '165', '-w', audioPath, '--', text]);
+            return { audioPath, alignment: null, voice };
+        }
+        if (useSay) {
+            const say = require('say');
+            // Windows picks its default voice; macOS voice names come from `say -v ?`
+            const voice = voices.local || (platform === 'darwin' ? defaults.say : null);
+            await new Promise((resolve, reject) => say.export(text, voice, 1.0, audioPath, (err) => (err ? reject(err) : resolve())));
+            return { audioPath, alignment: null, voice };
+        }
+        throw new Error('No local speech engine found (install espeak-ng or set ESPEAK_PATH)');
+    }
+
+    return {
+        name: 'local',
+        label: espeak ? `Local (${path.basename(espeak)})` : 'Local (system voice)',
+        // Which voice names apply (services/voices.js lists both)
+        engine: espeak ? 'espeak' : (useSay ? 'say' : null),
+        isAvailable: () => Boolean(espeak || useSay),
+        synthesize
+    };
+}
+
+// Tries providers in order (a requested provider first) until one produces audio.
+// Providers that fail with a quota or auth error sit out for cooldownMs so later
+// renders don't keep paying the round trip.
+function createTtsChain(providers, { order = DEFAULT_TTS_ORDER, cooldownMs = 15 * 60 * 1000 } = {}) {
+    const coolingDown = new Map(); // name -> until (ms)
+
+    function isCoolingDown(name) {
+        const until = coolingDown.get(name);
+        if (!until) return false;
+        if (Date.now() >= until) {
+            coolingDown.delete(name);
+            return false;
+        }
+        return true;
+    }
+
+    function candidates(preferred) {
+        const names = order.filter(name => providers[name]);
+        if (preferred && providers[preferred]) {
+            names.splice(names.indexOf(preferred), 1);
+            names.unshift(preferred);
+        }
+        return names.map(name => providers[name]).filter(provider => provider.isAvailable() && !isCoolingDown(provider.name));
+    }
+
+    // Throws when `preferred` is not a known provider name
+    function validate(preferred) {
+        if (preferred && preferred !== 'auto' && !providers[preferred]) {
+            throw new Error(`Unknown voice provider "${preferred}". Use one of: auto, ${Object.keys(providers).join(', ')}`);
+        }
+    }
+
+    async function synthesize(request, preferred = 'auto') {
+        validate(preferred);
+        const chain = candidates(preferred === 'auto' ? null : preferred);
+        if (chain.length === 0) {
+            throw new Error('No voice provider is available. Add an ElevenLabs, Azure or OpenAI key, or install espeak-ng.');
+        }
+
+        const failures = [];
+        for (const provider of chain) {
+            try {
+                console.log(`[VOICEOVER] 🎤 ${provider.label}: generating ${request.text.length} characters in ${getLanguage(request.language).name}...`);
+                const result = await provider.synthesize(request);
+                console.log(`[VOICEOVER] ✅ Voiceover generated with ${provider.label}${result.alignment ? ' (with timestamps)' : ''}`);
+                return { ...result, provider: provider.name };
+            } catch (error) {
+                failures.push(`${provider.name}: ${error.message}`);
+                if (isQuotaError(error)) {
+                    coolingDown.set(provider.name, Date.now() + cooldownMs);
+                    console.warn(`[VOICEOVER] ⚠️ ${provider.label} is out of quota or rejected the key, skipping it for ${Math.round(cooldownMs / 60000)} min: ${error.message}`);
+                } else {
+                    console.warn(`[VOICEOVER] ⚠️ ${provider.label} failed, trying the next provider: ${error.message}`);
+                }
+            }
+        }
+        throw new Error(`Failed to create voiceover: ${failures.join('; ')}`);
+    }
+
+    function status() {
+        return order.filter(name => providers[name]).map(name => ({
+            name,
+            label: providers[name].label,
+            available: providers[name].isAvailable(),
+            coolingDownUntil: isCoolingDown(name) ? new Date(coolingDown.get(name)).toISOString() : null
+        }));
+    }
+
+    return { synthesize, validate, status };
+}
+
+module.exports = {
+    DEFAULT_TTS_ORDER,
+    isQuotaError,
+    alignmentFromWords,
+    createElevenLabsProvider,
+    createAzureProvider,
+    createOpenAiProvider,
+    createLocalSpeechProvider,
+    createTtsChain
+};
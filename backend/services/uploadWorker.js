@@ -0,0 +1,234 @@
+// --- UPLOAD WORKER: DRAINS THE video_uploads QUEUE IN THE BACKGROUND ---
+const fs = require('fs');
+const path = require('path');
+const { revealSecret, redactSecrets } = require('./vault');
+
+// scheduled → queued → uploading → posted | failed (or cancelled before uploading);
+// failed attempts go back to queued with a backoff
+const UPLOAD_STATUSES = ['scheduled', 'queued', 'uploading', 'posted', 'failed', 'cancelled'];
+
+const UPLOAD_WORKER_DEFAULTS = {
+    pollIntervalMs: 5000,
+    maxConcurrent: 2,
+    perAccountConcurrency: 1,
+    maxAttempts: 4,
+    backoffBaseSeconds: 60,
+    backoffMaxSeconds: 3600,
+    // Relative video_path values ('./public/videos/...') are resolved from here
+    baseDir: process.cwd()
+};
+
+// 60s, 120s, 240s ... capped, so a flaky login does not hammer TikTok
+function backoffSeconds(attempt, base, max) {
+    return Math.min(max, base * 2 ** Math.max(0, attempt - 1));
+}
+
+function permanentError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+}
+
+function defaultCaption(productName) {
+    return `${productName || 'New find'} #fyp #tiktokmademebuyit`;
+}
+
+// The worker only talks to SQLite through the promise helpers, so the server's
+// connection is reused and state lives in the rows, not in memory.
+function createUploadWorker({ dbRun, dbGet, dbAll, uploader, ...overrides }) {
+    const settings = { ...UPLOAD_WORKER_DEFAULTS };
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value !== undefined) settings[key] = value;
+    }
+    const active = new Map(); // uploadId -> accountId
+    const stats = { posted: 0, retried: 0, failed: 0 };
+    let timer = null;
+    let ticking = false;
+    let running = false;
+
+    function activeForAccount(accountId) {
+        let count = 0;
+        for (const id of active.values()) {
+            if (id === accountId) count++;
+        }
+        return count;
+    }
+
+    // Rows left in 'uploading' mean the server died mid-upload; the attempt already counted
+    async function recoverInterrupted() {
+        const { changes } = await dbRun(
+            `UPDATE video_uploads
+             SET upload_status = 'queued', last_error = 'Interrupted by server restart', next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE upload_status = 'uploading'`
+        );
+        if (changes > 0) {
+            console.warn(`[UPLOAD WORKER] ♻️ Re-queued ${changes} upload(s) interrupted by a restart`);
+        }
+    }
+
+    async function markResult(upload, error) {
+        if (!error) {
+            await dbRun(
+                `UPDATE video_uploads
+                 SET upload_status = 'posted', posted_at = CURRENT_TIMESTAMP, last_error = NULL, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [upload.id]
+            );
+            stats.posted++;
+            console.log(`[UPLOAD WORKER] ✅ Upload #${upload.id} posted to @${upload.username}`);
+            return;
+        }
+
+        const message = redactSecrets(error.message || String(error));
+        if (error.retryable !== false && upload.attempts < settings.maxAttempts) {
+            const delay = backoffSeconds(upload.attempts, settings.backoffBaseSeconds, settings.backoffMaxSeconds);
+            await dbRun(
+                `UPDATE video_uploads
+                 SET upload_status = 'queued', last_error = ?, next_attempt_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [message, `+${delay} seconds`, upload.id]
+            );
+            stats.retried++;
+            console.warn(`[UPLOAD WORKER] ⚠️ Upload #${upload.id} attempt ${upload.attempts}/${settings.maxAttempts} failed: ${message}. Retrying in ${delay}s`);
+            return;
+        }
+
+        await dbRun(
+            `UPDATE video_uploads
+             SET upload_status = 'failed', last_error = ?, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [message, upload.id]
+        );
+        stats.failed++;
+        console.error(`[UPLOAD WORKER] ❌ Upload #${upload.id} failed after ${upload.attempts} attempt(s): ${message}`);
+    }
+
+    async function processUpload(uploadId) {
+        const upload = await dbGet(
+            `SELECT vu.id, vu.account_id, vu.video_path, vu.product_name, vu.caption, vu.attempts,
+                    ta.username, ta.password, ta.status AS account_status
+             FROM video_uploads vu
+             LEFT JOIN tiktok_accounts ta ON ta.id = vu.account_id
+             WHERE vu.id = ?`,
+            [uploadId]
+        );
+        let failure = null;
+        try {
+            if (!upload.username || upload.account_status !== 'active') {
+                throw permanentError('TikTok account was removed');
+            }
+            const videoPath = upload.video_path ? path.resolve(settings.baseDir, upload.video_path) : null;
+            if (!videoPath || !fs.existsSync(videoPath)) {
+                throw permanentError(`Video file not found: ${upload.video_path}`);
+            }
+            let password;
+            try {
+                password = revealSecret(upload.password);
+            } catch (error) {
+                throw permanentError(`Stored credentials could not be decrypted (${error.message})`);
+            }
+
+            console.log(`[UPLOAD WORKER] 🚀 Upload #${upload.id} → @${upload.username} (attempt ${upload.attempts}/${settings.maxAttempts}, ${uploader.name})`);
+            await uploader.upload({
+                uploadId: upload.id,
+                attempt: upload.attempts,
+                videoPath,
+                caption: upload.caption || defaultCaption(upload.product_name),
+                username: upload.username,
+                password
+            });
+        } catch (error) {
+            failure = error;
+        }
+        await markResult(upload, failure);
+    }
+
+    // Claims due rows one by one; the conditional UPDATE makes a claim atomic
+    async function tick() {
+        if (ticking || !running) return;
+        ticking = true;
+        try {
+            if (active.size >= settings.maxConcurrent) return;
+            const due = await dbAll(
+                `SELECT id, account_id FROM video_uploads
+                 WHERE upload_status = 'queued' AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now'))
+                 ORDER BY created_at, id
+                 LIMIT 50`
+            );
+            for (const row of due) {
+                if (active.size >= settings.maxConcurrent) break;
+                if (activeForAccount(row.account_id) >= settings.perAccountConcurrency) continue;
+
+                const { changes } = await dbRun(
+                    `UPDATE video_uploads
+                     SET upload_status = 'uploading', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ? AND upload_status = 'queued'`,
+                    [row.id]
+                );
+                if (changes !== 1) continue;
+
+                active.set(row.id, row.account_id);
+                processUpload(row.id)
+                    .catch(error => console.error(`[UPLOAD WORKER] ❌ Upload #${row.id} crashed:`, error.message))
+                    .finally(() => {
+                        active.delete(row.id);
+                        setImmediate(tick);
+                    });
+            }
+        } catch (error) {
+            console.error('[UPLOAD WORKER] ❌ Queue poll failed:', error.message);
+        } finally {
+            ticking = false;
+        }
+    }
+
+    async function start() {
+        if (running) return;
+        running = true;
+        await recoverInterrupted();
+        timer = setInterval(tick, settings.pollIntervalMs);
+        timer.unref();
+        console.log(`[UPLOAD WORKER] 🟢 Started (${uploader.name} uploader, ${settings.maxConcurrent} at a time, ${settings.perAccountConcurrency} per account)`);
+        tick();
+    }
+
+    // Stops claiming new rows; uploads already running finish on their own
+    function stop() {
+        running = false;
+        if (timer) clearInterval(timer);
+        timer = null;
+    }
+
+    // Puts a failed upload back in line with a fresh attempt budget
+    async function requeue(uploadId) {
+        const { changes } = await dbRun(
+            `UPDATE video_uploads
+             SET upload_status = 'queued', attempts = 0, last_error = NULL, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND upload_status = 'failed'`,
+            [uploadId]
+        );
+        if (changes > 0) setImmediate(tick);
+        return changes > 0;
+    }
+
+    function status() {
+        return {
+            running,
+            uploader: uploader.name,
+            active: Array.from(active, ([uploadId, accountId]) => ({ uploadId, accountId })),
+            settings,
+            stats: { ...stats }
+        };
+    }
+
+    return { start, stop, tick, requeue, status };
+}
+
+module.exports = {
+    UPLOAD_STATUSES,
+    UPLOAD_WORKER_DEFAULTS,
+    backoffSeconds,
+    permanentError,
+    defaultCaption,
+    createUploadWorker
+};
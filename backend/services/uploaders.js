@@ -0,0 +1,133 @@
+// --- TIKTOK UPLOADERS: BROWSER AUTOMATION & A FAKE FOR TESTING ---
+const puppeteer = require('puppeteer');
+const { redactSecrets } = require('./vault');
+
+// Real TikTok upload through browser automation (opens a visible Chrome window)
+async function uploadToRealTikTok(videoPath, caption, username, password) {
+    const browser = await puppeteer.launch({ 
+        headless: false,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+    
+    const page = await browser.newPage();
+    
+    try {
+        console.log(`[TIKTOK] 🚀 Uploading to @${username}...`);
+        
+        // Go to TikTok upload page
+        await page.goto('https://www.tiktok.com/upload', { waitUntil: 'networkidle2' });
+        
+        // Check if login is needed
+        const loginButton = await page.$('button[data-e2e="login-button"]');
+        if (loginButton) {
+            console.log('[TIKTOK] 🔑 Login required...');
+            await page.goto('https://www.tiktok.com/login/phone-or-email/email');
+            
+            // Login process
+            await page.waitForSelector('input[name="username"]', { timeout: 10000 });
+            await page.type('input[name="username"]', username);
+            await page.type('input[type="password"]', password);
+            await page.click('button[data-e2e="login-button"]');
+            
+            // Wait for login to complete
+            await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 });
+            
+            // Go to upload page after login
+            await page.goto('https://www.tiktok.com/upload', { waitUntil: 'networkidle2' });
+        }
+        
+        // Upload video file
+        console.log('[TIKTOK] 📤 Uploading video file...');
+        const fileInput = await page.$('input[type="file"]');
+        if (fileInput) {
+            await fileInput.uploadFile(videoPath);
+            
+            // Wait for video to process
+            await page.waitForTimeout(10000);
+            
+            // Add caption
+            console.log('[TIKTOK] 📝 Adding caption...');
+            const captionInput = await page.$('[data-e2e="video-caption"]');
+            if (captionInput) {
+                await captionInput.click();
+                await captionInput.type(caption);
+            }
+            
+            // Click post button
+            console.log('[TIKTOK] 🚀 Publishing...');
+            const postButton = await page.$('button[data-e2e="publish-button"]');
+            if (postButton) {
+                await postButton.click();
+                await page.waitForTimeout(5000);
+                
+                console.log('[TIKTOK] ✅ Video uploaded successfully!');
+                return { success: true, message: 'Video uploaded successfully!' };
+            }
+        }
+        
+        throw new Error('Could not complete upload process');
+        
+    } catch (error) {
+        console.error('[TIKTOK] ❌ Upload failed:', error.message);
+        return { success: false, error: redactSecrets(error.message) };
+    } finally {
+        await browser.close();
+    }
+}
+
+// Uploaders expose upload({ uploadId, attempt, videoPath, caption, username, password })
+// and throw when the post did not go through. Errors with retryable === false are not retried.
+const puppeteerUploader = {
+    name: 'puppeteer',
+    async upload({ videoPath, caption, username, password }) {
+        const result = await uploadToRealTikTok(videoPath, caption, username, password);
+        if (!result.success) {
+            throw new Error(result.error || 'Upload failed');
+        }
+        return result;
+    }
+};
+
+// Pretends to post after `delayMs`, failing a `failRate` share of attempts. `fail(call)` can
+// instead return the error a given call should throw (or null to let it pass).
+// Every call is recorded so tests can assert on what would have been posted.
+function createFakeUploader({ delayMs = 1000, failRate = 0, fail = null } = {}) {
+    const calls = [];
+    return {
+        name: 'fake',
+        calls,
+        async upload({ uploadId, attempt, videoPath, caption, username }) {
+            const call = { uploadId, attempt, videoPath, caption, username };
+            calls.push(call);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            const error = fail ? fail(call) : null;
+            if (error) throw error;
+            if (Math.random() < failRate) {
+                throw new Error(`Fake upload failure (attempt ${attempt})`);
+            }
+            console.log(`[UPLOADER] 🧪 Fake-posted upload #${uploadId} to @${username}`);
+            return { success: true, message: 'Fake upload complete' };
+        }
+    };
+}
+
+// UPLOADER=fake swaps in the fake (FAKE_UPLOAD_DELAY_MS, FAKE_UPLOAD_FAIL_RATE)
+function getUploader(name = process.env.UPLOADER || 'puppeteer') {
+    if (name === 'fake') {
+        return createFakeUploader({
+            delayMs: Number(process.env.FAKE_UPLOAD_DELAY_MS) || 1000,
+            failRate: Number(process.env.FAKE_UPLOAD_FAIL_RATE) || 0
+        });
+    }
+    if (name !== 'puppeteer') {
+        console.warn(`[UPLOADER] ⚠️ Unknown uploader "${name}", using puppeteer`);
+    }
+    return puppeteerUploader;
+}
+
+module.exports = {
+    uploadToRealTikTok,
+    puppeteerUploader,
+    createFakeUploader,
+    getUploader
+};
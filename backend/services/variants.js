@@ -0,0 +1,96 @@
+// --- A/B VARIANTS: SEVERAL VERSIONS OF ONE PRODUCT VIDEO ---
+// Variant A is the video as planned; B, C... change the selected dimensions of that project
+// (services/projects.js) so the versions differ only where the test wants them to.
+const { MOOD_STYLES } = require('./scripts');
+
+const VARIANT_DIMENSIONS = ['hook', 'mood', 'voice', 'music', 'clips'];
+const MAX_VARIANTS = 6;
+
+// { count, vary, moods } from the request. `vary` defaults to every dimension; `moods`
+// (optional) sets the mood of each variant in order, A first, and repeats when shorter.
+function normalizeVariantRequest(input = {}) {
+    const count = Number(input.count);
+    if (!Number.isInteger(count) || count < 2 || count > MAX_VARIANTS) {
+        throw new Error(`variants.count must be a whole number from 2 to ${MAX_VARIANTS}`);
+    }
+    const requested = input.vary === undefined ? VARIANT_DIMENSIONS : (Array.isArray(input.vary) ? input.vary : String(input.vary).split(','));
+    const vary = requested.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+    const unknown = vary.filter(item => !VARIANT_DIMENSIONS.includes(item));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown variant dimension "${unknown[0]}". Use any of: ${VARIANT_DIMENSIONS.join(', ')}`);
+    }
+    if (vary.length === 0) throw new Error('variants.vary needs at least one of: ' + VARIANT_DIMENSIONS.join(', '));
+
+    let moods = null;
+    if (input.moods !== undefined && input.moods !== null && input.moods !== '') {
+        moods = (Array.isArray(input.moods) ? input.moods : String(input.moods).split(','))
+            .map(item => String(item).trim().toLowerCase())
+            .filter(Boolean);
+        const bad = moods.find(mood => !MOOD_STYLES[mood]);
+        if (bad) throw new Error(`Unknown mood "${bad}". Use any of: ${Object.keys(MOOD_STYLES).join(', ')}`);
+    }
+    return { count, vary: [...new Set(vary)], moods };
+}
+
+// 0 → 'A', 1 → 'B'...
+function variantLabel(index) {
+    return String.fromCharCode(65 + index);
+}
+
+// The mood of each variant: the requested list, or the base mood first and then the others
+function variantMoods(baseMood, { count, vary, moods }) {
+    if (!vary.includes('mood')) return Array(count).fill(baseMood);
+    const order = moods || [baseMood, ...Object.keys(MOOD_STYLES).filter(mood => mood !== baseMood)];
+    return Array.from({ length: count }, (_, i) => order[i % order.length]);
+}
+
+// Variant i starts on clip i, so each version opens on a different shot
+function rotateSegments(segments, offset) {
+    if (segments.length < 2) return segments;
+    const shift = offset % segments.length;
+    return [...segments.slice(shift), ...segments.slice(0, shift)];
+}
+
+// The project for one variant. `choice` holds what this variant uses instead of the base:
+// { mood, hook, voiceProvider + voiceId (+ voiceName), musicTrackId (+ musicTitle), clipOffset },
+// anything missing keeps the base's. Returns the project and a list of what changed, for
+// comparing variants. The base's voiceover carries over while text and voice are the same.
+function applyVariant(base, choice) {
+    const project = { ...base, lines: base.lines.map(line => ({ ...line })), voice: { ...base.voice, voices: { ...base.voice.voices } } };
+    const changes = [];
+
+    if (choice.mood && choice.mood !== base.mood) {
+        project.mood = choice.mood;
+        changes.push(`mood: ${choice.mood}`);
+    }
+    if (choice.hook) {
+        const index = Math.max(0, project.lines.findIndex(line => line.role === 'hook'));
+        project.lines[index] = { ...project.lines[index], text: choice.hook };
+        changes.push(`hook: "${choice.hook}"`);
+    }
+    if (choice.voiceId && choice.voiceProvider) {
+        project.voice.voices[choice.voiceProvider] = choice.voiceId;
+        project.voice.source = 'variant';
+        changes.push(`voice: ${choice.voiceName || choice.voiceId}`);
+    }
+    if (choice.musicTrackId && choice.musicTrackId !== base.musicTrackId) {
+        project.musicTrackId = choice.musicTrackId;
+        changes.push(`music: ${choice.musicTitle || `track ${choice.musicTrackId}`}`);
+    }
+    if (choice.clipOffset && choice.clipOffset % base.segments.length !== 0) {
+        project.segments = rotateSegments(base.segments, choice.clipOffset);
+        changes.push(`clips: starts on clip ${(choice.clipOffset % base.segments.length) + 1}`);
+    }
+    if (choice.hook || choice.voiceId) project.voiceover = null;
+    return { project, changes };
+}
+
+module.exports = {
+    VARIANT_DIMENSIONS,
+    MAX_VARIANTS,
+    normalizeVariantRequest,
+    variantLabel,
+    variantMoods,
+    rotateSegments,
+    applyVariant
+};
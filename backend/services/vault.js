@@ -0,0 +1,155 @@
+// --- CREDENTIALS VAULT: AES-256-GCM ENCRYPTION AT REST & LOG REDACTION ---
+const crypto = require('crypto');
+const util = require('util');
+
+// Stored values look like v1:<keyId>:<iv>:<authTag>:<ciphertext> (base64 parts)
+const VAULT_PREFIX = 'v1';
+const KEY_SALT = 'tiktok-generator-credentials-vault';
+const REDACTED = '[REDACTED]';
+
+// Request/response fields that must never be echoed back or logged as-is, matched on the
+// whole field name (case-insensitive) so data like maxTokens or tokensUsed still goes out
+const SENSITIVE_FIELDS = new Set([
+    'password', 'secret', 'token', 'apikey', 'api_key', 'masterkey', 'master_key',
+    'accesstoken', 'access_token', 'refreshtoken', 'refresh_token', 'clientsecret', 'client_secret'
+]);
+// Shorter secrets would also match ordinary words in logs and messages, so they aren't scrubbed
+const MIN_SECRET_LENGTH = 8;
+
+const knownSecrets = new Set();
+
+// Any passphrase works; it is stretched to a 256-bit key so short env values are not used raw
+function deriveKey(secret) {
+    const key = crypto.scryptSync(String(secret), KEY_SALT, 32);
+    const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+    return { id, key };
+}
+
+// CREDENTIALS_MASTER_KEY encrypts; CREDENTIALS_PREVIOUS_MASTER_KEY can still decrypt
+// rows written before a rotation finished.
+function getKeyring() {
+    const current = process.env.CREDENTIALS_MASTER_KEY;
+    const previous = process.env.CREDENTIALS_PREVIOUS_MASTER_KEY;
+    const keyring = [];
+    if (current) keyring.push(deriveKey(current));
+    if (previous) keyring.push(deriveKey(previous));
+    return keyring;
+}
+
+function isVaultConfigured() {
+    return Boolean(process.env.CREDENTIALS_MASTER_KEY);
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${VAULT_PREFIX}:`) && value.split(':').length === 5;
+}
+
+function generateMasterKey() {
+    return crypto.randomBytes(32).toString('base64');
+}
+
+function encryptSecret(plaintext, masterKey = process.env.CREDENTIALS_MASTER_KEY) {
+    if (!masterKey) {
+        throw new Error('CREDENTIALS_MASTER_KEY is not set, refusing to store credentials');
+    }
+    const { id, key } = deriveKey(masterKey);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return [VAULT_PREFIX, id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function decryptSecret(value, keyring = getKeyring()) {
+    if (!isEncrypted(value)) {
+        throw new Error('Value is not a vault-encrypted secret');
+    }
+    const [, keyId, iv, tag, ciphertext] = value.split(':');
+    const match = keyring.find(entry => entry.id === keyId);
+    if (!match) {
+        throw new Error(`No master key available for credential key id ${keyId}`);
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', match.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    registerSecret(plaintext);
+    return plaintext;
+}
+
+// Rows that predate the vault are still plaintext until the startup migration runs
+function revealSecret(value) {
+    if (value === null || value === undefined || value === '') return value;
+    if (isEncrypted(value)) return decryptSecret(value);
+    console.warn('[VAULT] ⚠️ Using a plaintext credential, set CREDENTIALS_MASTER_KEY to encrypt it');
+    registerSecret(value);
+    return value;
+}
+
+// Every secret the process has seen is scrubbed from log lines and error messages
+function registerSecret(value) {
+    if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+        knownSecrets.add(value);
+    }
+}
+
+function redactSecrets(text) {
+    let result = String(text);
+    for (const secret of knownSecrets) {
+        result = result.split(secret).join(REDACTED);
+    }
+    return result;
+}
+
+// Copy of an object with sensitive fields masked, for logs and API responses. Values that
+// serialize themselves (Dates and the like) are passed through as they are.
+function redactCredentials(value) {
+    if (Array.isArray(value)) return value.map(redactCredentials);
+    if (!value || typeof value !== 'object' || typeof value.toJSON === 'function') return value;
+    const copy = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+        const sensitive = SENSITIVE_FIELDS.has(field.toLowerCase());
+        copy[field] = sensitive && fieldValue ? REDACTED : redactCredentials(fieldValue);
+    }
+    return copy;
+}
+
+// An API response body: credential fields masked and known secrets scrubbed from its
+// error/message text (error messages can quote whatever failed)
+function redactResponse(body) {
+    const copy = redactCredentials(body);
+    if (copy && typeof copy === 'object' && !Array.isArray(copy)) {
+        for (const field of ['error', 'message']) {
+            if (typeof copy[field] === 'string') copy[field] = redactSecrets(copy[field]);
+        }
+    }
+    return copy;
+}
+
+// Wraps console.log/info/warn/error so nothing that prints a known secret leaks it
+function installLogRedaction(target = console) {
+    if (target.__vaultRedaction) return;
+    for (const method of ['log', 'info', 'warn', 'error']) {
+        const original = target[method].bind(target);
+        target[method] = (...args) => {
+            if (knownSecrets.size === 0) return original(...args);
+            return original(redactSecrets(util.format(...args)));
+        };
+    }
+    target.__vaultRedaction = true;
+    registerSecret(process.env.CREDENTIALS_MASTER_KEY);
+    registerSecret(process.env.CREDENTIALS_PREVIOUS_MASTER_KEY);
+}
+
+module.exports = {
+    REDACTED,
+    isVaultConfigured,
+    isEncrypted,
+    generateMasterKey,
+    encryptSecret,
+    decryptSecret,
+    revealSecret,
+    registerSecret,
+    redactSecrets,
+    redactCredentials,
+    redactResponse,
+    installLogRedaction
+};
@@ -0,0 +1,305 @@
+// --- VOICE CATALOG: VOICES PER TTS PROVIDER, CATEGORY DEFAULTS & VOICE SETTINGS ---
+const { LANGUAGES, getLanguage } = require('./languages');
+
+// ElevenLabs premade voices. Used when the API key can't list the account's voices, and
+// as the source of the category defaults below. eleven_multilingual_v2 speaks every language.
+const ELEVENLABS_VOICES = [
+    { id: '21m00Tcm4TlvDq8ikWAM', name: 'Rachel', gender: 'female', accent: 'american', description: 'calm, clear narration' },
+    { id: 'EXAVITQu4vr4xnSDxMaL', name: 'Sarah', gender: 'female', accent: 'american', description: 'soft, young' },
+    { id: 'LcfcDJNUP1GQjkzn1xUU', name: 'Emily', gender: 'female', accent: 'american', description: 'calm, meditative' },
+    { id: 'ErXwobaYiN019PkySvjV', name: 'Antoni', gender: 'male', accent: 'american', description: 'well-rounded' },
+    { id: 'pNInz6obpgDQGcFmaJgB', name: 'Adam', gender: 'male', accent: 'american', description: 'deep narration' },
+    { id: 'VR6AewLTigWG4xSOukaG', name: 'Arnold', gender: 'male', accent: 'american', description: 'crisp' },
+    { id: 'nPczCjzI2devNBz1zQrb', name: 'Brian', gender: 'male', accent: 'american', description: 'deep, resonant' }
+];
+
+const ELEVENLABS_VOICE_ID = /^[A-Za-z0-9]{20}$/;
+
+// Product category → ElevenLabs voice, matched on whole words of the product name and category
+const CATEGORY_VOICES = {
+    tech: 'ErXwobaYiN019PkySvjV', // Antoni
+    gadgets: 'pNInz6obpgDQGcFmaJgB', // Adam
+    electronics: 'VR6AewLTigWG4xSOukaG', // Arnold
+    automotive: 'nPczCjzI2devNBz1zQrb', // Brian
+    sports: 'ErXwobaYiN019PkySvjV', // Antoni
+    beauty: '21m00Tcm4TlvDq8ikWAM', // Rachel
+    skincare: '21m00Tcm4TlvDq8ikWAM', // Rachel
+    fashion: 'LcfcDJNUP1GQjkzn1xUU', // Emily
+    clothing: 'LcfcDJNUP1GQjkzn1xUU', // Emily
+    jewelry: '21m00Tcm4TlvDq8ikWAM', // Rachel
+    food: 'LcfcDJNUP1GQjkzn1xUU', // Emily
+    snacks: 'LcfcDJNUP1GQjkzn1xUU', // Emily
+    health: '21m00Tcm4TlvDq8ikWAM', // Rachel
+    fitness: 'LcfcDJNUP1GQjkzn1xUU', // Emily
+    home: 'LcfcDJNUP1GQjkzn1xUU', // Emily
+    kitchen: '21m00Tcm4TlvDq8ikWAM', // Rachel
+    default: '21m00Tcm4TlvDq8ikWAM' // Rachel
+};
+
+// Azure neural voices per language code
+const AZURE_VOICES = {
+    en: [
+        { id: 'en-US-JennyNeural', name: 'Jenny', gender: 'female', accent: 'american' },
+        { id: 'en-US-AriaNeural', name: 'Aria', gender: 'female', accent: 'american' },
+        { id: 'en-US-GuyNeural', name: 'Guy', gender: 'male', accent: 'american' },
+        { id: 'en-US-DavisNeural', name: 'Davis', gender: 'male', accent: 'american' },
+        { id: 'en-GB-SoniaNeural', name: 'Sonia', gender: 'female', accent: 'british' },
+        { id: 'en-GB-RyanNeural', name: 'Ryan', gender: 'male', accent: 'british' }
+    ],
+    id: [
+        { id: 'id-ID-GadisNeural', name: 'Gadis', gender: 'female', accent: 'indonesian' },
+        { id: 'id-ID-ArdiNeural', name: 'Ardi', gender: 'male', accent: 'indonesian' }
+    ]
+};
+
+// OpenAI voices speak whatever language the text is in
+const OPENAI_VOICES = [
+    { id: 'alloy', name: 'Alloy', gender: 'neutral' },
+    { id: 'ash', name: 'Ash', gender: 'male' },
+    { id: 'coral', name: 'Coral', gender: 'female' },
+    { id: 'echo', name: 'Echo', gender: 'male' },
+    { id: 'fable', name: 'Fable', gender: 'male', accent: 'british' },
+    { id: 'nova', name: 'Nova', gender: 'female' },
+    { id: 'onyx', name: 'Onyx', gender: 'male' },
+    { id: 'sage', name: 'Sage', gender: 'female' },
+    { id: 'shimmer', name: 'Shimmer', gender: 'female' }
+];
+
+// espeak variants are <voice>+<variant>; f3 and m3 are its most natural female and male
+const ESPEAK_VOICES = {
+    en: [
+        { id: 'en-us', name: 'American English', gender: 'male', accent: 'american' },
+        { id: 'en-us+f3', name: 'American English (female)', gender: 'female', accent: 'american' },
+        { id: 'en-gb', name: 'British English', gender: 'male', accent: 'british' },
+        { id: 'en-gb+f3', name: 'British English (female)', gender: 'female', accent: 'british' }
+    ],
+    id: [
+        { id: 'id', name: 'Indonesian', gender: 'male', accent: 'indonesian' },
+        { id: 'id+f3', name: 'Indonesian (female)', gender: 'female', accent: 'indonesian' }
+    ]
+};
+
+const SAY_VOICES = {
+    en: [
+        { id: 'Samantha', name: 'Samantha', gender: 'female', accent: 'american' },
+        { id: 'Alex', name: 'Alex', gender: 'male', accent: 'american' },
+        { id: 'Daniel', name: 'Daniel', gender: 'male', accent: 'british' }
+    ],
+    id: [
+        { id: 'Damayanti', name: 'Damayanti', gender: 'female', accent: 'indonesian' }
+    ]
+};
+
+// ElevenLabs voice_settings; the other providers have no equivalent and ignore them
+const DEFAULT_VOICE_SETTINGS = {
+    stability: 0.7,
+    similarityBoost: 0.8,
+    style: 0.4,
+    speakerBoost: true
+};
+
+// Throws on anything outside ElevenLabs' 0-1 ranges. Missing values are left out, so
+// settings can be layered (defaults → account → request).
+function normalizeVoiceSettings(input) {
+    if (input === undefined || input === null) return {};
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('voiceSettings must be an object like { stability, similarityBoost, style, speakerBoost }');
+    }
+    const settings = {};
+    for (const key of ['stability', 'similarityBoost', 'style']) {
+        if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+        const value = Number(input[key]);
+        if (!Number.isFinite(value) || value < 0 || value > 1) {
+            throw new Error(`voiceSettings.${key} must be a number from 0 to 1`);
+        }
+        settings[key] = value;
+    }
+    if (input.speakerBoost !== undefined && input.speakerBoost !== null) {
+        settings.speakerBoost = Boolean(input.speakerBoost);
+    }
+    return settings;
+}
+
+// { provider, voiceId, settings } as sent by the API. A voice only means something to one
+// provider, so voiceId needs a provider other than 'auto' and must be one of that provider's
+// voices in `catalog` (createVoiceCatalog below).
+async function normalizeVoiceSelection({ provider, voiceId, settings } = {}, providerNames, catalog) {
+    const name = provider ? String(provider).trim().toLowerCase() : 'auto';
+    if (name !== 'auto' && !providerNames.includes(name)) {
+        throw new Error(`Unknown voice provider "${provider}". Use one of: auto, ${providerNames.join(', ')}`);
+    }
+    const id = voiceId ? String(voiceId).trim() : null;
+    if (id && name === 'auto') {
+        throw new Error('Pick a voice provider to go with the voice');
+    }
+    if (id && !await catalog.has(name, id)) {
+        throw new Error(`Unknown ${name} voice "${id}". GET /api/voices lists the voices to pick from`);
+    }
+    return { provider: name, voiceId: id, settings: normalizeVoiceSettings(settings) };
+}
+
+// Per-account defaults are stored as JSON in tiktok_accounts.voice_preferences
+function parseVoicePreferences(text) {
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+function categoryVoice(text) {
+    const words = new Set(String(text || '').toLowerCase().split(/[^a-z]+/));
+    const match = Object.keys(CATEGORY_VOICES).find(category => category !== 'default' && words.has(category));
+    return CATEGORY_VOICES[match || 'default'];
+}
+
+// Which provider to try first, which voice each provider uses and the voice settings for
+// one render. Most specific wins: the request, then the account default, then (ElevenLabs
+// only) the language override and the product category voice. Providers without a voice
+// here use their language default (see services/tts.js).
+function resolveVoice({ request = {}, account = null, language, categoryText = '' }) {
+    const accountPrefs = account || {};
+    const provider = request.provider && request.provider !== 'auto' ? request.provider : (accountPrefs.provider || 'auto');
+
+    const voices = { elevenlabs: getLanguage(language).voiceId || categoryVoice(categoryText) };
+    let source = getLanguage(language).voiceId ? 'language' : 'category';
+    if (accountPrefs.provider && accountPrefs.voiceId) {
+        voices[accountPrefs.provider] = accountPrefs.voiceId;
+        if (accountPrefs.provider === provider || provider === 'auto') source = 'account';
+    }
+    if (request.voiceId) {
+        voices[provider] = request.voiceId;
+        source = 'request';
+    }
+
+    return {
+        provider,
+        voices,
+        settings: { ...DEFAULT_VOICE_SETTINGS, ...(accountPrefs.settings || {}), ...(request.settings || {}) },
+        source
+    };
+}
+
+function staticVoices(provider, language, localEngine) {
+    switch (provider) {
+        case 'elevenlabs':
+            return ELEVENLABS_VOICES.map(voice => ({ ...voice, languages: null, previewUrl: null }));
+        case 'azure':
+            return (AZURE_VOICES[language] || []).map(voice => ({ ...voice, languages: [language], previewUrl: null }));
+        case 'openai':
+            return OPENAI_VOICES.map(voice => ({ ...voice, languages: null, previewUrl: null }));
+        case 'local': {
+            const voices = localEngine === 'say' ? SAY_VOICES : (localEngine === 'espeak' ? ESPEAK_VOICES : {});
+            return (voices[language] || []).map(voice => ({ ...voice, languages: [language], previewUrl: null }));
+        }
+        default:
+            return [];
+    }
+}
+
+// Lists voices per provider. ElevenLabs voices come from the account (so cloned voices show
+// up, with ElevenLabs' own preview clips) and are kept for cacheMs; everything else is the
+// static lists above. A failed listing is not retried for retryMs, so one voice check makes
+// at most one request. Voices without a preview clip get previewUrl from previewUrlFor.
+function createVoiceCatalog({ providers, elevenLabsApiKey, axios, previewUrlFor, cacheMs = 60 * 60 * 1000, retryMs = 5 * 60 * 1000 }) {
+    let elevenLabsVoices = null;
+    let fetchedAt = 0;
+    let failedAt = 0;
+
+    async function fetchElevenLabsVoices() {
+        if (!elevenLabsApiKey) return null;
+        if (elevenLabsVoices && Date.now() - fetchedAt < cacheMs) return elevenLabsVoices;
+        if (Date.now() - failedAt < retryMs) return null;
+        try {
+            const res = await axios.get('https://api.elevenlabs.io/v1/voices', {
+                headers: { 'xi-api-key': elevenLabsApiKey }
+            });
+            elevenLabsVoices = (res.data.voices || []).map(voice => {
+                const labels = voice.labels || {};
+                return {
+                    id: voice.voice_id,
+                    name: voice.name,
+                    gender: labels.gender || null,
+                    accent: labels.accent || null,
+                    description: labels.description || voice.description || null,
+                    category: voice.category || null,
+                    languages: null,
+                    previewUrl: voice.preview_url || null
+                };
+            });
+            fetchedAt = Date.now();
+            console.log(`[VOICES] 📋 Loaded ${elevenLabsVoices.length} ElevenLabs voice(s)`);
+        } catch (error) {
+            failedAt = Date.now();
+            console.warn(`[VOICES] ⚠️ Could not list ElevenLabs voices, using the built-in list: ${error.message}`);
+            return null;
+        }
+        return elevenLabsVoices;
+    }
+
+    async function voicesFor(provider, language) {
+        const localEngine = providers.local && providers.local.engine;
+        const voices = (provider === 'elevenlabs' && await fetchElevenLabsVoices()) || staticVoices(provider, language, localEngine);
+        const defaults = getLanguage(language).ttsVoices;
+        const defaultId = {
+            elevenlabs: getLanguage(language).voiceId || CATEGORY_VOICES.default,
+            azure: defaults.azure,
+            openai: defaults.openai,
+            local: localEngine === 'say' ? defaults.say : defaults.espeak
+        }[provider];
+        return voices.map(voice => ({
+            ...voice,
+            provider,
+            isDefault: voice.id === defaultId,
+            previewUrl: voice.previewUrl || previewUrlFor(provider, voice.id, language)
+        }));
+    }
+
+    // Every provider (or just `provider`) with its voices for `language`
+    async function list({ provider = null, language }) {
+        const names = Object.keys(providers).filter(name => !provider || name === provider);
+        const result = [];
+        for (const name of names) {
+            result.push({
+                name,
+                label: providers[name].label,
+                available: providers[name].isAvailable(),
+                voices: await voicesFor(name, language)
+            });
+        }
+        return result;
+    }
+
+    async function find(provider, voiceId, language) {
+        if (!providers[provider]) return null;
+        return (await voicesFor(provider, language)).find(voice => voice.id === voiceId) || null;
+    }
+
+    // Whether voiceId is one of the provider's voices in any language. A key that can't list
+    // the account's voices still takes any id shaped like an ElevenLabs one (cloned voices).
+    async function has(provider, voiceId) {
+        if (!providers[provider]) return false;
+        if (provider === 'elevenlabs' && elevenLabsApiKey && !await fetchElevenLabsVoices() && ELEVENLABS_VOICE_ID.test(voiceId)) {
+            return true;
+        }
+        for (const language of Object.keys(LANGUAGES)) {
+            if (await find(provider, voiceId, language)) return true;
+        }
+        return false;
+    }
+
+    return { list, find, has };
+}
+
+module.exports = {
+    ELEVENLABS_VOICES,
+    CATEGORY_VOICES,
+    DEFAULT_VOICE_SETTINGS,
+    normalizeVoiceSettings,
+    normalizeVoiceSelection,
+    parseVoicePreferences,
+    categoryVoice,
+    resolveVoice,
+    createVoiceCatalog
+};
@@ -0,0 +1,84 @@
+// --- RENDER WORKSPACES: ONE TEMP DIRECTORY PER JOB, REMOVED WHEN THE JOB ENDS ---
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const OWNER_FILE = 'owner.json';
+
+// Workspaces of a live process are left alone unless they are this old
+const STALE_WORKSPACE_MS = 24 * 60 * 60 * 1000;
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM means it exists but belongs to someone else
+        return error.code === 'EPERM';
+    }
+}
+
+// Every file a render writes (downloaded clips, voiceover, generated audio) goes in its
+// workspace, so concurrent renders never share a path and one rm cleans up everything.
+function createWorkspaceManager({ rootDir = path.join(os.tmpdir(), 'tiktok-generator-renders') } = {}) {
+    const active = new Set();
+
+    async function create(label = 'render') {
+        await fsp.mkdir(rootDir, { recursive: true });
+        const dir = await fsp.mkdtemp(path.join(rootDir, `job-${String(label).replace(/[^a-zA-Z0-9-]/g, '')}-`));
+        await fsp.writeFile(path.join(dir, OWNER_FILE), JSON.stringify({ pid: process.pid, createdAt: Date.now() }));
+        active.add(dir);
+
+        let removed = false;
+        return {
+            dir,
+            file: (name) => path.join(dir, name),
+            // Safe to call more than once
+            async cleanup() {
+                if (removed) return;
+                removed = true;
+                active.delete(dir);
+                await fsp.rm(dir, { recursive: true, force: true }).catch(error => {
+                    console.warn(`[WORKSPACE] ⚠️ Could not remove ${dir}: ${error.message}`);
+                });
+            }
+        };
+    }
+
+    // Removes workspaces left by a crashed or killed process. Run once at startup.
+    async function sweep() {
+        if (!fs.existsSync(rootDir)) return 0;
+        let removed = 0;
+        for (const name of await fsp.readdir(rootDir)) {
+            const dir = path.join(rootDir, name);
+            if (!name.startsWith('job-') || active.has(dir)) continue;
+
+            let owner = null;
+            try {
+                owner = JSON.parse(await fsp.readFile(path.join(dir, OWNER_FILE), 'utf8'));
+            } catch (error) {
+                // No owner file: the process died while creating it
+            }
+            const stale = !owner || Date.now() - owner.createdAt > STALE_WORKSPACE_MS;
+            if (!stale && owner.pid !== process.pid && isProcessAlive(owner.pid)) continue;
+
+            await fsp.rm(dir, { recursive: true, force: true }).catch(() => {});
+            removed++;
+        }
+        if (removed > 0) {
+            console.log(`[WORKSPACE] 🧹 Removed ${removed} orphaned render workspace(s) from ${rootDir}`);
+        }
+        return removed;
+    }
+
+    function status() {
+        return { rootDir, active: active.size };
+    }
+
+    return { create, sweep, status };
+}
+
+module.exports = {
+    createWorkspaceManager
+};
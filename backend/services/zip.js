@@ -0,0 +1,140 @@
+// --- ZIP: STORE-ONLY ARCHIVES STREAMED STRAIGHT TO THE RESPONSE ---
+const fs = require('fs');
+const fsp = require('fs').promises;
+const zlib = require('zlib');
+
+// MP4s are already compressed, so entries are stored as-is. Without ZIP64 an archive stays
+// under 4 GB and 65535 entries; callers check zipSize() first.
+const MAX_ZIP_BYTES = 0xFFFFFFFF;
+const MAX_ZIP_ENTRIES = 0xFFFF;
+
+const FLAG_UTF8_NAMES = 0x0800;
+
+// CRC-32 as ZIP uses it. zlib.crc32 only exists from Node 20.15 / 22.2, so older runtimes
+// fall back to the byte-at-a-time table version.
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+function tableCrc32(data, value = 0) {
+    let crc = ~value;
+    for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    return ~crc >>> 0;
+}
+
+const crc32 = typeof zlib.crc32 === 'function' ? zlib.crc32 : tableCrc32;
+
+function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Resolves once `output` takes more data; rejects if the client went away
+function write(output, chunk) {
+    if (output.destroyed) return Promise.reject(new Error('Download was aborted'));
+    if (output.write(chunk)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const done = (error) => {
+            output.off('drain', onDrain);
+            output.off('close', onClose);
+            if (error) reject(error);
+            else resolve();
+        };
+        const onDrain = () => done();
+        const onClose = () => done(new Error('Download was aborted'));
+        output.on('drain', onDrain);
+        output.on('close', onClose);
+    });
+}
+
+async function crcOfFile(filePath) {
+    let crc = 0;
+    for await (const chunk of fs.createReadStream(filePath)) {
+        crc = crc32(chunk, crc);
+    }
+    return crc;
+}
+
+// entries: [{ name, filePath } | { name, data: Buffer }]; adds the file sizes up
+async function zipSize(entries) {
+    let total = 22;
+    for (const entry of entries) {
+        const size = entry.data ? entry.data.length : (await fsp.stat(entry.filePath)).size;
+        total += 30 + 46 + 2 * Buffer.byteLength(entry.name) + size;
+    }
+    return total;
+}
+
+// Writes the archive to `output` (an HTTP response or any writable) without ending it
+async function writeZip(output, entries) {
+    if (entries.length > MAX_ZIP_ENTRIES) throw new Error(`A zip holds at most ${MAX_ZIP_ENTRIES} files`);
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name);
+        const size = entry.data ? entry.data.length : (await fsp.stat(entry.filePath)).size;
+        const crc = entry.data ? crc32(entry.data) : await crcOfFile(entry.filePath);
+        const { time, date } = dosDateTime(entry.modifiedAt || new Date());
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(FLAG_UTF8_NAMES, 6);
+        header.writeUInt16LE(0, 8); // stored
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(size, 18);
+        header.writeUInt32LE(size, 22);
+        header.writeUInt16LE(name.length, 26);
+        header.writeUInt16LE(0, 28);
+        await write(output, header);
+        await write(output, name);
+        if (entry.data) {
+            await write(output, entry.data);
+        } else {
+            for await (const chunk of fs.createReadStream(entry.filePath)) {
+                await write(output, chunk);
+            }
+        }
+
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(FLAG_UTF8_NAMES, 8);
+        record.writeUInt16LE(0, 10);
+        record.writeUInt16LE(time, 12);
+        record.writeUInt16LE(date, 14);
+        record.writeUInt32LE(crc, 16);
+        record.writeUInt32LE(size, 20);
+        record.writeUInt32LE(size, 24);
+        record.writeUInt16LE(name.length, 28);
+        record.writeUInt32LE(offset, 42);
+        central.push(record, name);
+        offset += header.length + name.length + size;
+    }
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    await write(output, directory);
+    await write(output, end);
+}
+
+module.exports = {
+    MAX_ZIP_BYTES,
+    tableCrc32,
+    zipSize,
+    writeZip
+};
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPexelsProvider, createLocalProvider, createFootageSource, libraryClipUrl } = require('../services/footage');
+const { createMediaLibrary } = require('../services/mediaLibrary');
+const { interleaveSegments } = require('../services/kenburns');
+const { applyProjectEdits, createSegmentResolver } = require('../services/projects');
+const { createTestDb } = require('./helpers/db');
+
+const LIBRARY_DIR = '/srv/footage-library';
+
+// The library as a scan would leave it, without ffprobe or real files
+async function createLibrary() {
+    const store = createTestDb();
+    await store.dbRun(`CREATE TABLE media_library (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, file_path TEXT NOT NULL UNIQUE, file_name TEXT NOT NULL,
+        tags TEXT NOT NULL DEFAULT '', custom_tags TEXT NOT NULL DEFAULT '', duration REAL, width INTEGER, height INTEGER,
+        orientation TEXT, size_bytes INTEGER, modified_at INTEGER, use_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    for (const [file, tags] of [['skincare/serum-drops.mp4', 'skincare serum drops'], ['skincare/face-cream.mp4', 'skincare face cream'], ['kitchen/coffee-pour.mp4', 'kitchen coffee pour']]) {
+        await store.dbRun(
+            `INSERT INTO media_library (file_path, file_name, tags, duration, width, height, orientation) VALUES (?, ?, ?, 12, 1080, 1920, 'portrait')`,
+            [`${LIBRARY_DIR}/${file}`, file.split('/')[1], tags]
+        );
+    }
+    const library = createMediaLibrary({ dbRun: store.dbRun, dbGet: store.dbGet, dbAll: store.dbAll, rootDir: LIBRARY_DIR });
+    return { ...store, library };
+}
+
+// Answers Pexels searches with two HD clips
+const fakeAxios = {
+    async get(url) {
+        assert.match(url, /^https:\/\/api\.pexels\.com\/videos\//);
+        return {
+            data: {
+                videos: [101, 102].map(id => ({
+                    id,
+                    duration: 15,
+                    image: `https://images.pexels.com/${id}.jpg`,
+                    video_files: [{ quality: 'hd', width: 1080, height: 1920, link: `https://videos.pexels.com/${id}-hd.mp4` }]
+                }))
+            }
+        };
+    }
+};
+
+test('mixed footage alternates providers, skips picked clips and keeps library paths on the server', async () => {
+    const { library, close } = await createLibrary();
+    const local = createLocalProvider({ library });
+    await local.refresh();
+    const providers = { pexels: createPexelsProvider({ apiKey: 'test-key', axios: fakeAxios }), local };
+    const footage = createFootageSource(providers, 'mixed');
+
+    const clips = [];
+    for (let i = 0; i < 4; i++) {
+        clips.push(await footage.search('skincare serum', { productName: 'Glow', exclude: clips.map(clip => clip.url) }));
+    }
+    const segments = interleaveSegments(clips, ['https://shop.example/serum.jpg'], 5);
+
+    assert.deepStrictEqual(clips.map(clip => clip.provider), ['pexels', 'local', 'pexels', 'local']);
+    assert.strictEqual(new Set(clips.map(clip => clip.url)).size, 4);
+    assert.deepStrictEqual(clips.filter(clip => clip.provider === 'local').map(clip => clip.url), [libraryClipUrl(1), libraryClipUrl(2)]);
+    assert.deepStrictEqual(footage.used, { pexels: 2, local: 2 });
+    assert.strictEqual(segments.length, 5);
+    assert.ok(!JSON.stringify(segments).includes(LIBRARY_DIR), 'no library path in the project segments');
+    await close();
+});
+
+test('clip candidates and lookups return the served url, not the file path', async () => {
+    const { library, close } = await createLibrary();
+    const local = createLocalProvider({ library });
+
+    const candidates = await local.candidates('skincare');
+    assert.deepStrictEqual(candidates.map(clip => clip.url), [libraryClipUrl(1), libraryClipUrl(2)]);
+    assert.deepStrictEqual(await local.clip(3), { url: libraryClipUrl(3), provider: 'local', id: 3 });
+    assert.strictEqual(await local.clip(99), null);
+    assert.ok(!JSON.stringify(candidates).includes(LIBRARY_DIR));
+    await close();
+});
+
+test('segments a project edit adds are looked up again, never taken from the client', async () => {
+    const { library, close } = await createLibrary();
+    const local = createLocalProvider({ library });
+    await local.refresh();
+    const resolveSegment = createSegmentResolver({
+        footageProviders: { local, pexels: createPexelsProvider({ apiKey: 'test-key', axios: fakeAxios }) },
+        // Stands in for server.js, which hosts uploads under /uploads
+        localPublicPath: url => (url.startsWith('/uploads/') ? `/srv/app/public${url}` : null)
+    });
+    const project = { lines: [{ role: 'hook', text: 'Glow all day' }], segments: [{ type: 'video', url: 'https://videos.pexels.com/101-hd.mp4', provider: 'pexels', id: 101 }] };
+    const edit = segments => applyProjectEdits(project, { segments }, { maxLines: 5, maxSegments: 5, resolveSegment });
+
+    const next = await edit([
+        project.segments[0],
+        { type: 'video', provider: 'local', id: 3, url: `${LIBRARY_DIR}/../../etc/passwd`, filePath: '/etc/passwd' },
+        { type: 'image', url: '/uploads/serum.jpg', filePath: '/etc/shadow' }
+    ]);
+    assert.deepStrictEqual(next.segments, [
+        project.segments[0],
+        { type: 'video', url: libraryClipUrl(3), provider: 'local', id: 3 },
+        { type: 'image', url: '/uploads/serum.jpg' }
+    ]);
+
+    await assert.rejects(edit([{ type: 'image', url: 'file:///etc/passwd' }]), /Photo 1 needs an http\(s\) url/);
+    await assert.rejects(edit([{ type: 'video', provider: 'disk', id: 1, url: '/etc/passwd' }]), /Segment 1 must be a photo or a local\/pexels clip/);
+    await assert.rejects(edit([{ type: 'video', provider: 'local', id: 99, url: libraryClipUrl(99) }]), /local clip 99 not found/);
+    await close();
+});
@@ -0,0 +1,33 @@
+// In-memory SQLite with the same promise helpers server.js hands to the services
+const sqlite3 = require('sqlite3');
+
+function createTestDb() {
+    const db = new sqlite3.Database(':memory:');
+    const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+    const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+    const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    const close = () => new Promise(resolve => db.close(() => resolve()));
+    return { db, dbRun, dbGet, dbAll, close };
+}
+
+// Polls `check` until it returns something truthy
+async function waitFor(check, { timeoutMs = 5000, intervalMs = 10 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+}
+
+module.exports = { createTestDb, waitFor };
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseProductHtml, parseShopifyProductJson, inferCategory } = require('../services/product');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'products', name), 'utf8');
+
+test('parseShopifyProductJson reads title, price, bullets and images', () => {
+    const product = parseShopifyProductJson(JSON.parse(fixture('shopify-product.json')), 'https://lumen.example.com/products/glow-drops');
+    assert.strictEqual(product.source, 'shopify-json');
+    assert.strictEqual(product.title, 'Glow Drops Vitamin C Serum, 30ml');
+    assert.strictEqual(product.name, 'Glow Drops Vitamin C Serum');
+    assert.strictEqual(product.brand, 'Lumen Skin');
+    assert.deepStrictEqual(product.price, { amount: 24, currency: 'EUR', formatted: '€24.00' });
+    assert.deepStrictEqual(product.features, [
+        '15% vitamin C for visible glow',
+        'Absorbs in seconds, no sticky finish',
+        'Fragrance free and vegan'
+    ]);
+    assert.strictEqual(product.category, 'beauty');
+    assert.deepStrictEqual(product.images, [
+        'https://cdn.shopify.com/s/files/glow-drops-front.jpg',
+        'https://cdn.shopify.com/s/files/glow-drops-box.jpg'
+    ]);
+});
+
+test('parseShopifyProductJson rejects other responses', () => {
+    assert.throws(() => parseShopifyProductJson({ products: [] }, 'https://x.example.com/products/a'), /Not a Shopify product/);
+});
+
+test('parseProductHtml prefers JSON-LD and skips broken blocks', () => {
+    const product = parseProductHtml(fixture('jsonld-product.html'), 'https://shop.example.com/p/pulse-buds');
+    assert.strictEqual(product.title, 'Pulse Buds Pro Wireless Noise Cancelling Earbuds with Charging Case');
+    assert.strictEqual(product.name, 'Pulse Buds Pro Wireless Noise Cancelling');
+    assert.strictEqual(product.brand, 'Pulse Audio');
+    assert.deepStrictEqual(product.price, { amount: 79.99, currency: 'USD', formatted: '$79.99' });
+    assert.strictEqual(product.rawCategory, 'Headphones');
+    assert.strictEqual(product.category, 'tech');
+    assert.strictEqual(product.features.length, 3);
+    assert.deepStrictEqual(product.images, [
+        'https://shop.example.com/img/buds-1.jpg',
+        'https://cdn.example.com/buds-2.jpg',
+        'https://shop.example.com/img/og-buds.jpg'
+    ]);
+});
+
+test('parseProductHtml falls back to Open Graph and product meta tags', () => {
+    const product = parseProductHtml(fixture('opengraph-product.html'), 'https://northwind.example.com/hoodie');
+    assert.strictEqual(product.title, 'Cozy Fleece Hoodie (Forest Green)');
+    assert.strictEqual(product.name, 'Cozy Fleece Hoodie');
+    assert.strictEqual(product.brand, 'Northwind Outfitters');
+    assert.deepStrictEqual(product.price, { amount: 59, currency: 'GBP', formatted: '£59.00' });
+    assert.strictEqual(product.category, 'fashion');
+    assert.deepStrictEqual(product.features, [
+        'Brushed fleece that stays soft wash after wash.',
+        'Roomy hood with a drawstring.',
+        'Kangaroo pocket for cold hands.'
+    ]);
+    assert.deepStrictEqual(product.images, [
+        'https://northwind.example.com/media/hoodie-green.jpg',
+        'https://northwind.example.com/media/hoodie-green-2.jpg'
+    ]);
+});
+
+test('parseProductHtml reads Amazon-style title, price, bullets and breadcrumbs', () => {
+    const product = parseProductHtml(fixture('amazon-product.html'), 'https://www.amazon.com/dp/B000TEST');
+    assert.strictEqual(product.title, 'BrewMate Cold Brew Coffee Maker, 1.5 Quart Glass Pitcher with Removable Filter');
+    assert.strictEqual(product.name, 'BrewMate Cold Brew Coffee Maker');
+    assert.deepStrictEqual(product.price, { amount: 29.95, currency: 'USD', formatted: '$29.95' });
+    assert.deepStrictEqual(product.features, [
+        'SMOOTH FLAVOR: Steeps overnight for a less acidic cup. Great over ice.',
+        'LEAK-PROOF LID: Airtight seal keeps coffee fresh in the fridge for two weeks',
+        'EASY TO CLEAN: Dishwasher safe pitcher and filter'
+    ]);
+    assert.strictEqual(product.rawCategory, 'Coffee, Tea & Espresso');
+    assert.strictEqual(product.category, 'food');
+    assert.deepStrictEqual(product.images, [
+        'https://m.media-amazon.com/images/I/brewmate._SL1500_.jpg',
+        'https://m.media-amazon.com/images/I/brewmate._SX300_.jpg'
+    ]);
+});
+
+test('prices with a decimal comma or thousands dots are read the way the shop meant them', () => {
+    const mixer = parseProductHtml(fixture('amazon-de-product.html'), 'https://www.amazon.de/dp/B000TEST');
+    assert.deepStrictEqual(mixer.price, { amount: 1299, currency: 'EUR', formatted: '€1299.00' });
+
+    const toothbrush = parseProductHtml(fixture('opengraph-eu-product.html'), 'https://verde.example.eu/toothbrush');
+    assert.deepStrictEqual(toothbrush.price, { amount: 19.99, currency: 'EUR', formatted: '€19.99' });
+
+    const serum = parseProductHtml(fixture('jsonld-idr-product.html'), 'https://tokocantik.example.id/serum');
+    assert.deepStrictEqual(serum.price, { amount: 150000, currency: 'IDR', formatted: 'Rp 150000.00' });
+});
+
+test('inferCategory matches whole words and plurals only', () => {
+    assert.strictEqual(inferCategory('Team Jersey'), 'default');
+    assert.strictEqual(inferCategory('Wireless Headphones'), 'tech');
+    assert.strictEqual(inferCategory('Canvas Sneakers'), 'fashion');
+    assert.strictEqual(inferCategory('Surface cleaner'), 'default');
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { escapeDrawtext } = require('../services/subtitles');
+
+test('escapeDrawtext gives a backslash one escaping level', () => {
+    assert.strictEqual(escapeDrawtext('a\\b'), 'a\\\\b');
+});
+
+test('escapeDrawtext turns apostrophes into typographic ones', () => {
+    assert.strictEqual(escapeDrawtext("it's"), 'it’s');
+});
+
+test('escapeDrawtext escapes option and graph separators', () => {
+    assert.strictEqual(escapeDrawtext('Now: 2, 3; [x]'), 'Now\\: 2\\, 3\\; \\[x\\]');
+});
+
+test('escapeDrawtext leaves % alone (drawtext runs with expansion=none)', () => {
+    assert.strictEqual(escapeDrawtext('-50% off'), '-50% off');
+});
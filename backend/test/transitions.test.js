@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { planTransitions, buildTransitionFilters } = require('../services/transitions');
+
+test('transitions are centred on the cuts and the clips grow to overlap them', () => {
+    const { lengths, transitions } = planTransitions(['crossfade', 'cut'], [3, 3, 3]);
+
+    assert.deepStrictEqual(transitions, [
+        { name: 'crossfade', duration: 0.5, offset: 2.75 },
+        { name: 'cut', duration: 0, offset: 6 }
+    ]);
+    // Half the crossfade on each side of the cut, plus a spare frame on the clip going into it
+    assert.deepStrictEqual(lengths, [3.283, 3.25, 3]);
+});
+
+test('transitions are drawn from the frames the clips share, without xfade', () => {
+    const { lengths, transitions } = planTransitions(['slide', 'zoom'], [3, 3, 3]);
+    const filters = buildTransitionFilters(transitions, lengths, 'base', { width: 1080, height: 1920 });
+
+    assert.ok(filters.every(filter => !filter.includes('xfade')));
+    // 0.34s of slide is 10 frames, taken from the end of the first clip and the start of the second
+    assert.ok(filters.includes('[tail0in]trim=start_frame=85:end_frame=95,setpts=PTS-STARTPTS[tail0]'));
+    assert.ok(filters.includes('[head1in]trim=start_frame=0:end_frame=10,setpts=PTS-STARTPTS[head1]'));
+    assert.ok(filters.some(filter => filter.startsWith('[tail0][head1]hstack=inputs=2,crop=w=1080:h=1920:')));
+    assert.ok(filters.some(filter => filter.startsWith('[tail1]zoompan=')));
+    assert.strictEqual(filters[filters.length - 1], '[body0][transition0][body1][transition1][body2]concat=n=5:v=1:a=0[base]');
+});
+
+test('hard cuts only are a single concat', () => {
+    const { lengths, transitions } = planTransitions(['cut'], [2, 2]);
+    assert.deepStrictEqual(buildTransitionFilters(transitions, lengths, 'base', { width: 1080, height: 1920 }), ['[v0][v1]concat=n=2:v=1:a=0[base]']);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createElevenLabsProvider, createLocalSpeechProvider } = require('../services/tts');
+
+// A stand-in espeak that writes its arguments, one per line, where -w points
+function createFakeEspeak(dir) {
+    const script = path.join(dir, 'espeak-ng');
+    fs.writeFileSync(script, '#!/bin/sh\nwhile [ "$1" != "-w" ]; do shift; done\nout="$2"\nshift 2\nprintf "%s\\n" "$@" > "$out"\n');
+    fs.chmodSync(script, 0o755);
+    return script;
+}
+
+test('espeak reads a line starting with a dash as text, not as options', { skip: process.platform === 'win32' }, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-'));
+    const provider = createLocalSpeechProvider({ platform: 'linux', espeakPath: createFakeEspeak(dir) });
+
+    const { audioPath } = await provider.synthesize({ text: '--help -w /tmp/elsewhere.wav', language: 'en', outputDir: dir });
+
+    assert.deepStrictEqual(fs.readFileSync(audioPath, 'utf8').split('\n'), ['--', '--help -w /tmp/elsewhere.wav', '']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the ElevenLabs voice id is encoded into the request path', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-'));
+    const urls = [];
+    const axios = {
+        async post(url) {
+            urls.push(url);
+            return { data: { audio_base64: Buffer.from('audio').toString('base64'), alignment: null } };
+        }
+    };
+    const provider = createElevenLabsProvider({ apiKey: 'test-key', axios });
+
+    await provider.synthesize({ text: 'Hello', voices: { elevenlabs: 'a/../b?c' }, outputDir: dir });
+
+    assert.deepStrictEqual(urls, ['https://api.elevenlabs.io/v1/text-to-speech/a%2F..%2Fb%3Fc/with-timestamps']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
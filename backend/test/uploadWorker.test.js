@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUploadWorker, backoffSeconds, permanentError } = require('../services/uploadWorker');
+const { createFakeUploader } = require('../services/uploaders');
+const { createTestDb, waitFor } = require('./helpers/db');
+
+// The columns server.js creates for the worker's tables; the database and the video
+// directory go away when the test ends, pass or fail
+async function createQueue(t) {
+    const store = createTestDb();
+    await store.dbRun(`CREATE TABLE tiktok_accounts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, account_name TEXT, username TEXT, password TEXT, status TEXT DEFAULT 'active'
+    )`);
+    await store.dbRun(`CREATE TABLE video_uploads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, account_id INTEGER, video_path TEXT, product_name TEXT,
+        upload_status TEXT DEFAULT 'queued', created_at DATETIME DEFAULT CURRENT_TIMESTAMP, updated_at DATETIME,
+        caption TEXT, attempts INTEGER DEFAULT 0, last_error TEXT, next_attempt_at DATETIME,
+        started_at DATETIME, posted_at DATETIME, scheduled_at DATETIME
+    )`);
+    const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-worker-'));
+    fs.writeFileSync(path.join(baseDir, 'video.mp4'), 'not really a video');
+    t.after(async () => {
+        await store.close();
+        fs.rmSync(baseDir, { recursive: true, force: true });
+    });
+    return { ...store, baseDir };
+}
+
+async function addAccount(queue, username) {
+    const { lastID } = await queue.dbRun(`INSERT INTO tiktok_accounts (account_name, username, password) VALUES (?, ?, ?)`, [username, username, 'pass-1234']);
+    return lastID;
+}
+
+async function addUpload(queue, accountId, { status = 'queued', videoPath = 'video.mp4', attempts = 0 } = {}) {
+    const { lastID } = await queue.dbRun(
+        `INSERT INTO video_uploads (account_id, video_path, product_name, upload_status, attempts) VALUES (?, ?, 'Glow Serum', ?, ?)`,
+        [accountId, videoPath, status, attempts]
+    );
+    return lastID;
+}
+
+const getUpload = (queue, id) => queue.dbGet('SELECT * FROM video_uploads WHERE id = ?', [id]);
+
+function createWorker(queue, uploader, settings = {}) {
+    return createUploadWorker({
+        dbRun: queue.dbRun,
+        dbGet: queue.dbGet,
+        dbAll: queue.dbAll,
+        uploader,
+        baseDir: queue.baseDir,
+        pollIntervalMs: 60000,
+        ...settings
+    });
+}
+
+test('backoffSeconds doubles from the base and stops at the cap', () => {
+    assert.deepStrictEqual([1, 2, 3, 4, 8].map(attempt => backoffSeconds(attempt, 60, 600)), [60, 120, 240, 480, 600]);
+});
+
+test('an upload is claimed by one worker only, even with two polling the queue', async (t) => {
+    const queue = await createQueue(t);
+    const account = await addAccount(queue, 'alice');
+    const other = await addAccount(queue, 'bob');
+    const ids = [await addUpload(queue, account), await addUpload(queue, other)];
+    const uploader = createFakeUploader({ delayMs: 20 });
+    const workers = [createWorker(queue, uploader), createWorker(queue, uploader)];
+
+    await Promise.all(workers.map(worker => worker.start()));
+    for (const id of ids) {
+        await waitFor(async () => (await getUpload(queue, id)).upload_status === 'posted');
+    }
+    workers.forEach(worker => worker.stop());
+
+    assert.deepStrictEqual(uploader.calls.map(call => call.uploadId).sort(), ids);
+    for (const id of ids) assert.strictEqual((await getUpload(queue, id)).attempts, 1);
+});
+
+test('an account never has more uploads running than perAccountConcurrency', async (t) => {
+    const queue = await createQueue(t);
+    const alice = await addAccount(queue, 'alice');
+    const bob = await addAccount(queue, 'bob');
+    for (let i = 0; i < 3; i++) await addUpload(queue, alice);
+    await addUpload(queue, bob);
+    const uploader = createFakeUploader({ delayMs: 50 });
+    const worker = createWorker(queue, uploader, { maxConcurrent: 4, perAccountConcurrency: 1 });
+
+    let busiest = 0;
+    const sampler = setInterval(() => {
+        const aliceActive = worker.status().active.filter(item => item.accountId === alice).length;
+        busiest = Math.max(busiest, aliceActive);
+    }, 5);
+    try {
+        await worker.start();
+        // Bob's upload runs alongside Alice's first one rather than waiting behind her queue
+        await waitFor(() => worker.status().active.length === 2);
+        assert.deepStrictEqual(worker.status().active.map(item => item.accountId).sort(), [alice, bob]);
+        await waitFor(async () => (await queue.dbGet(`SELECT COUNT(*) AS n FROM video_uploads WHERE upload_status = 'posted'`)).n === 4);
+    } finally {
+        clearInterval(sampler);
+        worker.stop();
+    }
+
+    assert.strictEqual(busiest, 1);
+});
+
+test('a transient failure goes back in the queue after the backoff', async (t) => {
+    const queue = await createQueue(t);
+    const id = await addUpload(queue, await addAccount(queue, 'alice'));
+    const uploader = createFakeUploader({ delayMs: 0, fail: () => new Error('TikTok timed out') });
+    const worker = createWorker(queue, uploader, { backoffBaseSeconds: 90 });
+
+    await worker.start();
+    const upload = await waitFor(async () => {
+        const row = await getUpload(queue, id);
+        return row.last_error ? row : null;
+    });
+    worker.stop();
+
+    assert.strictEqual(upload.upload_status, 'queued');
+    assert.strictEqual(upload.attempts, 1);
+    assert.strictEqual(upload.last_error, 'TikTok timed out');
+    const { delay } = await queue.dbGet(`SELECT (julianday(next_attempt_at) - julianday(started_at)) * 86400 AS delay FROM video_uploads WHERE id = ?`, [id]);
+    assert.ok(Math.abs(delay - 90) <= 1, `retry is due ${delay}s after the attempt`);
+
+    // Not due yet, so another poll finds nothing to claim
+    await worker.start();
+    await worker.tick();
+    worker.stop();
+    assert.strictEqual(uploader.calls.length, 1);
+});
+
+test('a transient failure on the last attempt fails the upload', async (t) => {
+    const queue = await createQueue(t);
+    const id = await addUpload(queue, await addAccount(queue, 'alice'), { attempts: 3 });
+    const uploader = createFakeUploader({ delayMs: 0, fail: () => new Error('TikTok timed out') });
+    const worker = createWorker(queue, uploader, { maxAttempts: 4 });
+
+    await worker.start();
+    const upload = await waitFor(async () => {
+        const row = await getUpload(queue, id);
+        return row.upload_status === 'failed' ? row : null;
+    });
+    worker.stop();
+
+    assert.strictEqual(upload.attempts, 4);
+    assert.strictEqual(upload.next_attempt_at, null);
+});
+
+test('a permanent failure fails at once, without retries', async (t) => {
+    const queue = await createQueue(t);
+    const account = await addAccount(queue, 'alice');
+    const rejected = await addUpload(queue, account);
+    const missing = await addUpload(queue, account, { videoPath: 'gone.mp4' });
+    const uploader = createFakeUploader({ delayMs: 0, fail: (call) => (call.uploadId === rejected ? permanentError('Account banned') : null) });
+    const worker = createWorker(queue, uploader, { perAccountConcurrency: 2 });
+
+    await worker.start();
+    for (const id of [rejected, missing]) {
+        await waitFor(async () => (await getUpload(queue, id)).upload_status === 'failed');
+    }
+    worker.stop();
+
+    assert.strictEqual((await getUpload(queue, rejected)).last_error, 'Account banned');
+    assert.strictEqual((await getUpload(queue, rejected)).attempts, 1);
+    assert.match((await getUpload(queue, missing)).last_error, /Video file not found/);
+    // The missing file never reached the uploader
+    assert.deepStrictEqual(uploader.calls.map(call => call.uploadId), [rejected]);
+});
+
+test('uploads left running by a crash are re-queued and posted after a restart', async (t) => {
+    const queue = await createQueue(t);
+    const id = await addUpload(queue, await addAccount(queue, 'alice'), { status: 'uploading', attempts: 1 });
+    const uploader = createFakeUploader({ delayMs: 0 });
+    const worker = createWorker(queue, uploader);
+
+    await worker.start();
+    const upload = await waitFor(async () => {
+        const row = await getUpload(queue, id);
+        return row.upload_status === 'posted' ? row : null;
+    });
+    worker.stop();
+
+    assert.strictEqual(upload.attempts, 2);
+    assert.deepStrictEqual(uploader.calls.map(call => call.attempt), [2]);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { REDACTED, registerSecret, redactCredentials, redactResponse } = require('../services/vault');
+
+test('redactCredentials masks credential fields at any depth', () => {
+    const body = { accounts: [{ id: 1, username: 'alice', password: 'hunter22', settings: { apiKey: 'k-123' } }] };
+    assert.deepStrictEqual(redactCredentials(body), {
+        accounts: [{ id: 1, username: 'alice', password: REDACTED, settings: { apiKey: REDACTED } }]
+    });
+    assert.strictEqual(body.accounts[0].password, 'hunter22');
+});
+
+test('redactCredentials leaves Dates and empty credentials as they are', () => {
+    const createdAt = new Date('2026-01-02T03:04:05Z');
+    assert.deepStrictEqual(redactCredentials({ createdAt, password: null }), { createdAt, password: null });
+});
+
+test('redactResponse scrubs known secrets from error messages', () => {
+    registerSecret('s3cret-pass');
+    const body = redactResponse({ success: false, error: 'Login failed for s3cret-pass', videoUrl: '/videos/a.mp4' });
+    assert.deepStrictEqual(body, { success: false, error: `Login failed for ${REDACTED}`, videoUrl: '/videos/a.mp4' });
+});
+
+test('only whole credential field names are masked', () => {
+    const body = { maxTokens: 400, tokensUsed: 120, secretSauce: 'glow', token: 'abc', access_token: 'def' };
+    assert.deepStrictEqual(redactCredentials(body), { maxTokens: 400, tokensUsed: 120, secretSauce: 'glow', token: REDACTED, access_token: REDACTED });
+});
+
+test('secrets too short to tell apart from ordinary words are not scrubbed', () => {
+    registerSecret('shop');
+    registerSecret('glow-serum-2026');
+    const body = redactResponse({ success: false, message: 'Could not open the shop page for glow-serum-2026' });
+    assert.strictEqual(body.message, `Could not open the shop page for ${REDACTED}`);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeVoiceSelection, createVoiceCatalog } = require('../services/voices');
+
+const providers = {
+    elevenlabs: { label: 'ElevenLabs', isAvailable: () => true },
+    openai: { label: 'OpenAI TTS', isAvailable: () => true },
+    local: { label: 'Local (espeak-ng)', isAvailable: () => true, engine: 'espeak' }
+};
+const providerNames = Object.keys(providers);
+
+function createCatalog({ elevenLabsApiKey = null, axios = null } = {}) {
+    return createVoiceCatalog({ providers, elevenLabsApiKey, axios, previewUrlFor: () => null });
+}
+
+test('a voice must be one of the catalog voices for its provider', async () => {
+    const catalog = createCatalog();
+
+    assert.deepStrictEqual(
+        await normalizeVoiceSelection({ provider: 'ElevenLabs', voiceId: ' 21m00Tcm4TlvDq8ikWAM ' }, providerNames, catalog),
+        { provider: 'elevenlabs', voiceId: '21m00Tcm4TlvDq8ikWAM', settings: {} }
+    );
+    // Voices of any language count, not just English ones
+    assert.strictEqual((await normalizeVoiceSelection({ provider: 'local', voiceId: 'id+f3' }, providerNames, catalog)).voiceId, 'id+f3');
+    await assert.rejects(normalizeVoiceSelection({ provider: 'elevenlabs', voiceId: '../../v1/user' }, providerNames, catalog), /Unknown elevenlabs voice/);
+    await assert.rejects(normalizeVoiceSelection({ provider: 'openai', voiceId: '21m00Tcm4TlvDq8ikWAM' }, providerNames, catalog), /Unknown openai voice/);
+    await assert.rejects(normalizeVoiceSelection({ provider: 'auto', voiceId: 'nova' }, providerNames, catalog), /Pick a voice provider/);
+});
+
+test('account voices count once ElevenLabs lists them, and cloned ids pass when it cannot', async () => {
+    const listing = createCatalog({
+        elevenLabsApiKey: 'test-key',
+        axios: { get: async () => ({ data: { voices: [{ voice_id: 'ClonedVoice000000001', name: 'My clone' }] } }) }
+    });
+    assert.strictEqual((await normalizeVoiceSelection({ provider: 'elevenlabs', voiceId: 'ClonedVoice000000001' }, providerNames, listing)).voiceId, 'ClonedVoice000000001');
+    await assert.rejects(normalizeVoiceSelection({ provider: 'elevenlabs', voiceId: 'OtherVoice0000000001' }, providerNames, listing), /Unknown elevenlabs voice/);
+
+    let listingRequests = 0;
+    const forbidden = createCatalog({
+        elevenLabsApiKey: 'test-key',
+        axios: { get: async () => { listingRequests++; throw new Error('Request failed with status code 401'); } }
+    });
+    assert.strictEqual((await normalizeVoiceSelection({ provider: 'elevenlabs', voiceId: 'OtherVoice0000000001' }, providerNames, forbidden)).voiceId, 'OtherVoice0000000001');
+    await assert.rejects(normalizeVoiceSelection({ provider: 'elevenlabs', voiceId: 'x/../../history' }, providerNames, forbidden), /Unknown elevenlabs voice/);
+    assert.strictEqual(listingRequests, 1, 'a failed listing is not retried right away');
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { tableCrc32, zipSize, writeZip } = require('../services/zip');
+
+test('the fallback CRC-32 gives the standard check value, in one go or in chunks', () => {
+    const data = Buffer.from('123456789');
+    assert.strictEqual(tableCrc32(data), 0xCBF43926);
+    assert.strictEqual(tableCrc32(data.subarray(4), tableCrc32(data.subarray(0, 4))), 0xCBF43926);
+    assert.strictEqual(tableCrc32(Buffer.alloc(0)), 0);
+});
+
+test('a zip entry carries the CRC-32 of its data, and the archive is the size zipSize says', async () => {
+    const entries = [{ name: 'captions.srt', data: Buffer.from('1\n00:00:00,000 --> 00:00:02,000\nHello\n') }];
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    await writeZip(output, entries);
+    const archive = Buffer.concat(chunks);
+
+    assert.strictEqual(archive.readUInt32LE(0), 0x04034b50);
+    assert.strictEqual(archive.readUInt32LE(14), tableCrc32(entries[0].data));
+    assert.strictEqual(archive.length, await zipSize(entries));
+});
@@ -1,18 +1,178 @@
 // FILE: src/App.js (VERSION 13.0 - WITH TIKTOK ACCOUNT MANAGEMENT)
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import './App.css';
 
+const UPLOAD_STATUS_COLORS = {
+    queued: 'orange',
+    scheduled: '#8e44ad',
+    uploading: '#667eea',
+    posted: 'green',
+    failed: 'red',
+    cancelled: 'gray'
+};
+
+const BATCH_ROW_COLORS = {
+    pending: 'gray',
+    running: '#667eea',
+    completed: 'green',
+    failed: 'red',
+    cancelled: 'gray'
+};
+
+// What A/B variants can differ in (services/variants.js on the backend)
+const VARIANT_DIMENSIONS = [
+    { value: 'hook', label: 'Hook line' },
+    { value: 'mood', label: 'Mood' },
+    { value: 'voice', label: 'Voice' },
+    { value: 'music', label: 'Music' },
+    { value: 'clips', label: 'Clip order' }
+];
+
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Monday 00:00 local time of the week containing `date`
+function startOfWeek(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+}
+
+function addDays(date, days) {
+    const next = new Date(date);
+    next.setDate(next.getDate() + days);
+    return next;
+}
+
+// "09:00-11:00, 19:00-21:00" <-> [{ start, end }] (every day of the week)
+function windowsToText(schedule) {
+    return (schedule && schedule.windows ? schedule.windows : []).map(w => `${w.start}-${w.end}`).join(', ');
+}
+
+function parseWindowsText(text) {
+    return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const [start, end] = part.split('-').map(t => t.trim().padStart(5, '0'));
+        return { start, end };
+    });
+}
+
+const STAGE_LABELS = {
+    queued: '⏳ Waiting to start',
+    script: '📝 Writing script',
+    footage: '🎬 Finding footage',
+    voice: '🎤 Preparing audio',
+    render: '⚙️ Rendering video',
+    done: '✅ Done'
+};
+
+// Follows a render job over Server-Sent Events, falling back to polling
+function followJob(jobId, onUpdate) {
+    return new Promise((resolve, reject) => {
+        const isFinished = (job) => job.status === 'completed' || job.status === 'failed';
+        const finish = (job) => {
+            if (job.status === 'completed') {
+                resolve(job.result);
+            } else {
+                const failure = new Error(job.message || job.error || 'Video generation failed.');
+                failure.isJobFailure = true;
+                reject(failure);
+            }
+        };
+
+        const poll = async () => {
+            try {
+                const response = await fetch(`http://localhost:3001/api/jobs/${jobId}`);
+                const data = await response.json();
+                if (!data.success) {
+                    reject(new Error(data.error || 'Job not found'));
+                    return;
+                }
+                onUpdate(data.job);
+                if (isFinished(data.job)) {
+                    finish(data.job);
+                } else {
+                    setTimeout(poll, 1000);
+                }
+            } catch (err) {
+                reject(err);
+            }
+        };
+
+        if (typeof window.EventSource !== 'function') {
+            poll();
+            return;
+        }
+
+        const source = new window.EventSource(`http://localhost:3001/api/jobs/${jobId}/events`);
+        source.onmessage = (event) => {
+            const job = JSON.parse(event.data);
+            onUpdate(job);
+            if (isFinished(job)) {
+                source.close();
+                finish(job);
+            }
+        };
+        source.onerror = () => {
+            source.close();
+            poll();
+        };
+    });
+}
+
+// Polls a batch until every row has finished or been cancelled
+function followBatch(batchId, onUpdate) {
+    return new Promise((resolve, reject) => {
+        const poll = async () => {
+            try {
+                const response = await fetch(`http://localhost:3001/api/batches/${batchId}`);
+                const data = await response.json();
+                if (!data.success) {
+                    reject(new Error(data.error || 'Batch not found'));
+                    return;
+                }
+                onUpdate(data.batch);
+                if (data.batch.status === 'completed' || data.batch.status === 'cancelled') {
+                    resolve(data.batch);
+                } else {
+                    setTimeout(poll, 3000);
+                }
+            } catch (err) {
+                reject(err);
+            }
+        };
+        poll();
+    });
+}
+
 function App() {
     const [productName, setProductName] = useState('');
     const [productUrl, setProductUrl] = useState('');
-    const [mood, setMood] = useState('Energetic');
-    const [language, setLanguage] = useState('English');
-    const [audioOption, setAudioOption] = useState('music'); // Changed to avoid voice API errors
+    const [mood, setMood] = useState('energetic');
+    const [language, setLanguage] = useState('english');
+    const [audioOption, setAudioOption] = useState('voice+music');
+    const [voiceProvider, setVoiceProvider] = useState('auto');
+    const [voiceProviders, setVoiceProviders] = useState([]);
+    const [voices, setVoices] = useState([]);
+    const [voiceId, setVoiceId] = useState('');
+    // null until a slider is moved, so the account's saved settings apply
+    const [voiceSettings, setVoiceSettings] = useState(null);
+    const [exportSubtitles, setExportSubtitles] = useState(false);
+    const [productPhotos, setProductPhotos] = useState([]);
+    const [useProductImages, setUseProductImages] = useState(true);
+    const [preset, setPreset] = useState('tiktok');
+    const [presets, setPresets] = useState([]);
+    const [musicTracks, setMusicTracks] = useState([]);
+    const [musicTrackId, setMusicTrackId] = useState('');
+    const [footageSource, setFootageSource] = useState('auto');
+    const [footageInfo, setFootageInfo] = useState(null);
 
     const [videoUrl, setVideoUrl] = useState('');
     const [script, setScript] = useState('');
+    const [subtitleFiles, setSubtitleFiles] = useState([]);
+    const [productInfo, setProductInfo] = useState(null);
     const [loading, setLoading] = useState(false);
+    const [progress, setProgress] = useState(null);
     const [error, setError] = useState('');
 
     // TikTok Account Management State
@@ -23,13 +183,301 @@ function App() {
     const [newUsername, setNewUsername] = useState('');
     const [uploadQueue, setUploadQueue] = useState([]);
     const [uploading, setUploading] = useState(false);
+    const [scheduledAt, setScheduledAt] = useState('');
+    const [calendarWeek, setCalendarWeek] = useState(() => startOfWeek(new Date()));
+    const [scheduledPosts, setScheduledPosts] = useState([]);
+    const [history, setHistory] = useState([]);
+    const [historyTotal, setHistoryTotal] = useState(0);
+    const [historyQuery, setHistoryQuery] = useState('');
+    const [batchFile, setBatchFile] = useState(null);
+    const [batchParallelism, setBatchParallelism] = useState(2);
+    const [batch, setBatch] = useState(null);
+    // Project editor: the video being edited, and the clip search for the segment being swapped
+    const [editing, setEditing] = useState(null);
+    const [clipSearch, setClipSearch] = useState(null);
+    // A/B variants: how many to render and what they differ in, the group being compared and
+    // the account picked for each of its videos
+    const [variantCount, setVariantCount] = useState(1);
+    const [variantVary, setVariantVary] = useState(VARIANT_DIMENSIONS.map(d => d.value));
+    const [variantGroup, setVariantGroup] = useState(null);
+    const [variantAccounts, setVariantAccounts] = useState({});
+    // Graphic overlays: the templates on offer and what the form picked ('' = off)
+    const [overlayTemplates, setOverlayTemplates] = useState(null);
+    const [overlaySettings, setOverlaySettings] = useState({ hook: '', price: '', endCard: '', priceText: '', originalPrice: '', cta: '', logoUrl: '' });
+    // Brand kits: '' renders with the first selected account's kit, 'none' without any
+    const [brandKits, setBrandKits] = useState([]);
+    const [watermarkPositions, setWatermarkPositions] = useState([]);
+    const [brandKitId, setBrandKitId] = useState('');
+    const [newBrandKit, setNewBrandKit] = useState({ name: '', primaryColor: '#FF2D95', secondaryColor: '#FFFFFF', watermarkPosition: 'bottom-right', watermarkOpacity: 0.6 });
+    const [brandFiles, setBrandFiles] = useState({});
+    // Transitions between clips: 'auto' uses the mood's set
+    const [transitionOptions, setTransitionOptions] = useState(null);
+    const [transition, setTransition] = useState('auto');
+    const [speedRamp, setSpeedRamp] = useState(false);
+    const [staticZoom, setStaticZoom] = useState(false);
 
     // Load TikTok accounts on component mount
     useEffect(() => {
         loadTikTokAccounts();
         loadUploadQueue();
+        loadPresets();
+        loadOverlayTemplates();
+        loadTransitions();
+        loadFootageSources();
+        loadVoiceProviders();
+        loadMusicTracks();
+        loadBrandKits();
+        loadHistory();
     }, []);
 
+    const loadPresets = async () => {
+        try {
+            const response = await fetch('http://localhost:3001/api/presets');
+            const data = await response.json();
+            if (data.success) {
+                setPresets(data.presets);
+                setPreset(data.defaultPreset);
+            }
+        } catch (err) {
+            console.error('Failed to load output presets:', err);
+        }
+    };
+
+    const loadOverlayTemplates = async () => {
+        try {
+            const response = await fetch('http://localhost:3001/api/overlays/templates');
+            const data = await response.json();
+            if (data.success) setOverlayTemplates(data.templates);
+        } catch (err) {
+            console.error('Failed to load overlay templates:', err);
+        }
+    };
+
+    const loadTransitions = async () => {
+        try {
+            const response = await fetch('http://localhost:3001/api/transitions');
+            const data = await response.json();
+            if (data.success) setTransitionOptions(data);
+        } catch (err) {
+            console.error('Failed to load transitions:', err);
+        }
+    };
+
+    const updateOverlaySetting = (key, value) => {
+        setOverlaySettings(current => ({ ...current, [key]: value }));
+    };
+
+    // The request's `overlays`, or undefined when none is picked
+    const buildOverlays = () => {
+        const { hook, price, endCard, priceText, originalPrice, cta, logoUrl } = overlaySettings;
+        if (!hook && !price && !endCard) return undefined;
+        return {
+            hook: hook || undefined,
+            price: price ? { template: price, price: priceText || undefined, originalPrice: originalPrice || undefined } : undefined,
+            endCard: endCard ? { template: endCard, cta: cta || undefined, logoUrl: logoUrl || undefined } : undefined
+        };
+    };
+
+    // Without any usable voice provider, fall back to music so renders don't fail
+    const loadVoiceProviders = async () => {
+        try {
+            const response = await fetch('http://localhost:3001/api/tts/providers');
+            const data = await response.json();
+            if (data.success) {
+                setVoiceProviders(data.providers);
+                if (!data.providers.some(p => p.available)) {
+                    setAudioOption('music');
+                }
+            }
+        } catch (err) {
+            console.error('Failed to load voice providers:', err);
+        }
+    };
+
+    // Voices for the chosen engine and language; 'auto' has no voice list
+    useEffect(() => {
+        setVoiceId('');
+        if (voiceProvider === 'auto') {
+            setVoices([]);
+            return;
+        }
+        const loadVoices = async () => {
+            try {
+                const response = await fetch(`http://localhost:3001/api/voices?provider=${voiceProvider}&language=${language.toLowerCase()}`);
+                const data = await response.json();
+                setVoices(data.success && data.providers.length ? data.providers[0].voices : []);
+            } catch (err) {
+                console.error('Failed to load voices:', err);
+            }
+        };
+        loadVoices();
+    }, [voiceProvider, language]);
+
+    const previewVoice = () => {
+        const voice = voices.find(v => v.id === voiceId) || voices.find(v => v.isDefault);
+        if (!voice || !voice.previewUrl) return;
+        new Audio(voice.previewUrl).play().catch(err => alert('❌ Could not play the preview: ' + err.message));
+    };
+
+    const updateVoiceSetting = (key, value) => {
+        setVoiceSettings(current => ({ stability: 0.7, style: 0.4, ...current, [key]: Number(value) }));
+    };
+
+    const loadMusicTracks = async () => {
+        try {
+            const response = await fetch('http://localhost:3001/api/music');
+            const data = await response.json();
+            if (data.success) {
+                setMusicTracks(data.tracks);
+            }
+        } catch (err) {
+            console.error('Failed to load music tracks:', err);
+        }
+    };
+
+    // Tagged with the form's mood unless changed in the prompt; BPM and license can be added later
+    const uploadMusicTrack = async (file) => {
+        if (!file) return;
+        const moods = window.prompt(`Moods for "${file.name}" (comma separated):`, mood);
+        if (moods === null) return;
+        const formData = new FormData();
+        formData.append('track', file);
+        formData.append('moods', moods);
+        try {
+            const response = await fetch('http://localhost:3001/api/music', { method: 'POST', body: formData });
+            const data = await response.json();
+            if (data.success) {
+                await loadMusicTracks();
+                setMusicTrackId(String(data.track.id));
+            } else {
+                alert('❌ Error: ' + data.error);
+            }
+        } catch (err) {
+            alert('❌ Failed to upload music: ' + err.message);
+        }
+    };
+
+    const editMusicTrack = async (track) => {
+        const moods = window.prompt(`Moods for "${track.title}" (comma separated):`, track.moods.join(', '));
+        if (moods === null) return;
+        const bpm = window.prompt('Tempo in BPM (leave empty if unknown):', track.bpm ? String(track.bpm) : '');
+        if (bpm === null) return;
+        const license = window.prompt('License / attribution:', track.license || '');
+        if (license === null) return;
+        try {
+            const response = await fetch(`http://localhost:3001/api/music/${track.id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ moods, bpm: bpm.trim() || null, license })
+            });
+            const data = await response.json();
+            if (data.success) {
+                loadMusicTracks();
+            } else {
+                alert('❌ Error: ' + data.error);
+            }
+        } catch (err) {
+            alert('❌ Failed to save tags: ' + err.message);
+        }
+    };
+
+    const removeMusicTrack = async (track) => {
+        if (!window.confirm(`Delete "${track.title}" from the music library?`)) return;
+        try {
+            const response = await fetch(`http://localhost:3001/api/music/${track.id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (data.success) {
+                setMusicTrackId('');
+                loadMusicTracks();
+            } else {
+                alert('❌ Error: ' + data.error);
+            }
+        } catch (err) {
+            alert('❌ Failed to delete track: ' + err.message);
+        }
+    };
+
+    const selectedMusicTrack = musicTracks.find(track => String(track.id) === musicTrackId);
+
+    const loadBrandKits = async () => {
+        try {
+            const response = await fetch('http://localhost:3001/api/brand-kits');
+            const data = await response.json();
+            if (data.success) {
+                setBrandKits(data.kits);
+                setWatermarkPositions(data.watermarkPositions);
+            }
+        } catch (err) {
+            console.error('Failed to load brand kits:', err);
+        }
+    };
+
+    const updateNewBrandKit = (key, value) => {
+        setNewBrandKit(current => ({ ...current, [key]: value }));
+    };
+
+    const createBrandKit = async () => {
+        if (!newBrandKit.name.trim()) {
+            alert('Give the brand kit a name first.');
+            return;
+        }
+        const formData = new FormData();
+        Object.entries(newBrandKit).forEach(([key, value]) => formData.append(key, String(value)));
+        Object.entries(brandFiles).forEach(([kind, file]) => {
+            if (file) formData.append(kind, file);
+        });
+        try {
+            const response = await fetch('http://localhost:3001/api/brand-kits', { method: 'POST', body: formData });
+            const data = await response.json();
+            if (data.success) {
+                setNewBrandKit(current => ({ ...current, name: '' }));
+                setBrandFiles({});
+                loadBrandKits();
+            } else {
+                alert('❌ Error: ' + data.error);
+            }
+        } catch (err) {
+            alert('❌ Failed to create brand kit: ' + err.message);
+        }
+    };
+
+    const removeBrandKit = async (kit) => {
+        if (!window.confirm(`Delete the brand kit "${kit.name}"? Accounts using it will render without branding.`)) return;
+        try {
+            const response = await fetch(`http://localhost:3001/api/brand-kits/${kit.id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (data.success) {
+                if (brandKitId === String(kit.id)) setBrandKitId('');
+                loadBrandKits();
+                loadTikTokAccounts();
+            } else {
+                alert('❌ Error: ' + data.error);
+            }
+        } catch (err) {
+            alert('❌ Failed to delete brand kit: ' + err.message);
+        }
+    };
+
+    const loadFootageSources = async () => {
+        try {
+            const response = await fetch('http://localhost:3001/api/footage/sources');
+            const data = await response.json();
+            if (data.success) {
+                setFootageInfo(data);
+            }
+        } catch (err) {
+            console.error('Failed to load footage sources:', err);
+        }
+    };
+
+    // The upload worker runs on the server, so keep refreshing while it has work left
+    const queueBusy = uploadQueue.some(item => item.upload_status === 'queued' || item.upload_status === 'uploading');
+    useEffect(() => {
+        if (!queueBusy) return undefined;
+        const timer = setInterval(loadUploadQueue, 10000);
+        return () => clearInterval(timer);
+    }, [queueBusy]);
+
     const loadTikTokAccounts = async () => {
         try {
             const response = await fetch('http://localhost:3001/api/tiktok/accounts');
@@ -42,6 +490,341 @@ function App() {
         }
     };
 
+    const loadSchedule = useCallback(async () => {
+        try {
+            const from = calendarWeek.toISOString();
+            const to = addDays(calendarWeek, 7).toISOString();
+            const response = await fetch(`http://localhost:3001/api/tiktok/schedule?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`);
+            const data = await response.json();
+            if (data.success) {
+                setScheduledPosts(data.posts);
+            }
+        } catch (err) {
+            console.error('Failed to load schedule:', err);
+        }
+    }, [calendarWeek]);
+
+    useEffect(() => {
+        loadSchedule();
+    }, [loadSchedule]);
+
+    const reschedulePost = async (post) => {
+        const current = new Date(post.scheduled_at);
+        const input = window.prompt(
+            'New posting time (YYYY-MM-DD HH:MM, your local time).\nLeave empty to move it to the next free slot.',
+            `${current.getFullYear()}-${String(current.getMonth() + 1).padStart(2, '0')}-${String(current.getDate()).padStart(2, '0')} ${current.toTimeString().slice(0, 5)}`
+        );
+        if (input === null) return;
+        const when = input.trim() ? new Date(input.trim().replace(' ', 'T')) : null;
+        if (when && Number.isNaN(when.getTime())) {
+            alert('❌ Could not read that date. Use YYYY-MM-DD HH:MM');
+            return;
+        }
+        try {
+            const response = await fetch(`http://localhost:3001/api/tiktok/schedule/${post.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ scheduledAt: when ? when.toISOString() : undefined })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                alert('❌ Error: ' + data.error);
+            }
+            loadSchedule();
+            loadUploadQueue();
+        } catch (err) {
+            alert('❌ Failed to reschedule: ' + err.message);
+        }
+    };
+
+    const cancelPost = async (post) => {
+        if (!window.confirm(`Cancel "${post.product_name}" for @${post.username}?`)) return;
+        try {
+            const response = await fetch(`http://localhost:3001/api/tiktok/schedule/${post.id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!data.success) {
+                alert('❌ Error: ' + data.error);
+            }
+            loadSchedule();
+            loadUploadQueue();
+        } catch (err) {
+            alert('❌ Failed to cancel: ' + err.message);
+        }
+    };
+
+    const editAccountSchedule = async (account) => {
+        const windowsText = window.prompt(
+            `Posting windows for @${account.username} (every day, your local time), e.g. 09:00-11:00, 19:00-21:00.\nLeave empty to allow any time.`,
+            windowsToText(account.schedule)
+        );
+        if (windowsText === null) return;
+        const capText = window.prompt('Maximum posts per day:', String(account.schedule ? account.schedule.dailyCap : 3));
+        if (capText === null) return;
+        try {
+            const response = await fetch(`http://localhost:3001/api/tiktok/accounts/${account.id}/schedule`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...account.schedule,
+                    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+                    windows: parseWindowsText(windowsText),
+                    dailyCap: Number(capText)
+                })
+            });
+            const data = await response.json();
+            if (data.success) {
+                loadTikTokAccounts();
+            } else {
+                alert('❌ Error: ' + data.error);
+            }
+        } catch (err) {
+            alert('❌ Failed to save schedule: ' + err.message);
+        }
+    };
+
+    // Saves the voice picked in the form as the account's default, or clears it when the form is on Auto
+    const saveAccountVoice = async (account) => {
+        const current = account.voice ? `${account.voice.provider}${account.voice.voiceId ? ` / ${account.voice.voiceId}` : ''}` : 'none';
+        const chosen = voiceProvider === 'auto' && !voiceSettings
+            ? 'clear it'
+            : `use ${voiceProvider}${voiceId ? ` / ${voiceId}` : ''}${voiceSettings ? ` (stability ${voiceSettings.stability}, style ${voiceSettings.style})` : ''}`;
+        if (!window.confirm(`Default voice for @${account.username}: ${current}.\n\nSet it from the form and ${chosen}?`)) return;
+        try {
+            const response = await fetch(`http://localhost:3001/api/tiktok/accounts/${account.id}/voice`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ provider: voiceProvider, voiceId: voiceId || undefined, settings: voiceSettings || undefined })
+            });
+            const data = await response.json();
+            if (data.success) {
+                loadTikTokAccounts();
+            } else {
+                alert('❌ Error: ' + data.error);
+            }
+        } catch (err) {
+            alert('❌ Failed to save voice: ' + err.message);
+        }
+    };
+
+    const saveAccountBrandKit = async (account, kitId) => {
+        try {
+            const response = await fetch(`http://localhost:3001/api/tiktok/accounts/${account.id}/brand-kit`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ brandKitId: kitId || null })
+            });
+            const data = await response.json();
+            if (data.success) {
+                loadTikTokAccounts();
+            } else {
+                alert('❌ Error: ' + data.error);
+            }
+        } catch (err) {
+            alert('❌ Failed to save brand kit: ' + err.message);
+        }
+    };
+
+    // Past renders, a page at a time; a non-zero offset adds the page to the ones already shown
+    const loadHistory = async ({ offset = 0, query = '' } = {}) => {
+        try {
+            const response = await fetch(`http://localhost:3001/api/videos?limit=12&offset=${offset}&q=${encodeURIComponent(query)}`);
+            const data = await response.json();
+            if (data.success) {
+                setHistory(current => (offset > 0 ? [...current, ...data.videos] : data.videos));
+                setHistoryTotal(data.total);
+            }
+        } catch (err) {
+            console.error('Failed to load video history:', err);
+        }
+    };
+
+    const requeueVideo = async (video, accountIds = selectedAccounts) => {
+        if (accountIds.length === 0) {
+            alert('Select the TikTok accounts to queue the video for first.');
+            return;
+        }
+        try {
+            const response = await fetch(`http://localhost:3001/api/videos/${video.id}/queue`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ accountIds, scheduledAt: scheduledAt ? new Date(scheduledAt).toISOString() : undefined })
+            });
+            const data = await response.json();
+            if (data.success) {
+                alert(`✅ ${data.message}`);
+                loadUploadQueue();
+                loadSchedule();
+            } else {
+                alert('❌ Error: ' + data.error);
+            }
+        } catch (err) {
+            alert('❌ Failed to queue video: ' + err.message);
+        }
+    };
+
+    // The videos of one A/B variant group, A first
+    const loadVariantGroup = async (group) => {
+        try {
+            const response = await fetch(`http://localhost:3001/api/videos?limit=10&variantGroup=${encodeURIComponent(group)}`);
+            const data = await response.json();
+            if (data.success) {
+                setVariantGroup({ id: group, videos: [...data.videos].sort((a, b) => a.variantId.localeCompare(b.variantId)) });
+                setVariantAccounts({});
+            }
+        } catch (err) {
+            console.error('Failed to load variants:', err);
+        }
+    };
+
+    const toggleVariantDimension = (dimension) => {
+        setVariantVary(current => (current.includes(dimension) ? current.filter(d => d !== dimension) : [...current, dimension]));
+    };
+
+    const deleteVideo = async (video) => {
+        if (!window.confirm(`Delete the "${video.productName}" video from ${new Date(video.createdAt).toLocaleString()}? The file is removed too.`)) return;
+        try {
+            const response = await fetch(`http://localhost:3001/api/videos/${video.id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (data.success) {
+                setHistory(current => current.filter(v => v.id !== video.id));
+                setHistoryTotal(total => total - 1);
+            } else {
+                alert('❌ Error: ' + data.error);
+            }
+        } catch (err) {
+            alert('❌ Failed to delete video: ' + err.message);
+        }
+    };
+
+    const openProject = (videoId, project) => {
+        setEditing({
+            videoId,
+            productName: project.productName,
+            preset: project.preset,
+            lines: project.lines.map(line => line.text),
+            segments: project.segments
+        });
+        setClipSearch(null);
+    };
+
+    const updateEditing = (changes) => setEditing(current => ({ ...current, ...changes }));
+
+    const moveSegment = (index, offset) => {
+        const segments = [...editing.segments];
+        const target = index + offset;
+        if (target < 0 || target >= segments.length) return;
+        [segments[index], segments[target]] = [segments[target], segments[index]];
+        updateEditing({ segments });
+        setClipSearch(null);
+    };
+
+    const searchClips = async (index) => {
+        const query = window.prompt('Search clips for:', clipSearch ? clipSearch.query : editing.productName);
+        if (!query) return;
+        const outputPreset = presets.find(p => p.name === editing.preset);
+        const orientation = !outputPreset || outputPreset.height > outputPreset.width ? 'portrait' : (outputPreset.width === outputPreset.height ? 'square' : 'landscape');
+        try {
+            const response = await fetch(`http://localhost:3001/api/footage/search?q=${encodeURIComponent(query)}&orientation=${orientation}`);
+            const data = await response.json();
+            if (data.success) {
+                setClipSearch({ index, query, clips: data.clips });
+            } else {
+                alert('❌ Error: ' + data.error);
+            }
+        } catch (err) {
+            alert('❌ Clip search failed: ' + err.message);
+        }
+    };
+
+    const swapClip = (clip) => {
+        const segments = [...editing.segments];
+        segments[clipSearch.index] = { type: 'video', provider: clip.provider, id: clip.id, url: clip.url };
+        updateEditing({ segments });
+        setClipSearch(null);
+    };
+
+    // Renders the edited project as a new video; the voiceover is reused if no line changed
+    const rerenderProject = async () => {
+        setLoading(true);
+        setError('');
+        setProgress(null);
+        try {
+            const response = await fetch(`http://localhost:3001/api/videos/${editing.videoId}/render`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ lines: editing.lines, segments: editing.segments })
+            });
+            const data = await response.json();
+            if (response.ok) {
+                setProgress(data.job);
+                const result = await followJob(data.jobId, setProgress);
+                setVideoUrl(result.videoUrl);
+                setScript(result.script);
+                setSubtitleFiles(result.subtitleFiles || []);
+                if (result.videoId) openProject(result.videoId, result.project);
+                loadHistory({ query: historyQuery });
+            } else {
+                setError(data.error || 'An error occurred.');
+            }
+        } catch (err) {
+            setError(err.isJobFailure ? err.message : 'Failed to connect to the server. Is it running?');
+        } finally {
+            setLoading(false);
+            setProgress(null);
+        }
+    };
+
+    // Every catalog row is rendered with the form's current settings unless the row sets its own
+    const startBatch = async () => {
+        if (!batchFile) {
+            alert('Choose a CSV or JSON product catalog first.');
+            return;
+        }
+        const formData = new FormData();
+        formData.append('catalog', batchFile);
+        formData.append('parallelism', String(batchParallelism));
+        formData.append('mood', mood);
+        formData.append('language', language.toLowerCase());
+        formData.append('preset', preset);
+        formData.append('audioOption', audioOption);
+        formData.append('footageSource', footageSource);
+        formData.append('voiceProvider', voiceProvider);
+        if (exportSubtitles) formData.append('subtitleFiles', 'both');
+        const overlays = buildOverlays();
+        if (overlays) formData.append('overlays', JSON.stringify(overlays));
+        if (brandKitId) formData.append('brandKitId', brandKitId);
+        formData.append('transitions', transition);
+        formData.append('speedRamp', String(speedRamp));
+        formData.append('staticZoom', String(staticZoom));
+        if (selectedAccounts.length > 0) formData.append('accounts', selectedAccounts.join(','));
+        try {
+            const response = await fetch('http://localhost:3001/api/batches', { method: 'POST', body: formData });
+            const data = await response.json();
+            if (!data.success) {
+                alert('❌ Error: ' + data.error + (data.rows ? '\n\n' + data.rows.join('\n') : ''));
+                return;
+            }
+            setBatch(data.batch);
+            await followBatch(data.batch.id, setBatch);
+            loadHistory({ query: historyQuery });
+            loadUploadQueue();
+            loadSchedule();
+        } catch (err) {
+            alert('❌ Batch failed: ' + err.message);
+        }
+    };
+
+    const cancelBatch = async () => {
+        if (!window.confirm('Stop the batch? Videos already rendering will finish.')) return;
+        try {
+            const response = await fetch(`http://localhost:3001/api/batches/${batch.id}/cancel`, { method: 'POST' });
+            const data = await response.json();
+            if (data.success) setBatch(data.batch);
+        } catch (err) {
+            alert('❌ Failed to cancel batch: ' + err.message);
+        }
+    };
+
     const loadUploadQueue = async () => {
         try {
             const response = await fetch('http://localhost:3001/api/tiktok/upload-queue');
@@ -54,6 +837,19 @@ function App() {
         }
     };
 
+    const retryUpload = async (uploadId) => {
+        try {
+            const response = await fetch(`http://localhost:3001/api/tiktok/upload-queue/${uploadId}/retry`, { method: 'POST' });
+            const data = await response.json();
+            if (!data.success) {
+                alert('❌ Error: ' + data.error);
+            }
+            loadUploadQueue();
+        } catch (err) {
+            alert('❌ Failed to retry upload: ' + err.message);
+        }
+    };
+
     const addTikTokAccount = async () => {
     if (!newAccountName || !newUsername || !newPassword) {
         alert('Please fill in account name, username, and password');
@@ -116,6 +912,24 @@ function App() {
         }
     };
 
+    // Uploads the selected product photos and returns their URLs
+    const uploadProductPhotos = async () => {
+        if (productPhotos.length === 0) return [];
+        const formData = new FormData();
+        productPhotos.forEach(photo => formData.append('images', photo));
+        const response = await fetch('http://localhost:3001/api/product-images', {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+        if (!data.success) {
+            const failure = new Error('Photo upload failed: ' + data.error);
+            failure.isJobFailure = true;
+            throw failure;
+        }
+        return data.images;
+    };
+
     const handleGenerateClick = async (event) => {
         event.preventDefault();
         if (!productName && !productUrl) {
@@ -126,10 +940,17 @@ function App() {
         setLoading(true);
         setVideoUrl('');
         setScript('');
+        setProductInfo(null);
+        setSubtitleFiles([]);
+        setEditing(null);
+        setVariantGroup(null);
         setError('');
+        setProgress(null);
 
+        const variants = variantCount > 1 ? { count: Number(variantCount), vary: variantVary } : undefined;
         try {
-            const response = await fetch('http://localhost:3001/api/generate', {
+            const productImages = await uploadProductPhotos();
+            const response = await fetch(`http://localhost:3001/api/${variants ? 'generate-variants' : 'generate'}`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ 
@@ -138,21 +959,49 @@ function App() {
                     mood, 
                     language: language.toLowerCase(), 
                     audioOption,
-                    includeSubtitles: true
+                    includeSubtitles: true,
+                    subtitleFiles: exportSubtitles ? 'both' : false,
+                    productImages,
+                    useProductImages,
+                    preset,
+                    footageSource,
+                    voiceProvider,
+                    voiceId: voiceId || undefined,
+                    voiceSettings: voiceSettings || undefined,
+                    musicTrackId: musicTrackId || undefined,
+                    accountId: selectedAccounts[0],
+                    overlays: buildOverlays(),
+                    brandKitId: brandKitId || undefined,
+                    transitions: transition,
+                    speedRamp,
+                    staticZoom,
+                    variants
                 }),
             });
 
             const data = await response.json();
             if (response.ok) {
-                setVideoUrl(data.videoUrl);
-                setScript(data.script);
+                setProgress(data.job);
+                const result = await followJob(data.jobId, setProgress);
+                if (variants) {
+                    await loadVariantGroup(result.variantGroup);
+                    loadHistory({ query: historyQuery });
+                    return;
+                }
+                setVideoUrl(result.videoUrl);
+                setScript(result.script);
+                setProductInfo(result.product || null);
+                setSubtitleFiles(result.subtitleFiles || []);
+                if (result.videoId) openProject(result.videoId, result.project);
+                loadHistory({ query: historyQuery });
             } else {
                 setError(data.message || 'An error occurred.');
             }
         } catch (err) {
-            setError('Failed to connect to the server. Is it running?');
+            setError(err.isJobFailure ? err.message : 'Failed to connect to the server. Is it running?');
         } finally {
             setLoading(false);
+            setProgress(null);
         }
     };
 
@@ -172,9 +1021,13 @@ function App() {
         setUploading(true);
         setVideoUrl('');
         setScript('');
+        setProductInfo(null);
+        setEditing(null);
         setError('');
+        setProgress(null);
 
         try {
+            const productImages = await uploadProductPhotos();
             const response = await fetch('http://localhost:3001/api/generate-and-queue', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
@@ -182,26 +1035,51 @@ function App() {
                     productName,
                     productUrl,
                     mood,
+                    language: language.toLowerCase(),
                     audioOption,
+                    productImages,
+                    useProductImages,
+                    preset,
+                    footageSource,
+                    voiceProvider,
+                    voiceId: voiceId || undefined,
+                    voiceSettings: voiceSettings || undefined,
+                    musicTrackId: musicTrackId || undefined,
                     accountIds: selectedAccounts,
+                    scheduledAt: scheduledAt ? new Date(scheduledAt).toISOString() : undefined,
+                    overlays: buildOverlays(),
+                    brandKitId: brandKitId || undefined,
+                    transitions: transition,
+                    speedRamp,
+                    staticZoom,
                     autoQueue: true
                 }),
             });
 
             const data = await response.json();
             if (response.ok) {
-                setVideoUrl(data.videoUrl);
-                setScript(data.script);
-                alert(`✅ ${data.message}\n\nVideo generated and queued for ${data.queueResults.filter(r => r.success).length} TikTok accounts!`);
+                setProgress(data.job);
+                const result = await followJob(data.jobId, setProgress);
+                setVideoUrl(result.videoUrl);
+                setScript(result.script);
+                setProductInfo(result.product || null);
+                const slots = result.queueResults
+                    .map(r => r.success ? `@${r.username}: ${new Date(r.scheduledAt).toLocaleString()}` : `Account ${r.accountId}: ${r.error}`)
+                    .join('\n');
+                alert(`✅ ${result.message}\n\n${slots}`);
+                if (result.videoId) openProject(result.videoId, result.project);
                 loadUploadQueue(); // Refresh upload queue
+                loadSchedule();
+                loadHistory({ query: historyQuery });
             } else {
                 setError(data.message || 'An error occurred.');
             }
         } catch (err) {
-            setError('Failed to connect to the server. Is it running?');
+            setError(err.isJobFailure ? err.message : 'Failed to connect to the server. Is it running?');
         } finally {
             setLoading(false);
             setUploading(false);
+            setProgress(null);
         }
     };
 
@@ -261,18 +1139,135 @@ function App() {
                                         />
                                         📱 {account.account_name} (@{account.username})
                                     </label>
-                                    <button 
-                                        className="remove-account-button"
-                                        onClick={() => removeTikTokAccount(account.id)}
-                                    >
-                                        🗑️
-                                    </button>
+                                    <div>
+                                        {brandKits.length > 0 && (
+                                            <select
+                                                className="select-field"
+                                                title="Brand kit for this account's videos"
+                                                value={account.brandKitId ? String(account.brandKitId) : ''}
+                                                onChange={(e) => saveAccountBrandKit(account, e.target.value)}
+                                            >
+                                                <option value="">🎨 No brand kit</option>
+                                                {brandKits.map(kit => (
+                                                    <option key={kit.id} value={String(kit.id)}>🎨 {kit.name}</option>
+                                                ))}
+                                            </select>
+                                        )}
+                                        <button 
+                                            className="remove-account-button"
+                                            title={`Posting windows: ${windowsToText(account.schedule) || 'any time'}, max ${account.schedule ? account.schedule.dailyCap : 3}/day`}
+                                            onClick={() => editAccountSchedule(account)}
+                                        >
+                                            🗓️
+                                        </button>
+                                        <button 
+                                            className="remove-account-button"
+                                            title={`Default voice: ${account.voice ? `${account.voice.provider}${account.voice.voiceId ? ` / ${account.voice.voiceId}` : ''}` : 'none'}`}
+                                            onClick={() => saveAccountVoice(account)}
+                                        >
+                                            🎤
+                                        </button>
+                                        <button 
+                                            className="remove-account-button"
+                                            onClick={() => removeTikTokAccount(account.id)}
+                                        >
+                                            🗑️
+                                        </button>
+                                    </div>
                                 </div>
                             ))
                         )}
                     </div>
                 </div>
 
+                <div className="accounts-section">
+                    <h3>🎨 Brand Kits</h3>
+                    {brandKits.map(kit => (
+                        <div key={kit.id} className="account-item">
+                            <div>
+                                <strong>{kit.name}</strong>{' '}
+                                <span style={{ background: kit.primaryColor, border: '1px solid #ccc', padding: '0 10px' }} title={kit.primaryColor} />{' '}
+                                <span style={{ background: kit.secondaryColor, border: '1px solid #ccc', padding: '0 10px' }} title={kit.secondaryColor} />
+                                <br />
+                                <small style={{ color: '#666' }}>
+                                    {kit.urls.logo ? `logo watermark ${kit.watermarkPosition === 'none' ? 'off' : `${kit.watermarkPosition}, ${Math.round(kit.watermarkOpacity * 100)}%`}` : 'no logo'}
+                                    {kit.files.font && ' · custom font'}
+                                    {kit.introDuration && ` · ${kit.introDuration.toFixed(1)}s intro`}
+                                    {kit.outroDuration && ` · ${kit.outroDuration.toFixed(1)}s outro`}
+                                    {` · used by ${tiktokAccounts.filter(account => account.brandKitId === kit.id).map(account => `@${account.username}`).join(' ') || 'no accounts'}`}
+                                </small>
+                            </div>
+                            <button className="remove-account-button" onClick={() => removeBrandKit(kit)}>🗑️</button>
+                        </div>
+                    ))}
+
+                    {/* Keyed by the kit count so the file inputs empty once a kit is added */}
+                    <div className="audio-options-container" key={brandKits.length}>
+                        <input
+                            type="text"
+                            className="input-field"
+                            placeholder="Brand name"
+                            maxLength={80}
+                            value={newBrandKit.name}
+                            onChange={(e) => updateNewBrandKit('name', e.target.value)}
+                        />
+                        <div className="editor-row">
+                            <label>
+                                Primary color{' '}
+                                <input type="color" value={newBrandKit.primaryColor} onChange={(e) => updateNewBrandKit('primaryColor', e.target.value)} />
+                            </label>
+                            <label>
+                                Secondary color{' '}
+                                <input type="color" value={newBrandKit.secondaryColor} onChange={(e) => updateNewBrandKit('secondaryColor', e.target.value)} />
+                            </label>
+                        </div>
+                        <label htmlFor="watermarkPosition">Logo watermark:</label>
+                        <select
+                            id="watermarkPosition"
+                            value={newBrandKit.watermarkPosition}
+                            onChange={(e) => updateNewBrandKit('watermarkPosition', e.target.value)}
+                            className="select-field"
+                        >
+                            {watermarkPositions.map(position => (
+                                <option key={position} value={position}>{position === 'none' ? 'No watermark' : position}</option>
+                            ))}
+                        </select>
+                        <label htmlFor="watermarkOpacity">Watermark opacity: {Math.round(newBrandKit.watermarkOpacity * 100)}%</label>
+                        <input
+                            id="watermarkOpacity"
+                            type="range"
+                            min="0.05"
+                            max="1"
+                            step="0.05"
+                            value={newBrandKit.watermarkOpacity}
+                            onChange={(e) => updateNewBrandKit('watermarkOpacity', Number(e.target.value))}
+                        />
+                        {[
+                            ['logo', 'Logo (.png, .jpg, .webp)', '.png,.jpg,.jpeg,.webp'],
+                            ['font', 'Font (.ttf, .otf)', '.ttf,.otf'],
+                            ['intro', 'Intro clip (up to 10s)', '.mp4,.mov,.webm'],
+                            ['outro', 'Outro clip (up to 10s)', '.mp4,.mov,.webm']
+                        ].map(([kind, label, accept]) => (
+                            <React.Fragment key={kind}>
+                                <label htmlFor={`brand-${kind}`}>{label}:</label>
+                                <input
+                                    id={`brand-${kind}`}
+                                    type="file"
+                                    accept={accept}
+                                    className="input-field"
+                                    onChange={(e) => {
+                                        const file = e.target.files[0] || null;
+                                        setBrandFiles(current => ({ ...current, [kind]: file }));
+                                    }}
+                                />
+                            </React.Fragment>
+                        ))}
+                        <button className="add-account-button" onClick={createBrandKit}>
+                            Add Brand Kit
+                        </button>
+                    </div>
+                </div>
+
                 <form className="form-container">
                     <label htmlFor="productName">Product Name:</label>
                     <input 
@@ -296,6 +1291,24 @@ function App() {
                         onChange={(e) => setProductUrl(e.target.value)} 
                     />
 
+                    <label htmlFor="productPhotos">Product Photos (optional):</label>
+                    <input
+                        id="productPhotos"
+                        type="file"
+                        accept="image/jpeg,image/png,image/webp"
+                        multiple
+                        className="input-field"
+                        onChange={(e) => setProductPhotos(Array.from(e.target.files))}
+                    />
+                    <label className="account-checkbox">
+                        <input
+                            type="checkbox"
+                            checked={useProductImages}
+                            onChange={(e) => setUseProductImages(e.target.checked)}
+                        />
+                        🖼️ Also use photos found on the product page
+                    </label>
+
                     <div className="options-grid">
                         <div>
                             <label htmlFor="mood">Video Mood:</label>
@@ -309,10 +1322,11 @@ function App() {
                                 <option value="funny">😂 Funny</option>
                                 <option value="trendy">💖 Trendy</option>
                                 <option value="exciting">🚀 Exciting</option>
+                                <option value="luxurious">💎 Luxurious</option>
                             </select>
                         </div>
                         <div>
-                            <label htmlFor="language">Voice Language:</label>
+                            <label htmlFor="language">Script &amp; Voice Language:</label>
                             <select 
                                 id="language" 
                                 value={language} 
@@ -324,7 +1338,166 @@ function App() {
                             </select>
                         </div>
                     </div>
+
+                    <div className="audio-options-container">
+                        <label htmlFor="preset">Output Format:</label>
+                        <select 
+                            id="preset" 
+                            value={preset} 
+                            onChange={(e) => setPreset(e.target.value)} 
+                            className="select-field"
+                        >
+                            {presets.length === 0 && <option value="tiktok">TikTok 25s (1080x1920)</option>}
+                            {presets.map(p => (
+                                <option key={p.name} value={p.name}>
+                                    {p.label} ({p.aspectRatio}, {p.width}x{p.height})
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    
+                    <div className="audio-options-container">
+                        <label htmlFor="footageSource">Footage Source:</label>
+                        <select 
+                            id="footageSource" 
+                            value={footageSource} 
+                            onChange={(e) => setFootageSource(e.target.value)} 
+                            className="select-field"
+                        >
+                            <option value="auto">⚡ Auto (whatever is available)</option>
+                            <option value="pexels" disabled={footageInfo && !footageInfo.available.pexels}>🌐 Pexels Stock</option>
+                            <option value="local" disabled={footageInfo && !footageInfo.available.local}>
+                                📁 Local Library{footageInfo ? ` (${footageInfo.library.clips} clips)` : ''}
+                            </option>
+                            <option value="mixed" disabled={footageInfo && !(footageInfo.available.pexels && footageInfo.available.local)}>🔀 Mixed (Local + Pexels)</option>
+                        </select>
+                    </div>
                     
+                    {brandKits.length > 0 && (
+                        <div className="audio-options-container">
+                            <label htmlFor="brandKit">Brand Kit:</label>
+                            <select
+                                id="brandKit"
+                                value={brandKitId}
+                                onChange={(e) => setBrandKitId(e.target.value)}
+                                className="select-field"
+                            >
+                                <option value="">The account's kit (if it has one)</option>
+                                <option value="none">No branding</option>
+                                {brandKits.map(kit => (
+                                    <option key={kit.id} value={String(kit.id)}>{kit.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    {transitionOptions && (
+                        <div className="audio-options-container">
+                            <label htmlFor="transition">Transitions Between Clips:</label>
+                            <select
+                                id="transition"
+                                value={transition}
+                                onChange={(e) => setTransition(e.target.value)}
+                                className="select-field"
+                            >
+                                <option value="auto">
+                                    ⚡ Auto for the mood ({(transitionOptions.moodDefaults[mood] || []).map(name => transitionOptions.transitions.find(t => t.name === name).label).join(', ')})
+                                </option>
+                                {transitionOptions.transitions.map(option => (
+                                    <option key={option.name} value={option.name}>{option.label}</option>
+                                ))}
+                            </select>
+                            <label className="account-checkbox">
+                                <input type="checkbox" checked={speedRamp} onChange={(e) => setSpeedRamp(e.target.checked)} />
+                                ⏩ Speed ramp (clips open fast, then play at normal speed)
+                            </label>
+                            <label className="account-checkbox">
+                                <input type="checkbox" checked={staticZoom} onChange={(e) => setStaticZoom(e.target.checked)} />
+                                🔍 Slow zoom on clips that barely move
+                            </label>
+                        </div>
+                    )}
+
+                    {overlayTemplates && (
+                        <div className="audio-options-container">
+                            <label htmlFor="hookOverlay">Hook Title Card:</label>
+                            <select
+                                id="hookOverlay"
+                                value={overlaySettings.hook}
+                                onChange={(e) => updateOverlaySetting('hook', e.target.value)}
+                                className="select-field"
+                            >
+                                <option value="">None</option>
+                                {overlayTemplates.hook.map(template => (
+                                    <option key={template.name} value={template.name}>{template.label}</option>
+                                ))}
+                            </select>
+
+                            <label htmlFor="priceOverlay">Price Badge:</label>
+                            <select
+                                id="priceOverlay"
+                                value={overlaySettings.price}
+                                onChange={(e) => updateOverlaySetting('price', e.target.value)}
+                                className="select-field"
+                            >
+                                <option value="">None</option>
+                                {overlayTemplates.price.map(template => (
+                                    <option key={template.name} value={template.name}>{template.label}</option>
+                                ))}
+                            </select>
+                            {overlaySettings.price && (
+                                <div className="editor-row">
+                                    <input
+                                        type="text"
+                                        className="input-field"
+                                        placeholder="Price (default: from the product page)"
+                                        value={overlaySettings.priceText}
+                                        onChange={(e) => updateOverlaySetting('priceText', e.target.value)}
+                                    />
+                                    <input
+                                        type="text"
+                                        className="input-field"
+                                        placeholder="Was (optional, shows the discount)"
+                                        value={overlaySettings.originalPrice}
+                                        onChange={(e) => updateOverlaySetting('originalPrice', e.target.value)}
+                                    />
+                                </div>
+                            )}
+
+                            <label htmlFor="endCardOverlay">End Card:</label>
+                            <select
+                                id="endCardOverlay"
+                                value={overlaySettings.endCard}
+                                onChange={(e) => updateOverlaySetting('endCard', e.target.value)}
+                                className="select-field"
+                            >
+                                <option value="">None</option>
+                                {overlayTemplates.endCard.map(template => (
+                                    <option key={template.name} value={template.name}>{template.label}</option>
+                                ))}
+                            </select>
+                            {overlaySettings.endCard && (
+                                <>
+                                    <input
+                                        type="text"
+                                        className="input-field"
+                                        placeholder="Call to action (default: Shop now - link in bio)"
+                                        maxLength={80}
+                                        value={overlaySettings.cta}
+                                        onChange={(e) => updateOverlaySetting('cta', e.target.value)}
+                                    />
+                                    <input
+                                        type="url"
+                                        className="input-field"
+                                        placeholder="Logo image URL (optional)"
+                                        value={overlaySettings.logoUrl}
+                                        onChange={(e) => updateOverlaySetting('logoUrl', e.target.value)}
+                                    />
+                                </>
+                            )}
+                        </div>
+                    )}
+
                     <div className="audio-options-container">
                         <label htmlFor="audioOption">Audio Choice:</label>
                         <select 
@@ -339,27 +1512,196 @@ function App() {
                         </select>
                     </div>
 
+                    {audioOption.includes('music') && (
+                        <div className="audio-options-container">
+                            <label htmlFor="musicTrack">Music Track:</label>
+                            <select 
+                                id="musicTrack" 
+                                value={musicTrackId} 
+                                onChange={(e) => setMusicTrackId(e.target.value)} 
+                                className="select-field"
+                            >
+                                <option value="">⚡ Auto (best match for the mood)</option>
+                                {musicTracks.map(track => (
+                                    <option key={track.id} value={String(track.id)}>
+                                        {track.title}{track.moods.length ? ` (${track.moods.join(', ')}${track.bpm ? `, ${track.bpm} BPM` : ''})` : ' (untagged)'}
+                                    </option>
+                                ))}
+                            </select>
+                            {selectedMusicTrack && (
+                                <div>
+                                    <button type="button" className="remove-account-button" onClick={() => new Audio(selectedMusicTrack.url).play()}>▶️</button>
+                                    <button type="button" className="remove-account-button" title="Edit moods, BPM and license" onClick={() => editMusicTrack(selectedMusicTrack)}>🏷️</button>
+                                    <button type="button" className="remove-account-button" onClick={() => removeMusicTrack(selectedMusicTrack)}>🗑️</button>
+                                </div>
+                            )}
+                            <label htmlFor="musicUpload">Add a track to the library:</label>
+                            <input
+                                id="musicUpload"
+                                type="file"
+                                accept=".mp3,.wav,.m4a,.aac,.ogg"
+                                className="input-field"
+                                onChange={(e) => {
+                                    uploadMusicTrack(e.target.files[0]);
+                                    e.target.value = '';
+                                }}
+                            />
+                        </div>
+                    )}
+
+                    {audioOption.includes('voice') && (
+                        <div className="audio-options-container">
+                            <label htmlFor="voiceProvider">Voice Engine:</label>
+                            <select 
+                                id="voiceProvider" 
+                                value={voiceProvider} 
+                                onChange={(e) => setVoiceProvider(e.target.value)} 
+                                className="select-field"
+                            >
+                                <option value="auto">⚡ Auto (first available, with fallback)</option>
+                                {voiceProviders.map(p => (
+                                    <option key={p.name} value={p.name} disabled={!p.available}>
+                                        {p.label}{p.available ? (p.coolingDownUntil ? ' (out of quota)' : '') : ' (not configured)'}
+                                    </option>
+                                ))}
+                            </select>
+
+                            {voiceProvider !== 'auto' && (
+                                <>
+                                    <label htmlFor="voiceId">Voice:</label>
+                                    <select 
+                                        id="voiceId" 
+                                        value={voiceId} 
+                                        onChange={(e) => setVoiceId(e.target.value)} 
+                                        className="select-field"
+                                    >
+                                        <option value="">Account or language default</option>
+                                        {voices.map(v => (
+                                            <option key={v.id} value={v.id}>
+                                                {v.name}{[v.gender, v.accent].filter(Boolean).length ? ` (${[v.gender, v.accent].filter(Boolean).join(', ')})` : ''}{v.isDefault ? ' ⭐' : ''}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <button type="button" className="remove-account-button" onClick={previewVoice} disabled={voices.length === 0}>
+                                        ▶️ Preview
+                                    </button>
+                                </>
+                            )}
+
+                            {(voiceProvider === 'auto' || voiceProvider === 'elevenlabs') && (
+                                <>
+                                    <label htmlFor="voiceStability">
+                                        Stability: {voiceSettings ? voiceSettings.stability : 'default'} (lower sounds more expressive)
+                                    </label>
+                                    <input
+                                        id="voiceStability"
+                                        type="range"
+                                        min="0"
+                                        max="1"
+                                        step="0.05"
+                                        value={voiceSettings ? voiceSettings.stability : 0.7}
+                                        onChange={(e) => updateVoiceSetting('stability', e.target.value)}
+                                    />
+                                    <label htmlFor="voiceStyle">Style: {voiceSettings ? voiceSettings.style : 'default'}</label>
+                                    <input
+                                        id="voiceStyle"
+                                        type="range"
+                                        min="0"
+                                        max="1"
+                                        step="0.05"
+                                        value={voiceSettings ? voiceSettings.style : 0.4}
+                                        onChange={(e) => updateVoiceSetting('style', e.target.value)}
+                                    />
+                                    {voiceSettings && (
+                                        <button type="button" className="remove-account-button" onClick={() => setVoiceSettings(null)}>
+                                            ↩️ Default settings
+                                        </button>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    )}
+
+                    <label htmlFor="variantCount">A/B Variants:</label>
+                    <select
+                        id="variantCount"
+                        value={variantCount}
+                        onChange={(e) => setVariantCount(Number(e.target.value))}
+                        className="select-field"
+                    >
+                        <option value={1}>Just one video</option>
+                        {[2, 3, 4, 5, 6].map(count => (
+                            <option key={count} value={count}>{count} variants to compare</option>
+                        ))}
+                    </select>
+                    {variantCount > 1 && (
+                        <div className="audio-options-container">
+                            <small style={{ color: '#666' }}>Variant A is rendered as set above; the others change:</small>
+                            {VARIANT_DIMENSIONS.map(dimension => (
+                                <label key={dimension.value} className="account-checkbox">
+                                    <input
+                                        type="checkbox"
+                                        checked={variantVary.includes(dimension.value)}
+                                        onChange={() => toggleVariantDimension(dimension.value)}
+                                    />
+                                    {dimension.label}
+                                </label>
+                            ))}
+                        </div>
+                    )}
+
+                    <label className="account-checkbox">
+                        <input
+                            type="checkbox"
+                            checked={exportSubtitles}
+                            onChange={(e) => setExportSubtitles(e.target.checked)}
+                        />
+                        📄 Also export subtitle files (.srt / .vtt)
+                    </label>
+
+                    <label htmlFor="scheduledAt">Post At (optional, otherwise each account's next free slot):</label>
+                    <input
+                        id="scheduledAt"
+                        type="datetime-local"
+                        className="input-field"
+                        value={scheduledAt}
+                        onChange={(e) => setScheduledAt(e.target.value)}
+                    />
+
                     <div style={{ display: 'flex', gap: '10px' }}>
                         <button 
                             type="button"
                             className="generate-button" 
-                            disabled={loading}
+                            disabled={loading || (variantCount > 1 && variantVary.length === 0)}
                             onClick={handleGenerateClick}
                             style={{ flex: 1 }}
                         >
-                            {loading && !uploading ? '⚙️ Building Video...' : '✨ Generate Video Only'}
+                            {loading && !uploading ? '⚙️ Building Video...' : (variantCount > 1 ? `🧪 Generate ${variantCount} Variants` : '✨ Generate Video Only')}
                         </button>
                         
                         <button 
                             type="button"
                             className="upload-button" 
-                            disabled={loading || selectedAccounts.length === 0}
+                            disabled={loading || selectedAccounts.length === 0 || variantCount > 1}
                             onClick={handleGenerateAndQueue}
                             style={{ flex: 1 }}
                         >
                             {uploading ? '📤 Generating & Queueing...' : `🚀 Generate + Queue (${selectedAccounts.length} accounts)`}
                         </button>
                     </div>
+
+                    {loading && progress && (
+                        <div className="progress-container">
+                            <div className="progress-label">
+                                <span>{STAGE_LABELS[progress.stage] || progress.stage}</span>
+                                <span>{progress.percent}%</span>
+                            </div>
+                            <div className="progress-bar">
+                                <div className="progress-fill" style={{ width: `${progress.percent}%` }} />
+                            </div>
+                            <small className="progress-message">{progress.message}</small>
+                        </div>
+                    )}
                 </form>
 
                 {error && <div className="error-message">{error}</div>}
@@ -380,9 +1722,35 @@ function App() {
                                 >
                                     ⬇️ Download Video
                                 </a>
+                                {subtitleFiles.map(file => (
+                                    <a
+                                        key={file}
+                                        href={file}
+                                        download
+                                        style={{ display: 'inline-block', marginLeft: '10px' }}
+                                    >
+                                        📄 {file.split('.').pop().toUpperCase()}
+                                    </a>
+                                ))}
                             </div>
                         </div>
                         
+                        {productInfo && (
+                            <div className="script-container">
+                                <h2>🛍️ Product Details:</h2>
+                                <p>
+                                    <strong>{productInfo.title}</strong>
+                                    {productInfo.price && ` — ${productInfo.price.formatted}`}
+                                    {productInfo.category !== 'default' && ` (${productInfo.category})`}
+                                </p>
+                                {productInfo.features.length > 0 && (
+                                    <ul>
+                                        {productInfo.features.map(feature => <li key={feature}>{feature}</li>)}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+
                         <div className="script-container">
                             <h2>📝 Generated Script:</h2>
                             <pre className="script-box">{script}</pre>
@@ -392,12 +1760,229 @@ function App() {
                             <div className="publish-section">
                                 <h3>📤 Upload Status</h3>
                                 <p>Video queued for {selectedAccounts.length} TikTok account(s)</p>
-                                <p><strong>Note:</strong> Videos are queued for manual upload to your TikTok accounts.</p>
+                                <p><strong>Note:</strong> The upload worker posts queued videos in the background. Watch the Upload Queue below for progress.</p>
                             </div>
                         )}
                     </div>
                 )}
 
+                {/* A/B Variants */}
+                {variantGroup && (
+                    <div className="accounts-section">
+                        <h3>🧪 Variants: {variantGroup.videos.length > 0 ? variantGroup.videos[0].productName : variantGroup.id}</h3>
+                        <div className="gallery-grid">
+                            {variantGroup.videos.map(video => {
+                                const metadata = video.metadata || {};
+                                const changes = metadata.variant ? metadata.variant.changes : [];
+                                const hook = video.scriptLines.length > 0 ? video.scriptLines[0].text : '';
+                                return (
+                                    <div key={video.id} className="gallery-item">
+                                        <strong>Variant {video.variantId}</strong>
+                                        {video.fileExists ? (
+                                            <video src={video.videoUrl} controls preload="metadata" />
+                                        ) : (
+                                            <p className="gallery-missing">⚠️ File missing</p>
+                                        )}
+                                        <small>
+                                            🪝 "{hook}"
+                                            <br />
+                                            🎭 {video.mood} · 🎤 {video.voiceId || 'no voice'} · 🎵 {metadata.music ? metadata.music.title : 'no music'}
+                                            <br />
+                                            {changes.length > 0 ? `Changed: ${changes.join('; ')}` : 'As set in the form'}
+                                        </small>
+                                        {video.fileExists && tiktokAccounts.length > 0 && (
+                                            <div className="editor-row">
+                                                <select
+                                                    className="select-field"
+                                                    value={variantAccounts[video.id] || ''}
+                                                    onChange={(e) => setVariantAccounts(current => ({ ...current, [video.id]: e.target.value }))}
+                                                >
+                                                    <option value="">Account...</option>
+                                                    {tiktokAccounts.map(account => (
+                                                        <option key={account.id} value={account.id}>@{account.username}</option>
+                                                    ))}
+                                                </select>
+                                                <button
+                                                    className="remove-account-button"
+                                                    title="Queue this variant for the account"
+                                                    disabled={!variantAccounts[video.id]}
+                                                    onClick={() => requeueVideo(video, [Number(variantAccounts[video.id])])}
+                                                >
+                                                    📤
+                                                </button>
+                                            </div>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                        <button className="remove-account-button" onClick={() => setVariantGroup(null)}>Close</button>
+                    </div>
+                )}
+
+                {/* Project Editor */}
+                {editing && (
+                    <div className="accounts-section">
+                        <h3>✏️ Edit Video #{editing.videoId}: {editing.productName}</h3>
+                        <h4>Script</h4>
+                        {editing.lines.map((line, i) => (
+                            <div key={i} className="editor-row">
+                                <input
+                                    type="text"
+                                    className="input-field"
+                                    value={line}
+                                    maxLength={200}
+                                    onChange={(e) => updateEditing({ lines: editing.lines.map((l, j) => (j === i ? e.target.value : l)) })}
+                                />
+                                <button
+                                    className="remove-account-button"
+                                    title="Remove line"
+                                    disabled={editing.lines.length === 1}
+                                    onClick={() => updateEditing({ lines: editing.lines.filter((l, j) => j !== i) })}
+                                >
+                                    ✖
+                                </button>
+                            </div>
+                        ))}
+                        <button className="add-account-button" onClick={() => updateEditing({ lines: [...editing.lines, ''] })}>
+                            ➕ Add Line
+                        </button>
+
+                        <h4>Clips</h4>
+                        {editing.segments.map((segment, i) => (
+                            <div key={`${i}-${segment.url}`} className="editor-row">
+                                <span>
+                                    {i + 1}. {segment.type === 'image'
+                                        ? '🖼️ Photo'
+                                        : `${segment.provider === 'local' ? '📁 Library clip' : '🎬 Pexels clip'} #${segment.id}`}
+                                </span>
+                                <div>
+                                    <button className="remove-account-button" title="Move up" disabled={i === 0} onClick={() => moveSegment(i, -1)}>⬆️</button>
+                                    <button className="remove-account-button" title="Move down" disabled={i === editing.segments.length - 1} onClick={() => moveSegment(i, 1)}>⬇️</button>
+                                    <button className="remove-account-button" title="Swap for another clip" onClick={() => searchClips(i)}>🔄</button>
+                                    <button
+                                        className="remove-account-button"
+                                        title="Remove clip"
+                                        disabled={editing.segments.length === 1}
+                                        onClick={() => {
+                                            updateEditing({ segments: editing.segments.filter((s, j) => j !== i) });
+                                            setClipSearch(null);
+                                        }}
+                                    >
+                                        ✖
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                        {clipSearch && (
+                            <div>
+                                <p>Replacing clip {clipSearch.index + 1} — results for "{clipSearch.query}":</p>
+                                {clipSearch.clips.length === 0 && <p>No clips found. Try other keywords.</p>}
+                                <div className="gallery-grid">
+                                    {clipSearch.clips.map(clip => (
+                                        <div key={`${clip.provider}-${clip.id}`} className="gallery-item">
+                                            {clip.thumbnail && <img src={clip.thumbnail} alt="" style={{ width: '100%', borderRadius: '6px' }} />}
+                                            <small>
+                                                {clip.provider === 'local' ? `📁 ${clip.fileName}` : `🎬 Pexels #${clip.id}`}
+                                                {clip.duration ? ` · ${Math.round(clip.duration)}s` : ''}
+                                            </small>
+                                            <button className="remove-account-button" onClick={() => swapClip(clip)}>Use</button>
+                                        </div>
+                                    ))}
+                                </div>
+                                <button className="remove-account-button" onClick={() => setClipSearch(null)}>Cancel</button>
+                            </div>
+                        )}
+
+                        <button
+                            className="generate-button"
+                            onClick={rerenderProject}
+                            disabled={loading || editing.lines.some(line => !line.trim())}
+                            style={{ marginTop: '15px' }}
+                        >
+                            {loading ? '⏳ Rendering...' : '🎬 Re-render Video'}
+                        </button>
+                        <small style={{ display: 'block', color: '#666', marginTop: '5px' }}>
+                            Unchanged lines keep the existing voiceover; clips already downloaded are reused.
+                        </small>
+                    </div>
+                )}
+
+                {/* Batch Generation */}
+                <div className="accounts-section">
+                    <h3>📦 Batch Generation</h3>
+                    <p>
+                        <small style={{ color: '#666' }}>
+                            A CSV or JSON list of products with columns name, url, mood, language, preset, transitions and accounts
+                            (usernames or ids, separated by ;). Empty cells use the settings above, and rows without accounts go to the selected accounts.
+                        </small>
+                    </p>
+                    <input
+                        type="file"
+                        accept=".csv,.json"
+                        className="input-field"
+                        onChange={(e) => setBatchFile(e.target.files[0] || null)}
+                    />
+                    <label htmlFor="batchParallelism">Videos rendering at once:</label>
+                    <input
+                        id="batchParallelism"
+                        type="number"
+                        min="1"
+                        max="8"
+                        className="input-field"
+                        value={batchParallelism}
+                        onChange={(e) => setBatchParallelism(e.target.value)}
+                    />
+                    <button
+                        className="add-account-button"
+                        onClick={startBatch}
+                        disabled={!batchFile || (batch && (batch.status === 'running' || batch.status === 'cancelling'))}
+                        style={{ width: '100%', marginTop: '10px' }}
+                    >
+                        🚀 Start Batch
+                    </button>
+
+                    {batch && (
+                        <div style={{ marginTop: '15px' }}>
+                            <p>
+                                <strong>{batch.name || batch.id}</strong> — {batch.status}:{' '}
+                                {batch.counts.completed} done, {batch.counts.failed} failed,{' '}
+                                {batch.counts.running} rendering, {batch.counts.pending} waiting
+                                {batch.counts.cancelled > 0 && `, ${batch.counts.cancelled} cancelled`}
+                            </p>
+                            <div>
+                                <a className="remove-account-button" href={`http://localhost:3001/api/batches/${batch.id}/manifest`}>📄 Manifest CSV</a>
+                                <a className="remove-account-button" href={`http://localhost:3001/api/batches/${batch.id}/manifest?format=json`}>📄 Manifest JSON</a>
+                                {batch.counts.completed > 0 && (
+                                    <a className="remove-account-button" href={`http://localhost:3001/api/batches/${batch.id}/zip`}>🗜️ Download Zip</a>
+                                )}
+                                {batch.status === 'running' && (
+                                    <button className="remove-account-button" onClick={cancelBatch}>⏹️ Cancel</button>
+                                )}
+                            </div>
+                            <div style={{ maxHeight: '300px', overflowY: 'auto', marginTop: '10px' }}>
+                                {batch.rows.map(row => (
+                                    <div key={row.row} className="account-item">
+                                        <div>
+                                            <strong>{row.row}. {row.product}</strong>
+                                            <br />
+                                            <small style={{ color: BATCH_ROW_COLORS[row.status] }}>
+                                                {row.status}
+                                                {row.status === 'running' && ` · ${row.percent}%${row.message ? ` · ${row.message}` : ''}`}
+                                                {row.error && ` · ${row.error}`}
+                                                {row.queueResults && row.queueResults.length > 0 && ` · queued for ${row.queueResults.filter(q => q.success).map(q => `@${q.username}`).join(' ')}`}
+                                            </small>
+                                        </div>
+                                        {row.videoUrl && (
+                                            <a className="remove-account-button" href={row.videoUrl} target="_blank" rel="noreferrer">▶️</a>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                </div>
+
                 {/* Upload Queue Display */}
                 {uploadQueue.length > 0 && (
                     <div className="accounts-section">
@@ -411,15 +1996,26 @@ function App() {
                                         <small style={{ color: '#666' }}>
                                             {new Date(item.created_at).toLocaleString()} - 
                                             <span style={{ 
-                                                color: item.upload_status === 'ready' ? 'green' : 
-                                                       item.upload_status === 'queued' ? 'orange' : 'red',
+                                                color: UPLOAD_STATUS_COLORS[item.upload_status] || 'red',
                                                 fontWeight: 'bold',
                                                 marginLeft: '5px'
                                             }}>
                                                 {item.upload_status.toUpperCase()}
                                             </span>
+                                            {item.attempts > 0 && ` (attempt ${item.attempts})`}
                                         </small>
+                                        {item.last_error && (
+                                            <>
+                                                <br />
+                                                <small style={{ color: '#c0392b' }}>⚠️ {item.last_error}</small>
+                                            </>
+                                        )}
                                     </div>
+                                    {item.upload_status === 'failed' && (
+                                        <button className="retry-upload-button" onClick={() => retryUpload(item.id)}>
+                                            🔁 Retry
+                                        </button>
+                                    )}
                                 </div>
                             ))}
                         </div>
@@ -432,6 +2028,108 @@ function App() {
                         </button>
                     </div>
                 )}
+
+                {/* Posting Calendar */}
+                {tiktokAccounts.length > 0 && (
+                    <div className="accounts-section">
+                        <div className="calendar-header">
+                            <button className="remove-account-button" onClick={() => setCalendarWeek(addDays(calendarWeek, -7))}>◀</button>
+                            <h3>🗓️ Posting Calendar: {calendarWeek.toLocaleDateString()} - {addDays(calendarWeek, 6).toLocaleDateString()}</h3>
+                            <button className="remove-account-button" onClick={() => setCalendarWeek(addDays(calendarWeek, 7))}>▶</button>
+                        </div>
+                        <div className="calendar-grid">
+                            {WEEKDAY_LABELS.map((label, i) => {
+                                const day = addDays(calendarWeek, i);
+                                const posts = scheduledPosts.filter(post => new Date(post.scheduled_at).toDateString() === day.toDateString());
+                                return (
+                                    <div key={label} className="calendar-day">
+                                        <div className="calendar-day-label">{label} {day.getDate()}</div>
+                                        {posts.map(post => (
+                                            <div key={post.id} className={`calendar-post calendar-post-${post.upload_status}`}>
+                                                <strong>{new Date(post.scheduled_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</strong> @{post.username}
+                                                <br />
+                                                <small>{post.product_name}</small>
+                                                {(post.upload_status === 'scheduled' || post.upload_status === 'queued') && (
+                                                    <div>
+                                                        <button className="remove-account-button" title="Reschedule" onClick={() => reschedulePost(post)}>🕒</button>
+                                                        <button className="remove-account-button" title="Cancel" onClick={() => cancelPost(post)}>🚫</button>
+                                                    </div>
+                                                )}
+                                            </div>
+                                        ))}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                        <button 
+                            className="add-account-button"
+                            onClick={loadSchedule}
+                            style={{ width: '100%', marginTop: '10px' }}
+                        >
+                            🔄 Refresh Calendar
+                        </button>
+                    </div>
+                )}
+
+                {/* Video History */}
+                <div className="accounts-section">
+                    <h3>🎞️ Video History ({historyTotal})</h3>
+                    <input
+                        type="text"
+                        className="input-field"
+                        placeholder="Search by product or script"
+                        value={historyQuery}
+                        onChange={(e) => {
+                            setHistoryQuery(e.target.value);
+                            loadHistory({ query: e.target.value });
+                        }}
+                    />
+                    <div className="gallery-grid">
+                        {history.map(video => (
+                            <div key={video.id} className="gallery-item">
+                                {video.fileExists ? (
+                                    <video src={video.videoUrl} controls preload="none" />
+                                ) : (
+                                    <p className="gallery-missing">⚠️ File missing</p>
+                                )}
+                                <strong>{video.productName}</strong>
+                                <br />
+                                <small style={{ color: '#666' }}>
+                                    {new Date(video.createdAt).toLocaleString()}
+                                    {video.duration ? ` · ${video.duration.toFixed(1)}s` : ''}
+                                    {video.preset ? ` · ${video.preset}` : ''}
+                                    {video.mood ? ` · ${video.mood}` : ''}
+                                </small>
+                                {video.variantGroup && (
+                                    <button className="remove-account-button" title="Compare the variants" onClick={() => loadVariantGroup(video.variantGroup)}>
+                                        🧪 Variant {video.variantId}
+                                    </button>
+                                )}
+                                <div>
+                                    {video.fileExists && (
+                                        <>
+                                            <a className="remove-account-button" href={video.videoUrl} download={video.fileName} title="Download">⬇️</a>
+                                            <button className="remove-account-button" title="Queue for the selected accounts" onClick={() => requeueVideo(video)}>📤</button>
+                                        </>
+                                    )}
+                                    {video.project && (
+                                        <button className="remove-account-button" title="Edit and re-render" onClick={() => openProject(video.id, video.project)}>✏️</button>
+                                    )}
+                                    <button className="remove-account-button" title="Delete" onClick={() => deleteVideo(video)}>🗑️</button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    {history.length < historyTotal && (
+                        <button 
+                            className="add-account-button"
+                            onClick={() => loadHistory({ offset: history.length, query: historyQuery })}
+                            style={{ width: '100%', marginTop: '10px' }}
+                        >
+                            ⬇️ Load More
+                        </button>
+                    )}
+                </div>
             </div>
         </div>
     );